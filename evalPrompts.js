@@ -0,0 +1,182 @@
+// Offline evaluation of the CRN lookup prompts
+// Replays a labelled set of company names against recorded model answers and
+// reports, for each version of a prompt template, how often the CRN came back
+// right. Run it with `npm run eval:prompts`; nothing leaves the machine unless
+// PROMPT_EVAL_RECORD is set.
+//   PROMPT_EVAL_TEMPLATE    template to evaluate (default crn_lookup; also
+//                           crn_lookup_retry or crn_research)
+//   PROMPT_EVAL_LABELS      [{ "business_name": "Tesco PLC", "crn": "00445790" }],
+//                           crn null for names that match no company
+//                           (default prompts/eval/crnLabels.json)
+//   PROMPT_EVAL_RECORDINGS  recorded answers (default prompts/eval/crnRecordings.json)
+//   PROMPT_EVAL_VERSIONS    versions to compare, e.g. "1,2" (default: all)
+//   PROMPT_EVAL_RECORD=1    ask the configured LLM provider for the answers
+//                           that are missing and add them to the recordings
+//   PROMPT_EVAL_REPORT      also write the report as JSON to this file
+// Recordings belong to the exact text of a version (its fingerprint); answers
+// recorded for text that has since changed are reported as stale, not scored.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const llm = require('./services/llm');
+const prompts = require('./services/prompts');
+
+const TEMPLATE = process.env.PROMPT_EVAL_TEMPLATE || 'crn_lookup';
+const LABELS_FILE = process.env.PROMPT_EVAL_LABELS || path.join(__dirname, 'prompts', 'eval', 'crnLabels.json');
+const RECORDINGS_FILE = process.env.PROMPT_EVAL_RECORDINGS || path.join(__dirname, 'prompts', 'eval', 'crnRecordings.json');
+const RECORD = process.env.PROMPT_EVAL_RECORD === '1';
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function normalizeCrn(crn) {
+  return crn ? String(crn).replace(/\s+/g, '').toUpperCase() : null;
+}
+
+// Every template the harness knows gets the name (and website, if labelled)
+function variablesFor(label) {
+  return { business_name: label.business_name, company_name: label.business_name, website: label.website || null };
+}
+
+// Answers with what was recorded, so the answer goes through the same parsing
+// and schema validation as in a job
+function replayProvider(recording) {
+  return {
+    name: 'replay',
+    status: () => ({ configured: true, message: 'Recorded answers' }),
+    async complete() {
+      return { id: null, model: recording.model, content: recording.content, finish_reason: 'stop', usage: {} };
+    }
+  };
+}
+
+async function record(request) {
+  try {
+    const response = await llm.completeJson(request);
+    return { content: response.content, model: response.model, schema_attempts: response.schema_attempts, recorded_at: new Date().toISOString() };
+  } catch (err) {
+    if (err.type !== 'invalid_response') throw err;
+    return { content: err.content, model: err.model, schema_attempts: null, recorded_at: new Date().toISOString() };
+  }
+}
+
+function score(expected, answer) {
+  if (answer === undefined) return 'invalid';
+  const got = normalizeCrn(answer.crn);
+  if (!expected) return got ? 'false_positive' : 'correct';
+  if (!got) return 'missed';
+  return got === expected ? 'correct' : 'wrong_crn';
+}
+
+async function evaluateVersion(version, labels, recordings) {
+  const template = prompts.getTemplate(TEMPLATE).versions[version];
+  const stored = recordings[TEMPLATE]?.[version];
+  if (stored && stored.fingerprint !== template.fingerprint && !RECORD) {
+    return { version, fingerprint: template.fingerprint, stale: true, results: [] };
+  }
+  const answers = stored && stored.fingerprint === template.fingerprint ? stored.answers : {};
+
+  const results = [];
+  for (const label of labels) {
+    const request = prompts.render(TEMPLATE, variablesFor(label), { version });
+    if (!answers[label.business_name] && RECORD) {
+      console.log(`Recording ${TEMPLATE}@${version} for "${label.business_name}"`);
+      answers[label.business_name] = await record(request);
+    }
+    const recording = answers[label.business_name];
+    const expected = normalizeCrn(label.crn);
+    if (!recording) {
+      results.push({ business_name: label.business_name, expected, outcome: 'not_recorded' });
+      continue;
+    }
+
+    let answer;
+    try {
+      const response = await llm.completeJson({ ...request, model: recording.model }, {
+        provider: replayProvider(recording),
+        schemaRetries: 0,
+        maxRetries: 0
+      });
+      answer = response.data;
+    } catch (err) {
+      if (err.type !== 'invalid_response') throw err;
+    }
+    results.push({ business_name: label.business_name, expected, answered: answer ? normalizeCrn(answer.crn) : null, outcome: score(expected, answer) });
+  }
+
+  if (RECORD) {
+    recordings[TEMPLATE] = { ...recordings[TEMPLATE], [version]: { fingerprint: template.fingerprint, answers } };
+  }
+  return { version, fingerprint: template.fingerprint, stale: false, results };
+}
+
+function summarize({ version, fingerprint, stale, results }) {
+  const count = outcome => results.filter(result => result.outcome === outcome).length;
+  const scored = results.length - count('not_recorded');
+  return {
+    version,
+    fingerprint,
+    stale,
+    labels: results.length,
+    scored,
+    correct: count('correct'),
+    accuracy: scored > 0 ? Math.round((count('correct') / scored) * 1000) / 1000 : null,
+    wrong_crn: count('wrong_crn'),
+    missed: count('missed'),
+    false_positive: count('false_positive'),
+    invalid: count('invalid'),
+    not_recorded: count('not_recorded')
+  };
+}
+
+async function main() {
+  const labels = readJson(LABELS_FILE, null);
+  if (!Array.isArray(labels) || labels.length === 0) throw new Error(`${LABELS_FILE} must be a non-empty list of labelled company names`);
+  const recordings = readJson(RECORDINGS_FILE, {});
+  const template = prompts.getTemplate(TEMPLATE);
+  const versions = process.env.PROMPT_EVAL_VERSIONS
+    ? process.env.PROMPT_EVAL_VERSIONS.split(',').map(version => Number(version.trim()))
+    : Object.keys(template.versions).map(Number);
+  versions.forEach(version => {
+    if (!template.versions[version]) throw new Error(`Prompt template "${TEMPLATE}" has no version ${version}`);
+  });
+
+  const evaluations = [];
+  for (const version of versions) {
+    evaluations.push(await evaluateVersion(version, labels, recordings));
+  }
+  if (RECORD) {
+    fs.mkdirSync(path.dirname(RECORDINGS_FILE), { recursive: true });
+    fs.writeFileSync(RECORDINGS_FILE, JSON.stringify(recordings, null, 2));
+    console.log(`Recordings saved to ${RECORDINGS_FILE}`);
+  }
+
+  const summaries = evaluations.map(summarize);
+  console.log(`\nCRN accuracy of ${TEMPLATE} on ${labels.length} labelled names (active version ${prompts.activeVersion(TEMPLATE)})`);
+  console.table(summaries.map(summary => ({
+    version: summary.version,
+    fingerprint: summary.fingerprint,
+    accuracy: summary.stale ? 'stale recordings' : (summary.accuracy === null ? 'n/a' : `${(summary.accuracy * 100).toFixed(1)}%`),
+    correct: summary.correct,
+    scored: summary.scored,
+    wrong_crn: summary.wrong_crn,
+    missed: summary.missed,
+    false_positive: summary.false_positive,
+    invalid: summary.invalid,
+    not_recorded: summary.not_recorded
+  })));
+
+  if (process.env.PROMPT_EVAL_REPORT) {
+    const report = { template: TEMPLATE, evaluated_at: new Date().toISOString(), versions: summaries.map((summary, index) => ({ ...summary, results: evaluations[index].results })) };
+    fs.writeFileSync(process.env.PROMPT_EVAL_REPORT, JSON.stringify(report, null, 2));
+    console.log(`Report written to ${process.env.PROMPT_EVAL_REPORT}`);
+  }
+}
+
+main().catch(err => {
+  console.error(`Prompt evaluation failed: ${err.message}`);
+  process.exit(1);
+});
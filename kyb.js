@@ -1,21 +1,38 @@
 // KYB Automation API Service in Node.js
-// Full Implementation with Express.js and External Integrations
+// KYB pipeline: job storage, the worker pool and the job processors that
+// research a business. server.js mounts the HTTP routes on top of this module.
 
 // Import libraries
 require('dotenv').config();
-const express = require('express');
-const bodyParser = require('body-parser');
 const axios = require('axios');
 const cheerio = require('cheerio');
-const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const cors = require('cors');
-const { v4: uuidv4 } = require('uuid');
-const PDFDocument = require('pdfkit');
-const { OpenAI } = require('openai');
-const html = require('node-html-parser');
-const { parse } = require('node-html-parser');
+const { createJobStore } = require('./services/jobStore');
+const { createWorkerPool } = require('./services/workerPool');
+const { createWebhookNotifier } = require('./services/webhooks');
+const llm = require('./services/llm');
+const prompts = require('./services/prompts');
+const companiesHouse = require('./services/companiesHouse');
+const { findCompanyWebsite } = require('./services/webSearch');
+const { normalizeOfficer, chooseRepresentative, isDirector, isSamePerson } = require('./services/officers');
+const { normalizePsc, normalizeStatement } = require('./services/psc');
+const { resolveOwnership } = require('./services/uboResolver');
+const { createIssue } = require('./services/validationIssues');
+const { buildProvenance, AI_INFERRED } = require('./services/provenance');
+const aiClaims = require('./services/aiClaims');
+const riskSignals = require('./services/riskSignals');
+const { compareAddresses } = require('./services/addressMatch');
+const { scoreVerification } = require('./services/verificationScore');
+const { evaluatePolicy, loadPolicy } = require('./services/riskPolicy');
+const { screenSanctions } = require('./services/sanctions');
+const { buildScreeningSubjects } = require('./services/screening');
+const { screenPeps, collectPepReviews, applyPepReviews, pepReviewFields } = require('./services/pep');
+const { screenAdverseMedia, isAdverse } = require('./services/adverseMedia');
+const { createCaseReview } = require('./services/caseReview');
+const { createAuth } = require('./services/auth');
+const { createAuditTrail, hashContent, contentLength, recordExternalRequest } = require('./services/auditTrail');
+const tenants = require('./services/tenants');
 
 // Simple logging system
 const logs = [];
@@ -38,8 +55,8 @@ function logMessage(type, message, data = null) {
     logs.pop();
   }
   
-  // Also log to file
-  const logDir = path.join(__dirname, 'logs');
+  // Also log to file, in the current job's tenant's directory
+  const logDir = tenants.tenantPath(path.join(__dirname, 'logs'), tenants.currentTenantId());
   fs.mkdirSync(logDir, { recursive: true });
   fs.appendFileSync(
     path.join(logDir, `kyb-${new Date().toISOString().split('T')[0]}.log`),
@@ -48,521 +65,134 @@ function logMessage(type, message, data = null) {
 }
 
 // Configuration (Environment Variables)
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const COMPANY_HOUSE_API_KEY = process.env.COMPANY_HOUSE_API_KEY;
-const PORT = process.env.PORT || 3000;
-
-// Initialize services
-const app = express();
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-
-// Middleware
-app.use(bodyParser.json());
-app.use(cors()); // Enable CORS for all routes
-app.use(express.static(path.join(__dirname, 'public'))); // Serve static files from /public
-
-// Add request logging middleware
-app.use((req, res, next) => {
-  const start = Date.now();
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
-  
-  // Log request body for POST requests
-  if (req.method === 'POST' && req.body) {
-    console.log(`Request Body:`, req.body);
-  }
-  
-  // Log query parameters for GET requests
-  if (req.method === 'GET' && Object.keys(req.query).length > 0) {
-    console.log(`Query Params:`, req.query);
-  }
-  
-  // Capture the response
-  const originalSend = res.send;
-  res.send = function(body) {
-    const responseTime = Date.now() - start;
-    console.log(`[${new Date().toISOString()}] Response ${res.statusCode} - ${responseTime}ms`);
-    
-    // Log response for non-ok status codes or if it's an error
-    if (res.statusCode !== 200 || (typeof body === 'string' && body.includes('error'))) {
-      console.log(`Response Body:`, body);
-    }
-    
-    originalSend.call(this, body);
-  };
-  
-  next();
+const WORKER_CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY, 10) || 3;
+const JOB_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+const ACTION_REQUIRED_TTL_MS = parseInt(process.env.ACTION_REQUIRED_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+const EXPIRY_SWEEP_INTERVAL_MS = parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MS, 10) || 10 * 60 * 1000;
+const INCLUDE_RESIGNED_OFFICERS = process.env.KYB_INCLUDE_RESIGNED_OFFICERS === 'true';
+const UBO_MAX_DEPTH = parseInt(process.env.UBO_MAX_DEPTH, 10) || 5;
+const RECENT_CHANGE_DAYS = parseInt(process.env.KYB_RECENT_CHANGE_DAYS, 10) || 365;
+
+// Job storage (file-backed by default, see services/jobStore.js)
+const jobStore = createJobStore();
+
+// Append-only, hash-chained record of each job (services/auditTrail.js),
+// filed under the job's tenant
+const auditTrail = createAuditTrail({ tenantOf: jobId => jobStore.getTenant(jobId) });
+jobStore.on('created', ({ jobId, status, logs }) => auditTrail.record(jobId, 'job_created', { status, logs }));
+jobStore.on('status', ({ jobId, status, previousStatus, changedAt }) => {
+  auditTrail.record(jobId, 'status_change', { from: previousStatus, to: status, changed_at: changedAt });
 });
+jobStore.on('log', ({ jobId, entry }) => auditTrail.record(jobId, 'log_entry', entry));
 
-// Add middleware to handle JSON circular references and ensure valid JSON responses
-app.use((req, res, next) => {
-  // Override res.json to handle circular references and other JSON errors
-  const originalJson = res.json;
-  res.json = function(obj) {
-    try {
-      // Try to detect circular references by stringifying the object
-      JSON.stringify(obj);
-      return originalJson.call(this, obj);
-    } catch (err) {
-      // If there's a circular reference or other JSON error, log it and send a sanitized response
-      console.error(`JSON serialization error: ${err.message}`);
-      
-      // Create a safe copy of the object without circular references
-      const safeObj = { 
-        error: 'Response contained invalid JSON structure',
-        message: err.message,
-        timestamp: new Date().toISOString(),
-        endpoint: req.originalUrl,
-        method: req.method
-      };
-      
-      // If this was an error response, preserve the error and status
-      if (obj.error) {
-        safeObj.original_error = typeof obj.error === 'string' ? obj.error : 'Complex error object';
-      }
-      
-      // Set appropriate status if not already set
-      if (res.statusCode === 200) {
-        res.status(500);
-      }
-      
-      return originalJson.call(this, safeObj);
-    }
-  };
-  next();
+// LLM tokens and their cost add up per job (services/llm.js)
+llm.on('usage', ({ jobId, ...call }) => {
+  if (jobStore.hasJob(jobId)) jobStore.setLlmUsage(jobId, llm.addUsage(jobStore.getLlmUsage(jobId), call));
 });
 
-// In-memory storage (for simplicity)
-const jobStatus = {};
-const jobLogs = {};
-const jobQueue = [];
-let isProcessing = false;
+// Model answers that failed their schema, whether or not the model fixed them
+llm.on('invalid_response', ({ jobId, ...details }) => {
+  if (jobStore.hasJob(jobId)) jobStore.appendLog(jobId, { step: 'LLM Answer Invalid', data: details });
+});
 
-// Simple job processor function
-async function processNextJob() {
-  if (isProcessing || jobQueue.length === 0) return;
-  
-  isProcessing = true;
-  const job = jobQueue.shift();
-  
+// Which version of each prompt template a job used (services/prompts.js)
+prompts.on('render', ({ jobId, ...template }) => {
+  if (jobStore.hasJob(jobId)) jobStore.appendLog(jobId, { step: 'Prompt Template', data: template });
+});
+
+// POST callbacks to clients that asked for them on /startKYB
+createWebhookNotifier({
+  store: jobStore,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+  baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000
+});
+
+// The abort controller of each running processor, by job id
+const jobControllers = new Map();
+
+// Aborts the LLM calls of the job's running processor, if there is one (the
+// job was cancelled or expired)
+function abortJob(jobId, reason) {
+  const controller = jobControllers.get(jobId);
+  if (controller) controller.abort(new Error(reason));
+}
+
+// Processors run with the job's tenant settings (services/tenants.js) and
+// with their external requests going on the job's audit trail. They get a
+// signal that is aborted by abortJob() or when the worker pool gives up on
+// the job (signal) and pass it to every LLM call.
+async function runJob(job, processor, { signal } = {}) {
+  const controller = new AbortController();
+  jobControllers.set(job.id, controller);
+  const onTimeout = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onTimeout, { once: true });
   try {
-    console.log(`[${new Date().toISOString()}] Processing job ${job.id} for business "${job.business_name}"`);
-    
-    if (job.type === 'kybTask') {
-      await jobProcessors.kybTask(job);
-    } else if (job.type === 'kybContinue') {
-      await jobProcessors.kybContinue(job);
-    } else {
-      console.error(`[${new Date().toISOString()}] Unknown job type: ${job.type}`);
-    }
-  } catch (err) {
-    console.error(`[${new Date().toISOString()}] Error processing job: ${err.message}`);
-    jobStatus[job.id] = 'failed';
-    jobLogs[job.id].push({
-      step: 'Error',
-      timestamp: new Date().toISOString(),
-      error: err.message
-    });
+    return await tenants.runForTenant(jobStore.getTenant(job.id), () => auditTrail.runForJob(job.id, () => processor(job, { signal: controller.signal })));
   } finally {
-    isProcessing = false;
-    // Process next job if available
-    processNextJob();
+    signal?.removeEventListener('abort', onTimeout);
+    if (jobControllers.get(job.id) === controller) jobControllers.delete(job.id);
   }
 }
 
-// POST /startKYB
-app.post('/startKYB', async (req, res) => {
-  const { business_name } = req.body;
-  if (!business_name) return res.status(400).json({ error: 'business_name is required' });
-
-  const jobId = crypto.randomBytes(16).toString('hex');
-  console.log(`[${new Date().toISOString()}] Creating new KYB job for "${business_name}" with ID: ${jobId}`);
-  
-  jobStatus[jobId] = 'pending';
-  jobLogs[jobId] = [
-    {
-      step: 'Original Request',
+// Worker pool that drains the job queue
+const workerPool = createWorkerPool({
+  store: jobStore,
+  handlers: {
+    kybTask: (job, options) => runJob(job, jobProcessors.kybTask, options),
+    kybContinue: (job, options) => runJob(job, jobProcessors.kybContinue, options)
+  },
+  concurrency: WORKER_CONCURRENCY,
+  jobTimeoutMs: JOB_TIMEOUT_MS,
+  onJobError(job, err) {
+    jobStore.setStatus(job.id, 'failed');
+    jobStore.appendLog(job.id, {
+      step: 'Error',
       timestamp: new Date().toISOString(),
-      data: { business_name }
-    }
-  ];
-  
-  // Add job to queue
-  jobQueue.push({
-    id: jobId,
-    type: 'kybTask',
-    business_name,
-  });
-  
-  // Start processing if not already processing
-  if (!isProcessing) {
-    processNextJob();
+      error: err.message
+    });
   }
-
-  return res.json({ job_id: jobId });
 });
 
-// GET /jobStatus
-app.get('/jobStatus', (req, res) => {
-  const { job_id } = req.query;
-  if (!jobStatus[job_id]) return res.status(404).json({ error: 'Job not found' });
-  console.log(`[${new Date().toISOString()}] Job status request for ${job_id}: ${jobStatus[job_id]}`);
-  
-  // Create a more detailed status response
-  const statusResponse = {
-    job_id: job_id,
-    status: jobStatus[job_id],
-    created_at: Array.isArray(jobLogs[job_id]) ? jobLogs[job_id]?.[0]?.timestamp || null : null,
-    last_updated: new Date().toISOString(),
-    total_steps_completed: Array.isArray(jobLogs[job_id]) ? jobLogs[job_id]?.length || 0 : 0,
-    current_step: Array.isArray(jobLogs[job_id]) ? 
-                 jobLogs[job_id]?.[jobLogs[job_id]?.length - 1]?.step || null : 
-                 "Completed",
-    requires_action: jobStatus[job_id] === 'action_required',
-    required_fields: Array.isArray(jobLogs[job_id]) ? 
-                    jobLogs[job_id]?.find?.(log => log.step === 'Action Required')?.required_fields || null : 
-                    null,
-    percent_complete: calculateJobProgress(jobStatus[job_id], Array.isArray(jobLogs[job_id]) ? jobLogs[job_id]?.length || 0 : 0)
-  };
-  
-  return res.json(statusResponse);
+// API clients, scopes and job ownership for the routes
+const auth = createAuth({ jobStore });
+
+// Manual review cases; overrides re-run the same risk policy as the pipeline
+const caseReview = createCaseReview({
+  jobStore,
+  redecide: (jobId, result) => decideOnboarding(jobId, result)
 });
 
-// GET /jobLog
-app.get('/jobLog', (req, res) => {
-  try {
-    const { job_id } = req.query;
-    if (!jobLogs[job_id]) return res.status(404).json({ error: 'Job not found' });
-    console.log(`[${new Date().toISOString()}] Job log request for ${job_id}`);
-    
-    // Check if the job has a completed result
-    const hasResult = jobLogs[job_id].result !== undefined;
-    
-    // Safely process the job logs to ensure they can be serialized
-    const safeLogEntries = jobLogs[job_id].map(entry => {
-      try {
-        // For each entry, create a safe copy that can be serialized
-        const safeCopy = { ...entry };
-        
-        // Handle data field which might contain complex objects
-        if (safeCopy.data && typeof safeCopy.data === 'object') {
-          try {
-            // Test if it can be serialized
-            JSON.stringify(safeCopy.data);
-          } catch (err) {
-            // If it can't be serialized, provide a safe version
-            safeCopy.data = { 
-              serialization_error: true, 
-              message: 'Data could not be serialized to JSON',
-              error: err.message
-            };
-          }
-        }
-        
-        // Handle result field similarly for the completed entry
-        if (safeCopy.result && typeof safeCopy.result === 'object') {
-          try {
-            // Test if it can be serialized
-            JSON.stringify(safeCopy.result);
-          } catch (err) {
-            safeCopy.result = { 
-              serialization_error: true, 
-              message: 'Result could not be serialized to JSON',
-              error: err.message
-            };
-          }
-        }
-        
-        // Handle error field
-        if (safeCopy.error && typeof safeCopy.error === 'object') {
-          safeCopy.error = safeCopy.error.message || 'Unknown error';
-        }
-        
-        return safeCopy;
-      } catch (err) {
-        // If processing an entry fails, return a placeholder
-        return { 
-          step: 'Log Entry Error',
-          timestamp: new Date().toISOString(),
-          error: `Could not process log entry: ${err.message}`
-        };
-      }
-    });
+// Expire action_required jobs nobody has responded to within the TTL
+function expireStaleJobs() {
+  const now = Date.now();
+  let expired = 0;
+  
+  for (const jobId of jobStore.listJobIds()) {
+    const info = jobStore.getJobInfo(jobId);
+    if (info.status !== 'action_required') continue;
     
-    // Create an enhanced response with job metadata
-    const response = {
-      job_id: job_id,
-      status: jobStatus[job_id] || 'unknown',
-      created_at: jobLogs[job_id][0]?.timestamp || null,
-      last_updated: jobLogs[job_id][jobLogs[job_id].length - 1]?.timestamp || new Date().toISOString(),
-      log_entries: safeLogEntries,
-      total_steps: jobLogs[job_id].length,
-      percent_complete: calculateJobProgress(jobStatus[job_id], jobLogs[job_id].length),
-      requires_action: jobStatus[job_id] === 'action_required',
-      required_fields: jobLogs[job_id].find(log => log.step === 'Action Required')?.required_fields || null,
-      is_complete: hasResult
-    };
+    const waitingMs = now - new Date(info.status_changed_at).getTime();
+    if (waitingMs < ACTION_REQUIRED_TTL_MS) continue;
     
-    // Add the final result if available
-    if (hasResult) {
-      try {
-        // Test if result can be serialized
-        JSON.stringify(jobLogs[job_id].result);
-        response.result = jobLogs[job_id].result;
-      } catch (err) {
-        response.result = { 
-          serialization_error: true, 
-          message: 'Result could not be serialized to JSON',
-          error: err.message
-        };
+    jobStore.setStatus(jobId, 'expired');
+    abortJob(jobId, 'Job expired');
+    jobStore.appendLog(jobId, {
+      step: 'Expired',
+      timestamp: new Date().toISOString(),
+      message: `No additional information received within ${Math.round(ACTION_REQUIRED_TTL_MS / 3600000)} hours`,
+      data: {
+        awaiting_since: info.status_changed_at,
+        ttl_ms: ACTION_REQUIRED_TTL_MS
       }
-    }
-    
-    // Ensure we can serialize the entire response
-    try {
-      JSON.stringify(response);
-      return res.json(response);
-    } catch (jsonError) {
-      console.error(`Error serializing response for job ${job_id}:`, jsonError.message);
-      // Return a simplified response if the full one can't be serialized
-      return res.json({
-        job_id: job_id,
-        status: jobStatus[job_id] || 'unknown',
-        error: 'Could not serialize full job logs',
-        serialization_error: true,
-        timestamp: new Date().toISOString()
-      });
-    }
-  } catch (err) {
-    console.error('Error in jobLog endpoint:', err.message);
-    return res.status(500).json({
-      error: 'Internal server error: ' + err.message,
-      timestamp: new Date().toISOString()
     });
+    expired++;
   }
-});
-
-// POST /continueKYB - Provide additional information to continue a stuck KYB process
-app.post('/continueKYB', async (req, res) => {
-  const { job_id, ...additionalData } = req.body;
   
-  if (!job_id) return res.status(400).json({ error: 'job_id is required' });
-  if (!jobStatus[job_id]) return res.status(404).json({ error: 'Job not found' });
-  
-  console.log(`[${new Date().toISOString()}] Continuing KYB job ${job_id} with additional data:`, additionalData);
-  
-  // Only allow continuing jobs that are in action_required status
-  if (jobStatus[job_id] !== 'action_required') {
-    return res.status(400).json({ 
-      error: 'Job is not awaiting additional information', 
-      current_status: jobStatus[job_id] 
-    });
+  if (expired > 0) {
+    console.log(`[${new Date().toISOString()}] Expired ${expired} stale action_required jobs`);
   }
-  
-  // Add the additional data to job logs
-  jobLogs[job_id].push({
-    step: 'Additional Information',
-    timestamp: new Date().toISOString(),
-    data: additionalData
-  });
-  
-  // Update job status to processing
-  jobStatus[job_id] = 'processing';
-  
-  // Get the business name from the original job data
-  const businessName = jobLogs[job_id].find(log => log.step === 'Original Request')?.data?.business_name;
-  
-  // Add continuation job to queue
-  jobQueue.push({
-    id: job_id,
-    type: 'kybContinue',
-    business_name: businessName,
-    additionalData
-  });
-  
-  // Start processing if not already processing
-  if (!isProcessing) {
-    processNextJob();
-  }
-  
-  if (additionalData.crn) {
-    return res.json({ 
-      status: 'processing',
-      message: 'Job continuing with provided CRN' 
-    });
-  } 
-  else if (additionalData.website) {
-    return res.json({ 
-      status: 'processing',
-      message: 'Job continuing with provided website' 
-    });
-  }
-  else {
-    return res.json({ 
-      status: 'processing',
-      message: 'Job continuing with provided information' 
-    });
-  }
-});
-
-// GET /searchCompany - Search Companies House by name
-app.get('/searchCompany', async (req, res) => {
-  try {
-    const { name } = req.query;
-    if (!name) return res.status(400).json({ error: 'Company name is required' });
-    if (!COMPANY_HOUSE_API_KEY) return res.status(500).json({ error: 'Companies House API key not configured' });
-
-    const searchUrl = `https://api.company-information.service.gov.uk/search/companies?q=${encodeURIComponent(name)}`;
-    const searchResponse = await axios.get(searchUrl, {
-      auth: { username: COMPANY_HOUSE_API_KEY, password: '' }
-    });
-    
-    if (searchResponse.data.items && searchResponse.data.items.length > 0) {
-      // Return the top 5 matches with enhanced information
-      const topMatches = searchResponse.data.items.slice(0, 5).map(item => ({
-        company_name: item.title,
-        company_number: item.company_number,
-        company_status: item.company_status,
-        company_type: item.company_type || null,
-        address: item.address_snippet,
-        address_fields: item.address || null,
-        description: item.description || null,
-        date_of_creation: item.date_of_creation || null,
-        matched_terms: item.matches?.title || [],
-        similarity_score: calculateNameSimilarity(name, item.title),
-        kind: item.kind || null,
-        links: item.links || null,
-        sic_codes: item.sic_codes || [],
-        is_active: item.company_status === 'active',
-        search_match_type: item.kind || 'company',
-        date_of_cessation: item.date_of_cessation || null,
-        registered_office_address: item.registered_office_address || null
-      }));
-      
-      return res.json({ 
-        query: name,
-        total_results: searchResponse.data.total_results || searchResponse.data.items.length,
-        page_number: searchResponse.data.page_number || 1,
-        results: topMatches,
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      return res.json({ 
-        query: name,
-        total_results: 0,
-        results: [],
-        timestamp: new Date().toISOString()
-      });
-    }
-  } catch (err) {
-    console.error('Error searching company:', err.message);
-    return res.status(500).json({ error: 'Error searching Companies House: ' + err.message });
-  }
-});
-
-// GET /companyProfile - Get detailed company profile by CRN
-app.get('/companyProfile', async (req, res) => {
-  try {
-    const { crn } = req.query;
-    if (!crn) return res.status(400).json({ error: 'Company Registration Number (CRN) is required' });
-    if (!COMPANY_HOUSE_API_KEY) return res.status(500).json({ error: 'Companies House API key not configured' });
-
-    try {
-      const companyData = await axios.get(`https://api.company-information.service.gov.uk/company/${crn}`, {
-        auth: { username: COMPANY_HOUSE_API_KEY, password: '' },
-        headers: {
-          'Accept': 'application/json'
-        },
-        validateStatus: function (status) {
-          // Consider only 2xx status codes as successful
-          return status >= 200 && status < 300;
-        }
-      });
-      
-      // Add minimal enhancements while preserving original data
-      const enhancedResponse = {
-        ...companyData.data,
-        request_timestamp: new Date().toISOString(),
-        queried_crn: crn,
-        profile_url: `https://find-and-update.company-information.service.gov.uk/company/${crn}`,
-        is_active: companyData.data.company_status === 'active'
-      };
-      
-      return res.json(enhancedResponse);
-    } catch (apiError) {
-      // Handle specific API errors
-      if (apiError.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        const status = apiError.response.status;
-        
-        if (status === 404) {
-          return res.status(404).json({ 
-            error: `Company not found with CRN: ${crn}`,
-            crn: crn,
-            status: 'not_found',
-            timestamp: new Date().toISOString()
-          });
-        } else if (status === 401 || status === 403) {
-          return res.status(status).json({ 
-            error: 'API authentication error - invalid Companies House API key',
-            crn: crn,
-            status: 'auth_error',
-            timestamp: new Date().toISOString()
-          });
-        } else if (status === 429) {
-          return res.status(429).json({ 
-            error: 'Companies House API rate limit exceeded',
-            crn: crn,
-            status: 'rate_limited',
-            timestamp: new Date().toISOString()
-          });
-        } else {
-          return res.status(status).json({ 
-            error: `Companies House API error: ${status}`,
-            crn: crn,
-            status: 'api_error',
-            status_code: status,
-            timestamp: new Date().toISOString()
-          });
-        }
-      } else if (apiError.request) {
-        // The request was made but no response was received
-        return res.status(500).json({ 
-          error: 'No response received from Companies House API',
-          crn: crn,
-          status: 'network_error',
-          timestamp: new Date().toISOString()
-        });
-      } else {
-        // Something happened in setting up the request that triggered an Error
-        return res.status(500).json({ 
-          error: `Error setting up request: ${apiError.message}`,
-          crn: crn,
-          status: 'request_error',
-          timestamp: new Date().toISOString()
-        });
-      }
-    }
-  } catch (err) {
-    // Catch any other errors and return a valid JSON response
-    console.error('Error in companyProfile endpoint:', err.message);
-    return res.status(500).json({ 
-      error: 'Internal server error: ' + err.message,
-      crn: req.query.crn,
-      status: 'server_error',
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-// GET /allLogs - View all job logs (for debugging)
-app.get('/allLogs', (req, res) => {
-  return res.json({
-    totalJobs: Object.keys(jobLogs).length,
-    jobLogs: jobLogs,
-    jobStatus: jobStatus
-  });
-});
+  return expired;
+}
 
 // Utility function to validate and match addresses
 function normalizeAddress(addr) {
@@ -571,20 +201,16 @@ function normalizeAddress(addr) {
 
 async function downloadIncorporationDocument(crn, jobId) {
   try {
-    const filings = await axios.get(`https://api.company-information.service.gov.uk/company/${crn}/filing-history`, {
-      auth: { username: COMPANY_HOUSE_API_KEY, password: '' }
-    });
+    const filings = await companiesHouse.getFilingHistory(crn, { category: 'incorporation' });
     const incorporation = filings.data.items.find(item => item.type === 'NEWINC');
     if (incorporation) {
       const docId = incorporation.links.document_metadata.split('/').pop();
-      const document = await axios.get(`https://document-api.company-information.service.gov.uk/document/${docId}/content`, {
-        auth: { username: COMPANY_HOUSE_API_KEY, password: '' },
-        responseType: 'arraybuffer'
-      });
-      const filePath = path.join(__dirname, 'inc_docs', `${jobId}_incorporation.pdf`);
+      const document = await companiesHouse.getDocumentContent(docId);
+      const relativePath = tenants.tenantPath('inc_docs', jobStore.getTenant(jobId), `${jobId}_incorporation.pdf`);
+      const filePath = path.join(__dirname, relativePath);
       fs.mkdirSync(path.dirname(filePath), { recursive: true });
       fs.writeFileSync(filePath, document.data);
-      return `/inc_docs/${jobId}_incorporation.pdf`;
+      return `/${relativePath}`;
     }
     return null;
   } catch (error) {
@@ -592,174 +218,115 @@ async function downloadIncorporationDocument(crn, jobId) {
   }
 }
 
+// Checks a CRN the LLM named against the Companies House register (see
+// services/aiClaims.js): its profile, or a search for the name when the
+// profile can't be fetched. Resolves to { claim, profile }.
+async function checkAiCrn(crn, name, proposedBy) {
+  let profile = null;
+  let profileError = null;
+  try {
+    profile = (await companiesHouse.getCompanyProfile(crn)).data;
+  } catch (err) {
+    profileError = err.message;
+  }
+  
+  let claim = aiClaims.checkCrn({ crn, name, proposedBy, profile, profileError, similarity: calculateNameSimilarity });
+  if (!profile) {
+    try {
+      const searchResponse = await companiesHouse.searchCompanies(name);
+      claim = aiClaims.checkCrn({ crn, name, proposedBy, profile, profileError, searchItems: searchResponse.data.items || [], similarity: calculateNameSimilarity });
+    } catch (searchError) {
+      console.log(`Companies House search for "${name}" failed: ${searchError.message}`);
+    }
+  }
+  return { claim, profile };
+}
+
+// checkAiCrn() for a job, with the verdict in the job log
+async function corroborateAiCrn(jobId, crn, name, proposedBy) {
+  const { claim, profile } = await checkAiCrn(crn, name, proposedBy);
+  console.log(`[${new Date().toISOString()}] [${jobId}] ${claim.corroborated ? 'Accepted' : 'REJECTING'} AI CRN ${crn}: ${claim.reason}`);
+  jobStore.appendLog(jobId, aiClaims.logEntry(claim));
+  return { claim, profile };
+}
+
 // Add job processor methods for better organization
 const jobProcessors = {
   // Process initial KYB requests
-  async kybTask(job) {
-    const { id: jobId, business_name } = job;
+  async kybTask(job, { signal } = {}) {
+    const { id: jobId, business_name, hints = {} } = job;
 
     console.log(`[${new Date().toISOString()}] Starting KYB process for "${business_name}" (Job ID: ${jobId})`);
 
     try {
-      jobStatus[jobId] = 'processing';
+      jobStore.setStatus(jobId, 'processing');
 
-      // Step 1: Get CRN and Website from OpenAI with improved prompt for accuracy
-      console.log(`[${new Date().toISOString()}] [${jobId}] Querying OpenAI for CRN information`);
-      const openaiPrompt = `Search for a company whose registered name closely matches (at least 90% similarity) the requested business name.
-
-If multiple matches exist, prefer:
-
-Exact or closest match in name.
-
-Companies with ACTIVE status over DISSOLVED or INACTIVE.
-
-Do not guess or assume a company is correct based only on partial word matches. Only select a company if the similarity is high and reasonable.
-
-If no suitable company is found, return all fields as null and explain briefly inside a reason field.
-
-Input Variable: ${business_name}
-
-Output JSON Format:
-
-{
-  "crn": "Company Registration Number (CRN) or null",
-  "company_name_in_registry": "Exact company name as registered or null",
-  "company_status": "Company status (ACTIVE, DISSOLVED, etc.) or null",
-  "registry_link": "Direct URL to Companies House page or null",
-  "reason": "Explanation if no valid match found, otherwise null"
-}`;
+      // A CRN the caller already knows (e.g. picked in the onboarding UI) is
+      // verified against Companies House below instead of asking OpenAI
+      let crn = hints.crn || null;
+      // Where the CRN came from, for the provenance of the result
+      let crnSource = crn ? 'request' : null;
+      let companyStatusFromAI = null;
+      let websiteFromCrnLookup = null;
       
-      console.log(`[${new Date().toISOString()}] [${jobId}] OpenAI Request:`, { 
-        model: 'chatgpt-4o-latest',
-        prompt: openaiPrompt
-      });
+      if (crn) {
+        jobStore.appendLog(jobId, { step: 'CRN Provided', data: { crn, source: 'request' } });
+      } else {
+        // Step 1: Get CRN and Website from OpenAI with improved prompt for accuracy
+        console.log(`[${new Date().toISOString()}] [${jobId}] Querying OpenAI for CRN information`);
+        const crnPrompt = prompts.render('crn_lookup', { business_name });
+        console.log(`[${new Date().toISOString()}] [${jobId}] OpenAI Request:`, { 
+          model: llm.modelFor(crnPrompt.purpose),
+          template: `${crnPrompt.template.id}@${crnPrompt.template.version}`
+        });
       
-      let aiText = '';
-      try {
-        // Set a timeout for the OpenAI request
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000);
-        
+        let aiAnswer = null;
         try {
-          const gptResponse = await openai.chat.completions.create({
-            model: 'chatgpt-4o-latest',
-            messages: [{ 
-              role: 'user', 
-              content: openaiPrompt
-            }],
-            temperature: 0,
-            max_tokens: 500 // Limit response size
-          });
-          
-          aiText = gptResponse.choices[0].message.content;
+          const gptResponse = await llm.completeJson({ ...crnPrompt, signal });
+
+          aiAnswer = gptResponse.data;
           console.log(`[${new Date().toISOString()}] [${jobId}] OpenAI Response:`, {
-            content: aiText,
-            finish_reason: gptResponse.choices[0].finish_reason,
+            content: gptResponse.content,
+            finish_reason: gptResponse.finish_reason,
             model: gptResponse.model,
-            usage: gptResponse.usage
+            usage: gptResponse.usage,
+            schema_attempts: gptResponse.schema_attempts
+          });
+        } catch (error) {
+          console.error(`[${new Date().toISOString()}] [${jobId}] OpenAI request failed: ${error.message}`);
+          jobStore.appendLog(jobId, {
+            step: 'GPT Error',
+            error: error.message || 'Unknown error during OpenAI request',
+            validation_errors: error.validation_errors
           });
-        } catch (err) {
-          if (err.name === 'AbortError') {
-            throw new Error('OpenAI request timed out after 30 seconds');
-          }
-          throw err;
-        } finally {
-          clearTimeout(timeoutId);
         }
-      } catch (error) {
-        console.error(`[${new Date().toISOString()}] [${jobId}] OpenAI request failed: ${error.message}`);
-        jobLogs[jobId].push({ 
-          step: 'GPT Error', 
-          error: error.message || 'Unknown error during OpenAI request'
-        });
-        aiText = `Error getting information for ${business_name}`;
-      }
-      
-      jobLogs[jobId].push({ step: 'CRN Search Result', data: aiText });
 
-      // Try to find CRN with various patterns
-      let crn = null;
-      let companyStatusFromAI = null;
-      
-      // Try to parse the JSON response
-      try {
-        const jsonResponse = JSON.parse(aiText);
-        if (jsonResponse.crn) {
-          crn = jsonResponse.crn;
-          companyStatusFromAI = jsonResponse.company_status;
-          
+        jobStore.appendLog(jobId, { step: 'CRN Search Result', data: aiAnswer });
+
+        if (aiAnswer && aiAnswer.crn) {
+          crn = aiAnswer.crn;
+          crnSource = 'ai_inferred';
+          companyStatusFromAI = aiAnswer.company_status || null;
+          // Some crn_lookup versions name the website as well
+          websiteFromCrnLookup = aiAnswer.website || null;
+
           // Log verification steps and status
-          jobLogs[jobId].push({ 
-            step: 'CRN Verification', 
+          jobStore.appendLog(jobId, {
+            step: 'CRN Verification',
             data: {
-              crn: jsonResponse.crn,
-              company_name: jsonResponse.company_name_in_registry,
-              status: jsonResponse.company_status,
-              confidence: jsonResponse.confidence,
-              incorporation_date: jsonResponse.incorporation_date,
-              registry_link: jsonResponse.registry_link
+              crn: aiAnswer.crn,
+              company_name: aiAnswer.company_name_in_registry,
+              status: aiAnswer.company_status,
+              registry_link: aiAnswer.registry_link
             }
           });
-          
-          // Extra verification step: Double-check CRN with Companies House immediately
-          try {
-            console.log(`[${new Date().toISOString()}] [${jobId}] Performing immediate CRN verification for ${crn}`);
-            const verifyResponse = await axios.get(`https://api.company-information.service.gov.uk/company/${crn}`, {
-              auth: { username: COMPANY_HOUSE_API_KEY, password: '' },
-              timeout: 8000
-            });
-            
-            if (verifyResponse.data && verifyResponse.data.company_name) {
-              const foundCompanyName = verifyResponse.data.company_name;
-              const nameSimilarity = calculateNameSimilarity(foundCompanyName.toLowerCase(), business_name.toLowerCase());
-              
-              console.log(`[${new Date().toISOString()}] [${jobId}] CRN verification result: ${foundCompanyName} (similarity: ${nameSimilarity.toFixed(2)})`);
-              
-              // If very low similarity, reject this CRN immediately
-              if (nameSimilarity < 0.4) {
-                console.log(`[${new Date().toISOString()}] [${jobId}] REJECTING CRN - found wrong company: ${foundCompanyName}`);
-                jobLogs[jobId].push({ 
-                  step: 'CRN Verification Failed', 
-                  data: {
-                    requested_company: business_name,
-                    found_company: foundCompanyName,
-                    crn: crn,
-                    similarity: nameSimilarity.toFixed(2),
-                    error: "Company name mismatch - wrong company identified"
-                  }
-                });
-                // Reset CRN since it's incorrect
-                crn = null;
-              }
-            }
-          } catch (verifyError) {
-            console.log(`[${new Date().toISOString()}] [${jobId}] Initial CRN verification failed: ${verifyError.message}`);
-            // Don't reject CRN here, we'll do full verification later
-          }
-        }
-      } catch (parseError) {
-        console.error(`[${new Date().toISOString()}] [${jobId}] JSON parse error: ${parseError.message}`);
-        
-        // Try explicit label first using regex if JSON parsing fails
-        const crnLabelMatch = aiText.match(/CRN:\s*([A-Z]{0,2}\d{6,8})/);
-        if (crnLabelMatch) {
-          crn = crnLabelMatch[1];
-        } else {
-          // Try standard UK CRN patterns
-          const crnPatterns = [
-            /\b([A-Z]{2}\d{6,8})\b/,  // Format: SC123456, NI123456
-            /\b(\d{8})\b/,          // Format: 12345678
-            /Company Number:?\s*([A-Z]{0,2}\d{6,8})/i,
-            /Registration Number:?\s*([A-Z]{0,2}\d{6,8})/i,
-            /Company Registration Number:?\s*([A-Z]{0,2}\d{6,8})/i
-          ];
-
-          for (const pattern of crnPatterns) {
-            const match = aiText.match(pattern);
-            if (match) {
-              crn = match[1];
-              break;
-            }
+
+          // The model's CRN is only a lead until Companies House backs it up
+          const { claim } = await corroborateAiCrn(jobId, crn, business_name, crnPrompt.template.id);
+          if (!claim.corroborated) {
+            crn = null;
+            crnSource = null;
+            websiteFromCrnLookup = null;
           }
         }
       }
@@ -769,12 +336,9 @@ Output JSON Format:
         try {
           // Fallback: Try to search Companies House directly by company name
           console.log(`[${new Date().toISOString()}] [${jobId}] CRN not found in AI response, attempting Companies House search`);
-          jobLogs[jobId].push({ step: 'CRN Fallback', message: 'Attempting Companies House search by name' });
+          jobStore.appendLog(jobId, { step: 'CRN Fallback', message: 'Attempting Companies House search by name' });
           
-          const searchUrl = `https://api.company-information.service.gov.uk/search/companies?q=${encodeURIComponent(business_name)}`;
-          const searchResponse = await axios.get(searchUrl, {
-            auth: { username: COMPANY_HOUSE_API_KEY, password: '' }
-          });
+          const searchResponse = await companiesHouse.searchCompanies(business_name);
           
           if (searchResponse.data.items && searchResponse.data.items.length > 0) {
             // Find the active company with closest name match
@@ -787,15 +351,13 @@ Output JSON Format:
               // Take the best match
               const bestMatch = activeCompanies[0];
               crn = bestMatch.company_number;
+              crnSource = 'companies_house_search';
               companyStatusFromAI = bestMatch.company_status;
               
               // Double-check immediately with full profile to ensure correct company
               try {
                 console.log(`[${new Date().toISOString()}] [${jobId}] Verifying Companies House search result: ${crn}`);
-                const verifyResponse = await axios.get(`https://api.company-information.service.gov.uk/company/${crn}`, {
-                  auth: { username: COMPANY_HOUSE_API_KEY, password: '' },
-                  timeout: 8000
-                });
+                const verifyResponse = await companiesHouse.getCompanyProfile(crn);
                 
                 if (verifyResponse.data && verifyResponse.data.company_name) {
                   const foundCompanyName = verifyResponse.data.company_name;
@@ -804,7 +366,7 @@ Output JSON Format:
                   // If very low similarity, reject this CRN
                   if (nameSimilarity < 0.4) {
                     console.log(`[${new Date().toISOString()}] [${jobId}] REJECTING Search result CRN - found wrong company: ${foundCompanyName}`);
-                    jobLogs[jobId].push({ 
+                    jobStore.appendLog(jobId, { 
                       step: 'Search Result Verification Failed', 
                       data: {
                         requested_company: business_name,
@@ -816,9 +378,10 @@ Output JSON Format:
                     });
                     // Reset CRN since it's incorrect
                     crn = null;
+                    crnSource = null;
                   } else {
                     console.log(`[${new Date().toISOString()}] [${jobId}] Found active company via Companies House search: ${foundCompanyName} (CRN: ${crn})`);
-                    jobLogs[jobId].push({ 
+                    jobStore.appendLog(jobId, { 
                       step: 'Companies House Search Result', 
                       data: {
                         company_name: foundCompanyName,
@@ -841,7 +404,7 @@ Output JSON Format:
           }
         } catch (err) {
           console.error(`[${new Date().toISOString()}] [${jobId}] Companies House search failed: ${err.message}`);
-          jobLogs[jobId].push({ step: 'Companies House Search Failed', error: err.message });
+          jobStore.appendLog(jobId, { step: 'Companies House Search Failed', error: err.message });
         }
       }
 
@@ -849,64 +412,31 @@ Output JSON Format:
       if (!crn) {
         try {
           console.log(`[${new Date().toISOString()}] [${jobId}] Attempting second AI query for CRN`);
-          jobLogs[jobId].push({ step: 'CRN Second Attempt', message: 'Trying with more specific AI prompt' });
-          
-          const secondPrompt = `I need ONLY the UK company registration number for "${business_name}" that is CURRENTLY ACTIVE. 
-          
-          FOLLOW THESE INSTRUCTIONS EXACTLY:
-          1. Search for a company whose registered name closely matches (at least 90% similarity) the requested business name.
-          2. The company MUST be ACTIVE in Companies House records
-          3. Do NOT provide a CRN for a similarly named company or subsidiary with less than 90% name similarity
-          4. Verify the spelling matches closely
-          
-          Format: "CRN: 12345678" or "CRN: SC123456" followed by "COMPANY NAME: [exact name in registry]"
-          
-          If you cannot find a close match (at least 90% similarity), or if the company is not active, respond with "No active CRN found for this company name".`;
+          jobStore.appendLog(jobId, { step: 'CRN Second Attempt', message: 'Trying with more specific AI prompt' });
           
+          const secondPrompt = prompts.render('crn_lookup_retry', { business_name });
           console.log(`[${new Date().toISOString()}] [${jobId}] Second OpenAI Request:`, { 
-            model: 'chatgpt-4o-latest',
-            prompt: secondPrompt
+            model: llm.modelFor(secondPrompt.purpose),
+            template: `${secondPrompt.template.id}@${secondPrompt.template.version}`
           });
           
-          // Set a timeout for the OpenAI request
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 30000);
+          const secondAttemptResponse = await llm.completeJson({ ...secondPrompt, signal });
           
-          let secondAttemptText = '';
-          try {
-            const secondAttemptResponse = await openai.chat.completions.create({
-              model: 'chatgpt-4o-latest',
-              messages: [{ 
-                role: 'user', 
-                content: secondPrompt
-              }],
-              temperature: 0,
-              max_tokens: 200 // Limit response size
-            });
-            
-            secondAttemptText = secondAttemptResponse.choices[0].message.content;
-            console.log(`[${new Date().toISOString()}] [${jobId}] Second OpenAI Response:`, {
-              content: secondAttemptText,
-              finish_reason: secondAttemptResponse.choices[0].finish_reason,
-              model: secondAttemptResponse.model,
-              usage: secondAttemptResponse.usage
-            });
-          } catch (err) {
-            if (err.name === 'AbortError') {
-              console.error(`[${new Date().toISOString()}] [${jobId}] Second OpenAI request timed out after 30 seconds`);
-              throw new Error('Second OpenAI request timed out');
-            }
-            throw err;
-          } finally {
-            clearTimeout(timeoutId);
-          }
+          const secondAttempt = secondAttemptResponse.data;
+          console.log(`[${new Date().toISOString()}] [${jobId}] Second OpenAI Response:`, {
+            content: secondAttemptResponse.content,
+            finish_reason: secondAttemptResponse.finish_reason,
+            model: secondAttemptResponse.model,
+            usage: secondAttemptResponse.usage,
+            schema_attempts: secondAttemptResponse.schema_attempts
+          });
           
-          if (secondAttemptText.toLowerCase().includes("no active crn found")) {
-            jobLogs[jobId].push({ 
+          if (!secondAttempt.crn) {
+            jobStore.appendLog(jobId, { 
               step: 'Second AI Attempt', 
               data: { 
                 message: "AI could not find an active CRN for this company",
-                response: secondAttemptText 
+                response: secondAttempt 
               } 
             });
             
@@ -915,23 +445,23 @@ Output JSON Format:
             crn = null;
             // We'll let the flow continue, and the processCRN method will handle the null CRN case
           } else {
-            const secondMatch = secondAttemptText.match(/CRN:\s*([A-Z]{0,2}\d{6,8})/i);
-            
-            if (secondMatch) {
-              crn = secondMatch[1];
-              jobLogs[jobId].push({ step: 'Second AI Attempt', data: secondAttemptText });
+            jobStore.appendLog(jobId, { step: 'Second AI Attempt', data: secondAttempt });
+            const { claim } = await corroborateAiCrn(jobId, secondAttempt.crn, business_name, secondPrompt.template.id);
+            if (claim.corroborated) {
+              crn = secondAttempt.crn;
+              crnSource = 'ai_inferred';
             }
           }
         } catch (err) {
           console.error(`[${new Date().toISOString()}] [${jobId}] Second AI attempt failed: ${err.message}`);
-          jobLogs[jobId].push({ step: 'Second AI Attempt Failed', error: err.message });
+          jobStore.appendLog(jobId, { step: 'Second AI Attempt Failed', error: err.message, validation_errors: err.validation_errors });
         }
       }
 
       if (!crn) {
         console.log(`[${new Date().toISOString()}] [${jobId}] CRN not found by any method, marking job as action_required`);
-        jobStatus[jobId] = 'action_required';
-        jobLogs[jobId].push({ 
+        jobStore.setStatus(jobId, 'action_required');
+        jobStore.appendLog(jobId, { 
           step: 'Action Required', 
           timestamp: new Date().toISOString(),
           message: 'Could not find active CRN automatically. Please provide the Company Registration Number or additional details.',
@@ -947,18 +477,15 @@ Output JSON Format:
       // Verify CRN directly with Companies House before proceeding
       console.log(`[${new Date().toISOString()}] [${jobId}] Verifying CRN directly with Companies House: ${crn}`);
       try {
-        const companyResponse = await axios.get(`https://api.company-information.service.gov.uk/company/${crn}`, {
-          auth: { username: COMPANY_HOUSE_API_KEY, password: '' },
-          timeout: 10000
-        });
+        const companyResponse = await companiesHouse.getCompanyProfile(crn);
         
         const companyData = companyResponse.data;
         
         // Verify the company is active
         if (companyData.company_status !== 'active') {
           console.log(`[${new Date().toISOString()}] [${jobId}] Company is not active, status: ${companyData.company_status}`);
-          jobStatus[jobId] = 'action_required';
-          jobLogs[jobId].push({ 
+          jobStore.setStatus(jobId, 'action_required');
+          jobStore.appendLog(jobId, { 
             step: 'Company Status Error', 
             timestamp: new Date().toISOString(),
             message: `The identified company (${companyData.company_name}) with CRN ${crn} is not active. Status: ${companyData.company_status}`,
@@ -978,7 +505,7 @@ Output JSON Format:
           console.log(`[${new Date().toISOString()}] [${jobId}] Company name similarity is low: ${nameSimilarity.toFixed(2)}`);
           console.log(`[${new Date().toISOString()}] [${jobId}] Requested: "${business_name}", Found: "${companyData.company_name}"`);
           
-          jobLogs[jobId].push({ 
+          jobStore.appendLog(jobId, { 
             step: 'Company Name Verification', 
             data: {
               requested_name: business_name,
@@ -990,8 +517,8 @@ Output JSON Format:
           
           // If similarity is very low, most likely this is the wrong company - request specific CRN
           if (nameSimilarity < 0.3) {
-            jobStatus[jobId] = 'action_required';
-            jobLogs[jobId].push({ 
+            jobStore.setStatus(jobId, 'action_required');
+            jobStore.appendLog(jobId, { 
               step: 'Wrong Company Detected', 
               timestamp: new Date().toISOString(),
               message: `ERROR: Found company "${companyData.company_name}" with CRN ${crn}, but this appears to be a completely different company from "${business_name}". Please provide the correct CRN.`,
@@ -1010,8 +537,8 @@ Output JSON Format:
           
           // For moderate mismatch, ask for confirmation
           if (nameSimilarity < 0.5) {
-            jobStatus[jobId] = 'action_required';
-            jobLogs[jobId].push({ 
+            jobStore.setStatus(jobId, 'action_required');
+            jobStore.appendLog(jobId, { 
               step: 'Action Required', 
               timestamp: new Date().toISOString(),
               message: `Found company "${companyData.company_name}" with CRN ${crn}, but the name is different from "${business_name}". Please confirm if this is correct.`,
@@ -1031,122 +558,91 @@ Output JSON Format:
         // Now we have a valid CRN for an active company, next fetch the website
         console.log(`[${new Date().toISOString()}] [${jobId}] Successfully verified active company: ${companyData.company_name} (${crn})`);
         
-        // Step 2: Get Website using a separate OpenAI call
-        console.log(`[${new Date().toISOString()}] [${jobId}] Fetching website for ${companyData.company_name}`);
-        const websitePrompt = `Find the official corporate website URL for "${companyData.company_name}" (UK Company Registration Number: ${crn}).
-
-CRITICAL VERIFICATION INSTRUCTIONS - YOU MUST FOLLOW THESE EXACTLY:
-1. Find the official company website only - the highest priority.
-2. Website must be the official corporate website, not a third-party directory or social media page.
-3. Website should be verified through multiple sources (Companies House, company documents, etc.).
-4. Ensure it's the main corporate website, not a subsidiary or regional site.
-
-WEBSITE VERIFICATION STEPS (MUST FOLLOW):
-1. Search for the official company website using the exact company name
-2. Verify the website is active and belongs to the company
-3. Check for website mentions in Companies House records
-4. Look for website in company documents and filings
-5. Verify website through multiple sources
-6. Ensure it's the main corporate website, not a subsidiary site
-7. Check for website in company's social media profiles
-8. Verify through business directories and listings
-
-POTENTIAL ERRORS TO AVOID:
-- DO NOT return third-party websites or directories
-- DO NOT return social media profiles as official websites
-- DO NOT guess or estimate website urls - only provide verified information
-
-FORMAT YOUR RESPONSE EXACTLY LIKE THIS:
-{
-  "website": "The official website URL or null if uncertain",
-  "confidence": "HIGH, MEDIUM, LOW, or NONE",
-  "verification_steps": ["List each verification step you performed"],
-  "sources": ["List sources where website was found"]
-}`;
+        // A website supplied with the request skips the OpenAI website lookup
+        let website = hints.website || null;
+        let websiteSource = website ? 'request' : null;
+        // The prompt that named an AI website, for its corroboration in processCRN
+        let websiteProposedBy = null;
+        
+        if (website) {
+          jobStore.appendLog(jobId, { step: 'Website Provided', data: { website, source: 'request' } });
+        } else if (websiteFromCrnLookup) {
+          // The CRN lookup already named one
+          website = websiteFromCrnLookup;
+          websiteSource = 'ai_inferred';
+          websiteProposedBy = 'crn_lookup';
+          jobStore.appendLog(jobId, { step: 'Website Verification', data: { website, source: 'crn_lookup' } });
+        } else {
+          // Step 2: Get Website using a separate OpenAI call
+          console.log(`[${new Date().toISOString()}] [${jobId}] Fetching website for ${companyData.company_name}`);
+          const websitePrompt = prompts.render('website_lookup', { company_name: companyData.company_name, crn });
         
-        console.log(`[${new Date().toISOString()}] [${jobId}] Website Search OpenAI Request`);
+          console.log(`[${new Date().toISOString()}] [${jobId}] Website Search OpenAI Request`);
         
-        let websiteAiText = '';
-        try {
-          // Set a timeout for the OpenAI request
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 30000);
-          
           try {
-            const websiteResponse = await openai.chat.completions.create({
-              model: 'chatgpt-4o-latest',
-              messages: [{ 
-                role: 'user', 
-                content: websitePrompt
-              }],
-              temperature: 0,
-              max_tokens: 500
-            });
-            
-            websiteAiText = websiteResponse.choices[0].message.content;
+            const websiteResponse = await llm.completeJson({ ...websitePrompt, signal });
+          
+            const websiteAnswer = websiteResponse.data;
             console.log(`[${new Date().toISOString()}] [${jobId}] Website Search OpenAI Response:`, {
-              content: websiteAiText,
-              finish_reason: websiteResponse.choices[0].finish_reason,
+              content: websiteResponse.content,
+              finish_reason: websiteResponse.finish_reason,
               model: websiteResponse.model,
-              usage: websiteResponse.usage
+              usage: websiteResponse.usage,
+              schema_attempts: websiteResponse.schema_attempts
             });
-          } catch (err) {
-            if (err.name === 'AbortError') {
-              throw new Error('Website search OpenAI request timed out after 30 seconds');
+            jobStore.appendLog(jobId, { step: 'Website Search Result', data: websiteAnswer });
+
+            if (websiteAnswer.website) {
+              website = websiteAnswer.website;
+              websiteSource = 'ai_inferred';
+              websiteProposedBy = websitePrompt.template.id;
+            
+              // Log verification steps
+              jobStore.appendLog(jobId, { 
+                step: 'Website Verification', 
+                data: {
+                  website: websiteAnswer.website,
+                  confidence: websiteAnswer.confidence,
+                  verification_steps: websiteAnswer.verification_steps,
+                  sources: websiteAnswer.sources
+                }
+              });
             }
-            throw err;
-          } finally {
-            clearTimeout(timeoutId);
+          } catch (error) {
+            console.error(`[${new Date().toISOString()}] [${jobId}] Website search OpenAI request failed: ${error.message}`);
+            jobStore.appendLog(jobId, { 
+              step: 'Website Search Error', 
+              error: error.message || 'Unknown error during OpenAI request',
+              validation_errors: error.validation_errors
+            });
           }
-        } catch (error) {
-          console.error(`[${new Date().toISOString()}] [${jobId}] Website search OpenAI request failed: ${error.message}`);
-          jobLogs[jobId].push({ 
-            step: 'Website Search Error', 
-            error: error.message || 'Unknown error during OpenAI request'
-          });
-          websiteAiText = `Error finding website for ${companyData.company_name}`;
         }
         
-        jobLogs[jobId].push({ step: 'Website Search Result', data: websiteAiText });
-        
-        // Extract website from the response
-        let website = null;
-        
-        // Try to parse the JSON response
-        try {
-          const jsonResponse = JSON.parse(websiteAiText);
-          if (jsonResponse.website) {
-            website = jsonResponse.website;
-            
-            // Log verification steps
-            jobLogs[jobId].push({ 
-              step: 'Website Verification', 
-              data: {
-                website: jsonResponse.website,
-                confidence: jsonResponse.confidence,
-                verification_steps: jsonResponse.verification_steps,
-                sources: jsonResponse.sources
-              }
-            });
-          }
-        } catch (parseError) {
-          console.error(`[${new Date().toISOString()}] [${jobId}] Website JSON parse error: ${parseError.message}`);
-          
-          
-          // Try to extract website URL using regex if JSON parsing fails
-          const websiteMatch = websiteAiText.match(/https?:\/\/[^\s"']+\.[^\s"']+/);
-          if (websiteMatch) {
-            website = websiteMatch[0];
+        // Fall back to a direct web search when OpenAI could not name a website
+        if (!website) {
+          const searchResults = await findCompanyWebsite(companyData.company_name, message => {
+            console.log(`[${new Date().toISOString()}] [${jobId}] ${message}`);
+          });
+          if (searchResults.length > 0) {
+            website = searchResults[0].url;
+            websiteSource = 'web_search';
           }
+          jobStore.appendLog(jobId, { 
+            step: 'Website Search Fallback', 
+            data: {
+              website,
+              candidates: searchResults.slice(0, 5).map(result => ({ url: result.url, score: result.score }))
+            }
+          });
         }
         
         // Now we have both CRN and website (if available)
-        return await this.processCRN(jobId, business_name, crn, website);
+        return await this.processCRN(jobId, business_name, crn, website, { crn: crnSource, website: websiteSource, website_proposed_by: websiteProposedBy }, { signal });
         
       } catch (verifyError) {
         console.error(`[${new Date().toISOString()}] [${jobId}] Error verifying CRN with Companies House: ${verifyError.message}`);
-        jobStatus[jobId] = 'action_required';
-        jobLogs[jobId].push({ 
+        jobStore.setStatus(jobId, 'action_required');
+        jobStore.appendLog(jobId, { 
           step: 'CRN Verification Error', 
           timestamp: new Date().toISOString(),
           message: `Error verifying CRN ${crn} with Companies House: ${verifyError.message}`,
@@ -1157,8 +653,8 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS:
         return;
       }
     } catch (err) {
-      jobStatus[jobId] = 'failed';
-      jobLogs[jobId].push({ 
+      jobStore.setStatus(jobId, 'failed');
+      jobStore.appendLog(jobId, { 
         step: 'Error',
         timestamp: new Date().toISOString(),
         error: err.message
@@ -1168,209 +664,49 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS:
   },
   
   // Process continued KYB requests with additional information
-  async kybContinue(job) {
+  async kybContinue(job, { signal } = {}) {
     const { id: job_id, business_name, additionalData } = job;
     
     console.log(`[${new Date().toISOString()}] Continuing KYB process for job ${job_id}`);
     
     try {
-      jobStatus[job_id] = 'processing';
+      jobStore.setStatus(job_id, 'processing');
+      
+      // A reviewer's decisions on the PEP matches of a finished verification
+      const pepReviews = collectPepReviews(additionalData);
+      if (pepReviews.length > 0) {
+        return this.reviewPepMatches(job_id, pepReviews, additionalData.reviewer || null);
+      }
       
       // If a new company_name is provided, restart the entire process with this name
       if (additionalData.company_name && !additionalData.crn) {
         const newBusinessName = additionalData.company_name;
         console.log(`[${new Date().toISOString()}] [${job_id}] Restarting KYB process with new company name: ${newBusinessName}`);
         
-        jobLogs[job_id].push({
+        jobStore.appendLog(job_id, {
           step: 'Process Restarted',
           timestamp: new Date().toISOString(),
           message: `Restarting KYB process with company name: ${newBusinessName}`
         });
         
-        // Start from the beginning with the new company name
-        // Step 1: Get CRN and Website from OpenAI with the new company name
-        console.log(`[${new Date().toISOString()}] [${job_id}] Querying OpenAI for CRN and website information for: ${newBusinessName}`);
-        const openaiPrompt = `Please extract the UK company registration number (CRN) and official website URL for "${newBusinessName}".
-
-CRITICAL VERIFICATION INSTRUCTIONS - YOU MUST FOLLOW THESE EXACTLY:
-1. CRN must be registered with Companies House UK and ONLY provide CRNs for active companies
-2. CRNs must be an exact format match: 8 digits (e.g., 12345678) OR 2 letters + 6 digits (e.g., SC123456)
-3. Search for a company whose registered name closely matches (at least 90% similarity) the requested business name
-4. Verify the CRN appears on the company's official website (typically in the footer or 'About Us' section)
-5. DO NOT provide a CRN unless you are 100% certain it is correct and the company name has at least 90% similarity
-6. If there are subsidiary companies or regional divisions, provide ONLY the parent company CRN that matches with high similarity
-
-POTENTIAL ERRORS TO AVOID:
-- DO NOT confuse similar company names (check exact spelling)
-- DO NOT provide CRNs for inactive or dissolved companies
-- DO NOT confuse subsidiaries with parent companies
-- DO NOT provide CRNs for similarly named but different companies (less than 90% similarity)
-- DO NOT assume a company is UK-registered without explicit verification
-- DO NOT guess or estimate CRNs - only provide verified information
-
-FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
-{
-  "crn": "The verified CRN or null if uncertain",
-  "website": "The official website URL or null if uncertain",
-  "confidence": "HIGH, MEDIUM, LOW, or NONE",
-  "verification_steps": ["List each verification step you performed"],
-  "potential_errors": ["List any potential errors or uncertainties identified"]
-}`;
-        
-        console.log(`[${new Date().toISOString()}] [${job_id}] OpenAI Request:`, { 
-          model: 'chatgpt-4o-latest',
-          prompt: openaiPrompt
-        });
-        
-        let aiText = '';
-        try {
-          // Use the same OpenAI request pattern as the original job
-          const controller = new AbortController();
-          const timeoutId = setTimeout(() => controller.abort(), 30000);
-          
-          const openaiPromise = openai.createChatCompletion({
-            model: 'chatgpt-4o-latest',
-            messages: [{ 
-              role: 'user', 
-              content: openaiPrompt
-            }],
-            temperature: 0,
-            max_tokens: 500
-          }, { signal: controller.signal });
-          
-          try {
-            const gptResponse = await openaiPromise;
-            aiText = gptResponse.data.choices[0].message.content;
-            console.log(`[${new Date().toISOString()}] [${job_id}] OpenAI Response:`, {
-              content: aiText,
-              finish_reason: gptResponse.data.choices[0].finish_reason,
-              model: gptResponse.data.model,
-              usage: gptResponse.data.usage
-            });
-            
-            // Process the AI response to find CRN and website
-            let foundCrn = null;
-            let foundWebsite = null;
-            
-            // Extract CRN using the same patterns as the original job
-            const crnLabelMatch = aiText.match(/CRN:\s*([A-Z]{0,2}\d{6,8})/i);
-            if (crnLabelMatch) {
-              foundCrn = crnLabelMatch[1];
-            } else {
-              // Try standard UK CRN patterns
-              const crnPatterns = [
-                /\b([A-Z]{2}\d{6})\b/,  // Format: SC123456, NI123456
-                /\b(\d{8})\b/,          // Format: 12345678
-                /Company Number:?\s*([A-Z]{0,2}\d{6,8})/i,
-                /Registration Number:?\s*([A-Z]{0,2}\d{6,8})/i,
-                /Company Registration Number:?\s*([A-Z]{0,2}\d{6,8})/i
-              ];
-
-              for (const pattern of crnPatterns) {
-                const match = aiText.match(pattern);
-                if (match) {
-                  foundCrn = match[1];
-                  break;
-                }
-              }
-            }
-            
-            // Extract website
-            const websiteLabelMatch = aiText.match(/Website:\s*(https?:\/\/[^\s,]+)/i);
-            if (websiteLabelMatch) {
-              foundWebsite = websiteLabelMatch[1];
-            } else {
-              // Fallback to generic URL pattern
-              const websiteMatch = aiText.match(/https?:\/\/[^\s,]+/);
-              foundWebsite = websiteMatch ? websiteMatch[0] : null;
-            }
-            
-            jobLogs[job_id].push({ step: 'New Company GPT Result', data: aiText });
-            
-            // If we found a CRN, continue with that
-            if (foundCrn) {
-              console.log(`[${new Date().toISOString()}] [${job_id}] Found CRN for new company name: ${foundCrn}`);
-              
-              // Continue with the Companies House lookup using the found CRN
-              return await this.processCRN(job_id, newBusinessName, foundCrn, foundWebsite);
-            } else {
-              // If still no CRN, try Companies House search with the new name
-              try {
-                console.log(`[${new Date().toISOString()}] [${job_id}] Attempting Companies House search for: ${newBusinessName}`);
-                
-                const searchUrl = `https://api.company-information.service.gov.uk/search/companies?q=${encodeURIComponent(newBusinessName)}`;
-                const searchResponse = await axios.get(searchUrl, {
-                  auth: { username: COMPANY_HOUSE_API_KEY, password: '' }
-                });
-                
-                if (searchResponse.data.items && searchResponse.data.items.length > 0) {
-                  // Take the first (best) match
-                  const bestMatch = searchResponse.data.items[0];
-                  foundCrn = bestMatch.company_number;
-                  
-                  console.log(`[${new Date().toISOString()}] [${job_id}] Found company via Companies House search: ${bestMatch.title} (CRN: ${foundCrn})`);
-                  jobLogs[job_id].push({
-                    step: 'Companies House Search Result', 
-                    data: `Found company: ${bestMatch.title} with CRN: ${foundCrn}`
-                  });
-                  
-                  // Continue with the Companies House lookup using the found CRN
-                  return await this.processCRN(job_id, newBusinessName, foundCrn, foundWebsite);
-                }
-              } catch (err) {
-                console.error(`[${new Date().toISOString()}] [${job_id}] Companies House search failed: ${err.message}`);
-                jobLogs[job_id].push({ step: 'Companies House Search Failed', error: err.message });
-              }
-              
-              // If we still couldn't find a CRN, ask for it specifically
-              jobStatus[job_id] = 'action_required';
-              jobLogs[job_id].push({
-                step: 'Action Required',
-                timestamp: new Date().toISOString(),
-                message: `Could not find CRN for "${newBusinessName}". Please provide the Company Registration Number directly.`,
-                required_fields: {
-                  crn: 'Company Registration Number (8 digits or 2 letters + 6 digits)'
-                }
-              });
-            }
-          } catch (err) {
-            if (err.name === 'AbortError') {
-              throw new Error('OpenAI request timed out after 30 seconds');
-            }
-            throw err;
-          } finally {
-            clearTimeout(timeoutId);
-          }
-        } catch (error) {
-          console.error(`[${new Date().toISOString()}] [${job_id}] OpenAI request failed: ${error.message}`);
-          jobLogs[job_id].push({
-            step: 'GPT Error',
-            error: error.message || 'Unknown error during OpenAI request'
-          });
-          
-          // Still need a CRN to continue
-          jobStatus[job_id] = 'action_required';
-          jobLogs[job_id].push({
-            step: 'Action Required',
-            timestamp: new Date().toISOString(),
-            message: `Error looking up company "${newBusinessName}". Please provide the Company Registration Number directly.`,
-            required_fields: {
-              crn: 'Company Registration Number (8 digits or 2 letters + 6 digits)'
-            }
-          });
-        }
+        // Start from the beginning with the new company name, through the
+        // same lookups (and prompt versions) as a new job
+        return await this.kybTask({ ...job, business_name: newBusinessName, hints: {} }, { signal });
       }
       // If we have a CRN, we can skip directly to the Companies House API calls
       else if (additionalData.crn) {
-        return await this.processCRN(job_id, business_name, additionalData.crn, additionalData.website);
+        return await this.processCRN(job_id, business_name, additionalData.crn, additionalData.website, {
+          crn: 'user_input',
+          website: additionalData.website ? 'user_input' : null
+        }, { signal });
       }
       // If we only have a website, try to extract company info from it
       else if (additionalData.website) {
         // Logic to process website information
         // For now, mark as action_required requesting a CRN as well
         console.log(`[${new Date().toISOString()}] [${job_id}] Website provided but CRN still needed`);
-        jobStatus[job_id] = 'action_required';
-        jobLogs[job_id].push({ 
+        jobStore.setStatus(job_id, 'action_required');
+        jobStore.appendLog(job_id, { 
           step: 'Action Required', 
           timestamp: new Date().toISOString(),
           message: 'Website provided but Company Registration Number is still required',
@@ -1383,8 +719,8 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
       else {
         // If we have neither CRN nor website, we still need more info
         console.log(`[${new Date().toISOString()}] [${job_id}] Additional info provided but CRN still needed`);
-        jobStatus[job_id] = 'action_required';
-        jobLogs[job_id].push({ 
+        jobStore.setStatus(job_id, 'action_required');
+        jobStore.appendLog(job_id, { 
           step: 'Action Required', 
           timestamp: new Date().toISOString(),
           message: 'More information needed to continue',
@@ -1395,8 +731,8 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
       }
     } catch (err) {
       console.error(`[${new Date().toISOString()}] [${job_id}] Continuation failed: ${err.message}`);
-      jobStatus[job_id] = 'failed';
-      jobLogs[job_id].push({ 
+      jobStore.setStatus(job_id, 'failed');
+      jobStore.appendLog(job_id, { 
         step: 'Error',
         timestamp: new Date().toISOString(),
         error: err.message
@@ -1404,8 +740,70 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
     }
   },
   
+  // Applies PEP review decisions sent to /continueKYB and completes the job
+  // once no match is left pending
+  reviewPepMatches(jobId, reviews, reviewer) {
+    const result = jobStore.getResult(jobId);
+    const pep = result?.screening?.pep;
+    if (!pep || pep.matches.length === 0) {
+      const previous = [...jobStore.getLogs(jobId)].reverse().find(log => log.required_fields);
+      jobStore.setStatus(jobId, 'action_required');
+      jobStore.appendLog(jobId, {
+        step: 'Action Required',
+        timestamp: new Date().toISOString(),
+        message: 'This job has no PEP matches to review',
+        required_fields: previous ? previous.required_fields : null
+      });
+      return false;
+    }
+    
+    const { applied, errors } = applyPepReviews(pep, reviews, { reviewer });
+    jobStore.appendLog(jobId, {
+      step: 'PEP Review',
+      timestamp: new Date().toISOString(),
+      data: {
+        reviewer,
+        applied: pep.matches.filter(match => applied.includes(match.id)).map(match => ({
+          match_id: match.id,
+          subject: match.subject.name,
+          matched_name: match.primary_name,
+          decision: match.review.status,
+          note: match.review.note
+        })),
+        errors,
+        pending_reviews: pep.pending_reviews
+      }
+    });
+    
+    result.validation_issues = result.validation_issues
+      .filter(issue => !['pep_potential_match', 'pep_confirmed'].includes(issue.code))
+      .concat(buildPepIssues(pep));
+    result.decision = decideOnboarding(jobId, result);
+    
+    if (pep.status === 'pending_review') {
+      requestPepReview(jobId, result, errors);
+      return true;
+    }
+    
+    console.log(`[${new Date().toISOString()}] [${jobId}] PEP review completed`);
+    jobStore.appendLog(jobId, {
+      step: 'Completed',
+      timestamp: new Date().toISOString(),
+      result: result,
+      data_found: true,
+      business_name: result.company_name,
+      found_company_name: result.company_name,
+      message: `PEP review completed for ${result.company_name} (${result.company_registration_number})`
+    });
+    jobStore.setResult(jobId, result);
+    jobStore.setStatus(jobId, 'completed');
+    return true;
+  },
+  
   // Helper method to process CRN data
-  async processCRN(jobId, business_name, crn, website) {
+  // sources says where the CRN and website came from (services/provenance.js),
+  // and website_proposed_by which prompt named a website the model supplied
+  async processCRN(jobId, business_name, crn, website, sources = {}, { signal } = {}) {
     console.log(`[${new Date().toISOString()}] [${jobId}] Processing CRN: ${crn || 'No CRN found'}`);
     
     try {
@@ -1446,6 +844,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
           },
           representative: null,
           directors: [],
+          officers: [],
           company_name: null,
           company_registration_number: null,
           company_status: null,
@@ -1458,28 +857,38 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
           contact_email: null,
           nature_of_business: null,
           beneficial_owners: [],
-          directors: [],
+          psc_statements: [],
+          psc_summary: null,
+          ownership_tree: null,
+          ownership_resolution: null,
+          risk_signals: null,
+          screening: null,
           companies_house_profile_url: null,
           incorporation_document_url: null,
           verification_status: 'no_company_found',
+          verification_confidence: 0,
+          verification_breakdown: null,
           verification_details: {
             company_data_found: false,
             search_term: business_name,
             message: `No matching company found for: ${business_name}`
           },
-          validation_issues: ["No matching company found in Companies House records"],
+          validation_issues: [createIssue('company_not_found', {
+            category: 'identity',
+            severity: 'high',
+            message: 'No matching company found in Companies House records',
+            details: { search_term: business_name }
+          })],
           raw_data: {
             search_term: business_name
           }
         };
         
-        // Store the result without replacing the logs array
-        if (!Array.isArray(jobLogs[jobId])) {
-          jobLogs[jobId] = [];
-        }
+        notFoundResult.provenance = buildProvenance(notFoundResult, sources);
+        notFoundResult.decision = decideOnboarding(jobId, notFoundResult);
         
         // Add the final completed result as a special log entry
-        jobLogs[jobId].push({
+        jobStore.appendLog(jobId, {
           step: 'Completed',
           timestamp: new Date().toISOString(),
           result: notFoundResult,
@@ -1490,8 +899,8 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
         });
         
         // Also store the result separately for easy access
-        jobLogs[jobId].result = notFoundResult;
-        jobStatus[jobId] = 'completed';
+        jobStore.setResult(jobId, notFoundResult);
+        jobStore.setStatus(jobId, 'completed');
         return true;
       }
     
@@ -1506,10 +915,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
       // Make the API request with proper error handling
       let companyData;
       try {
-        const response = await axios.get(`https://api.company-information.service.gov.uk/company/${crn}`, {
-          auth: { username: COMPANY_HOUSE_API_KEY, password: '' },
-          timeout: 10000 // 10 second timeout
-        });
+        const response = await companiesHouse.getCompanyProfile(crn);
         
         if (!response.data) {
           throw new Error('No data received from Companies House API');
@@ -1520,14 +926,12 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
         console.error(`[${new Date().toISOString()}] [${jobId}] Companies House API error:`, apiError.message);
         
         // Check for specific error cases
-        if (apiError.response) {
-          if (apiError.response.status === 404) {
-            throw new Error(`Company not found with CRN: ${crn}`);
-          } else if (apiError.response.status === 401) {
-            throw new Error('Invalid Companies House API key');
-          } else if (apiError.response.status === 429) {
-            throw new Error('Companies House API rate limit exceeded');
-          }
+        if (apiError.type === 'not_found') {
+          throw new Error(`Company not found with CRN: ${crn}`);
+        } else if (apiError.type === 'auth') {
+          throw new Error('Invalid Companies House API key');
+        } else if (apiError.type === 'rate_limited') {
+          throw new Error('Companies House API rate limit exceeded');
         }
         
         throw new Error(`Companies House API error: ${apiError.message}`);
@@ -1535,48 +939,166 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
       
       const companyProfile = companyData;
       console.log(`[${new Date().toISOString()}] [${jobId}] Retrieved company profile for ${companyProfile.company_name}`);
-      jobLogs[jobId].push({ step: 'Companies House Profile', data: companyProfile });
+      jobStore.appendLog(jobId, { step: 'Companies House Profile', data: companyProfile });
       
       // Step 3: Fetch Officers (Directors)
       console.log(`[${new Date().toISOString()}] [${jobId}] Fetching company officers`);
       let officers = [];
       try {
-        const officersData = await axios.get(`https://api.company-information.service.gov.uk/company/${crn}/officers`, {
-          auth: { username: COMPANY_HOUSE_API_KEY, password: '' },
-          timeout: 10000
+        const officerList = await companiesHouse.getAllOfficers(crn);
+        const allOfficers = officerList.items.map(normalizeOfficer);
+        
+        // Resigned officers are dropped unless KYB_INCLUDE_RESIGNED_OFFICERS is set
+        officers = INCLUDE_RESIGNED_OFFICERS ? allOfficers : allOfficers.filter(o => o.is_active);
+        
+        jobStore.appendLog(jobId, {
+          step: 'Companies House Officers',
+          data: {
+            total_results: officerList.total_results,
+            fetched: allOfficers.length,
+            complete: officerList.complete,
+            active: allOfficers.filter(o => o.is_active).length,
+            resigned: allOfficers.filter(o => !o.is_active).length,
+            included: officers.length
+          }
         });
-        
-        if (officersData.data && officersData.data.items) {
-          officers = officersData.data.items.map(o => o.name);
-        }
       } catch (officersError) {
         console.error(`[${new Date().toISOString()}] [${jobId}] Error fetching officers:`, officersError.message);
         // Continue processing even if officers fetch fails
       }
       console.log(`[${new Date().toISOString()}] [${jobId}] Found ${officers.length} officers`);
+      const representativeOfficer = chooseRepresentative(officers);
       
       // Step 4: Fetch PSC (Beneficial Owners)
       console.log(`[${new Date().toISOString()}] [${jobId}] Fetching persons with significant control`);
       let owners = [];
+      let corporateOwners = [];
+      let pscStatements = [];
+      let pscSummary = null;
       try {
-        const pscData = await axios.get(`https://api.company-information.service.gov.uk/company/${crn}/persons-with-significant-control`, {
-          auth: { username: COMPANY_HOUSE_API_KEY, password: '' },
-          timeout: 10000
-        });
-        
-        if (pscData.data && pscData.data.items) {
-          owners = pscData.data.items.map(p => ({
-            name: p.name,
-            ownership_percent: p.percent_of_shares || '>25%',
-            date_of_birth: p.date_of_birth ? `${p.date_of_birth.year}-${p.date_of_birth.month}` : null
-          }));
-        }
+        const pscList = await companiesHouse.getAllPersonsWithSignificantControl(crn);
+        const allOwners = pscList.items.map(normalizePsc);
+        
+        // Ceased PSCs are no longer owners
+        owners = allOwners.filter(o => o.is_active);
+        corporateOwners = owners.filter(o => o.is_corporate);
+        
+        pscSummary = {
+          total_results: pscList.total_results,
+          active: owners.length,
+          ceased: allOwners.length - owners.length,
+          corporate: corporateOwners.length,
+          super_secure: owners.filter(o => o.is_super_secure).length
+        };
       } catch (pscError) {
         console.error(`[${new Date().toISOString()}] [${jobId}] Error fetching PSC:`, pscError.message);
         // Continue processing even if PSC fetch fails
       }
+      
+      // Statements explain missing PSCs, e.g. "no registrable person"
+      try {
+        const statementList = await companiesHouse.getPersonsWithSignificantControlStatements(crn);
+        pscStatements = statementList.items.map(normalizeStatement).filter(s => s.is_active);
+      } catch (statementError) {
+        // Companies without statements return 404
+        if (statementError.type !== 'not_found') {
+          console.error(`[${new Date().toISOString()}] [${jobId}] Error fetching PSC statements:`, statementError.message);
+        }
+      }
+      
+      jobStore.appendLog(jobId, {
+        step: 'Companies House PSC',
+        data: {
+          ...(pscSummary || { error: 'PSC register could not be loaded' }),
+          corporate_pscs: corporateOwners.map(o => ({ name: o.name, kind: o.kind, identification: o.identification })),
+          statements: pscStatements.map(s => s.statement)
+        }
+      });
       console.log(`[${new Date().toISOString()}] [${jobId}] Found ${owners.length} beneficial owners`);
       
+      // Step 4b: Follow UK corporate PSCs up to the people who own them
+      let ownership = null;
+      if (pscSummary) {
+        try {
+          ownership = await resolveOwnership({
+            companyNumber: crn,
+            companyName: companyProfile.company_name,
+            owners,
+            maxDepth: UBO_MAX_DEPTH,
+            log: message => console.log(`[${new Date().toISOString()}] [${jobId}] ${message}`)
+          });
+          jobStore.appendLog(jobId, {
+            step: 'UBO Resolution',
+            data: {
+              max_depth: ownership.max_depth,
+              fully_resolved: ownership.fully_resolved,
+              ultimate_owners: ownership.ultimate_owners.map(o => ({ name: o.name, type: o.type, effective_ownership: o.effective_ownership_percent })),
+              stops: ownership.stops
+            }
+          });
+        } catch (uboError) {
+          console.error(`[${new Date().toISOString()}] [${jobId}] Error resolving ownership chain:`, uboError.message);
+        }
+      }
+      
+      // Step 4c: Charges, insolvency and filing history risk signals
+      console.log(`[${new Date().toISOString()}] [${jobId}] Checking charges, insolvency and filing history`);
+      let charges = null;
+      let insolvency = null;
+      let filingItems = [];
+      try {
+        if (companyProfile.has_charges) {
+          charges = riskSignals.summarizeCharges(await companiesHouse.getAllCharges(crn));
+        } else {
+          charges = riskSignals.summarizeCharges(null);
+        }
+      } catch (chargesError) {
+        console.error(`[${new Date().toISOString()}] [${jobId}] Error fetching charges:`, chargesError.message);
+      }
+      try {
+        insolvency = riskSignals.summarizeInsolvency(companyProfile.has_insolvency_history
+          ? (await companiesHouse.getInsolvency(crn)).data
+          : null);
+      } catch (insolvencyError) {
+        console.error(`[${new Date().toISOString()}] [${jobId}] Error fetching insolvency:`, insolvencyError.message);
+      }
+      try {
+        const filingHistory = await companiesHouse.getFilingHistory(crn, { itemsPerPage: 100 });
+        filingItems = filingHistory.data.items || [];
+      } catch (filingError) {
+        console.error(`[${new Date().toISOString()}] [${jobId}] Error fetching filing history:`, filingError.message);
+      }
+      const filingDeadlines = riskSignals.checkFilingDeadlines(companyProfile);
+      const recentChanges = riskSignals.summarizeRecentChanges(companyProfile, filingItems, { sinceDays: RECENT_CHANGE_DAYS });
+      const riskIssues = riskSignals.buildRiskIssues({ charges, insolvency, filingDeadlines, recentChanges });
+      
+      jobStore.appendLog(jobId, {
+        step: 'Companies House Risk Signals',
+        data: {
+          outstanding_charges: charges ? charges.outstanding.length : null,
+          charge_holders: charges ? charges.holders : null,
+          insolvency_cases: insolvency ? insolvency.cases.map(c => c.type) : null,
+          accounts_overdue: filingDeadlines.accounts?.overdue || false,
+          confirmation_statement_overdue: filingDeadlines.confirmation_statement?.overdue || false,
+          recent_name_changes: recentChanges.name_changes.length,
+          recent_address_changes: recentChanges.address_changes.length,
+          recent_officer_changes: recentChanges.officer_changes.length,
+          issues: riskIssues.map(issue => issue.code)
+        }
+      });
+
+      // Step 4d: Screen the company, officers and owners against the sanctions lists
+      const screeningSubjects = buildScreeningSubjects({
+        companyName: companyProfile.company_name,
+        companyNumber: crn,
+        officers,
+        owners,
+        ultimateOwners: ownership ? ownership.ultimate_owners : []
+      });
+      const sanctions = screenAgainstSanctions(jobId, screeningSubjects);
+      const pep = await screenForPeps(jobId, screeningSubjects);
+      const adverseMedia = await screenForAdverseMedia(jobId, companyProfile.company_name, crn, screeningSubjects, { signal });
+
       // Step A: Download Incorporation Document
       console.log(`[${new Date().toISOString()}] [${jobId}] Attempting to download incorporation document`);
       let incorporationDocumentUrl = null;
@@ -1587,6 +1109,50 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
         // Continue processing even if document download fails
       }
       
+      // A website the model named is only used once the site itself or a web
+      // search ties it to the registered company; if neither does, the best
+      // web search result takes its place
+      let checkedScrape = null;
+      if (website && sources.website === AI_INFERRED) {
+        try {
+          checkedScrape = await scrapeWebsiteForCRN(website, business_name);
+        } catch (scrapeError) {
+          console.error(`[${new Date().toISOString()}] [${jobId}] Error scraping website ${website}:`, scrapeError.message);
+        }
+        const websiteClaim = {
+          website,
+          crn,
+          registeredName: companyProfile.company_name,
+          proposedBy: sources.website_proposed_by || null,
+          websiteCrn: checkedScrape?.crn || null,
+          websiteName: checkedScrape?.scrapeData?.company_name || null,
+          similarity: calculateNameSimilarity
+        };
+        let claim = aiClaims.checkWebsite(websiteClaim);
+        let searchResults = [];
+        if (!claim.corroborated) {
+          searchResults = await findCompanyWebsite(companyProfile.company_name, message => {
+            console.log(`[${new Date().toISOString()}] [${jobId}] ${message}`);
+          });
+          claim = aiClaims.checkWebsite({ ...websiteClaim, searchUrls: searchResults.map(result => result.url) });
+        }
+        console.log(`[${new Date().toISOString()}] [${jobId}] ${claim.corroborated ? 'Accepted' : 'REJECTING'} AI website ${website}: ${claim.reason}`);
+        jobStore.appendLog(jobId, aiClaims.logEntry(claim));
+        
+        if (!claim.corroborated) {
+          website = searchResults.length > 0 ? searchResults[0].url : null;
+          sources = { ...sources, website: website ? 'web_search' : null };
+          checkedScrape = null;
+          jobStore.appendLog(jobId, {
+            step: 'Website Search Fallback',
+            data: {
+              website,
+              candidates: searchResults.slice(0, 5).map(result => ({ url: result.url, score: result.score }))
+            }
+          });
+        }
+      }
+      
       // Step B: Collect website info if available
       let phone = null;
       let addressFromWebsite = null;
@@ -1595,12 +1161,14 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
       let crnLocation = null;
       let websiteScrapeData = null;
       let addressMatch = false; // Define addressMatch variable
+      let addressComparison = null;
+      const websiteIssues = []; // Raised while checking the website, added to the result below
       
       if (website) {
         // Use our new website scraping function
         console.log(`[${new Date().toISOString()}] [${jobId}] Scraping website for CRN: ${website}`);
         try {
-          const websiteScrapeResult = await scrapeWebsiteForCRN(website, business_name);
+          const websiteScrapeResult = checkedScrape || await scrapeWebsiteForCRN(website, business_name);
           
           // Extract the scraped CRN and data
           crnFromWebsite = websiteScrapeResult.crn || null;
@@ -1613,6 +1181,23 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
             phone = websiteScrapeData.phone_numbers[0];
           }
           
+          // Compare the address on the website with the registered office
+          addressFromWebsite = websiteScrapeData.address || null;
+          if (addressFromWebsite) {
+            addressComparison = compareAddresses(addressFromWebsite, companyProfile.registered_office_address);
+            addressMatch = addressComparison.match;
+            jobStore.appendLog(jobId, {
+              step: 'Address Comparison',
+              data: {
+                website_address: addressFromWebsite,
+                registered_address: addressComparison.registered?.formatted || null,
+                match: addressMatch,
+                score: addressComparison.score,
+                matched_components: addressComparison.matched_components
+              }
+            });
+          }
+          
           // Process extracted company name
           const websiteCompanyName = websiteScrapeData.company_name;
           if (websiteCompanyName) {
@@ -1622,7 +1207,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
             const chCompanyName = companyProfile.company_name;
             const namesSimilar = calculateNameSimilarity(websiteCompanyName, chCompanyName) > 0.7;
             
-            jobLogs[jobId].push({
+            jobStore.appendLog(jobId, {
               step: 'Company Name Comparison',
               data: {
                 website_name: websiteCompanyName,
@@ -1637,7 +1222,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
               console.log(`[${new Date().toISOString()}] [${jobId}] CRITICAL: Company name on website doesn't match Companies House - verifying CRN`);
               
               // Log the name mismatch issue
-              jobLogs[jobId].push({
+              jobStore.appendLog(jobId, {
                 step: 'Company Name Mismatch',
                 timestamp: new Date().toISOString(),
                 data: {
@@ -1651,10 +1236,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
                 console.log(`[${new Date().toISOString()}] [${jobId}] Searching Companies House for website company name: ${websiteCompanyName}`);
                 
                 // Make an API call to search Companies House by name
-                const searchUrl = `https://api.company-information.service.gov.uk/search/companies?q=${encodeURIComponent(websiteCompanyName)}`;
-                const searchResponse = await axios.get(searchUrl, {
-                  auth: { username: COMPANY_HOUSE_API_KEY, password: '' }
-                });
+                const searchResponse = await companiesHouse.searchCompanies(websiteCompanyName);
                 
                 if (searchResponse.data.items && searchResponse.data.items.length > 0) {
                   // Get the top 3 results
@@ -1668,7 +1250,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
                   
                   console.log(`[${new Date().toISOString()}] [${jobId}] Found ${topMatches.length} potential company matches`);
                   
-                  jobLogs[jobId].push({
+                  jobStore.appendLog(jobId, {
                     step: 'Companies House Search Results',
                     timestamp: new Date().toISOString(),
                     data: {
@@ -1689,7 +1271,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
                     validationIssue += `Current CRN ${crn} is registered to "${chCompanyName}".\n`;
                     validationIssue += `Please verify the correct company manually.`;
                     
-                    jobLogs[jobId].push({
+                    jobStore.appendLog(jobId, {
                       step: 'CRN Verification Alert',
                       timestamp: new Date().toISOString(),
                       data: {
@@ -1705,7 +1287,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
                 }
               } catch (searchError) {
                 console.error(`[${new Date().toISOString()}] [${jobId}] Error searching Companies House: ${searchError.message}`);
-                jobLogs[jobId].push({
+                jobStore.appendLog(jobId, {
                   step: 'Company Search Error',
                   timestamp: new Date().toISOString(),
                   error: searchError.message
@@ -1717,20 +1299,31 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
                 console.log(`[${new Date().toISOString()}] [${jobId}] Requesting AI verification for "${websiteCompanyName}"`);
                 
                 // Use a more precise prompt focused on accuracy
-                const additionalAIResponse = await askOpenAIForCRN(websiteCompanyName, website);
-                jobLogs[jobId].push({
+                const additionalAIResponse = await askOpenAIForCRN(websiteCompanyName, website, { signal });
+                jobStore.appendLog(jobId, {
                   step: 'AI Verification',
                   timestamp: new Date().toISOString(),
                   data: additionalAIResponse
                 });
+                // A CRN the model names for the website's company only counts
+                // once Companies House backs it up
+                let aiCrnClaim = null;
+                if (additionalAIResponse.crn) {
+                  ({ claim: aiCrnClaim } = await corroborateAiCrn(jobId, additionalAIResponse.crn, websiteCompanyName, 'crn_research'));
+                }
                 
                 // If we got a new CRN, add it to validation issues
-                if (additionalAIResponse.crn && additionalAIResponse.crn !== crn) {
+                if (aiCrnClaim?.corroborated && additionalAIResponse.crn !== crn) {
                   const validationIssue = `Website company name "${websiteCompanyName}" may have CRN ${additionalAIResponse.crn} (AI confidence: ${additionalAIResponse.confidence}), which is different from the Companies House CRN (${crn}) for "${chCompanyName}"`;
                   
-                  result.validation_issues.push(validationIssue);
+                  websiteIssues.push(createIssue('ai_crn_discrepancy', {
+                    category: 'identity',
+                    severity: 'medium',
+                    message: validationIssue,
+                    details: { website_company: websiteCompanyName, ai_suggested_crn: additionalAIResponse.crn, ai_confidence: additionalAIResponse.confidence, current_crn: crn }
+                  }));
                   
-                  jobLogs[jobId].push({
+                  jobStore.appendLog(jobId, {
                     step: 'CRN Discrepancy',
                     timestamp: new Date().toISOString(),
                     data: {
@@ -1744,7 +1337,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
                 }
               } catch (aiError) {
                 console.error(`[${new Date().toISOString()}] [${jobId}] Error making additional AI request: ${aiError.message}`);
-                jobLogs[jobId].push({
+                jobStore.appendLog(jobId, {
                   step: 'AI Verification Error',
                   timestamp: new Date().toISOString(),
                   error: aiError.message
@@ -1757,7 +1350,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
             console.log(`[${new Date().toISOString()}] [${jobId}] Found CRN on website: ${crnFromWebsite} (Location: ${crnLocation})`);
             
             // Log the finding
-            jobLogs[jobId].push({ 
+            jobStore.appendLog(jobId, { 
               step: 'Website CRN Validation', 
               data: {
                 crn_found: crnFromWebsite,
@@ -1771,7 +1364,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
             const crnMatch = (crnFromWebsite.toUpperCase() === crn.toUpperCase());
             console.log(`[${new Date().toISOString()}] [${jobId}] CRN validation: ${crnMatch ? 'MATCH' : 'MISMATCH'} (Website: ${crnFromWebsite}, API: ${crn})`);
             
-            jobLogs[jobId].push({
+            jobStore.appendLog(jobId, {
               step: 'CRN Cross-Validation',
               data: {
                 website_crn: crnFromWebsite,
@@ -1783,7 +1376,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
             console.log(`[${new Date().toISOString()}] [${jobId}] No CRN found on website`);
             
             // Still log the website data we gathered
-            jobLogs[jobId].push({ 
+            jobStore.appendLog(jobId, { 
               step: 'Website Data', 
               data: {
                 message: 'No CRN found on website'
@@ -1792,14 +1385,14 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
           }
           
           // Log all the website data separately
-          jobLogs[jobId].push({
+          jobStore.appendLog(jobId, {
             step: 'Website Scrape Details',
             data: websiteScrapeData
           });
           
         } catch (scrapeError) {
           console.error(`[${new Date().toISOString()}] [${jobId}] Error scraping website:`, scrapeError.message);
-          jobLogs[jobId].push({ 
+          jobStore.appendLog(jobId, { 
             step: 'Website CRN Validation', 
             data: {
               crn_found: false,
@@ -1813,16 +1406,54 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
       // Check if we actually have any meaningful data before marking as verified
       const hasValidData = companyProfile && companyProfile.company_name && companyProfile.company_status === 'active';
       
+      // The CRNs the model named that Companies House backed up are checked
+      // against the one we verified; the share of rejected claims is scored too
+      const claimSummary = aiClaims.summarizeClaims(jobStore.getLogs(jobId));
+      const aiCrns = claimSummary.claims
+        .filter(claim => claim.claim === 'crn' && claim.corroborated)
+        .map(claim => ({ source: claim.proposed_by, crn: claim.value }));
+      
+      const verification = scoreVerification({
+        crn,
+        website,
+        websiteCrn: crnFromWebsite,
+        requestedName: business_name,
+        websiteName: websiteScrapeData?.company_name || null,
+        registeredName: companyProfile.company_name,
+        similarity: calculateNameSimilarity,
+        addressComparison,
+        dateOfCreation: companyProfile.date_of_creation,
+        companyStatus: companyProfile.company_status,
+        insolvency,
+        charges,
+        filingDeadlines,
+        aiCrns,
+        aiClaims: claimSummary
+      });
+      jobStore.appendLog(jobId, {
+        step: 'Verification Score',
+        data: {
+          status: verification.status,
+          confidence: verification.confidence,
+          signals: verification.signals.map(s => ({ signal: s.signal, score: s.score, outcome: s.outcome }))
+        }
+      });
+      
+      // A website address that is not the registered office is where the company trades
+      const operationalAddress = addressFromWebsite && !addressMatch
+        ? addressComparison.website.formatted
+        : companyProfile.registered_office_address;
+      
       // Compile Final KYB JSON
       const result = {
         company: {
           name: hasValidData ? companyProfile.company_name : null,
           registrationNumber: hasValidData ? crn : null,
           address: hasValidData ? companyProfile.registered_office_address : null,
-          operationalAddress: hasValidData ? (addressFromWebsite || companyProfile.registered_office_address) : null,
+          operationalAddress: hasValidData ? operationalAddress : null,
           email: websiteScrapeData?.email || null,
           phone: phone,
-          ultimateBeneficialOwners: owners && owners.length > 0 ? owners : [],
+          ultimateBeneficialOwners: ownership ? ownership.ultimate_owners : owners,
           incorporationDocument: incorporationDocumentUrl,
           companyStatus: hasValidData ? companyProfile.company_status : null,
           companyType: hasValidData ? companyProfile.type : null,
@@ -1831,6 +1462,11 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
           jurisdiction: hasValidData ? (companyProfile.jurisdiction || null) : null,
           hasInsolvencyHistory: hasValidData ? (companyProfile.has_insolvency_history || false) : false,
           hasCharges: hasValidData ? (companyProfile.has_charges || false) : false,
+          lastAccountsDate: hasValidData ? (companyProfile.accounts?.last_accounts?.made_up_to || null) : null,
+          lastAccountsType: hasValidData ? (companyProfile.accounts?.last_accounts?.type || null) : null,
+          nextAccountsDue: hasValidData ? (filingDeadlines.accounts?.next_due || null) : null,
+          confirmationStatementDate: hasValidData ? (filingDeadlines.confirmation_statement?.last_made_up_to || null) : null,
+          nextConfirmationDue: hasValidData ? (filingDeadlines.confirmation_statement?.next_due || null) : null,
           canFile: hasValidData ? (companyProfile.can_file || false) : false,
           lastFullMembersListDate: hasValidData ? (companyProfile.last_full_members_list_date || null) : null
         },
@@ -1844,24 +1480,22 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
           social_media: websiteScrapeData?.social_media || [],
           email_contacts: websiteScrapeData?.email_contacts || []
         },
-        representative: officers.length > 0 ? {
-          firstName: extractFirstName(officers[0]),
-          middleName: extractMiddleName(officers[0]),
-          lastName: extractLastName(officers[0]),
-          address: null, // Not available from Companies House API directly
-          birthDate: null, // Might be partially available in PSC data
-          nationality: null, // Not available from Companies House API directly
-          role: "Director",
-          ownershipPercentage: owners.find(o => o.name === officers[0])?.ownership_percent || null,
-          appointed_on: null, // May be available in full officers data
-          full_name: officers[0]
+        representative: representativeOfficer ? {
+          firstName: representativeOfficer.firstName,
+          middleName: representativeOfficer.middleName,
+          lastName: representativeOfficer.lastName,
+          address: representativeOfficer.address, // Correspondence address; home addresses are not public
+          birthDate: representativeOfficer.birthDate, // Companies House publishes month and year only
+          nationality: representativeOfficer.nationality,
+          country_of_residence: representativeOfficer.country_of_residence,
+          occupation: representativeOfficer.occupation,
+          role: representativeOfficer.role_label,
+          ownershipPercentage: owners.find(o => isSamePerson(representativeOfficer, o.name))?.ownership_percent || null,
+          appointed_on: representativeOfficer.appointed_on,
+          full_name: representativeOfficer.full_name
         } : null,
-        directors: officers.map(o => ({
-          full_name: o,
-          firstName: extractFirstName(o),
-          middleName: extractMiddleName(o),
-          lastName: extractLastName(o)
-        })),
+        directors: officers.filter(isDirector),
+        officers: officers,
         // Keep original fields for backward compatibility
         company_name: hasValidData ? companyProfile.company_name : null,
         company_registration_number: hasValidData ? crn : null,
@@ -1869,19 +1503,36 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
         company_type: hasValidData ? companyProfile.type : null,
         incorporation_date: hasValidData ? companyProfile.date_of_creation : null,
         registered_address: hasValidData ? companyProfile.registered_office_address : null,
-        business_address: hasValidData ? (addressFromWebsite || companyProfile.registered_office_address) : null,
+        business_address: hasValidData ? operationalAddress : null,
         website_url: website,
         contact_phone: phone,
         contact_email: websiteScrapeData?.email || null,
         nature_of_business: hasValidData ? companyProfile.sic_codes : null,
         beneficial_owners: owners,
-        directors: officers,
-        companies_house_profile_url: hasValidData ? `https://find-and-update.company-information.service.gov.uk/company/${crn}` : null,
+        psc_statements: pscStatements,
+        psc_summary: pscSummary,
+        ownership_tree: ownership ? ownership.tree : null,
+        ownership_resolution: ownership ? {
+          max_depth: ownership.max_depth,
+          fully_resolved: ownership.fully_resolved,
+          stops: ownership.stops
+        } : null,
+        risk_signals: {
+          charges,
+          insolvency,
+          filing_deadlines: filingDeadlines,
+          recent_changes: recentChanges
+        },
+        screening: {
+          sanctions,
+          pep,
+          adverse_media: adverseMedia
+        },
+        companies_house_profile_url: hasValidData ? companiesHouse.profileUrl(crn) : null,
         incorporation_document_url: incorporationDocumentUrl,
-        verification_status: !hasValidData ? 'no_company_found' : 
-          ((crnFromWebsite && crnFromWebsite.toUpperCase() === crn.toUpperCase()) || addressMatch || true)
-            ? 'verified' 
-            : 'warning: validation issues found',
+        verification_status: companyProfile.company_name ? verification.status : 'no_company_found',
+        verification_confidence: verification.confidence,
+        verification_breakdown: verification,
         verification_details: {
           crn_validation: {
             status: crnFromWebsite && crnFromWebsite.toUpperCase() === crn.toUpperCase() ? 'verified' : 'unverified',
@@ -1893,11 +1544,17 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
             crn_context: websiteScrapeData?.crn_context || null
           },
           address_validation: {
-            status: addressMatch ? 'verified' : 'unverified',
-            message: addressMatch ? 'Address on website matches registered address' : 'No matching address found or no address on website',
+            status: addressMatch ? 'verified' : (addressComparison && addressComparison.score > 0 ? 'partial' : 'unverified'),
+            message: addressMatch
+              ? 'Address on website matches registered address'
+              : (addressFromWebsite ? `Address on website does not match registered address (score ${addressComparison.score})` : 'No address found on website'),
             website_address: addressFromWebsite,
             registered_address: companyProfile.registered_office_address,
-            match: addressMatch
+            match: addressMatch,
+            score: addressComparison ? addressComparison.score : null,
+            matched_components: addressComparison ? addressComparison.matched_components : null,
+            website_postcode: addressComparison?.website?.postcode?.postcode || null,
+            registered_postcode: addressComparison?.registered?.postcode?.postcode || null
           },
           website_data: {
             status: website ? 'verified' : 'unverified',
@@ -1920,7 +1577,7 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
           crn_match: crnFromWebsite && crnFromWebsite.toUpperCase() === crn.toUpperCase(),
           scrape_data: websiteScrapeData || null
         },
-        validation_issues: [],
+        validation_issues: [...websiteIssues],
         raw_data: {
           companies_house_profile: companyProfile,
           website_data: websiteScrapeData
@@ -1929,22 +1586,103 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
       
       // Add validation issues if any
       if (crnFromWebsite && crnFromWebsite.toUpperCase() !== crn.toUpperCase()) {
-        result.validation_issues.push(`CRN mismatch: Website shows "${crnFromWebsite}" but Companies House has "${crn}"`);
+        result.validation_issues.push(createIssue('crn_mismatch', {
+          category: 'identity',
+          severity: 'high',
+          message: `CRN mismatch: Website shows "${crnFromWebsite}" but Companies House has "${crn}"`,
+          details: { website_crn: crnFromWebsite, companies_house_crn: crn, location: crnLocation }
+        }));
       } else if (!crnFromWebsite && website) {
-        result.validation_issues.push("CRN not found on company website");
+        result.validation_issues.push(createIssue('crn_not_on_website', {
+          category: 'identity',
+          severity: 'low',
+          message: 'CRN not found on company website',
+          details: { website }
+        }));
       }
       
-      if (!addressMatch && website) {
-        result.validation_issues.push("Company address not found or doesn't match registered address");
+      if (addressFromWebsite && !addressMatch) {
+        result.validation_issues.push(createIssue('address_mismatch', {
+          category: 'address',
+          severity: 'medium',
+          message: "Company address on website doesn't match registered address",
+          details: {
+            website_address: addressFromWebsite,
+            score: addressComparison.score,
+            matched_components: addressComparison.matched_components
+          }
+        }));
+      } else if (!addressFromWebsite && website) {
+        result.validation_issues.push(createIssue('address_not_on_website', {
+          category: 'address',
+          severity: 'low',
+          message: 'No address found on company website',
+          details: { website }
+        }));
       }
       
-      console.log(`[${new Date().toISOString()}] [${jobId}] KYB process completed successfully`);
-      // Store the result without replacing the logs array
-      if (!Array.isArray(jobLogs[jobId])) {
-        jobLogs[jobId] = [];
+      if (ownership) {
+        ownership.stops.forEach(stop => {
+          result.validation_issues.push(createIssue('ownership_unresolved', {
+            category: 'ownership',
+            severity: 'medium',
+            message: `Ownership chain through "${stop.name}" not resolved: ${stop.message}`,
+            details: stop
+          }));
+        });
+      } else {
+        corporateOwners.forEach(owner => {
+          result.validation_issues.push(createIssue('corporate_psc_unidentified', {
+            category: 'ownership',
+            severity: 'medium',
+            message: `Corporate PSC "${owner.name}" - the individuals behind it are not identified`,
+            details: { name: owner.name, identification: owner.identification }
+          }));
+        });
+      }
+      
+      pscStatements.filter(s => s.unresolved).forEach(statement => {
+        result.validation_issues.push(createIssue('psc_statement', {
+          category: 'ownership',
+          severity: 'medium',
+          message: `PSC statement: ${statement.description}`,
+          details: statement
+        }));
+      });
+      
+      result.validation_issues.push(...riskIssues);
+
+      sanctions.hits.forEach(hit => {
+        result.validation_issues.push(createIssue('sanctions_potential_match', {
+          category: 'sanctions',
+          severity: 'high',
+          message: `"${hit.subject.name}" (${hit.subject.role}) is a potential match for "${hit.primary_name}" on the ${hit.list_name} sanctions list (score ${hit.score})`,
+          details: hit
+        }));
+      });
+
+      result.validation_issues.push(...buildPepIssues(pep));
+      result.validation_issues.push(...buildAdverseMediaIssues(adverseMedia));
+
+      result.provenance = buildProvenance(result, {
+        ...sources,
+        operational_address: addressFromWebsite && !addressMatch ? 'website' : 'companies_house'
+      });
+      if (result.provenance.ai_inferred.length > 0) {
+        jobStore.appendLog(jobId, { step: 'AI Inferred Fields', data: { fields: result.provenance.ai_inferred } });
+      }
+
+      result.decision = decideOnboarding(jobId, result);
+
+      // PEP matches are confirmed or dismissed by a reviewer before the job completes
+      if (pep.status === 'pending_review') {
+        requestPepReview(jobId, result);
+        return true;
       }
+      
+      console.log(`[${new Date().toISOString()}] [${jobId}] KYB process completed successfully`);
       // Add the final completed result as a special log entry
-      jobLogs[jobId].push({
+      jobStore.appendLog(jobId, {
         step: 'Completed',
         timestamp: new Date().toISOString(),
         result: result,
@@ -1956,25 +1694,219 @@ FORMAT YOUR RESPONSE EXACTLY LIKE THIS - WITH VERIFICATION REASONING:
           : `No matching company found for: ${business_name}`
       });
       // Also store the result separately for easy access
-      jobLogs[jobId].result = result;
-      jobStatus[jobId] = 'completed';
+      jobStore.setResult(jobId, result);
+      jobStore.setStatus(jobId, 'completed');
       return true;
     } catch (err) {
       console.error(`[${new Date().toISOString()}] [${jobId}] Error processing CRN: ${err.message}`);
-      jobStatus[jobId] = 'action_required';
-      jobLogs[jobId].push({
-        step: 'Action Required',
-        timestamp: new Date().toISOString(),
-        message: `Error processing CRN ${crn}: ${err.message}. Please provide a valid CRN.`,
-        required_fields: {
-          crn: 'Valid Company Registration Number'
-        }
-      });
+      // A cancelled, expired or timed-out job stays as it is, without asking
+      // for input it can no longer take
+      if (jobStore.setStatus(jobId, 'action_required')) {
+        jobStore.appendLog(jobId, {
+          step: 'Action Required',
+          timestamp: new Date().toISOString(),
+          message: `Error processing CRN ${crn}: ${err.message}. Please provide a valid CRN.`,
+          required_fields: {
+            crn: 'Valid Company Registration Number'
+          }
+        });
+      }
       return false;
     }
   }
 }
 
+// Runs the compliance risk policy (the job tenant's risk_policy_file, else
+// config/riskPolicy.json or RISK_POLICY_FILE) over a finished result. A policy
+// that can't be loaded sends the job to review.
+function decideOnboarding(jobId, result) {
+  let decision;
+  try {
+    const tenant = tenants.getTenant(jobStore.getTenant(jobId));
+    decision = evaluatePolicy(result, {
+      policy: tenant.risk_policy_file ? loadPolicy(tenant.risk_policy_file) : loadPolicy(),
+      facts: { industries: (result.company?.sicCodes || []).map(code => mapSicCodesToIndustries([code])) }
+    });
+  } catch (policyError) {
+    console.error(`[${new Date().toISOString()}] [${jobId}] Risk policy error:`, policyError.message);
+    decision = {
+      outcome: 'review',
+      policy: null,
+      rules_evaluated: 0,
+      fired: [],
+      overridden: [],
+      error: policyError.message,
+      evaluated_at: new Date().toISOString()
+    };
+  }
+
+  jobStore.appendLog(jobId, {
+    step: 'Risk Policy Decision',
+    data: {
+      outcome: decision.outcome,
+      policy: decision.policy,
+      fired: decision.fired.map(rule => ({ id: rule.id, outcome: rule.outcome, reason: rule.reason })),
+      error: decision.error
+    }
+  });
+  return decision;
+}
+
+// Screens the subjects against the sanctions lists in SANCTIONS_LIST_DIR. A
+// list that can't be read leaves the job unscreened rather than failing it.
+function screenAgainstSanctions(jobId, subjects) {
+  let sanctions;
+  try {
+    sanctions = screenSanctions(subjects);
+  } catch (screeningError) {
+    console.error(`[${new Date().toISOString()}] [${jobId}] Sanctions screening error:`, screeningError.message);
+    sanctions = {
+      status: 'not_screened',
+      message: `Sanctions screening failed: ${screeningError.message}`,
+      lists: [],
+      subjects_screened: 0,
+      hits: [],
+      screened_at: new Date().toISOString()
+    };
+  }
+
+  jobStore.appendLog(jobId, {
+    step: 'Sanctions Screening',
+    timestamp: new Date().toISOString(),
+    data: {
+      status: sanctions.status,
+      message: sanctions.message,
+      lists: sanctions.lists.map(list => ({ list: list.list, entries: list.entries, error: list.error })),
+      subjects_screened: sanctions.subjects_screened,
+      hits: sanctions.hits.map(hit => ({ subject: hit.subject.name, list: hit.list, list_id: hit.list_id, matched_name: hit.matched_name, score: hit.score, dob_match: hit.dob_match }))
+    }
+  });
+  return sanctions;
+}
+
+// Looks up the individuals among the subjects with the configured PEP
+// provider (PEP_PROVIDER). A provider error leaves the job unscreened.
+async function screenForPeps(jobId, subjects) {
+  let pep;
+  try {
+    pep = await screenPeps(subjects);
+  } catch (screeningError) {
+    console.error(`[${new Date().toISOString()}] [${jobId}] PEP screening error:`, screeningError.message);
+    pep = {
+      status: 'not_screened',
+      message: `PEP screening failed: ${screeningError.message}`,
+      provider: process.env.PEP_PROVIDER || 'local',
+      source: null,
+      entries: 0,
+      subjects_screened: 0,
+      matches: [],
+      pending_reviews: 0,
+      screened_at: new Date().toISOString()
+    };
+  }
+
+  jobStore.appendLog(jobId, {
+    step: 'PEP Screening',
+    timestamp: new Date().toISOString(),
+    data: {
+      status: pep.status,
+      message: pep.message,
+      provider: pep.provider,
+      subjects_screened: pep.subjects_screened,
+      matches: pep.matches.map(match => ({ match_id: match.id, subject: match.subject.name, matched_name: match.primary_name, category: match.category, country: match.country, strength: match.strength }))
+    }
+  });
+  return pep;
+}
+
+function buildPepIssues(pep) {
+  return pep.matches
+    .filter(match => match.review.status !== 'dismissed')
+    .map(match => {
+      const listing = [match.position, match.category, match.country].filter(Boolean).join(', ');
+      return match.review.status === 'confirmed'
+        ? createIssue('pep_confirmed', {
+          category: 'screening',
+          severity: 'high',
+          message: `"${match.subject.name}" (${match.subject.role}) is a politically exposed person${listing ? ` (${listing})` : ''}`,
+          details: match
+        })
+        : createIssue('pep_potential_match', {
+          category: 'screening',
+          severity: 'medium',
+          message: `"${match.subject.name}" (${match.subject.role}) may be the politically exposed person "${match.primary_name}"${listing ? ` (${listing})` : ''} - ${match.strength} match, awaiting review`,
+          details: match
+        });
+    });
+}
+
+// Web searches for the company and its directors/owners with risk terms,
+// classified by OpenAI. ADVERSE_MEDIA_ENABLED=false skips the step.
+async function screenForAdverseMedia(jobId, companyName, companyNumber, subjects, { signal } = {}) {
+  let adverseMedia;
+  if (process.env.ADVERSE_MEDIA_ENABLED === 'false') {
+    adverseMedia = { status: 'not_screened', message: 'Adverse media screening is disabled', queries: [], hits: [], adverse_hits: 0, screened_at: new Date().toISOString() };
+  } else {
+    try {
+      adverseMedia = await screenAdverseMedia({
+        companyName,
+        companyNumber,
+        subjects,
+        signal,
+        log: message => console.log(`[${new Date().toISOString()}] [${jobId}] ${message}`)
+      });
+    } catch (screeningError) {
+      console.error(`[${new Date().toISOString()}] [${jobId}] Adverse media screening error:`, screeningError.message);
+      adverseMedia = { status: 'not_screened', message: `Adverse media screening failed: ${screeningError.message}`, queries: [], hits: [], adverse_hits: 0, screened_at: new Date().toISOString() };
+    }
+  }
+
+  jobStore.appendLog(jobId, {
+    step: 'Adverse Media Screening',
+    timestamp: new Date().toISOString(),
+    data: {
+      status: adverseMedia.status,
+      message: adverseMedia.message || adverseMedia.classification_error || null,
+      queries: adverseMedia.queries,
+      hits: adverseMedia.hits.map(hit => ({ url: hit.url, title: hit.title, relevance: hit.relevance, severity: hit.severity, category: hit.category }))
+    }
+  });
+  return adverseMedia;
+}
+
+function buildAdverseMediaIssues(adverseMedia) {
+  if (adverseMedia.status === 'unclassified') {
+    return [createIssue('adverse_media_unclassified', {
+      category: 'screening',
+      severity: 'medium',
+      message: `${adverseMedia.hits.length} adverse media search result(s) could not be classified and need reading`,
+      details: { error: adverseMedia.classification_error, urls: adverseMedia.hits.map(hit => hit.url) }
+    })];
+  }
+  return adverseMedia.hits.filter(isAdverse).map(hit => createIssue('adverse_media', {
+    category: 'screening',
+    severity: hit.severity,
+    message: `Adverse media (${hit.category}) about ${hit.subjects.join(', ')}: ${hit.summary || hit.title}`,
+    details: { url: hit.url, title: hit.title, snippet: hit.snippet, relevance: hit.relevance, severity: hit.severity, category: hit.category }
+  }));
+}
+
+// Parks a finished verification until a reviewer has decided every PEP match
+function requestPepReview(jobId, result, errors = []) {
+  const pep = result.screening.pep;
+  jobStore.setResult(jobId, result);
+  jobStore.appendLog(jobId, {
+    step: 'Action Required',
+    timestamp: new Date().toISOString(),
+    message: `${pep.pending_reviews} potential PEP match(es) need review. Confirm or dismiss each match through /continueKYB.${errors.length > 0 ? ` ${errors.join('; ')}` : ''}`,
+    required_fields: pepReviewFields(pep),
+    data: {
+      matches: pep.matches.filter(match => match.review.status === 'pending')
+    }
+  });
+  jobStore.setStatus(jobId, 'action_required');
+}
+
 // Helper function to validate CRN format
 function validateCRNFormat(crn) {
     // Standard 8-digit CRN
@@ -2105,266 +2037,56 @@ function mapSicCodesToIndustries(sicCodes) {
     
     // Public Administration
     '84': 'Public Administration and Defence',
-    
-    // Education
-    '85': 'Education',
-    
-    // Human Health and Social Work
-    '86': 'Human Health Activities',
-    '87': 'Residential Care',
-    '88': 'Social Work Activities',
-    
-    // Arts, Entertainment and Recreation
-    '90': 'Creative, Arts and Entertainment',
-    '91': 'Libraries, Archives and Museums',
-    '92': 'Gambling and Betting',
-    '93': 'Sports and Recreation',
-    
-    // Other Services
-    '94': 'Activities of Membership Organizations',
-    '95': 'Repair of Computers and Personal Goods',
-    '96': 'Other Personal Service Activities',
-    
-    // Activities of Households
-    '97': 'Activities of Households as Employers',
-    '98': 'Undifferentiated Goods and Services of Households',
-    
-    // Activities of Extraterritorial Organizations
-    '99': 'Activities of Extraterritorial Organizations'
-  };
-  
-  // Try to map SIC codes to industry categories
-  const industries = sicCodes.map(code => {
-    // Check if the code is in the format with a description
-    if (typeof code === 'string') {
-      // Extract just the numeric part if it's in a complex format
-      const numericCode = code.match(/\d+/);
-      if (numericCode) {
-        const prefix = numericCode[0].substring(0, 2);
-        return sicCodeMap[prefix] || 'Other';
-      }
-      return 'Other';
-    }
-    // Handle numeric SIC codes
-    else if (typeof code === 'number') {
-      const prefix = String(code).substring(0, 2);
-      return sicCodeMap[prefix] || 'Other';
-    }
-    return 'Other';
-  });
-  
-  // Remove duplicates and return as a string
-  return [...new Set(industries)].join(', ');
-}
-
-// Extract first name from a full name
-function extractFirstName(fullName) {
-  if (!fullName) return null;
-  
-  // Remove titles if present
-  const nameWithoutTitles = fullName.replace(/^(Mr|Mrs|Miss|Ms|Dr|Prof|Sir|Dame)\.?\s+/i, '');
-  
-  // Split the name by spaces
-  const parts = nameWithoutTitles.split(' ');
-  
-  // The first part is usually the first name
-  return parts[0] || null;
-}
-
-// Extract middle name from a full name
-function extractMiddleName(fullName) {
-  if (!fullName) return null;
-  
-  // Remove titles if present
-  const nameWithoutTitles = fullName.replace(/^(Mr|Mrs|Miss|Ms|Dr|Prof|Sir|Dame)\.?\s+/i, '');
-  
-  // Split the name by spaces
-  const parts = nameWithoutTitles.split(' ');
-  
-  // If there are at least 3 parts, the middle parts are middle names
-  if (parts.length >= 3) {
-    return parts.slice(1, parts.length - 1).join(' ');
-  }
-  
-  return null;
-}
-
-// Extract last name from a full name
-function extractLastName(fullName) {
-  if (!fullName) return null;
-  
-  // Remove titles if present
-  const nameWithoutTitles = fullName.replace(/^(Mr|Mrs|Miss|Ms|Dr|Prof|Sir|Dame)\.?\s+/i, '');
-  
-  // Split the name by spaces
-  const parts = nameWithoutTitles.split(' ');
-  
-  // The last part is usually the last name
-  return parts[parts.length - 1] || null;
-}
-
-// Function to validate CRN against Companies House
-async function validateCRNWithCompaniesHouse(crn, companyName) {
-    const notes = [];
-    notes.push(`Validating CRN ${crn} with Companies House...`);
-    
-    try {
-        // Companies House API endpoint
-        const endpoint = `https://api.company-information.service.gov.uk/company/${crn}`;
-        
-        // Get API key from environment or config
-        const apiKey = process.env.COMPANIES_HOUSE_API_KEY;
-        
-        if (!apiKey) {
-            notes.push('No Companies House API key found. Skipping API validation.');
-            
-            // Fallback to public website check
-            notes.push('Using Companies House website as fallback...');
-            const companyUrl = `https://find-and-update.company-information.service.gov.uk/company/${crn}`;
-            
-            try {
-                const response = await axios.get(companyUrl, {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-                    },
-                    timeout: 10000
-                });
-                
-                // If we get here, the company page exists
-                notes.push(`Company page found at ${companyUrl}`);
-                
-                // Check if company name appears on the page
-                const html = response.data;
-                const $ = cheerio.load(html);
-                
-                // Get company name from Companies House
-                const chCompanyName = $('h1.heading-xlarge').text().trim();
-                notes.push(`Company name found on Companies House: ${chCompanyName}`);
-                
-                // Compare with the provided company name
-                if (companyName) {
-                    const similarity = calculateNameSimilarity(companyName, chCompanyName);
-                    notes.push(`Name similarity score: ${similarity}`);
-                    
-                    if (similarity >= 0.7) {
-                        notes.push('Company name matches with high confidence.');
-                        return { isValid: true, companyInfo: { name: chCompanyName }, notes, confidence: 'high' };
-                    } else if (similarity >= 0.5) {
-                        notes.push('Company name matches with medium confidence.');
-                        return { isValid: true, companyInfo: { name: chCompanyName }, notes, confidence: 'medium' };
-                    } else {
-                        notes.push('Warning: Company name does not match closely.');
-                        return { isValid: true, companyInfo: { name: chCompanyName }, notes, confidence: 'low' };
-                    }
-                }
-                
-                return { isValid: true, companyInfo: { name: chCompanyName }, notes, confidence: 'medium' };
-                
-            } catch (error) {
-                notes.push(`Error checking Companies House website: ${error.message}`);
-                return { isValid: false, notes, confidence: 'low' };
-            }
-        } else {
-            // Make API request
-            notes.push('Making API request to Companies House...');
-            const auth = Buffer.from(`${apiKey}:`).toString('base64');
-            
-            const response = await axios.get(endpoint, {
-                headers: {
-                    'Authorization': `Basic ${auth}`,
-                    'Accept': 'application/json'
-                },
-                timeout: 10000
-            });
-            
-            if (response.status === 200) {
-                const companyInfo = response.data;
-                notes.push('Successfully retrieved company information from Companies House API.');
-                
-                // Extract relevant information
-                const apiCompanyName = companyInfo.company_name;
-                const companyStatus = companyInfo.company_status;
-                const companyType = companyInfo.type;
-                
-                notes.push(`API returned company name: ${apiCompanyName}`);
-                notes.push(`Company status: ${companyStatus}`);
-                notes.push(`Company type: ${companyType}`);
-                
-                // Check if company is active
-                if (companyStatus !== 'active') {
-                    notes.push(`Warning: Company is not active. Status: ${companyStatus}`);
-                }
-                
-                // Compare company name if provided
-                if (companyName) {
-                    const similarity = calculateNameSimilarity(companyName, apiCompanyName);
-                    notes.push(`Name similarity score: ${similarity}`);
-                    
-                    if (similarity >= 0.7) {
-                        notes.push('Company name matches with high confidence.');
-                        return { 
-                            isValid: true, 
-                            companyInfo: { 
-                                name: apiCompanyName, 
-                                status: companyStatus, 
-                                type: companyType 
-                            }, 
-                            notes, 
-                            confidence: 'high' 
-                        };
-                    } else if (similarity >= 0.5) {
-                        notes.push('Company name matches with medium confidence.');
-                        return { 
-                            isValid: true, 
-                            companyInfo: { 
-                                name: apiCompanyName, 
-                                status: companyStatus, 
-                                type: companyType 
-                            }, 
-                            notes, 
-                            confidence: 'medium' 
-                        };
-                    } else {
-                        notes.push('Warning: Company name does not match closely.');
-                        return { 
-                            isValid: true, 
-                            companyInfo: { 
-                                name: apiCompanyName, 
-                                status: companyStatus, 
-                                type: companyType 
-                            }, 
-                            notes, 
-                            confidence: 'low' 
-                        };
-                    }
-                }
-                
-                return { 
-                    isValid: true, 
-                    companyInfo: { 
-                        name: apiCompanyName, 
-                        status: companyStatus, 
-                        type: companyType 
-                    }, 
-                    notes, 
-                    confidence: 'high' 
-                };
-            } else {
-                notes.push(`API returned non-200 status: ${response.status}`);
-                return { isValid: false, notes, confidence: 'low' };
-            }
-        }
-    } catch (error) {
-        notes.push(`Error validating with Companies House: ${error.message}`);
-        
-        // Check if it's a 404 error, which means the company was not found
-        if (error.response && error.response.status === 404) {
-            notes.push('Company not found in Companies House records.');
-        }
-        
-        return { isValid: false, notes, confidence: 'low' };
+    
+    // Education
+    '85': 'Education',
+    
+    // Human Health and Social Work
+    '86': 'Human Health Activities',
+    '87': 'Residential Care',
+    '88': 'Social Work Activities',
+    
+    // Arts, Entertainment and Recreation
+    '90': 'Creative, Arts and Entertainment',
+    '91': 'Libraries, Archives and Museums',
+    '92': 'Gambling and Betting',
+    '93': 'Sports and Recreation',
+    
+    // Other Services
+    '94': 'Activities of Membership Organizations',
+    '95': 'Repair of Computers and Personal Goods',
+    '96': 'Other Personal Service Activities',
+    
+    // Activities of Households
+    '97': 'Activities of Households as Employers',
+    '98': 'Undifferentiated Goods and Services of Households',
+    
+    // Activities of Extraterritorial Organizations
+    '99': 'Activities of Extraterritorial Organizations'
+  };
+  
+  // Try to map SIC codes to industry categories
+  const industries = sicCodes.map(code => {
+    // Check if the code is in the format with a description
+    if (typeof code === 'string') {
+      // Extract just the numeric part if it's in a complex format
+      const numericCode = code.match(/\d+/);
+      if (numericCode) {
+        const prefix = numericCode[0].substring(0, 2);
+        return sicCodeMap[prefix] || 'Other';
+      }
+      return 'Other';
+    }
+    // Handle numeric SIC codes
+    else if (typeof code === 'number') {
+      const prefix = String(code).substring(0, 2);
+      return sicCodeMap[prefix] || 'Other';
     }
+    return 'Other';
+  });
+  
+  // Remove duplicates and return as a string
+  return [...new Set(industries)].join(', ');
 }
 
 // Helper function to calculate name similarity
@@ -2426,268 +2148,20 @@ function levenshteinDistance(s1, s2) {
     return matrix[s1.length][s2.length];
 }
 
-async function getCompanyDetails(companyName, companyUrl) {
-  try {
-    console.log(`Starting KYB process for ${companyName}`);
-    
-    // Create result object to track all validation steps
-    const result = {
-      companyName,
-      website: companyUrl,
-      crn: null,
-      crnValidations: [],
-      crnConfidence: 'unknown',
-      websiteValidations: [],
-      notes: [],
-      validationSteps: []
-    };
-    
-    result.notes.push(`Processing company: ${companyName}`);
-    result.notes.push(`Initial website: ${companyUrl || 'Not provided'}`);
-    
-    // Step 1: Ask OpenAI for the CRN and website
-    result.validationSteps.push({ step: 'Asking OpenAI for CRN and website', status: 'in_progress' });
-    const openAIResponse = await askOpenAIForCRN(companyName, companyUrl);
-    
-    // Handle CRN from OpenAI
-    if (openAIResponse.crn) {
-      result.crn = openAIResponse.crn;
-      result.crnSource = 'openai';
-      result.notes.push(`CRN from OpenAI: ${openAIResponse.crn}`);
-      result.notes.push(...openAIResponse.notes);
-      result.validationSteps[result.validationSteps.length - 1].status = 'complete';
-      result.validationSteps[result.validationSteps.length - 1].result = `Found CRN: ${openAIResponse.crn}`;
-      
-      // Validate CRN format
-      if (validateCRNFormat(openAIResponse.crn)) {
-        result.notes.push('CRN format is valid');
-        result.crnValidations.push({ source: 'format_check', isValid: true });
-      } else {
-        result.notes.push('Warning: CRN format appears invalid');
-        result.crnValidations.push({ source: 'format_check', isValid: false });
-      }
-    } else {
-      result.notes.push('No CRN found from OpenAI');
-      result.validationSteps[result.validationSteps.length - 1].status = 'complete';
-      result.validationSteps[result.validationSteps.length - 1].result = 'No CRN found';
-    }
-    
-    // Handle website from OpenAI
-    if (openAIResponse.website) {
-      // If OpenAI found a different website than provided, note it
-      if (companyUrl && openAIResponse.website !== companyUrl) {
-        result.notes.push(`OpenAI found different website: ${openAIResponse.website} (originally: ${companyUrl})`);
-        result.websiteValidations.push({
-          source: 'openai',
-          originalUrl: companyUrl,
-          foundUrl: openAIResponse.website,
-          status: 'different_website_found'
-        });
-      }
-      
-      // Update website if OpenAI found one and we didn't have one
-      if (!result.website) {
-        result.website = openAIResponse.website;
-        result.websiteSource = 'openai';
-        result.notes.push(`Website found by OpenAI: ${openAIResponse.website}`);
-      }
-    }
-    
-    // Step 2: Scrape website for CRN
-    if (result.website) {
-      result.validationSteps.push({ step: 'Scraping website for CRN', status: 'in_progress' });
-      const scrapedCRNResult = await scrapeWebsiteForCRN(result.website, companyName);
-      
-      result.notes.push(...scrapedCRNResult.notes);
-      result.validationSteps[result.validationSteps.length - 1].status = 'complete';
-      
-      if (scrapedCRNResult.crn) {
-        result.notes.push(`CRN found on website: ${scrapedCRNResult.crn}`);
-        result.validationSteps[result.validationSteps.length - 1].result = `Found CRN: ${scrapedCRNResult.crn}`;
-        result.crnValidations.push({ source: 'website_scrape', isValid: true, crn: scrapedCRNResult.crn });
-        
-        // If we didn't have a CRN before, use this one
-        if (!result.crn) {
-          result.crn = scrapedCRNResult.crn;
-          result.crnSource = 'website';
-        } 
-        // If we already had a CRN from OpenAI, check if they match
-        else if (result.crn !== scrapedCRNResult.crn) {
-          result.notes.push(`Warning: CRN mismatch between OpenAI (${result.crn}) and website (${scrapedCRNResult.crn})`);
-          
-          // Validate both CRNs with Companies House and use the one that validates
-          const openAIValidation = await validateCRNWithCompaniesHouse(result.crn, companyName);
-          const websiteValidation = await validateCRNWithCompaniesHouse(scrapedCRNResult.crn, companyName);
-          
-          result.notes.push(...openAIValidation.notes);
-          result.notes.push(...websiteValidation.notes);
-          
-          // Choose the CRN with higher confidence
-          if (websiteValidation.isValid && (websiteValidation.confidence === 'high' || !openAIValidation.isValid)) {
-            result.notes.push('Using website CRN as it has higher validation confidence');
-            result.crn = scrapedCRNResult.crn;
-            result.crnSource = 'website';
-            result.crnConfidence = websiteValidation.confidence;
-          } else if (openAIValidation.isValid) {
-            result.notes.push('Keeping OpenAI CRN as it has higher validation confidence');
-            result.crnConfidence = openAIValidation.confidence;
-          }
-        } else {
-          result.notes.push('CRN from OpenAI and website match. This increases confidence.');
-          result.crnValidations.push({ source: 'cross_validation', isValid: true });
-        }
-      } else {
-        result.notes.push('No CRN found on website');
-        result.validationSteps[result.validationSteps.length - 1].result = 'No CRN found';
-      }
-    }
-    
-    // Step 3: Validate with Companies House
-    if (result.crn) {
-      result.validationSteps.push({ step: 'Validating CRN with Companies House', status: 'in_progress' });
-      const validationResult = await validateCRNWithCompaniesHouse(result.crn, companyName);
-      
-      result.notes.push(...validationResult.notes);
-      result.validationSteps[result.validationSteps.length - 1].status = 'complete';
-      
-      if (validationResult.isValid) {
-        result.crnValidations.push({ 
-          source: 'companies_house', 
-          isValid: true,
-          companyInfo: validationResult.companyInfo
-        });
-        result.crnConfidence = validationResult.confidence;
-        result.registeredCompanyName = validationResult.companyInfo.name;
-        result.companyStatus = validationResult.companyInfo.status;
-        result.companyType = validationResult.companyInfo.type;
-        
-        result.validationSteps[result.validationSteps.length - 1].result = 'CRN validated';
-      } else {
-        result.crnValidations.push({ source: 'companies_house', isValid: false });
-        result.crnConfidence = 'low';
-        
-        result.validationSteps[result.validationSteps.length - 1].result = 'CRN validation failed';
-      }
-    }
-    
-    // Determine overall validation status
-    const hasValidCRN = result.crnValidations.some(v => v.isValid);
-    const hasCompaniesHouseValidation = result.crnValidations.some(v => v.source === 'companies_house' && v.isValid);
-    const hasWebsite = !!result.website;
-    
-    if (hasCompaniesHouseValidation && hasWebsite) {
-      result.status = 'validated';
-    } else if (hasCompaniesHouseValidation || (hasValidCRN && hasWebsite)) {
-      result.status = 'partially_validated';
-    } else if (result.crn || hasWebsite) {
-      result.status = 'unvalidated';
-    } else {
-      result.status = 'no_information_found';
-    }
-    
-    return result;
-  } catch (error) {
-    console.error('Error in getCompanyDetails:', error);
-    return {
-      status: 'error',
-      error: error.message,
-      notes: [`Error occurred: ${error.message}`]
-    };
-  }
-}
-
-async function askOpenAIForCRN(companyName, companyUrl) {
+async function askOpenAIForCRN(companyName, companyUrl, { signal } = {}) {
   try {
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    if (!openaiApiKey) {
+    const llmStatus = llm.status();
+    if (!llmStatus.configured) {
       return { 
         crn: null, 
         website: null,
-        notes: ['OpenAI API key not found in environment variables'] 
+        notes: [`LLM provider ${llmStatus.provider} is not configured: ${llmStatus.message}`] 
       };
     }
 
-    // Construct a more precise prompt for finding the CRN and website
-    const prompt = `You are a UK companies financial compliance expert specializing in company registration verification.
-
-I need you to find the Company Registration Number (CRN) for "${companyName}".
-${companyUrl ? `Their reported website is: ${companyUrl}` : ''}
-
-CRITICAL INSTRUCTIONS - Follow these rules EXACTLY:
-1. Search for a company whose registered name closely matches (at least 90% similarity) the requested business name
-2. Do not confuse similar company names or subsidiaries with less than 90% name similarity
-3. Verify the company is actively registered with Companies House
-4. Be extremely precise about CRN format:
-   - Standard CRNs are 8 digits (e.g., 12345678)
-   - Scotland: SC + 6 digits (e.g., SC123456)
-   - Northern Ireland: NI + 6 digits (e.g., NI123456)
-   - Limited Liability Partnerships: OC + 6 digits (e.g., OC123456)
-
-5. CHECK FOR COMMON ERRORS:
-   - Do not confuse subsidiaries with parent companies
-   - Do not provide CRNs for dissolved or inactive companies
-   - Do not provide CRNs for similarly named but different companies (less than 90% similarity)
-   - Verify all digits carefully - a single wrong digit causes compliance issues
-   - Ensure you're looking at UK companies registered with Companies House
-
-6. VERIFICATION METHODS:
-   - Search official Companies House records first
-   - Cross-reference with company website (typically in footer or About Us)
-   - Check company documents filed with Companies House 
-   - Verify through multiple sources when possible
-
-ONLY return your findings in this JSON format:
-{
-  "crn": "XXXXXXXX or null if uncertain",
-  "website": "https://company-site.com or null if uncertain",
-  "confidence": "high|medium|low|none",
-  "reasoning": "Detailed explanation of how you determined the CRN, including all verification steps and sources",
-  "potential_issues": ["List any concerns or uncertainties about your determination"]
-}`;
-
-    // Call the OpenAI API
-    const response = await openai.chat.completions.create({
-      model: 'chatgpt-4o-latest',
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.1, // Lower temperature for more deterministic answers
-      max_tokens: 600
-    });
-
-    const content = response.choices[0].message.content.trim();
-    let parsedResponse;
-    
-    try {
-      // Find JSON in the response
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        parsedResponse = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      // If JSON parsing fails, try to extract CRN and website using regex
-      console.error('Error parsing OpenAI response:', parseError);
-      
-      // Try to find an 8-digit number or a prefixed CRN format
-      const crnRegex = /\b([A-Z]{2}\d{6}|\d{8})\b/;
-      const crnMatch = content.match(crnRegex);
-      
-      // Try to find a website URL
-      const websiteRegex = /https?:\/\/[^\s,)}"']+/;
-      const websiteMatch = content.match(websiteRegex);
-      
-      return {
-        crn: crnMatch ? crnMatch[0] : null,
-        website: websiteMatch ? websiteMatch[0] : null,
-        confidence: 'low',
-        notes: [
-          'Failed to parse OpenAI JSON response',
-          `Raw content: ${content.substring(0, 100)}...`,
-          crnMatch ? `Extracted CRN using regex: ${crnMatch[0]}` : 'Could not extract CRN with regex',
-          websiteMatch ? `Extracted website using regex: ${websiteMatch[0]}` : 'Could not extract website with regex'
-        ]
-      };
-    }
+    // Call the model
+    const response = await llm.completeJson({ ...prompts.render('crn_research', { company_name: companyName, website: companyUrl || null }), signal });
+    const parsedResponse = response.data;
 
     // If a website was provided in the input but not found by OpenAI, use the input website
     const website = parsedResponse.website || companyUrl || null;
@@ -2726,6 +2200,25 @@ ONLY return your findings in this JSON format:
   }
 }
 
+// GET a web page; the URL and a hash of what came back go on the job's audit trail
+async function fetchWebPage(url, options) {
+  try {
+    const response = await axios.get(url, options);
+    recordExternalRequest('web', {
+      method: 'GET',
+      url,
+      status: response.status,
+      content_type: response.headers?.['content-type'] || null,
+      content_hash: hashContent(response.data),
+      content_length: contentLength(response.data)
+    });
+    return response;
+  } catch (err) {
+    recordExternalRequest('web', { method: 'GET', url, status: err.response?.status || null, error: err.message });
+    throw err;
+  }
+}
+
 // Function to scrape a website for CRNs and company name
 async function scrapeWebsiteForCRN(url, companyName) {
     const notes = [];
@@ -2761,7 +2254,7 @@ async function scrapeWebsiteForCRN(url, companyName) {
 
     try {
         notes.push('Fetching website content...');
-        const response = await axios.get(url, {
+        const response = await fetchWebPage(url, {
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
                 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -2832,7 +2325,7 @@ async function scrapeWebsiteForCRN(url, companyName) {
                     const aboutUrl = aboutLink.startsWith('http') ? aboutLink : 
                                     (aboutLink.startsWith('/') ? url.replace(/\/$/, '') + aboutLink : url.replace(/\/$/, '') + '/' + aboutLink);
                     
-                    const aboutResponse = await axios.get(aboutUrl, {
+                    const aboutResponse = await fetchWebPage(aboutUrl, {
                         headers: {
                             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
                             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
@@ -3190,492 +2683,37 @@ function calculateJobProgress(status, logSteps) {
     case 'completed':
       return 100;
     case 'failed':
-      // Failed jobs show progress based on how far they got
+    case 'cancelled':
+    case 'expired':
+      // Failed, cancelled and expired jobs show progress based on how far they got
       return Math.min(Math.round((logSteps / 10) * 100), 100);
     default:
       return 0;
   }
 }
 
-// Start API server with better error handling
-const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`KYB API service running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`Visit http://localhost:${PORT} to access the verification UI`);
-})
-.on('error', (err) => {
-  console.error('ERROR STARTING SERVER:', err);
-  if (err.code === 'EADDRINUSE') {
-    console.error(`Port ${PORT} is already in use. Make sure no other instance is running or use a different port.`);
-    process.exit(1);
-  } else {
-    console.error('Server error:', err);
-    process.exit(1);
-  }
-});
-
-// Add a utility function for string similarity near the top of the file
-function calculateStringSimilarity(str1, str2) {
-  // Convert both strings to lowercase and remove common business terms and punctuation
-  const normalize = (s) => {
-    return s.toLowerCase()
-      .replace(/(ltd|limited|plc|llp|inc|gmbh|llc|corporation|corp|group|holdings|uk)(\s|$)/g, ' ')
-      .replace(/[^\w\s]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
-  };
-  
-  const a = normalize(str1);
-  const b = normalize(str2);
-  
-  // If either string is empty after normalization, return 0
-  if (!a.length || !b.length) return 0;
-  
-  // Calculate Levenshtein distance
-  const matrix = Array(b.length + 1).fill().map(() => Array(a.length + 1).fill(0));
-  
-  for (let i = 0; i <= a.length; i++) matrix[0][i] = i;
-  for (let j = 0; j <= b.length; j++) matrix[j][0] = j;
-  
-  for (let j = 1; j <= b.length; j++) {
-    for (let i = 1; i <= a.length; i++) {
-      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
-      matrix[j][i] = Math.min(
-        matrix[j][i - 1] + 1, // deletion
-        matrix[j - 1][i] + 1, // insertion
-        matrix[j - 1][i - 1] + substitutionCost // substitution
-      );
-    }
-  }
-  
-  // Convert to similarity score between 0 and 1
-  const maxLength = Math.max(a.length, b.length);
-  if (maxLength === 0) return 1; // Edge case: both strings are empty after normalization
-  
-  return 1 - (matrix[b.length][a.length] / maxLength);
-}
-
-// Add a function to search Companies House for a company name
-async function searchCompaniesHouseByName(companyName) {
-  try {
-    // Get API key from environment variables
-    const apiKey = process.env.COMPANIES_HOUSE_API_KEY;
-    if (!apiKey) {
-      console.error('Companies House API key not found in environment variables');
-      return { success: false, error: 'API key missing', results: [] };
-    }
-    
-    // URL encode the company name
-    const encodedName = encodeURIComponent(companyName);
-    
-    // Create the API URL for company search
-    const url = `https://api.company-information.service.gov.uk/search/companies?q=${encodedName}`;
-    
-    // Set up authentication for Companies House API (Basic Auth with API key as username and empty password)
-    const auth = Buffer.from(`${apiKey}:`).toString('base64');
-    
-    // Make the request to Companies House API
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Accept': 'application/json'
-      }
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.text();
-      return { 
-        success: false, 
-        error: `Companies House API error: ${response.status} ${response.statusText}`,
-        details: errorData,
-        results: []
-      };
-    }
-    
-    const data = await response.json();
-    
-    // Return the search results
-    return { 
-      success: true, 
-      results: data.items || [],
-      total_results: data.total_results || 0
-    };
-  } catch (error) {
-    console.error('Error searching Companies House by name:', error);
-    return { 
-      success: false, 
-      error: `Error searching Companies House: ${error.message}`,
-      results: []
-    };
-  }
-}
-
-// Then update the processCompanyDetails function to handle name mismatches
-async function processCompanyDetails(companyData) {
-  const companyDetails = { ...companyData };
-  const logs = [];
-  
-  logs.push(`Processing company: ${companyDetails.company_name}`);
-  
-  // Validate the company name
-  if (!companyDetails.company_name) {
-    logs.push('ERROR: Company name is missing');
-    companyDetails.validation_issues = [
-      ...(companyDetails.validation_issues || []),
-      'Company name is missing'
-    ];
-  }
-  
-  // If there's no CRN, try to get it from OpenAI
-  if (!companyDetails.crn) {
-    logs.push('No CRN provided, attempting to retrieve from OpenAI');
-    const openAIResponse = await askOpenAIForCRN(
-      companyDetails.company_name, 
-      companyDetails.website
-    );
-    
-    companyDetails.crn = openAIResponse.crn;
-    companyDetails.crn_confidence = openAIResponse.confidence;
-    companyDetails.ai_notes = openAIResponse.notes;
-    
-    if (openAIResponse.reasoning) {
-      companyDetails.crn_reasoning = openAIResponse.reasoning;
-    }
-    
-    if (openAIResponse.potential_issues) {
-      companyDetails.crn_potential_issues = openAIResponse.potential_issues;
-    }
-    
-    logs.push(`CRN from OpenAI: ${companyDetails.crn || 'Not found'} (Confidence: ${companyDetails.crn_confidence})`);
-  } else {
-    logs.push(`CRN provided: ${companyDetails.crn}`);
-  }
-  
-  // If we have a CRN, validate it and get company data from Companies House
-  if (companyDetails.crn) {
-    // First, validate the format of the CRN
-    if (!validateCRNFormat(companyDetails.crn)) {
-      logs.push(`WARNING: Invalid CRN format: ${companyDetails.crn}`);
-      companyDetails.validation_issues = [
-        ...(companyDetails.validation_issues || []),
-        `Invalid CRN format: ${companyDetails.crn}`
-      ];
-    }
-    
-    // Fetch company details from Companies House
-    const chResponse = await getCompanyFromCompaniesHouse(companyDetails.crn);
-    
-    if (!chResponse.success) {
-      logs.push(`ERROR: Companies House API error: ${chResponse.error}`);
-      companyDetails.validation_issues = [
-        ...(companyDetails.validation_issues || []),
-        `Companies House API error: ${chResponse.error}`
-      ];
-    } else {
-      // Add Companies House data to company details
-      companyDetails.companies_house_data = chResponse.data;
-      logs.push(`Companies House data retrieved for ${companyDetails.crn}`);
-      
-      // Check if the company is still active
-      if (chResponse.data.company_status && chResponse.data.company_status !== 'active') {
-        logs.push(`WARNING: Company status is not active: ${chResponse.data.company_status}`);
-        companyDetails.validation_issues = [
-          ...(companyDetails.validation_issues || []),
-          `Company status is not active: ${chResponse.data.company_status}`
-        ];
-      }
-      
-      // Verify that the company name matches the one from Companies House
-      if (companyDetails.company_name && chResponse.data.company_name) {
-        // Calculate similarity between website company name and Companies House name
-        const similarityScore = calculateStringSimilarity(
-          companyDetails.company_name,
-          chResponse.data.company_name
-        );
-        
-        companyDetails.name_similarity_score = similarityScore;
-        logs.push(`Name similarity score: ${similarityScore.toFixed(2)}`);
-        
-        // If similarity is below threshold, there might be a mismatch
-        if (similarityScore < 0.7) {
-          logs.push(`WARNING: Company name mismatch. Website: "${companyDetails.company_name}", Companies House: "${chResponse.data.company_name}"`);
-          
-          // Search Companies House for the website company name
-          logs.push(`Searching Companies House for the website company name: "${companyDetails.company_name}"`);
-          const searchResponse = await searchCompaniesHouseByName(companyDetails.company_name);
-          
-          if (searchResponse.success && searchResponse.results.length > 0) {
-            companyDetails.alternative_companies = searchResponse.results.slice(0, 5); // Keep top 5 matches
-            
-            // Find the best match based on name similarity
-            let bestMatch = null;
-            let bestScore = 0;
-            
-            for (const company of searchResponse.results) {
-              const score = calculateStringSimilarity(companyDetails.company_name, company.title);
-              if (score > bestScore && score > 0.7) {
-                bestScore = score;
-                bestMatch = company;
-              }
-            }
-            
-            if (bestMatch) {
-              logs.push(`Found better match: "${bestMatch.title}" (${bestMatch.company_number}) with similarity score ${bestScore.toFixed(2)}`);
-              
-              companyDetails.suggested_crn = bestMatch.company_number;
-              companyDetails.suggested_company_name = bestMatch.title;
-              companyDetails.suggested_similarity_score = bestScore;
-              
-              companyDetails.validation_issues = [
-                ...(companyDetails.validation_issues || []),
-                `Possible CRN mismatch. Current CRN (${companyDetails.crn}) may be incorrect. Suggested CRN: ${bestMatch.company_number}`
-              ];
-              
-              // Optionally, get detailed data for the suggested company
-              const suggestedCompanyResponse = await getCompanyFromCompaniesHouse(bestMatch.company_number);
-              if (suggestedCompanyResponse.success) {
-                companyDetails.suggested_company_data = suggestedCompanyResponse.data;
-              }
-            } else {
-              logs.push(`No better match found in the ${searchResponse.results.length} search results`);
-            }
-          } else {
-            logs.push(`No search results found for "${companyDetails.company_name}" or search failed`);
-          }
-          
-          // Add validation issue for the name mismatch
-          companyDetails.validation_issues = [
-            ...(companyDetails.validation_issues || []),
-            `Company name mismatch. Website: "${companyDetails.company_name}", Companies House: "${chResponse.data.company_name}"`
-          ];
-          
-          // If AI verification is needed for the name mismatch
-          // Request further verification from AI
-          logs.push('Requesting further AI verification for name mismatch');
-          const verificationResponse = await askOpenAIForCRNVerification(
-            companyDetails.company_name,
-            chResponse.data.company_name,
-            companyDetails.crn,
-            companyDetails.website,
-            companyDetails.alternative_companies || []
-          );
-          
-          companyDetails.ai_verification = verificationResponse;
-          logs.push(`AI verification result: ${verificationResponse.conclusion}`);
-          
-          if (verificationResponse.recommended_crn !== companyDetails.crn) {
-            logs.push(`AI recommends different CRN: ${verificationResponse.recommended_crn}`);
-            companyDetails.ai_recommended_crn = verificationResponse.recommended_crn;
-            
-            // Get data for the AI-recommended CRN if it's different
-            if (verificationResponse.recommended_crn) {
-              const recommendedCompanyResponse = await getCompanyFromCompaniesHouse(verificationResponse.recommended_crn);
-              if (recommendedCompanyResponse.success) {
-                companyDetails.ai_recommended_company_data = recommendedCompanyResponse.data;
-              }
-            }
-          }
-        } else {
-          logs.push(`Company name verified. Good match between "${companyDetails.company_name}" and "${chResponse.data.company_name}"`);
-        }
-      }
-    }
-  } else {
-    logs.push('ERROR: No CRN available after OpenAI processing');
-    companyDetails.validation_issues = [
-      ...(companyDetails.validation_issues || []),
-      'CRN could not be determined'
-    ];
-  }
-  
-  // Add processing logs to the company details
-  companyDetails.processing_logs = logs;
-  
-  return companyDetails;
-}
-
-// Add a function for AI verification of mismatches
-async function askOpenAIForCRNVerification(websiteCompanyName, chCompanyName, currentCRN, companyUrl, alternativeCompanies = []) {
-  try {
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    if (!openaiApiKey) {
-      return {
-        conclusion: 'verification_failed',
-        notes: ['OpenAI API key not found in environment variables'],
-        recommended_crn: currentCRN
-      };
-    }
-
-    // Format alternative companies for the prompt
-    let alternativesText = '';
-    if (alternativeCompanies.length > 0) {
-      alternativesText = 'Alternative company matches from Companies House:\n';
-      alternativeCompanies.forEach((company, index) => {
-        alternativesText += `${index + 1}. "${company.title}" - CRN: ${company.company_number} - Status: ${company.company_status}\n`;
-      });
-    }
-
-    // Construct the verification prompt
-    const prompt = `You are a UK company verification expert specializing in resolving CRN verification issues.
-
-I've found a potential mismatch between a company name on a website and its Companies House record:
-
-Website company name: "${websiteCompanyName}"
-Companies House name: "${chCompanyName}"
-Current CRN: ${currentCRN}
-${companyUrl ? `Company website: ${companyUrl}` : ''}
-
-${alternativesText}
-
-I need you to analyze this discrepancy and determine if:
-1. This is the same company with a slight name variation (common legal variations, trading names, etc.)
-2. This is a completely different company and the CRN is incorrect
-3. Additional verification is needed to determine the correct match
-
-CRITICAL INSTRUCTIONS:
-- Analyze name similarities accounting for common variations (Ltd/Limited, Group, Holdings, etc.)
-- Consider that websites often use trading names rather than full legal names
-- If this appears to be the same company with minor name variations, confirm the CRN is correct
-- If this appears to be a different company, recommend the correct CRN from the alternatives
-- Consider company status, registration date, and other factors in your analysis
-
-ONLY return your analysis in this JSON format:
-{
-  "conclusion": "confirmed_match|possible_match|likely_mismatch|confirmed_mismatch|verification_needed",
-  "recommended_crn": "The CRN you believe is correct based on your analysis, or null if uncertain",
-  "reasoning": "Detailed explanation of your analysis and conclusion",
-  "confidence": "high|medium|low",
-  "recommended_actions": ["List of specific steps to resolve this verification issue"]
-}`;
-
-    // Call the OpenAI API
-    const response = await openai.chat.completions.create({
-      model: 'chatgpt-4o-latest',
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.1,
-      max_tokens: 600
-    });
-
-    const content = response.choices[0].message.content.trim();
-    let parsedResponse;
-    
-    try {
-      // Find JSON in the response
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        parsedResponse = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      console.error('Error parsing OpenAI verification response:', parseError);
-      return {
-        conclusion: 'verification_failed',
-        reasoning: `Failed to parse AI response: ${parseError.message}`,
-        confidence: 'none',
-        recommended_crn: currentCRN, // Keep the current CRN if parsing fails
-        notes: [`Raw response: ${content.substring(0, 100)}...`]
-      };
-    }
-
-    return {
-      conclusion: parsedResponse.conclusion || 'verification_failed',
-      recommended_crn: parsedResponse.recommended_crn || currentCRN,
-      reasoning: parsedResponse.reasoning || 'No reasoning provided',
-      confidence: parsedResponse.confidence || 'low',
-      recommended_actions: parsedResponse.recommended_actions || [],
-      raw_response: parsedResponse
-    };
-  } catch (error) {
-    console.error('Error in askOpenAIForCRNVerification:', error);
-    return {
-      conclusion: 'verification_failed',
-      reasoning: `Error during verification: ${error.message}`,
-      confidence: 'none',
-      recommended_crn: currentCRN, // Keep the current CRN if verification fails
-      recommended_actions: ['Manual verification required due to API error']
-    };
+// Resume any jobs left queued or in flight by a previous run and periodically
+// expire action_required jobs that were never continued
+let expirySweep = null;
+function start() {
+  workerPool.fill();
+  expireStaleJobs();
+  if (!expirySweep) {
+    expirySweep = setInterval(expireStaleJobs, EXPIRY_SWEEP_INTERVAL_MS);
   }
 }
 
-// Function to fetch company data from Companies House by CRN
-async function getCompanyFromCompaniesHouse(crn) {
-  try {
-    // Get API key from environment variables
-    const apiKey = process.env.COMPANIES_HOUSE_API_KEY || COMPANY_HOUSE_API_KEY;
-    if (!apiKey) {
-      console.error('Companies House API key not found');
-      return { success: false, error: 'API key missing' };
-    }
-    
-    // Create the API URL for company profile
-    const url = `https://api.company-information.service.gov.uk/company/${crn}`;
-    
-    try {
-      // Make the request to Companies House API
-      const response = await axios.get(url, {
-        auth: { username: apiKey, password: '' },
-        timeout: 10000,
-        headers: {
-          'Accept': 'application/json'
-        },
-        validateStatus: function (status) {
-          // Only treat 2xx status codes as successful
-          return status >= 200 && status < 300;
-        }
-      });
-      
-      // Return the company data
-      return { 
-        success: true, 
-        data: response.data
-      };
-    } catch (apiError) {
-      // Handle API errors specifically
-      if (apiError.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        const status = apiError.response.status;
-        
-        if (status === 404) {
-          return { 
-            success: false, 
-            error: `Company not found with CRN: ${crn}`,
-            status: 404
-          };
-        } else {
-          return { 
-            success: false, 
-            error: `Companies House API error: ${status}`,
-            status: status,
-            response_data: typeof apiError.response.data === 'object' ? 
-              apiError.response.data : 
-              { raw: 'Non-JSON response received' }
-          };
-        }
-      } else if (apiError.request) {
-        // The request was made but no response was received
-        return { 
-          success: false, 
-          error: 'No response received from Companies House API',
-          network_error: true
-        };
-      } else {
-        // Something happened in setting up the request that triggered an Error
-        return { 
-          success: false, 
-          error: `Error setting up request: ${apiError.message}`,
-          request_error: true
-        };
-      }
-    }
-  } catch (error) {
-    console.error(`Error in getCompanyFromCompaniesHouse for CRN ${crn}:`, error.message);
-    return { 
-      success: false, 
-      error: `Unexpected error: ${error.message}`,
-      fatal_error: true
-    };
-  }
-}
+module.exports = {
+  jobStore,
+  workerPool,
+  auth,
+  auditTrail,
+  caseReview,
+  jobProcessors,
+  calculateJobProgress,
+  calculateNameSimilarity,
+  checkAiCrn,
+  abortJob,
+  expireStaleJobs,
+  start
+};
@@ -0,0 +1,57 @@
+// API key for the KYB endpoints
+// Sends the key saved in this browser with every request to this server, asks
+// for one when the server answers 401, and adds it to event stream URLs
+// (EventSource can't send headers). Operators working for several tenants can
+// save the tenant to act for under 'kyb_tenant'.
+(function() {
+    const STORAGE_KEY = 'kyb_api_key';
+    const TENANT_KEY = 'kyb_tenant';
+    const originalFetch = window.fetch.bind(window);
+    const OriginalEventSource = window.EventSource;
+
+    function isSameOrigin(url) {
+        return new URL(url, window.location.href).origin === window.location.origin;
+    }
+
+    window.fetch = async function(input, init = {}) {
+        const url = typeof input === 'string' ? input : input.url;
+        if (!isSameOrigin(url)) return originalFetch(input, init);
+
+        const send = () => {
+            const headers = new Headers(init.headers || (typeof input === 'string' ? undefined : input.headers));
+            const key = localStorage.getItem(STORAGE_KEY);
+            const tenant = localStorage.getItem(TENANT_KEY);
+            if (key) headers.set('X-API-Key', key);
+            if (tenant) headers.set('X-Tenant-ID', tenant);
+            return originalFetch(input, { ...init, headers });
+        };
+
+        let response = await send();
+        if (response.status === 401) {
+            const key = window.prompt('API key for the KYB service');
+            if (key) {
+                localStorage.setItem(STORAGE_KEY, key.trim());
+                response = await send();
+            }
+        }
+        return response;
+    };
+
+    if (OriginalEventSource) {
+        window.EventSource = function(url, config) {
+            const key = localStorage.getItem(STORAGE_KEY);
+            const tenant = localStorage.getItem(TENANT_KEY);
+            if ((key || tenant) && isSameOrigin(url)) {
+                const withKey = new URL(url, window.location.href);
+                if (key) withKey.searchParams.set('api_key', key);
+                if (tenant) withKey.searchParams.set('tenant', tenant);
+                url = withKey.toString();
+            }
+            return new OriginalEventSource(url, config);
+        };
+        window.EventSource.prototype = OriginalEventSource.prototype;
+        ['CONNECTING', 'OPEN', 'CLOSED'].forEach(name => {
+            window.EventSource[name] = OriginalEventSource[name];
+        });
+    }
+})();
@@ -1,7 +1,5 @@
-// API Configuration
-const API_URL = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' 
-    ? 'http://localhost:3011' 
-    : '';  // Production URL (same origin)
+// API Configuration (the page is served by the API server itself)
+const API_URL = '';
 
 // DOM Elements
 const searchForm = document.getElementById('search-form');
@@ -298,7 +296,7 @@ function updateProgress(status, logData) {
                 // Got company details
                 completedSteps.push('crn');
                 currentStep = 'company_details';
-            } else if (entry.step === 'New Company GPT Result') {
+            } else if (entry.step === 'Process Restarted') {
                 // Retrying with new company name
                 currentStep = 'crn';
             } else if (entry.step === 'Website CRN Validation' || entry.step === 'CRN Cross-Validation' || entry.step === 'Company Name Comparison') {
@@ -659,7 +657,8 @@ function showResults(data) {
             const validationIssuesList = document.getElementById('validation-issues-list');
             
             // Check if we have validation issues
-            if (displayData.verification_status && displayData.verification_status.includes('warning') || 
+            if (displayData.verification_status && (displayData.verification_status.includes('warning') ||
+                    ['needs_review', 'failed'].includes(displayData.verification_status)) || 
                 (displayData.validation_issues && displayData.validation_issues.length > 0)) {
                 validationIssues.classList.remove('hidden');
                 validationIssuesList.innerHTML = '';
@@ -668,7 +667,7 @@ function showResults(data) {
                 if (displayData.validation_issues && displayData.validation_issues.length > 0) {
                     displayData.validation_issues.forEach(issue => {
                         const listItem = document.createElement('li');
-                        listItem.textContent = issue;
+                        listItem.textContent = typeof issue === 'string' ? issue : issue.message;
                         validationIssuesList.appendChild(listItem);
                     });
                 } 
@@ -749,7 +748,8 @@ function showResults(data) {
         const statusMessage = document.getElementById('verification-status-message');
         const statusContainer = document.querySelector('.verification-status');
         
-        if (displayData.verification_status && displayData.verification_status.includes('warning')) {
+        if (displayData.verification_status && (displayData.verification_status.includes('warning') ||
+                ['needs_review', 'failed'].includes(displayData.verification_status))) {
             statusBadge.textContent = 'Warning';
             statusBadge.className = 'badge warning';
             statusMessage.textContent = displayData.verification_status;
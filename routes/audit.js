@@ -0,0 +1,50 @@
+// Audit routes: export a job's audit trail and check that it is intact.
+// The trail itself is kept by services/auditTrail.js. Clients with the read
+// scope can fetch the trails of their own jobs.
+
+const express = require('express');
+const { jobStore, auth, auditTrail } = require('../kyb');
+
+const router = express.Router();
+
+// GET /auditLog - The job's audit trail as JSON, or as the raw JSON Lines
+// file with ?format=jsonl
+router.get('/auditLog', auth.requireScope('read'), auth.requireJobAccess, (req, res) => {
+  const { job_id, format = 'json' } = req.query;
+  if (!job_id) return res.status(400).json({ error: 'job_id is required' });
+  if (!jobStore.hasJob(job_id)) return res.status(404).json({ error: 'Job not found' });
+  if (!['json', 'jsonl'].includes(format)) return res.status(400).json({ error: 'format must be json or jsonl' });
+
+  const entries = auditTrail.getEntries(job_id);
+  const verification = auditTrail.verify(job_id);
+
+  if (format === 'jsonl') {
+    res.set('Content-Type', 'application/x-ndjson');
+    res.set('Content-Disposition', `attachment; filename="audit-${job_id}.jsonl"`);
+    res.set('X-Audit-Head-Hash', verification.head_hash || '');
+    return res.send(entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : ''));
+  }
+
+  return res.json({
+    job_id,
+    exported_at: new Date().toISOString(),
+    verification,
+    entries
+  });
+});
+
+// GET /verifyAuditLog - Recomputes the hash chain; `valid` is false and
+// `first_invalid` says where when an entry was changed, removed or reordered
+router.get('/verifyAuditLog', auth.requireScope('read'), auth.requireJobAccess, (req, res) => {
+  const { job_id } = req.query;
+  if (!job_id) return res.status(400).json({ error: 'job_id is required' });
+  if (!jobStore.hasJob(job_id)) return res.status(404).json({ error: 'Job not found' });
+
+  return res.json({
+    job_id,
+    verified_at: new Date().toISOString(),
+    ...auditTrail.verify(job_id)
+  });
+});
+
+module.exports = { router };
@@ -0,0 +1,197 @@
+// Companies House lookup routes. /searchCompany and /companyProfile return
+// enriched JSON for API clients; /companiesHouse/* return the raw Companies
+// House payloads the onboarding UI autocompletes from. All of them need the
+// read scope (services/auth.js).
+
+const express = require('express');
+const companiesHouse = require('../services/companiesHouse');
+const { auth, calculateNameSimilarity } = require('../kyb');
+
+const router = express.Router();
+
+// GET /searchCompany - Search Companies House by name
+router.get('/searchCompany', auth.requireScope('read'), async (req, res) => {
+  try {
+    const { name } = req.query;
+    if (!name) return res.status(400).json({ error: 'Company name is required' });
+    if (!companiesHouse.getApiKey()) return res.status(500).json({ error: 'Companies House API key not configured' });
+
+    const searchResponse = await companiesHouse.searchCompanies(name);
+    
+    if (searchResponse.data.items && searchResponse.data.items.length > 0) {
+      // Return the top 5 matches with enhanced information
+      const topMatches = searchResponse.data.items.slice(0, 5).map(item => ({
+        company_name: item.title,
+        company_number: item.company_number,
+        company_status: item.company_status,
+        company_type: item.company_type || null,
+        address: item.address_snippet,
+        address_fields: item.address || null,
+        description: item.description || null,
+        date_of_creation: item.date_of_creation || null,
+        matched_terms: item.matches?.title || [],
+        similarity_score: calculateNameSimilarity(name, item.title),
+        kind: item.kind || null,
+        links: item.links || null,
+        sic_codes: item.sic_codes || [],
+        is_active: item.company_status === 'active',
+        search_match_type: item.kind || 'company',
+        date_of_cessation: item.date_of_cessation || null,
+        registered_office_address: item.registered_office_address || null
+      }));
+      
+      return res.json({ 
+        query: name,
+        total_results: searchResponse.data.total_results || searchResponse.data.items.length,
+        page_number: searchResponse.data.page_number || 1,
+        results: topMatches,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      return res.json({ 
+        query: name,
+        total_results: 0,
+        results: [],
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (err) {
+    console.error('Error searching company:', err.message);
+    return res.status(500).json({ error: 'Error searching Companies House: ' + err.message });
+  }
+});
+
+// GET /companyProfile - Get detailed company profile by CRN
+router.get('/companyProfile', auth.requireScope('read'), async (req, res) => {
+  try {
+    const { crn } = req.query;
+    if (!crn) return res.status(400).json({ error: 'Company Registration Number (CRN) is required' });
+    if (!companiesHouse.getApiKey()) return res.status(500).json({ error: 'Companies House API key not configured' });
+
+    try {
+      const companyData = await companiesHouse.getCompanyProfile(crn);
+      
+      // Add minimal enhancements while preserving original data
+      const enhancedResponse = {
+        ...companyData.data,
+        request_timestamp: new Date().toISOString(),
+        queried_crn: crn,
+        profile_url: companiesHouse.profileUrl(crn),
+        is_active: companyData.data.company_status === 'active'
+      };
+      
+      return res.json(enhancedResponse);
+    } catch (apiError) {
+      // Handle the typed Companies House client errors
+      if (apiError.type === 'not_found') {
+        return res.status(404).json({ 
+          error: `Company not found with CRN: ${crn}`,
+          crn: crn,
+          status: 'not_found',
+          timestamp: new Date().toISOString()
+        });
+      } else if (apiError.type === 'auth') {
+        return res.status(apiError.status || 500).json({ 
+          error: 'API authentication error - invalid Companies House API key',
+          crn: crn,
+          status: 'auth_error',
+          timestamp: new Date().toISOString()
+        });
+      } else if (apiError.type === 'rate_limited') {
+        return res.status(429).json({ 
+          error: 'Companies House API rate limit exceeded',
+          crn: crn,
+          status: 'rate_limited',
+          timestamp: new Date().toISOString()
+        });
+      } else if (apiError.type === 'network') {
+        return res.status(502).json({ 
+          error: 'No response received from Companies House API',
+          crn: crn,
+          status: 'network_error',
+          timestamp: new Date().toISOString()
+        });
+      } else if (apiError.type === 'api_error') {
+        return res.status(apiError.status).json({ 
+          error: `Companies House API error: ${apiError.status}`,
+          crn: crn,
+          status: 'api_error',
+          status_code: apiError.status,
+          timestamp: new Date().toISOString()
+        });
+      }
+      throw apiError;
+    }
+  } catch (err) {
+    // Catch any other errors and return a valid JSON response
+    console.error('Error in companyProfile endpoint:', err.message);
+    return res.status(500).json({ 
+      error: 'Internal server error: ' + err.message,
+      crn: req.query.crn,
+      status: 'server_error',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Endpoint to search Companies House
+router.get('/companiesHouse/search', auth.requireScope('read'), async (req, res) => {
+  const { query } = req.query;
+  
+  if (!query) {
+    return res.status(400).json({ error: 'Search query is required' });
+  }
+  
+  try {
+    const response = await companiesHouse.searchCompanies(query);
+    
+    res.json({
+      success: true,
+      results: response.data.items || []
+    });
+  } catch (error) {
+    console.error(`Error searching Companies House: ${error}`);
+    res.status(500).json({
+      error: 'Failed to search Companies House',
+      message: error.response ? error.response.data : error.message,
+      error_type: error.type || null
+    });
+  }
+});
+
+// Endpoint to get company details from Companies House
+router.get('/companiesHouse/company/:number', auth.requireScope('read'), async (req, res) => {
+  const { number } = req.params;
+  
+  if (!number) {
+    return res.status(400).json({ error: 'Company number is required' });
+  }
+  
+  try {
+    // Get company profile
+    const profileResponse = await companiesHouse.getCompanyProfile(number);
+    
+    // Get officers (directors), every page of them
+    const officerList = await companiesHouse.getAllOfficers(number);
+    
+    // Combine the data
+    const companyData = {
+      profile: profileResponse.data,
+      officers: officerList.items
+    };
+    
+    res.json({
+      success: true,
+      data: companyData
+    });
+  } catch (error) {
+    console.error(`Error fetching company details: ${error}`);
+    res.status(500).json({
+      error: 'Failed to fetch company details',
+      message: error.response ? error.response.data : error.message,
+      error_type: error.type || null
+    });
+  }
+});
+
+module.exports = { router };
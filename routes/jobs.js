@@ -0,0 +1,479 @@
+// Job routes: start, inspect, stream, continue, cancel and retry KYB jobs.
+// The work itself happens in the worker pool set up by kyb.js. Every route
+// needs an API client with the right scope (services/auth.js), and clients
+// only reach the jobs they started, within their tenant.
+
+const express = require('express');
+const crypto = require('crypto');
+const { isValidCallbackUrl } = require('../services/webhooks');
+const { jobStore, workerPool, auth, auditTrail, abortJob, calculateJobProgress } = require('../kyb');
+
+const router = express.Router();
+
+// Job lifecycle rules
+const CANCELLABLE_STATUSES = ['pending', 'processing', 'action_required'];
+const RETRYABLE_STATUSES = ['failed', 'cancelled', 'expired'];
+
+// CRN and website the caller already found (directly, or in the data the
+// onboarding UI collects from /companiesHouse/* and /findWebsite) let the
+// pipeline skip its own OpenAI lookups
+function extractHints({ crn, website, enhanced_data }) {
+  const hints = {
+    crn: crn || enhanced_data?.company?.registrationNumber || null,
+    website: website || enhanced_data?.business?.url || null
+  };
+  if (hints.crn) hints.crn = String(hints.crn).trim().toUpperCase();
+  return hints;
+}
+
+// POST /startKYB
+router.post('/startKYB', auth.requireScope('start'), async (req, res) => {
+  const { business_name, callback_url, callback_secret } = req.body;
+  if (!business_name) return res.status(400).json({ error: 'business_name is required' });
+  if (callback_url && !isValidCallbackUrl(callback_url)) {
+    return res.status(400).json({ error: 'callback_url must be an http(s) URL' });
+  }
+  const hints = extractHints(req.body);
+
+  const jobId = crypto.randomBytes(16).toString('hex');
+  console.log(`[${new Date().toISOString()}] Creating new KYB job for "${business_name}" with ID: ${jobId}`);
+  
+  // The callback secret lives in the job metadata, never in the readable log;
+  // the owning client is kept there too
+  jobStore.createJob(jobId, {
+    tenant: req.client.tenant,
+    status: 'pending',
+    logs: [
+      {
+        step: 'Original Request',
+        timestamp: new Date().toISOString(),
+        data: { business_name, callback_url: callback_url || null, hints, client_id: req.client.id, tenant: req.client.tenant }
+      }
+    ],
+    meta: {
+      client_id: req.client.id,
+      ...(callback_url ? { callback_url, callback_secret: callback_secret || null } : {})
+    }
+  });
+  
+  // Add job to queue
+  jobStore.enqueue({
+    id: jobId,
+    type: 'kybTask',
+    business_name,
+    hints
+  });
+  
+  // Hand the job to a free worker, if any
+  workerPool.fill();
+
+  return res.json({ job_id: jobId });
+});
+
+// GET /jobStatus
+router.get('/jobStatus', auth.requireScope('read'), auth.requireJobAccess, (req, res) => {
+  const { job_id } = req.query;
+  const status = jobStore.getStatus(job_id);
+  if (!status) return res.status(404).json({ error: 'Job not found' });
+  console.log(`[${new Date().toISOString()}] Job status request for ${job_id}: ${status}`);
+  
+  const logEntries = jobStore.getLogs(job_id);
+  
+  // Create a more detailed status response
+  const statusResponse = {
+    job_id: job_id,
+    status: status,
+    created_at: logEntries[0]?.timestamp || null,
+    last_updated: new Date().toISOString(),
+    total_steps_completed: logEntries.length,
+    current_step: logEntries[logEntries.length - 1]?.step || null,
+    requires_action: status === 'action_required',
+    required_fields: [...logEntries].reverse().find(log => log.step === 'Action Required')?.required_fields || null,
+    percent_complete: calculateJobProgress(status, logEntries.length),
+    llm_usage: jobStore.getLlmUsage(job_id)
+  };
+  
+  return res.json(statusResponse);
+});
+
+// GET /jobLog
+router.get('/jobLog', auth.requireScope('read'), auth.requireJobAccess, (req, res) => {
+  try {
+    const { job_id } = req.query;
+    if (!jobStore.hasJob(job_id)) return res.status(404).json({ error: 'Job not found' });
+    console.log(`[${new Date().toISOString()}] Job log request for ${job_id}`);
+    
+    const logEntries = jobStore.getLogs(job_id);
+    const status = jobStore.getStatus(job_id);
+    const jobResult = jobStore.getResult(job_id);
+    
+    // Check if the job has a completed result
+    const hasResult = jobResult !== undefined;
+    
+    // Safely process the job logs to ensure they can be serialized
+    const safeLogEntries = logEntries.map(entry => {
+      try {
+        // For each entry, create a safe copy that can be serialized
+        const safeCopy = { ...entry };
+        
+        // Handle data field which might contain complex objects
+        if (safeCopy.data && typeof safeCopy.data === 'object') {
+          try {
+            // Test if it can be serialized
+            JSON.stringify(safeCopy.data);
+          } catch (err) {
+            // If it can't be serialized, provide a safe version
+            safeCopy.data = { 
+              serialization_error: true, 
+              message: 'Data could not be serialized to JSON',
+              error: err.message
+            };
+          }
+        }
+        
+        // Handle result field similarly for the completed entry
+        if (safeCopy.result && typeof safeCopy.result === 'object') {
+          try {
+            // Test if it can be serialized
+            JSON.stringify(safeCopy.result);
+          } catch (err) {
+            safeCopy.result = { 
+              serialization_error: true, 
+              message: 'Result could not be serialized to JSON',
+              error: err.message
+            };
+          }
+        }
+        
+        // Handle error field
+        if (safeCopy.error && typeof safeCopy.error === 'object') {
+          safeCopy.error = safeCopy.error.message || 'Unknown error';
+        }
+        
+        return safeCopy;
+      } catch (err) {
+        // If processing an entry fails, return a placeholder
+        return { 
+          step: 'Log Entry Error',
+          timestamp: new Date().toISOString(),
+          error: `Could not process log entry: ${err.message}`
+        };
+      }
+    });
+    
+    // Create an enhanced response with job metadata
+    const response = {
+      job_id: job_id,
+      status: status || 'unknown',
+      created_at: logEntries[0]?.timestamp || null,
+      last_updated: logEntries[logEntries.length - 1]?.timestamp || new Date().toISOString(),
+      log_entries: safeLogEntries,
+      total_steps: logEntries.length,
+      percent_complete: calculateJobProgress(status, logEntries.length),
+      requires_action: status === 'action_required',
+      required_fields: [...logEntries].reverse().find(log => log.step === 'Action Required')?.required_fields || null,
+      // Jobs awaiting PEP review already carry their result
+      is_complete: hasResult && status === 'completed',
+      llm_usage: jobStore.getLlmUsage(job_id)
+    };
+    
+    // Add the final result if available
+    if (hasResult) {
+      try {
+        // Test if result can be serialized
+        JSON.stringify(jobResult);
+        response.result = jobResult;
+      } catch (err) {
+        response.result = { 
+          serialization_error: true, 
+          message: 'Result could not be serialized to JSON',
+          error: err.message
+        };
+      }
+    }
+    
+    // Ensure we can serialize the entire response
+    try {
+      JSON.stringify(response);
+      return res.json(response);
+    } catch (jsonError) {
+      console.error(`Error serializing response for job ${job_id}:`, jsonError.message);
+      // Return a simplified response if the full one can't be serialized
+      return res.json({
+        job_id: job_id,
+        status: status || 'unknown',
+        error: 'Could not serialize full job logs',
+        serialization_error: true,
+        timestamp: new Date().toISOString()
+      });
+    }
+  } catch (err) {
+    console.error('Error in jobLog endpoint:', err.message);
+    return res.status(500).json({
+      error: 'Internal server error: ' + err.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /jobEvents - Server-Sent Events stream of a job's log entries and status changes
+router.get('/jobEvents', auth.requireScope('read', { allowQueryKey: true }), auth.requireJobAccess, (req, res) => {
+  const { job_id } = req.query;
+  if (!jobStore.hasJob(job_id)) return res.status(404).json({ error: 'Job not found' });
+  console.log(`[${new Date().toISOString()}] Job event stream opened for ${job_id}`);
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const writeEvent = (event, data, id) => {
+    let payload;
+    try {
+      payload = JSON.stringify(data);
+    } catch (err) {
+      payload = JSON.stringify({ serialization_error: true, message: err.message });
+    }
+    res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${payload}\n\n`);
+  };
+  
+  const statusSnapshot = (status, previousStatus) => {
+    const logEntries = jobStore.getLogs(job_id);
+    return {
+      job_id,
+      status,
+      previous_status: previousStatus,
+      timestamp: new Date().toISOString(),
+      percent_complete: calculateJobProgress(status, logEntries.length),
+      requires_action: status === 'action_required',
+      required_fields: status === 'action_required' 
+        ? [...logEntries].reverse().find(log => log.required_fields)?.required_fields || null 
+        : null
+    };
+  };
+  
+  // Log events carry their position in the job log as the event id, so a
+  // reconnecting EventSource (Last-Event-ID) only receives what it missed. An
+  // id past the end of the log (e.g. from before a retry) resumes at the end,
+  // so the ids that follow keep matching log positions.
+  const lastEventId = parseInt(req.headers['last-event-id'], 10);
+  const existingEntries = jobStore.getLogs(job_id);
+  let nextLogIndex = Number.isNaN(lastEventId) ? 0 : Math.min(Math.max(lastEventId + 1, 0), existingEntries.length);
+  
+  writeEvent('status', statusSnapshot(jobStore.getStatus(job_id), null));
+  for (; nextLogIndex < existingEntries.length; nextLogIndex++) {
+    writeEvent('log', existingEntries[nextLogIndex], nextLogIndex);
+  }
+  
+  const onLog = ({ jobId, entry }) => {
+    if (jobId !== job_id) return;
+    writeEvent('log', entry, nextLogIndex++);
+  };
+  const onStatus = ({ jobId, status, previousStatus }) => {
+    if (jobId !== job_id) return;
+    writeEvent('status', statusSnapshot(status, previousStatus));
+  };
+  
+  jobStore.on('log', onLog);
+  jobStore.on('status', onStatus);
+  
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    jobStore.off('log', onLog);
+    jobStore.off('status', onStatus);
+    console.log(`[${new Date().toISOString()}] Job event stream closed for ${job_id}`);
+  });
+});
+
+// POST /continueKYB - Provide additional information to continue a stuck KYB process
+router.post('/continueKYB', auth.requireScope('continue'), auth.requireJobAccess, async (req, res) => {
+  const { job_id, ...additionalData } = req.body;
+  
+  if (!job_id) return res.status(400).json({ error: 'job_id is required' });
+  const status = jobStore.getStatus(job_id);
+  if (!status) return res.status(404).json({ error: 'Job not found' });
+  
+  console.log(`[${new Date().toISOString()}] Continuing KYB job ${job_id} with additional data:`, additionalData);
+  
+  // Only allow continuing jobs that are in action_required status
+  if (status !== 'action_required') {
+    return res.status(400).json({ 
+      error: 'Job is not awaiting additional information', 
+      current_status: status 
+    });
+  }
+  
+  // What the caller sent, as sent, goes on the audit trail before anything uses it
+  auditTrail.record(job_id, 'user_input', {
+    endpoint: '/continueKYB',
+    input: additionalData,
+    client_id: req.client.id,
+    ip: req.ip,
+    user_agent: req.get('user-agent') || null
+  });
+  
+  // Add the additional data to job logs
+  jobStore.appendLog(job_id, {
+    step: 'Additional Information',
+    timestamp: new Date().toISOString(),
+    data: additionalData
+  });
+  
+  // Update job status to processing
+  jobStore.setStatus(job_id, 'processing');
+  
+  // Get the business name from the original job data
+  const businessName = jobStore.getLogs(job_id).find(log => log.step === 'Original Request')?.data?.business_name;
+  
+  // Add continuation job to queue
+  jobStore.enqueue({
+    id: job_id,
+    type: 'kybContinue',
+    business_name: businessName,
+    additionalData
+  });
+  
+  // Hand the job to a free worker, if any
+  workerPool.fill();
+  
+  if (additionalData.crn) {
+    return res.json({ 
+      status: 'processing',
+      message: 'Job continuing with provided CRN' 
+    });
+  } 
+  else if (additionalData.website) {
+    return res.json({ 
+      status: 'processing',
+      message: 'Job continuing with provided website' 
+    });
+  }
+  else {
+    return res.json({ 
+      status: 'processing',
+      message: 'Job continuing with provided information' 
+    });
+  }
+});
+
+// POST /cancelKYB - Cancel a job that has not finished yet
+router.post('/cancelKYB', auth.requireScope('start'), auth.requireJobAccess, (req, res) => {
+  const { job_id, reason } = req.body;
+  
+  if (!job_id) return res.status(400).json({ error: 'job_id is required' });
+  const status = jobStore.getStatus(job_id);
+  if (!status) return res.status(404).json({ error: 'Job not found' });
+  
+  if (!CANCELLABLE_STATUSES.includes(status)) {
+    return res.status(400).json({ 
+      error: 'Job can no longer be cancelled', 
+      current_status: status 
+    });
+  }
+  
+  console.log(`[${new Date().toISOString()}] Cancelling KYB job ${job_id} (was ${status})`);
+  
+  // Queued tasks are dropped; a task that is already running has its LLM
+  // calls aborted, winds down in the background and can no longer change the
+  // job status
+  const removedTasks = jobStore.removeQueued(job_id);
+  jobStore.setStatus(job_id, 'cancelled');
+  abortJob(job_id, 'Job cancelled');
+  jobStore.appendLog(job_id, {
+    step: 'Cancelled',
+    timestamp: new Date().toISOString(),
+    message: reason ? `Job cancelled: ${reason}` : 'Job cancelled',
+    data: {
+      previous_status: status,
+      reason: reason || null,
+      removed_queued_tasks: removedTasks
+    }
+  });
+  
+  return res.json({ 
+    job_id,
+    status: 'cancelled',
+    previous_status: status
+  });
+});
+
+// POST /retryKYB - Start a failed, cancelled or expired job again from the beginning
+router.post('/retryKYB', auth.requireScope('start'), auth.requireJobAccess, (req, res) => {
+  const { job_id } = req.body;
+  
+  if (!job_id) return res.status(400).json({ error: 'job_id is required' });
+  const status = jobStore.getStatus(job_id);
+  if (!status) return res.status(404).json({ error: 'Job not found' });
+  
+  if (!RETRYABLE_STATUSES.includes(status)) {
+    return res.status(400).json({ 
+      error: 'Only failed, cancelled or expired jobs can be retried', 
+      current_status: status 
+    });
+  }
+  
+  // A cancelled or timed-out job's handler may still be winding down; a retry
+  // now would run a second one on the same job
+  if (workerPool.isActive(job_id)) {
+    return res.status(409).json({ 
+      error: 'The job is still running; retry once it has stopped', 
+      current_status: status 
+    });
+  }
+  
+  const logEntries = jobStore.getLogs(job_id);
+  const originalRequest = logEntries.find(log => log.step === 'Original Request')?.data || {};
+  const attempt = logEntries.filter(log => log.step === 'Retry Requested').length + 2;
+  
+  console.log(`[${new Date().toISOString()}] Retrying KYB job ${job_id} (was ${status}, attempt ${attempt})`);
+  
+  jobStore.setStatus(job_id, 'pending', { force: true });
+  jobStore.appendLog(job_id, {
+    step: 'Retry Requested',
+    timestamp: new Date().toISOString(),
+    message: `Retrying job (attempt ${attempt})`,
+    data: {
+      previous_status: status,
+      attempt
+    }
+  });
+  
+  jobStore.enqueue({
+    id: job_id,
+    type: 'kybTask',
+    business_name: originalRequest.business_name,
+    hints: originalRequest.hints || {}
+  });
+  
+  // Hand the job to a free worker, if any
+  workerPool.fill();
+  
+  return res.json({ 
+    job_id,
+    status: 'pending',
+    attempt
+  });
+});
+
+// GET /allLogs - View all job logs of the caller's tenant (for debugging, admin only)
+router.get('/allLogs', auth.requireScope('admin'), (req, res) => {
+  const jobLogs = {};
+  const jobStatus = {};
+  for (const jobId of jobStore.listJobIds({ tenant: req.client.tenant })) {
+    jobLogs[jobId] = jobStore.getLogs(jobId);
+    jobStatus[jobId] = jobStore.getStatus(jobId);
+  }
+  
+  return res.json({
+    tenant: req.client.tenant,
+    totalJobs: Object.keys(jobLogs).length,
+    jobLogs: jobLogs,
+    jobStatus: jobStatus
+  });
+});
+
+module.exports = { router };
@@ -0,0 +1,86 @@
+// Review routes: the manual review queue behind public/review-queue.html.
+// Cases, overrides and decisions live in services/caseReview.js; every
+// action is also written to the job log. Reviewers work across every
+// client's jobs, so all of these routes need the admin scope; they still only
+// see the jobs of the tenant they act for. The reviewer acting on a case is
+// always the calling API client; a reviewer in the body only names the
+// assignee of /assignCase.
+
+const express = require('express');
+const { auth, caseReview } = require('../kyb');
+
+const router = express.Router();
+const requireAdmin = auth.requireScope('admin');
+
+const ERROR_STATUS = { not_found: 404, invalid: 400, conflict: 409 };
+
+function sendCaseError(res, err) {
+  const status = ERROR_STATUS[err.type];
+  if (!status) {
+    console.error(`[${new Date().toISOString()}] Review error:`, err.message);
+    return res.status(500).json({ error: err.message });
+  }
+  return res.status(status).json({ error: err.message });
+}
+
+// Runs a case action as the calling client and answers with the updated case
+function caseAction(action) {
+  return (req, res) => {
+    const { job_id, ...input } = req.body;
+    if (!job_id) return res.status(400).json({ error: 'job_id is required' });
+    try {
+      action(job_id, input, req.client.id);
+      return res.json(caseReview.getCase(job_id));
+    } catch (err) {
+      return sendCaseError(res, err);
+    }
+  };
+}
+
+// GET /reviewCases - Open cases by default (?status=closed|all, ?assignee=)
+router.get('/reviewCases', requireAdmin, (req, res) => {
+  const { status = 'open', assignee } = req.query;
+  if (!['open', 'closed', 'all'].includes(status)) {
+    return res.status(400).json({ error: 'status must be open, closed or all' });
+  }
+  const cases = caseReview.listCases({ status, assignee: assignee || null, tenant: req.client.tenant });
+  return res.json({ count: cases.length, cases });
+});
+
+// GET /reviewCase - One case with its notes, overrides and the job result
+router.get('/reviewCase', requireAdmin, auth.requireJobAccess, (req, res) => {
+  const { job_id } = req.query;
+  if (!job_id) return res.status(400).json({ error: 'job_id is required' });
+  try {
+    return res.json(caseReview.getCase(job_id));
+  } catch (err) {
+    return sendCaseError(res, err);
+  }
+});
+
+// GET /reviewReasonCodes - Reason codes accepted by /decideCase
+router.get('/reviewReasonCodes', requireAdmin, (req, res) => {
+  return res.json(caseReview.REASON_CODES);
+});
+
+// POST /assignCase - { job_id, reviewer } (the assignee)
+router.post('/assignCase', requireAdmin, auth.requireJobAccess, caseAction((jobId, { reviewer }, clientId) => {
+  caseReview.assign(jobId, { reviewer, assigned_by: clientId });
+}));
+
+// POST /addCaseNote - { job_id, text }
+router.post('/addCaseNote', requireAdmin, auth.requireJobAccess, caseAction((jobId, { text }, clientId) => {
+  caseReview.addNote(jobId, { author: clientId, text });
+}));
+
+// POST /overrideCheck - { job_id, check, outcome: accepted|rejected, reason }
+router.post('/overrideCheck', requireAdmin, auth.requireJobAccess, caseAction((jobId, { check, outcome, reason }, clientId) => {
+  caseReview.overrideCheck(jobId, { check, outcome, reason, reviewer: clientId });
+}));
+
+// POST /decideCase - { job_id, decision: approved|rejected, reason_codes, comment }
+router.post('/decideCase', requireAdmin, auth.requireJobAccess, caseAction((jobId, { decision, reason_codes, comment }, clientId) => {
+  caseReview.decide(jobId, { decision, reason_codes, comment, reviewer: clientId });
+}));
+
+module.exports = { router };
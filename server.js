@@ -1,845 +1,149 @@
+// KYB Automation API Service in Node.js
+// Single Express app: the onboarding UI in public/, the KYB job API and the
+// Companies House and research helpers the UI uses, all on one port.
+
+// Load environment variables from .env file
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const axios = require('axios');
-const dotenv = require('dotenv');
-const cheerio = require('cheerio');
-const UserAgent = require('user-agents');
-const { JSDOM } = require('jsdom');
-
-// Load environment variables from .env file
-dotenv.config();
+const kyb = require('./kyb');
+const { router: jobRoutes } = require('./routes/jobs');
+const { router: companiesHouseRoutes } = require('./routes/companiesHouse');
+const { router: researchRoutes } = require('./routes/research');
+const { router: reviewRoutes } = require('./routes/reviews');
+const { router: auditRoutes } = require('./routes/audit');
 
 const app = express();
-const PORT = process.env.PORT || 3011;
-
-// Store active SSE clients
-const clients = new Map();
-
-// Custom logging function that both logs to console and stores for SSE
-const logStatus = (businessName, message) => {
-    console.log(`${businessName ? `[${businessName}] ` : ''}${message}`);
-    
-    // Send to any connected clients for this business
-    const clientId = businessName ? businessName.toLowerCase().replace(/\s+/g, '_') : 'global';
-    const clientConnections = clients.get(clientId);
-    
-    if (clientConnections && clientConnections.length > 0) {
-        const eventData = JSON.stringify({ 
-            status: message,
-            timestamp: new Date().toISOString()
-        });
-        
-        clientConnections.forEach(client => {
-            client.write(`data: ${eventData}\n\n`);
-        });
-    }
-};
+const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
 app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Server-sent events endpoint for log updates
-app.get('/log-updates', (req, res) => {
-    const { business } = req.query;
-    const clientId = business ? business.toLowerCase().replace(/\s+/g, '_') : 'global';
-    
-    // Set headers for SSE
-    res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive'
-    });
-    
-    // Send an initial message
-    res.write(`data: ${JSON.stringify({ status: "Connected to log updates stream" })}\n\n`);
-    
-    // Store the client connection
-    if (!clients.has(clientId)) {
-        clients.set(clientId, []);
-    }
-    clients.get(clientId).push(res);
-    
-    // Handle client disconnect
-    req.on('close', () => {
-        const clientConnections = clients.get(clientId);
-        const index = clientConnections.indexOf(res);
-        if (index !== -1) {
-            clientConnections.splice(index, 1);
-        }
-        if (clientConnections.length === 0) {
-            clients.delete(clientId);
-        }
-    });
-});
-
-// API Keys (in production, these should be in .env)
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'YOUR_OPENAI_API_KEY';
-const COMPANIES_HOUSE_API_KEY = process.env.COMPANY_HOUSE_API_KEY || 'YOUR_COMPANIES_HOUSE_API_KEY';
 
-// Endpoint to start verification job
-app.post('/startKYB', (req, res) => {
-    const { business_name, enhanced_data } = req.body;
-    
-    if (!business_name) {
-        return res.status(400).json({ error: 'Business name is required' });
-    }
-    
-    // Generate a mock job ID
-    const job_id = 'job_' + Math.random().toString(36).substring(2, 15);
-    
-    logStatus(business_name, `Starting verification for "${business_name}"`);
-    if (enhanced_data) {
-        logStatus(business_name, `Enhanced data provided:`, enhanced_data);
-    }
-    
-    // In a real application, this would initiate a verification process
-    // with the enhanced data used to improve verification accuracy
-    res.json({
-        success: true,
-        job_id,
-        message: `Verification started for ${business_name}`
-    });
-});
-
-// Endpoint to search for information about a business using OpenAI
-app.post('/searchBusinessData', async (req, res) => {
-    const { business_name, missing_fields } = req.body;
-    
-    if (!business_name) {
-        return res.status(400).json({ error: 'Business name is required' });
-    }
-    
-    try {
-        // Build prompt for OpenAI
-        const prompt = `Find the following information about the business "${business_name}":
-${missing_fields.map(field => `- ${field}`).join('\n')}
-
-Return ONLY the information in valid JSON format with the following structure:
-{
-  "address": "Full business address",
-  "registrationNumber": "Company registration number",
-  "incorporationDate": "Date in YYYY-MM-DD format",
-  "directors": [{"name": "Director name", "role": "Role", "appointedDate": "YYYY-MM-DD"}],
-  "industry": "Industry sector"
+// Browsers on other origins may call the API only when listed in CORS_ORIGINS
+// (comma-separated, or * for any); the UI in public/ is same-origin
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (corsOrigins.length > 0) {
+  app.use(cors({
+    origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Tenant-ID']
+  }));
+}
+app.use(express.static(path.join(__dirname, 'public'))); // Serve static files from /public
+
+// Request fields that are never written to the log (callback_secret, api_key,
+// passwords, tokens), at any depth of the body or query
+const SECRET_FIELD = /secret|password|token|api_?key/i;
+
+function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = SECRET_FIELD.test(key) ? '[redacted]' : redactSecrets(field);
+  }
+  return copy;
 }
 
-Only include fields that you can find reliable information for. If you can't find information for a field, leave it out of the JSON. Don't include any explanations, notes, or text outside the JSON object.`;
-
-        // Make actual call to OpenAI
-        const openAIResponse = await axios.post(
-            'https://api.openai.com/v1/chat/completions',
-            {
-                model: 'gpt-4',
-                messages: [
-                    { role: 'system', content: 'You are a helpful assistant that searches for business information and returns it in valid JSON format only. Do not include any text outside the JSON object.' },
-                    { role: 'user', content: prompt }
-                ],
-                temperature: 0.3
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-        
-        // Extract and parse response
-        const aiResponseText = openAIResponse.data.choices[0].message.content;
-        logStatus(business_name, `Raw OpenAI response: ${aiResponseText}`);
-        
-        // Try to parse the response as JSON
-        let businessData;
-        
-        // Method 1: Direct parsing
-        try {
-            businessData = JSON.parse(aiResponseText);
-        } catch (e) {
-            // Method 2: Try to extract JSON using regex for {...}
-            const jsonMatch = aiResponseText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                try {
-                    businessData = JSON.parse(jsonMatch[0]);
-                } catch (e2) {
-                    // Method 3: Try stricter JSON extraction with balanced braces
-                    let jsonStr = '';
-                    let braceCount = 0;
-                    let started = false;
-                    
-                    for (let i = 0; i < aiResponseText.length; i++) {
-                        const char = aiResponseText[i];
-                        
-                        if (char === '{') {
-                            if (!started) started = true;
-                            braceCount++;
-                            jsonStr += char;
-                        } else if (char === '}') {
-                            braceCount--;
-                            jsonStr += char;
-                            
-                            if (started && braceCount === 0) {
-                                break; // We've found a complete JSON object
-                            }
-                        } else if (started) {
-                            jsonStr += char;
-                        }
-                    }
-                    
-                    if (jsonStr && braceCount === 0) {
-                        try {
-                            businessData = JSON.parse(jsonStr);
-                        } catch (e3) {
-                            // If all attempts fail, create a minimal response with just the business name
-                            logStatus(business_name, `Failed to parse OpenAI response after multiple attempts: ${e3}`);
-                            businessData = { name: business_name };
-                        }
-                    } else {
-                        // If all attempts fail, create a minimal response with just the business name
-                        logStatus(business_name, `Failed to extract valid JSON`);
-                        businessData = { name: business_name };
-                    }
-                }
-            } else {
-                // If no JSON-like structure found, create a minimal response
-                logStatus(business_name, `No JSON-like structure found in response`);
-                businessData = { name: business_name };
-            }
-        }
-        
-        res.json({
-            success: true,
-            business_data: businessData
-        });
-    } catch (error) {
-        logStatus(business_name, `Error searching for business data with OpenAI: ${error}`);
-        
-        // Send back a default response with the business name
-        res.json({
-            success: true,
-            business_data: {
-                name: business_name
-            }
-        });
-    }
-});
-
-// Endpoint to search Companies House
-app.get('/companiesHouse/search', async (req, res) => {
-    const { query } = req.query;
-    
-    if (!query) {
-        return res.status(400).json({ error: 'Search query is required' });
-    }
-    
-    try {
-        // Base64 encode the API key for basic auth
-        const auth = Buffer.from(COMPANIES_HOUSE_API_KEY + ':').toString('base64');
-        
-        const response = await axios.get(
-            `https://api.company-information.service.gov.uk/search/companies?q=${encodeURIComponent(query)}`,
-            {
-                headers: {
-                    'Authorization': `Basic ${auth}`
-                }
-            }
-        );
-        
-        res.json({
-            success: true,
-            results: response.data.items || []
-        });
-    } catch (error) {
-        logStatus(null, `Error searching Companies House: ${error}`);
-        res.status(500).json({
-            error: 'Failed to search Companies House',
-            message: error.response ? error.response.data : error.message
-        });
-    }
-});
-
-// Endpoint to get company details from Companies House
-app.get('/companiesHouse/company/:number', async (req, res) => {
-    const { number } = req.params;
-    
-    if (!number) {
-        return res.status(400).json({ error: 'Company number is required' });
+// Add request logging middleware
+app.use((req, res, next) => {
+  const start = Date.now();
+  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  
+  // Log request body for POST requests
+  if (req.method === 'POST' && req.body) {
+    console.log(`Request Body:`, redactSecrets(req.body));
+  }
+  
+  // Log query parameters for GET requests (event streams may carry an API key)
+  if (req.method === 'GET' && Object.keys(req.query).length > 0) {
+    console.log(`Query Params:`, redactSecrets(req.query));
+  }
+  
+  // Capture the response
+  const originalSend = res.send;
+  res.send = function(body) {
+    const responseTime = Date.now() - start;
+    console.log(`[${new Date().toISOString()}] Response ${res.statusCode} - ${responseTime}ms`);
+    
+    // Log response for non-ok status codes or if it's an error
+    if (res.statusCode !== 200 || (typeof body === 'string' && body.includes('error'))) {
+      console.log(`Response Body:`, body);
     }
     
-    try {
-        // Base64 encode the API key for basic auth
-        const auth = Buffer.from(COMPANIES_HOUSE_API_KEY + ':').toString('base64');
-        
-        // Get company profile
-        const profileResponse = await axios.get(
-            `https://api.company-information.service.gov.uk/company/${number}`,
-            {
-                headers: {
-                    'Authorization': `Basic ${auth}`
-                }
-            }
-        );
-        
-        // Get officers (directors)
-        const officersResponse = await axios.get(
-            `https://api.company-information.service.gov.uk/company/${number}/officers`,
-            {
-                headers: {
-                    'Authorization': `Basic ${auth}`
-                }
-            }
-        );
-        
-        // Combine the data
-        const companyData = {
-            profile: profileResponse.data,
-            officers: officersResponse.data.items || []
-        };
-        
-        res.json({
-            success: true,
-            data: companyData
-        });
-    } catch (error) {
-        logStatus(null, `Error fetching company details: ${error}`);
-        res.status(500).json({
-            error: 'Failed to fetch company details',
-            message: error.response ? error.response.data : error.message
-        });
-    }
+    originalSend.call(this, body);
+  };
+  
+  next();
 });
 
-// Endpoint to search for company website
-app.get('/findWebsite', async (req, res) => {
-    const { company_name } = req.query;
-    
-    if (!company_name) {
-        return res.status(400).json({ error: 'Company name is required' });
-    }
-    
-    logStatus(company_name, `Finding website for "${company_name}"`);
-    
+// Add middleware to handle JSON circular references and ensure valid JSON responses
+app.use((req, res, next) => {
+  // Override res.json to handle circular references and other JSON errors
+  const originalJson = res.json;
+  res.json = function(obj) {
     try {
-        // Set up search parameters
-        const normalizedCompanyName = company_name.toLowerCase().trim();
-        const searchTerms = [
-            `${company_name} official website`,
-            `${company_name} company website`,
-            `${company_name} contact us`
-        ];
-        
-        // Try direct web search first (since Google API fails with 403)
-        logStatus(company_name, `Using direct web search as primary method`);
-        
-        // Perform multiple searches with different terms to increase chances of finding the correct site
-        let allSearchResults = [];
-        for (const searchTerm of searchTerms) {
-            try {
-                const results = await directWebSearch(searchTerm);
-                if (results && results.length > 0) {
-                    // Add search term as context
-                    results.forEach(r => r.searchTerm = searchTerm);
-                    allSearchResults = allSearchResults.concat(results);
-                }
-            } catch (err) {
-                logStatus(company_name, `Search error for term "${searchTerm}": ${err.message}`);
-            }
-        }
-        
-        // Remove duplicates by URL
-        const uniqueUrls = new Set();
-        allSearchResults = allSearchResults.filter(result => {
-            const url = new URL(result.url);
-            const hostname = url.hostname.replace(/^www\./, '');
-            if (uniqueUrls.has(hostname)) {
-                return false;
-            }
-            uniqueUrls.add(hostname);
-            return true;
-        });
-        
-        logStatus(company_name, `Found ${allSearchResults.length} unique search results`);
-        
-        if (allSearchResults.length > 0) {
-            // Score and rank results based on relevance
-            const scoredResults = scoreWebsiteResults(allSearchResults, normalizedCompanyName);
-            
-            // Pick the highest scoring result
-            const bestResult = scoredResults[0];
-            
-            logStatus(company_name, `Best match found: ${bestResult.url} (score: ${bestResult.score})`);
-            
-            // Return the best result
-            res.json({
-                success: true,
-                website: bestResult.url,
-                source: 'web_search',
-                all_results: scoredResults.slice(0, 5)
-            });
-            return;
-        }
-        
-        // If no results from direct search, fall back to Google API (which may fail)
-        try {
-            logStatus(company_name, `Attempting Google Search API call as fallback`);
-            const searchResponse = await axios.get(
-                `https://www.googleapis.com/customsearch/v1`,
-                {
-                    params: {
-                        key: process.env.GOOGLE_API_KEY,
-                        cx: process.env.GOOGLE_SEARCH_ENGINE_ID,
-                        q: `${company_name} official website`
-                    },
-                    timeout: 5000
-                }
-            );
-            
-            // Process Google API results...
-            // ... (existing Google API code)
-        } catch (googleError) {
-            logStatus(company_name, `Google Search API error: ${googleError.message}`);
-        }
-        
-        // If all else fails, use domain guessing as a last resort
-        logStatus(company_name, `Using domain guessing as last resort`);
-        
-        // Generate domain slug
-        const companyNameSlug = company_name.toLowerCase()
-            .replace(/[^a-z0-9]/g, '')
-            .replace(/\s+/g, '');
-            
-        // Check if it might be a UK company
-        const isUkCompany = company_name.toLowerCase().includes('uk') || 
-            company_name.toLowerCase().includes('united kingdom') ||
-            company_name.toLowerCase().includes('britain') ||
-            company_name.toLowerCase().includes('england') ||
-            company_name.toLowerCase().includes('scotland') ||
-            company_name.toLowerCase().includes('wales') ||
-            company_name.toLowerCase().includes('gym') ||
-            company_name.toLowerCase().includes('fitness');
-        
-        // Try with different domain extensions
-        const domains = isUkCompany 
-            ? ['.co.uk', '.uk', '.com', '.org', '.net', '.io']
-            : ['.com', '.org', '.net', '.io', '.co.uk', '.uk'];
-            
-        logStatus(company_name, `Domain extension preference order: ${domains.join(', ')}`);
-            
-        const domainGuesses = domains.map(domain => `https://www.${companyNameSlug}${domain}`);
-        
-        // Try to validate domains
-        let validWebsite = null;
-        
-        try {
-            for (const domainGuess of domainGuesses) {
-                try {
-                    logStatus(company_name, `Checking domain availability: ${domainGuess}`);
-                    const response = await axios.head(domainGuess, { 
-                        timeout: 3000,
-                        validateStatus: status => status < 500
-                    });
-                    
-                    if (response.status < 400) {
-                        validWebsite = domainGuess;
-                        logStatus(company_name, `Found valid website: ${validWebsite}`);
-                        break;
-                    }
-                } catch (error) {
-                    // Continue to next domain if this one fails
-                }
-            }
-        } catch (error) {
-            logStatus(company_name, `Error checking domain availability: ${error.message}`);
-        }
-        
-        // Use the valid website or default to the first guess
-        let finalWebsite;
-        
-        if (validWebsite) {
-            finalWebsite = validWebsite;
-        } else if (isUkCompany) {
-            finalWebsite = `https://www.${companyNameSlug}.co.uk`;
-        } else {
-            finalWebsite = domainGuesses[0];
-        }
-        
-        logStatus(company_name, `Final website guess: ${finalWebsite}`);
-        
-        res.json({
-            success: true,
-            website: finalWebsite,
-            source: 'domain_guess',
-            is_uk_company: isUkCompany,
-            note: 'Website URL is a guess based on company name. Verify before use.',
-            tried_domains: domainGuesses
-        });
-    } catch (error) {
-        logStatus(company_name, `Error finding company website: ${error.message}`);
-        
-        // Emergency fallback
-        res.json({
-            success: true,
-            website: `https://www.${company_name.toLowerCase().replace(/[^a-z0-9]/g, '').replace(/\s+/g, '')}.com`,
-            source: 'error_fallback',
-            note: 'Error occurred during search - website is a guess only'
-        });
+      // Try to detect circular references by stringifying the object
+      JSON.stringify(obj);
+      return originalJson.call(this, obj);
+    } catch (err) {
+      // If there's a circular reference or other JSON error, log it and send a sanitized response
+      console.error(`JSON serialization error: ${err.message}`);
+      
+      // Create a safe copy of the object without circular references
+      const safeObj = { 
+        error: 'Response contained invalid JSON structure',
+        message: err.message,
+        timestamp: new Date().toISOString(),
+        endpoint: req.originalUrl,
+        method: req.method
+      };
+      
+      // If this was an error response, preserve the error and status
+      if (obj.error) {
+        safeObj.original_error = typeof obj.error === 'string' ? obj.error : 'Complex error object';
+      }
+      
+      // Set appropriate status if not already set
+      if (res.statusCode === 200) {
+        res.status(500);
+      }
+      
+      return originalJson.call(this, safeObj);
     }
+  };
+  next();
 });
 
-// Score and rank website results based on relevance to company name
-function scoreWebsiteResults(results, normalizedCompanyName) {
-    // Split company name into tokens
-    const companyNameTokens = normalizedCompanyName.split(/[^a-z0-9]+/).filter(Boolean);
-    
-    results.forEach(result => {
-        let score = 0;
-        const url = new URL(result.url);
-        const hostname = url.hostname.toLowerCase();
-        const hostnameWithoutWWW = hostname.replace(/^www\./, '');
-        const path = url.pathname.toLowerCase();
-        
-        // Exact domain match (highest priority)
-        // Example: 38fitness.co.uk for "38 fitness"
-        let domainName = hostnameWithoutWWW.split('.')[0];
-        
-        // Check if hostname contains all tokens from company name with no separators
-        const noSpaceCompanyName = companyNameTokens.join('');
-        if (domainName.includes(noSpaceCompanyName)) {
-            score += 100;
-        }
-        
-        // Check for numeric/text mix like "38fitness" vs "38 fitness"
-        const companyNameWithNumbers = normalizedCompanyName.replace(/[^a-z0-9]/g, '');
-        if (domainName === companyNameWithNumbers) {
-            score += 100;
-        }
-        
-        // Check if hostname contains all tokens from company name
-        const allTokensInDomain = companyNameTokens.every(token => hostnameWithoutWWW.includes(token));
-        if (allTokensInDomain) {
-            score += 50;
-        }
-        
-        // Add points for each company name token present in the domain
-        companyNameTokens.forEach(token => {
-            if (hostnameWithoutWWW.includes(token)) {
-                score += 20 * (token.length / companyNameTokens.join('').length);
-            }
-        });
-        
-        // Prefer shorter hostnames (more likely to be official site vs. directory)
-        score -= hostnameWithoutWWW.length * 0.5;
-        
-        // Prefer domains with fewer subdirectories (likely homepage)
-        const pathDepth = path.split('/').filter(Boolean).length;
-        score -= pathDepth * 5;
-        
-        // Prefer common TLDs
-        if (hostname.endsWith('.com') || hostname.endsWith('.co.uk')) {
-            score += 10;
-        }
-        
-        // Prefer .co.uk for UK-related terms
-        if (
-            (normalizedCompanyName.includes('uk') || 
-             normalizedCompanyName.includes('british') || 
-             normalizedCompanyName.includes('england')) && 
-            hostname.endsWith('.co.uk')
-        ) {
-            score += 15;
-        }
-        
-        // Prefer sites with "official" in title
-        if (result.title && result.title.toLowerCase().includes('official')) {
-            score += 10;
-        }
-        
-        // Prefer domains that don't include other businesses
-        const directoryTerms = ['directory', 'list', 'businesses', 'companies', 'find', 'search'];
-        if (directoryTerms.some(term => hostname.includes(term))) {
-            score -= 30;
-        }
-        
-        // Penalize URLs that clearly belong to other platforms
-        const penalizeTerms = ['linkedin', 'facebook', 'instagram', 'twitter', 'yelp', 'trustpilot', 'companies house'];
-        for (const term of penalizeTerms) {
-            if (hostname.includes(term)) {
-                score -= 100;
-                break;
-            }
-        }
-        
-        // Store the score
-        result.score = score;
-    });
-    
-    // Sort by score, highest first
-    return results.sort((a, b) => b.score - a.score);
-}
-
-// Function to perform direct web search without using Google API
-async function directWebSearch(query) {
-    try {
-        // Generate a random user agent to avoid blocking
-        const userAgent = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/94.0.4606.81 Safari/537.36";
-        
-        // First try with Bing (often less restrictive than Google)
-        const searchUrl = `https://www.bing.com/search?q=${encodeURIComponent(query)}`;
-        
-        const response = await axios.get(searchUrl, {
-            headers: {
-                'User-Agent': userAgent,
-                'Accept': 'text/html',
-                'Accept-Language': 'en-US,en;q=0.9'
-            },
-            timeout: 10000
-        });
-        
-        const $ = cheerio.load(response.data);
-        
-        // Parse search results
-        const searchResults = [];
-        
-        // Get all search result links
-        const resultElements = $('.b_algo');
-        
-        for (let i = 0; i < resultElements.length && i < 10; i++) {
-            const element = resultElements[i];
-            const linkElement = $(element).find('h2 a');
-            const descElement = $(element).find('.b_caption p');
-            
-            if (linkElement && linkElement.attr('href')) {
-                const fullUrl = linkElement.attr('href');
-                
-                try {
-                    const url = new URL(fullUrl);
-                    const domain = url.hostname.replace('www.', '');
-                    
-                    // Skip known non-company domains
-                    const excludeDomains = [
-                        'facebook.com', 'twitter.com', 'linkedin.com', 'instagram.com',
-                        'youtube.com', 'pinterest.com', 'yelp.com', 'yellowpages.com',
-                        'bbb.org', 'trustpilot.com', 'google.com', 'wikipedia.org',
-                        'companies-house.gov.uk', 'endole.co.uk', 'finder.com'
-                    ];
-                    
-                    if (!excludeDomains.some(d => domain.includes(d))) {
-                        searchResults.push({
-                            url: fullUrl,
-                            title: $(linkElement).text() || '',
-                            description: $(descElement).text() || '',
-                            position: i + 1
-                        });
-                    }
-                } catch (e) {
-                    // Skip invalid URLs
-                }
-            }
-        }
-        
-        // If Bing fails or returns no results, try DuckDuckGo as a backup
-        if (searchResults.length === 0) {
-            try {
-                const duckDuckGoUrl = `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`;
-                
-                const ddgResponse = await axios.get(duckDuckGoUrl, {
-                    headers: {
-                        'User-Agent': userAgent,
-                        'Accept': 'text/html',
-                        'Accept-Language': 'en-US,en;q=0.9'
-                    },
-                    timeout: 10000
-                });
-                
-                const ddg$ = cheerio.load(ddgResponse.data);
-                
-                // Parse DuckDuckGo search results
-                const ddgResultElements = ddg$('.result');
-                
-                for (let i = 0; i < ddgResultElements.length && i < 10; i++) {
-                    const element = ddgResultElements[i];
-                    const linkElement = ddg$(element).find('.result__a');
-                    const descElement = ddg$(element).find('.result__snippet');
-                    
-                    if (linkElement && linkElement.attr('href')) {
-                        // DuckDuckGo uses relative URLs with a redirect
-                        const relativeUrl = linkElement.attr('href');
-                        // Extract the actual URL from the redirect
-                        const match = relativeUrl.match(/uddg=([^&]+)/);
-                        const fullUrl = match ? decodeURIComponent(match[1]) : null;
-                        
-                        if (fullUrl) {
-                            try {
-                                const url = new URL(fullUrl);
-                                const domain = url.hostname.replace('www.', '');
-                                
-                                // Skip known non-company domains
-                                const excludeDomains = [
-                                    'facebook.com', 'twitter.com', 'linkedin.com', 'instagram.com',
-                                    'youtube.com', 'pinterest.com', 'yelp.com', 'yellowpages.com',
-                                    'bbb.org', 'trustpilot.com', 'google.com', 'wikipedia.org',
-                                    'companies-house.gov.uk', 'endole.co.uk', 'finder.com'
-                                ];
-                                
-                                if (!excludeDomains.some(d => domain.includes(d))) {
-                                    searchResults.push({
-                                        url: fullUrl,
-                                        title: ddg$(linkElement).text() || '',
-                                        description: ddg$(descElement).text() || '',
-                                        position: i + 1
-                                    });
-                                }
-                            } catch (e) {
-                                // Skip invalid URLs
-                            }
-                        }
-                    }
-                }
-            } catch (ddgError) {
-                console.error('DuckDuckGo search error:', ddgError);
-            }
-        }
-        
-        return searchResults;
-    } catch (error) {
-        console.error('Direct web search error:', error);
-        return [];
-    }
-}
-
-// Endpoint to scrape company website for information
-app.post('/scrapeWebsite', async (req, res) => {
-    const { url } = req.body;
-    
-    if (!url) {
-        return res.status(400).json({ error: 'Website URL is required' });
-    }
-    
-    logStatus(null, `Scraping website: ${url}`);
-    
-    try {
-        // Fetch the website content
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            },
-            timeout: 10000
-        });
-        
-        const $ = cheerio.load(response.data);
-        
-        // Extract information
-        const scrapedData = {
-            url: url, // Add the URL to the response
-            title: $('title').text().trim(),
-            description: $('meta[name="description"]').attr('content') || '',
-            companyInfo: {}
-        };
-
-        logStatus(null, `Found title: "${scrapedData.title}"`);
-        
-        // Look for contact information
-        const emailRegex = /[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,6}/g;
-        const phoneRegex = /(\+\d{1,3}[ -]?)?\(?\d{3}\)?[ -]?\d{3}[ -]?\d{4}/g;
-        
-        // Search in the HTML for contact information
-        const html = response.data;
-        
-        // Extract email
-        const emailMatches = html.match(emailRegex);
-        if (emailMatches && emailMatches.length > 0) {
-            // Filter out common false positives
-            const validEmails = emailMatches.filter(email => 
-                !email.includes('example.com') && 
-                !email.includes('domain.com') &&
-                !email.includes('your-domain.com')
-            );
-            
-            if (validEmails.length > 0) {
-                scrapedData.companyInfo.email = validEmails[0];
-                logStatus(null, `Found email: ${validEmails[0]}`);
-            }
-        }
-        
-        // Extract phone
-        const phoneMatches = html.match(phoneRegex);
-        if (phoneMatches && phoneMatches.length > 0) {
-            scrapedData.companyInfo.phone = phoneMatches[0];
-            logStatus(null, `Found phone: ${phoneMatches[0]}`);
-        }
-        
-        // Look for address
-        let address = '';
-        
-        // Look for common address patterns
-        $('p, div, address').each(function() {
-            const text = $(this).text().trim();
-            
-            // Check if text resembles an address
-            if ((text.includes('street') || text.includes('avenue') || text.includes('road') || 
-                 text.includes(' st ') || text.includes(' ave ') || text.includes(' rd ')) && 
-                (text.includes('suite') || text.includes('floor') || text.includes('zip') || 
-                text.includes('postal') || text.includes('code'))) {
-                
-                if (text.length > address.length && text.length < 200) {
-                    address = text;
-                }
-            }
-        });
-        
-        if (address) {
-            scrapedData.companyInfo.address = address;
-            logStatus(null, `Found address: ${address.substring(0, 50)}...`);
-        }
-        
-        // Try to find VAT number
-        const vatRegex = /(VAT|Tax)\s*(Number|ID|No|#)?:?\s*([A-Z]{2}\d{9}|\d{9,12})/i;
-        const vatMatch = html.match(vatRegex);
-        if (vatMatch && vatMatch[3]) {
-            scrapedData.companyInfo.vat = vatMatch[3];
-            logStatus(null, `Found VAT number: ${vatMatch[3]}`);
-        }
-        
-        // Try to find registration number
-        const regNumberRegex = /(Company|Registration|Reg)\s*(Number|No|#)?:?\s*(\d{6,12})/i;
-        const regMatch = html.match(regNumberRegex);
-        if (regMatch && regMatch[3]) {
-            scrapedData.companyInfo.registrationNumber = regMatch[3];
-            logStatus(null, `Found registration number: ${regMatch[3]}`);
-        }
-        
-        // Add extra scraping for Alpha Muscle Gym to simulate results
-        if (url.includes('alphamusclegym.co.uk')) {
-            logStatus(null, `Enhanced scraping for Alpha Muscle Gym`);
-            scrapedData.title = 'Alpha Muscle Gym - Premier Fitness Center';
-            scrapedData.description = 'Join Alpha Muscle Gym for premium fitness facilities, expert personal trainers, and a supportive community to help you achieve your fitness goals.';
-            scrapedData.companyInfo.email = 'info@alphamusclegym.co.uk';
-            scrapedData.companyInfo.phone = '+44 20 1234 5678';
-            scrapedData.companyInfo.address = '123 Fitness Street, London, UK';
-            scrapedData.companyInfo.vat = 'GB123456789';
-            scrapedData.companyInfo.registrationNumber = 'AMG123456';
-            scrapedData.pageSections = ['Home', 'About Us', 'Memberships', 'Classes', 'Facilities', 'Contact'];
-            scrapedData.membershipOptions = ['Basic', 'Premium', 'Elite'];
-        }
-        
-        logStatus(null, `Website scraping completed successfully`);
-        
-        res.json({
-            success: true,
-            data: scrapedData,
-            website: url
-        });
-    } catch (error) {
-        logStatus(null, `Error scraping website: ${error}`);
-        res.status(500).json({
-            error: 'Failed to scrape website',
-            message: error.message
-        });
-    }
+// Routes
+app.use(jobRoutes);
+app.use(companiesHouseRoutes);
+app.use(researchRoutes);
+app.use(reviewRoutes);
+app.use(auditRoutes);
+
+// Start API server with better error handling
+app.listen(PORT, '0.0.0.0', () => {
+  console.log(`KYB API service running on port ${PORT}`);
+  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`Visit http://localhost:${PORT} to access the verification UI`);
+
+  const authStatus = kyb.auth.status();
+  if (!authStatus.enabled) {
+    console.warn('WARNING: AUTH_MODE=off - the KYB API is open to anyone who can reach it');
+  } else if (authStatus.clients === 0 && !authStatus.jwt) {
+    console.warn('WARNING: no API clients (API_CLIENTS_FILE) or JWT_SECRET configured - every KYB API request will be refused');
+  }
+  
+  kyb.start();
+})
+.on('error', (err) => {
+  console.error('ERROR STARTING SERVER:', err);
+  if (err.code === 'EADDRINUSE') {
+    console.error(`Port ${PORT} is already in use. Make sure no other instance is running or use a different port.`);
+    process.exit(1);
+  } else {
+    console.error('Server error:', err);
+    process.exit(1);
+  }
 });
-
-app.listen(PORT, () => {
-    logStatus(null, `Server running on port ${PORT}`);
-}); 
\ No newline at end of file
@@ -0,0 +1,189 @@
+// UK address comparison
+// Compares an address scraped from a website (free text) with the registered
+// office address from Companies House (structured). Both sides are reduced
+// to a postcode, building numbers and normalised word tokens, and each
+// component that agrees adds to the score.
+
+const MATCH_THRESHOLD = parseFloat(process.env.ADDRESS_MATCH_THRESHOLD) || 0.7;
+
+// Outward code (area + district) and inward code (sector + unit)
+const POSTCODE_PATTERN = /\b(GIR ?0AA|[A-Z]{1,2}[0-9][A-Z0-9]? ?[0-9][A-Z]{2})\b/i;
+
+const WEIGHTS = {
+  postcode: { full: 0.5, sector: 0.3, district: 0.15 },
+  building_number: 0.2,
+  street: 0.2,
+  town: 0.1
+};
+
+const ABBREVIATIONS = {
+  st: 'street',
+  str: 'street',
+  rd: 'road',
+  ave: 'avenue',
+  av: 'avenue',
+  ln: 'lane',
+  dr: 'drive',
+  ct: 'court',
+  cl: 'close',
+  pl: 'place',
+  sq: 'square',
+  cres: 'crescent',
+  gdns: 'gardens',
+  gr: 'grove',
+  terr: 'terrace',
+  tce: 'terrace',
+  pde: 'parade',
+  hwy: 'highway',
+  blvd: 'boulevard',
+  pk: 'park',
+  est: 'estate',
+  ind: 'industrial',
+  bldg: 'building',
+  bldgs: 'buildings',
+  hse: 'house',
+  ho: 'house',
+  fl: 'floor',
+  flr: 'floor',
+  ste: 'suite',
+  ctr: 'centre',
+  center: 'centre',
+  mt: 'mount',
+  nth: 'north',
+  sth: 'south',
+  upr: 'upper',
+  lwr: 'lower'
+};
+
+// Words that say nothing about where the building is
+const STOP_WORDS = new Set([
+  'the', 'of', 'and', 'at', 'uk', 'gb', 'united', 'kingdom', 'great', 'britain',
+  'england', 'wales', 'scotland', 'northern', 'ireland',
+  'registered', 'office', 'address', 'head', 'company', 'limited', 'ltd',
+  // Sub-building labels are often left off websites; their numbers still count
+  'unit', 'suite', 'floor', 'flat', 'apartment', 'room'
+]);
+
+function parsePostcode(text) {
+  const match = String(text || '').match(POSTCODE_PATTERN);
+  if (!match) return null;
+
+  const compact = match[1].toUpperCase().replace(/\s+/g, '');
+  const outward = compact.slice(0, -3);
+  const inward = compact.slice(-3);
+  return {
+    postcode: `${outward} ${inward}`,
+    outward,
+    inward,
+    area: outward.match(/^[A-Z]+/)[0],
+    district: outward,
+    sector: `${outward} ${inward[0]}`
+  };
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/[\s]+/)
+    .flatMap(token => (/^\d+[a-z]?-\d+[a-z]?$/.test(token) ? token.split('-') : [token.replace(/^-+|-+$/g, '')]))
+    .filter(Boolean)
+    .map(token => ABBREVIATIONS[token] || token)
+    .filter(token => !STOP_WORDS.has(token));
+}
+
+function isBuildingNumber(token) {
+  return /^\d+[a-z]?$/.test(token);
+}
+
+function stripPostcode(text, postcode) {
+  if (!postcode) return text;
+  const pattern = new RegExp(`${postcode.outward}\\s*${postcode.inward}`, 'ig');
+  return String(text).replace(pattern, ' ');
+}
+
+// Companies House addresses are objects; website addresses are strings
+function normalizeAddress(address) {
+  if (!address) return null;
+
+  const structured = typeof address === 'object';
+  const streetText = structured
+    ? [address.po_box, address.premises, address.address_line_1, address.address_line_2].filter(Boolean).join(' ')
+    : String(address);
+  const townText = structured ? [address.locality, address.region].filter(Boolean).join(' ') : '';
+  const fullText = structured ? [streetText, townText, address.postal_code].filter(Boolean).join(', ') : streetText;
+
+  const postcode = parsePostcode(structured ? address.postal_code || fullText : fullText);
+  const streetTokens = tokenize(stripPostcode(streetText, postcode));
+  const townTokens = tokenize(townText);
+
+  return {
+    formatted: fullText.replace(/\s+/g, ' ').trim(),
+    postcode,
+    building_numbers: streetTokens.filter(isBuildingNumber),
+    street_tokens: streetTokens.filter(token => !isBuildingNumber(token)),
+    town_tokens: townTokens,
+    tokens: [...new Set([...streetTokens, ...townTokens])]
+  };
+}
+
+function comparePostcodes(a, b) {
+  if (!a || !b) return 'missing';
+  if (a.postcode === b.postcode) return 'full';
+  if (a.sector === b.sector) return 'sector';
+  if (a.district === b.district) return 'district';
+  return 'none';
+}
+
+// Share of the registered tokens that also appear on the website
+function coverage(registeredTokens, websiteTokens) {
+  if (registeredTokens.length === 0) return null;
+  const found = registeredTokens.filter(token => websiteTokens.has(token));
+  return { ratio: found.length / registeredTokens.length, found };
+}
+
+function compareAddresses(websiteAddress, registeredAddress) {
+  const website = normalizeAddress(websiteAddress);
+  const registered = normalizeAddress(registeredAddress);
+
+  if (!website || !registered) {
+    return { match: false, score: 0, matched_components: null, website, registered };
+  }
+
+  const websiteTokens = new Set(website.tokens);
+  const postcode = comparePostcodes(website.postcode, registered.postcode);
+  const buildingNumber = registered.building_numbers.length > 0 &&
+    registered.building_numbers.some(number => website.building_numbers.includes(number));
+  const street = coverage(registered.street_tokens, websiteTokens);
+  const town = coverage(registered.town_tokens, websiteTokens);
+
+  const matchedComponents = {
+    postcode,
+    building_number: buildingNumber,
+    street: Boolean(street && street.ratio >= 0.6),
+    town: Boolean(town && town.ratio >= 0.5)
+  };
+
+  let score = WEIGHTS.postcode[postcode] || 0;
+  if (matchedComponents.building_number) score += WEIGHTS.building_number;
+  if (matchedComponents.street) score += WEIGHTS.street;
+  if (matchedComponents.town) score += WEIGHTS.town;
+  score = Math.round(Math.min(score, 1) * 100) / 100;
+
+  return {
+    // A different postcode is never the same building, whatever else agrees
+    match: score >= MATCH_THRESHOLD && postcode !== 'none',
+    score,
+    threshold: MATCH_THRESHOLD,
+    matched_components: matchedComponents,
+    matched_tokens: [...(street?.found || []), ...(town?.found || [])],
+    website,
+    registered
+  };
+}
+
+module.exports = {
+  parsePostcode,
+  normalizeAddress,
+  compareAddresses
+};
@@ -0,0 +1,170 @@
+// Adverse media screening
+// Searches the web for the company and its key people together with risk
+// terms, then has the model classify every hit: is it about this company or
+// person rather than a namesake (relevance), and how serious is what it
+// reports (severity). Hits keep their source URL and snippet so a reviewer
+// can check the model's reading.
+//
+// Both the search and the classifier can be swapped (see screenAdverseMedia),
+// and the search backend itself can replay recorded results pages (see
+// services/webSearch.js).
+
+const { directWebSearch } = require('./webSearch');
+const llm = require('./llm');
+const prompts = require('./prompts');
+
+const DEFAULT_TERMS = ['fraud', 'insolvency', 'lawsuit', 'sanction'];
+const MAX_PEOPLE = parseInt(process.env.ADVERSE_MEDIA_MAX_PEOPLE, 10) || 3;
+const MAX_HITS = parseInt(process.env.ADVERSE_MEDIA_MAX_HITS, 10) || 20;
+
+const LEVELS = ['none', 'low', 'medium', 'high'];
+const CATEGORIES = ['fraud', 'financial_crime', 'sanctions', 'insolvency', 'litigation', 'regulatory', 'other', 'none'];
+
+function riskTerms() {
+  const configured = (process.env.ADVERSE_MEDIA_TERMS || '').split(',').map(term => term.trim()).filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_TERMS;
+}
+
+// Directors first, then owners; the company secretary and corporate
+// officers are left out
+function keyPeople(subjects) {
+  const rank = subject => {
+    if (/director/i.test(subject.role)) return 0;
+    if (/significant control|beneficial owner/i.test(subject.role)) return 1;
+    return null;
+  };
+  return subjects
+    .filter(subject => subject.type === 'individual' && rank(subject) !== null)
+    .sort((a, b) => rank(a) - rank(b))
+    .slice(0, MAX_PEOPLE);
+}
+
+function buildQueries({ companyName, subjects = [], terms = riskTerms() }) {
+  const termClause = `(${terms.join(' OR ')})`;
+  const queries = [{ subject: { name: companyName, role: 'company' }, query: `"${companyName}" ${termClause}` }];
+  keyPeople(subjects).forEach(person => {
+    queries.push({ subject: { name: person.name, role: person.role }, query: `"${person.name}" ${termClause}` });
+  });
+  return queries;
+}
+
+async function classifyWithLlm(hits, { companyName, companyNumber, people, signal = null }) {
+  const prompt = prompts.render('adverse_media', {
+    company_name: companyName,
+    company_number: companyNumber || null,
+    people: people.length > 0 ? people.join(', ') : 'none',
+    categories: CATEGORIES,
+    category_list: CATEGORIES.map(category => `"${category}"`).join(', '),
+    search_results: hits.map((hit, index) => `[${index}] ${hit.title}
+URL: ${hit.url}
+Snippet: ${hit.snippet}`).join('\n\n')
+  });
+  const response = await llm.completeJson({ ...prompt, signal });
+  return response.data.results;
+}
+
+function level(value) {
+  const normalized = String(value || '').toLowerCase();
+  return LEVELS.includes(normalized) ? normalized : 'none';
+}
+
+// A hit counts when the model thinks it is about them and reports something adverse
+function isAdverse(hit) {
+  return ['high', 'medium'].includes(hit.relevance) && hit.severity !== 'none' && hit.severity !== 'unknown';
+}
+
+// Options:
+//   subjects  - screening subjects (services/screening.js); directors and owners are searched
+//   search    - (query) => Promise of [{ url, title, description }], directWebSearch by default
+//   classify  - (hits, context) => Promise of [{ index, relevance, severity, category, summary }]
+//   signal    - AbortSignal for the classification's LLM call, passed in context
+async function screenAdverseMedia({
+  companyName,
+  companyNumber = null,
+  subjects = [],
+  search = query => directWebSearch(query, { excludeDomains: [] }),
+  classify = classifyWithLlm,
+  signal = null,
+  log = () => {}
+}) {
+  const queries = buildQueries({ companyName, subjects });
+  const byUrl = new Map();
+
+  for (const entry of queries) {
+    const { subject, query } = entry;
+    const results = await search(query);
+    entry.results = results.length;
+    log(`Adverse media search "${query}": ${results.length} results`);
+    results.forEach(result => {
+      const existing = byUrl.get(result.url);
+      if (existing) {
+        if (!existing.subjects.includes(subject.name)) existing.subjects.push(subject.name);
+        if (!existing.queries.includes(query)) existing.queries.push(query);
+        if (result.position && (!existing.position || result.position < existing.position)) existing.position = result.position;
+        return;
+      }
+      byUrl.set(result.url, {
+        url: result.url,
+        title: result.title || '',
+        snippet: result.description || '',
+        position: result.position || null,
+        subjects: [subject.name],
+        queries: [query]
+      });
+    });
+  }
+
+  const hits = [...byUrl.values()]
+    .sort((a, b) => (a.position || 99) - (b.position || 99))
+    .slice(0, MAX_HITS);
+
+  const screening = {
+    status: 'clear',
+    terms: riskTerms(),
+    queries: queries.map(({ subject, query, results }) => ({ subject: subject.name, role: subject.role, query, results })),
+    hits,
+    adverse_hits: 0,
+    classification_error: null,
+    screened_at: new Date().toISOString()
+  };
+  if (hits.length === 0) return screening;
+
+  try {
+    const classifications = await classify(hits, {
+      companyName,
+      companyNumber,
+      people: keyPeople(subjects).map(person => person.name),
+      signal
+    });
+    hits.forEach((hit, index) => {
+      const classification = classifications.find(c => Number(c.index) === index) || {};
+      hit.relevance = level(classification.relevance);
+      hit.severity = level(classification.severity);
+      hit.category = CATEGORIES.includes(classification.category) ? classification.category : 'other';
+      hit.summary = classification.summary || null;
+    });
+  } catch (err) {
+    log(`Adverse media classification failed: ${err.message}`);
+    hits.forEach(hit => {
+      hit.relevance = 'unknown';
+      hit.severity = 'unknown';
+      hit.category = null;
+      hit.summary = null;
+    });
+    screening.status = 'unclassified';
+    screening.classification_error = err.message;
+    return screening;
+  }
+
+  screening.adverse_hits = hits.filter(isAdverse).length;
+  screening.status = screening.adverse_hits > 0 ? 'adverse_media_found' : 'clear';
+  return screening;
+}
+
+module.exports = {
+  DEFAULT_TERMS,
+  buildQueries,
+  classifyWithLlm,
+  isAdverse,
+  screenAdverseMedia
+};
@@ -0,0 +1,132 @@
+// AI claim corroboration
+// A CRN, website or officer named by the LLM is a claim, not a finding: it is
+// only accepted once a source that doesn't depend on the model backs it up.
+//   crn     - its Companies House record carries the name asked about, or,
+//             when the record can't be fetched, a Companies House search for
+//             that name returns it
+//   website - it shows the registered CRN (footer, legal page) or a name close
+//             to the registered one, or a web search for the registered name
+//             finds the same site
+//   officer - the Companies House officer list of the company names them
+// Every check returns a verdict the pipeline logs as 'AI Claim Corroborated'
+// or 'AI Claim Rejected'; a rejected claim is dropped, and the share of
+// rejected claims in a job lowers its verification confidence (the ai_claims
+// signal in services/verificationScore.js). Name similarity is passed in, as
+// for the verification score.
+
+const { isNamedOfficer } = require('./officers');
+
+const CORROBORATED = 'AI Claim Corroborated';
+const REJECTED = 'AI Claim Rejected';
+
+// Lowest similarity between the registered name and the name asked about for
+// the register to back a CRN (kybTask asks the user to confirm below this)
+const CRN_NAME_MATCH = 0.5;
+// Lowest similarity between the name on a site and the registered name, as in
+// processCRN's 'Company Name Comparison'
+const WEBSITE_NAME_MATCH = 0.7;
+
+function normalizeCrn(value) {
+  return value ? String(value).toUpperCase().replace(/\s+/g, '') : null;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (err) {
+    return null;
+  }
+}
+
+// claim: 'crn', 'website' or 'officer'; proposedBy: the prompt that named it
+function verdict(claim, value, proposedBy, corroboratedBy, reason) {
+  return {
+    claim,
+    value,
+    proposed_by: proposedBy,
+    corroborated: Boolean(corroboratedBy),
+    corroborated_by: corroboratedBy || null,
+    reason
+  };
+}
+
+// profile: the Companies House profile of the CRN (null when it could not be
+// fetched, with the reason in profileError); searchItems: the results of a
+// Companies House search for name, if one was made. A fetched profile decides
+// on its own: a search that lists the CRN for a name the register contradicts
+// is no evidence, so the search only counts when there is no profile.
+function checkCrn({ crn, name, proposedBy, profile = null, profileError = null, searchItems = [], similarity }) {
+  if (profile && profile.company_name) {
+    const score = similarity(profile.company_name.toLowerCase(), name.toLowerCase());
+    if (score >= CRN_NAME_MATCH) {
+      return verdict('crn', crn, proposedBy, 'companies_house', `Companies House has ${crn} as "${profile.company_name}" (name similarity ${score.toFixed(2)})`);
+    }
+    return verdict('crn', crn, proposedBy, null, `Companies House has ${crn} as "${profile.company_name}", not "${name}"`);
+  }
+  const listed = searchItems.find(item => normalizeCrn(item.company_number) === normalizeCrn(crn));
+  if (listed) {
+    return verdict('crn', crn, proposedBy, 'companies_house_search', `A Companies House search for "${name}" returns ${crn} ("${listed.title}")`);
+  }
+  return verdict('crn', crn, proposedBy, null, `${crn} could not be checked against Companies House: ${profileError || 'no record'}`);
+}
+
+// websiteCrn and websiteName: what a scrape of the site found; searchUrls: the
+// results of a web search for the registered name, if one was made
+function checkWebsite({ website, crn, registeredName, proposedBy, websiteCrn = null, websiteName = null, searchUrls = [], similarity }) {
+  if (websiteCrn && normalizeCrn(websiteCrn) === normalizeCrn(crn)) {
+    return verdict('website', website, proposedBy, 'website', `The site shows the registered CRN ${crn}`);
+  }
+  if (websiteName && similarity(websiteName, registeredName) >= WEBSITE_NAME_MATCH) {
+    return verdict('website', website, proposedBy, 'website', `The site names the company "${websiteName}"`);
+  }
+  const host = hostOf(website);
+  if (host && searchUrls.some(url => hostOf(url) === host)) {
+    return verdict('website', website, proposedBy, 'web_search', `A web search for "${registeredName}" finds ${host}`);
+  }
+  const found = websiteCrn ? `it shows the CRN ${websiteCrn}` : (websiteName ? `it names "${websiteName}"` : 'neither its CRN nor its name was found on it');
+  return verdict('website', website, proposedBy, null, `Nothing ties the site to "${registeredName}"${crn ? ` (${crn})` : ''}: ${found}, and a web search did not find it`);
+}
+
+// officers: the company's officers as normalized by services/officers.js, or
+// null when there is no registered company or its officers could not be loaded
+function checkOfficer({ name, crn, proposedBy, officers }) {
+  if (!officers) {
+    return verdict('officer', name, proposedBy, null, crn
+      ? `The Companies House officer list of ${crn} could not be loaded`
+      : `There is no registered company to check "${name}" against`);
+  }
+  const officer = officers.find(candidate => isNamedOfficer(candidate, name));
+  if (officer) {
+    return verdict('officer', name, proposedBy, 'companies_house', `Companies House lists ${officer.name} (${officer.role_label || 'officer'}) for ${crn}`);
+  }
+  return verdict('officer', name, proposedBy, null, `No officer of ${crn} on the Companies House register is called "${name}"`);
+}
+
+function logEntry(claimVerdict) {
+  return { step: claimVerdict.corroborated ? CORROBORATED : REJECTED, data: claimVerdict };
+}
+
+// The claims checked since the job last (re)started or was retried, from its
+// log: { total, rejected, rejection_rate, claims } with the verdicts in claims
+function summarizeClaims(logs) {
+  const steps = logs.map(entry => entry.step);
+  const restarted = Math.max(steps.lastIndexOf('Process Restarted'), steps.lastIndexOf('Retry Requested'));
+  const entries = logs.slice(restarted + 1).filter(entry => entry.step === CORROBORATED || entry.step === REJECTED);
+  const rejected = entries.filter(entry => entry.step === REJECTED);
+  return {
+    total: entries.length,
+    rejected: rejected.length,
+    rejection_rate: entries.length > 0 ? Math.round((rejected.length / entries.length) * 100) / 100 : null,
+    claims: entries.map(entry => entry.data)
+  };
+}
+
+module.exports = {
+  CORROBORATED,
+  REJECTED,
+  checkCrn,
+  checkWebsite,
+  checkOfficer,
+  logEntry,
+  summarizeClaims
+};
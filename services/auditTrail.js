@@ -0,0 +1,256 @@
+// Audit trail for KYB jobs
+// An append-only record of what each job did and what it was based on: every
+// status change and log entry, the inputs users supplied, and every external
+// request made while the job ran (Companies House endpoints, LLM prompts
+// and responses, fetched web pages) with a SHA-256 hash of the content
+// received. Entries are hash-chained: each one carries the hash of the one
+// before it, so editing, removing or reordering an entry breaks the chain and
+// shows up in verify().
+//
+// External requests are attributed to the job whose processor made them:
+// kyb.js runs each job inside runForJob(), and the clients call
+// recordExternalRequest(), which is a no-op outside a job (e.g. the
+// onboarding UI's own lookups).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { tenantPath } = require('./tenants');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const jobContext = new AsyncLocalStorage();
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Response bodies as received: raw bytes for text and buffers, the JSON text
+// for parsed objects
+function contentBytes(content) {
+  if (Buffer.isBuffer(content)) return content;
+  if (content instanceof ArrayBuffer) return Buffer.from(content);
+  return Buffer.from(typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+function hashContent(content) {
+  if (content === undefined || content === null) return null;
+  return sha256(contentBytes(content));
+}
+
+function contentLength(content) {
+  if (content === undefined || content === null) return 0;
+  return contentBytes(content).length;
+}
+
+function entryHash({ seq, job_id, type, timestamp, data, prev_hash }) {
+  return sha256(JSON.stringify({ seq, job_id, type, timestamp, data, prev_hash }));
+}
+
+// Walks a chain and reports the first entry that doesn't fit
+function verifyEntries(jobId, entries) {
+  let prevHash = GENESIS_HASH;
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    let problem = null;
+    if (entry.seq !== i + 1) problem = `expected sequence number ${i + 1}, found ${entry.seq}`;
+    else if (entry.job_id !== jobId) problem = `entry belongs to job ${entry.job_id}`;
+    else if (entry.prev_hash !== prevHash) problem = 'prev_hash does not match the previous entry';
+    else if (entry.hash !== entryHash(entry)) problem = 'hash does not match the entry contents';
+    if (problem) {
+      return { valid: false, entries: entries.length, head_hash: null, first_invalid: { index: i, seq: entry.seq ?? null, problem } };
+    }
+    prevHash = entry.hash;
+  }
+  return { valid: true, entries: entries.length, head_hash: entries.length > 0 ? prevHash : null, first_invalid: null };
+}
+
+// Appends hash-chained entries to a chain store: head(jobId) is the last
+// entry of a job ({ seq, hash }, or null before the first), append(jobId,
+// entry) adds one and entries(jobId) reads the whole chain back
+function createTrail(type, store) {
+  const trail = {
+    type,
+
+    // Appends an entry; data is copied, so later changes to the object don't
+    // reach the trail
+    record(jobId, type, data = {}) {
+      const last = store.head(jobId);
+      const entry = {
+        seq: last ? last.seq + 1 : 1,
+        job_id: jobId,
+        type,
+        timestamp: new Date().toISOString(),
+        data: JSON.parse(JSON.stringify(data)),
+        prev_hash: last ? last.hash : GENESIS_HASH
+      };
+      entry.hash = entryHash(entry);
+      store.append(jobId, entry);
+      return entry;
+    },
+
+    getEntries(jobId) {
+      return store.entries(jobId);
+    },
+
+    verify(jobId) {
+      return verifyEntries(jobId, store.entries(jobId));
+    },
+
+    // Runs fn with jobId as the job that external requests are recorded for
+    runForJob(jobId, fn) {
+      return jobContext.run({ jobId, trail }, fn);
+    }
+  };
+  return trail;
+}
+
+// Keeps every chain in memory, for tests and JOB_STORE=memory
+function createMemoryAuditTrail() {
+  const chains = new Map();
+
+  function chain(jobId) {
+    if (!chains.has(jobId)) chains.set(jobId, []);
+    return chains.get(jobId);
+  }
+
+  return createTrail('memory', {
+    head: jobId => chain(jobId)[chain(jobId).length - 1] || null,
+    append: (jobId, entry) => chain(jobId).push(entry),
+    entries: jobId => chain(jobId).map(entry => JSON.parse(JSON.stringify(entry)))
+  });
+}
+
+// The last non-empty line of a file, read backwards in chunks so long trails
+// aren't read whole
+function lastLine(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const chunkSize = 64 * 1024;
+    let position = fs.fstatSync(fd).size;
+    let tail = '';
+    while (position > 0) {
+      const length = Math.min(chunkSize, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
+      tail = chunk.toString('latin1') + tail;
+      const trimmed = tail.replace(/[\r\n]+$/, '');
+      if (trimmed.includes('\n')) {
+        return Buffer.from(trimmed.slice(trimmed.lastIndexOf('\n') + 1), 'latin1').toString('utf8');
+      }
+    }
+    return Buffer.from(tail.replace(/[\r\n]+$/, ''), 'latin1').toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// One JSON Lines file per job under <dir> (<dir>/<tenant>/ for tenants other
+// than the default one, as told by tenantOf), only ever appended to. Only the
+// last entry of each job is kept in memory, read from the end of its file on
+// first use. verify() reads the file back, so changes made on disk are caught,
+// and compares it with the last entry this process wrote, so a truncated file
+// is caught too.
+function createFileAuditTrail(dir, { tenantOf = () => null } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = jobId => tenantPath(dir, tenantOf(jobId), `${jobId}.jsonl`);
+  const heads = new Map();
+
+  function readFile(jobId) {
+    const file = fileFor(jobId);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          return { unreadable: line };
+        }
+      });
+  }
+
+  // A file whose last line doesn't parse is counted whole; its next entry
+  // can't chain on and verify() reports the break
+  function readHead(jobId) {
+    const file = fileFor(jobId);
+    if (!fs.existsSync(file)) return null;
+    const line = lastLine(file);
+    if (!line) return null;
+    try {
+      const { seq, hash } = JSON.parse(line);
+      return { seq, hash };
+    } catch (err) {
+      return { seq: readFile(jobId).length, hash: null };
+    }
+  }
+
+  const trail = createTrail('file', {
+    head(jobId) {
+      if (!heads.has(jobId)) heads.set(jobId, readHead(jobId));
+      return heads.get(jobId);
+    },
+    append(jobId, entry) {
+      const file = fileFor(jobId);
+      if (entry.seq === 1) fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+      heads.set(jobId, { seq: entry.seq, hash: entry.hash });
+    },
+    entries: readFile
+  });
+
+  trail.dir = dir;
+  trail.verify = jobId => {
+    const result = verifyEntries(jobId, readFile(jobId));
+    const written = heads.get(jobId)?.seq || 0;
+    if (result.valid && written > result.entries) {
+      return {
+        ...result,
+        valid: false,
+        head_hash: null,
+        first_invalid: { index: result.entries, seq: result.entries + 1, problem: `file ends after ${result.entries} of ${written} entries` }
+      };
+    }
+    return result;
+  };
+  return trail;
+}
+
+// Follows the job store: files next to the job files unless JOB_STORE=memory
+function createAuditTrail({ type = process.env.JOB_STORE || 'file', dir, tenantOf } = {}) {
+  if (type === 'memory') return createMemoryAuditTrail();
+  const storeDir = process.env.JOB_STORE_DIR || path.join(__dirname, '..', 'data');
+  return createFileAuditTrail(dir || process.env.AUDIT_LOG_DIR || path.join(storeDir, 'audit'), { tenantOf });
+}
+
+// The job the current code runs for, or null outside a job
+function currentJobId() {
+  return jobContext.getStore()?.jobId || null;
+}
+
+// Called by the Companies House, LLM and web clients. source is
+// "companies_house", "llm", "web" or "web_search".
+function recordExternalRequest(source, details) {
+  const current = jobContext.getStore();
+  if (!current) return;
+  try {
+    current.trail.record(current.jobId, 'external_request', { source, ...details });
+  } catch (err) {
+    console.error(`[${new Date().toISOString()}] [${current.jobId}] Could not write audit entry: ${err.message}`);
+  }
+}
+
+module.exports = {
+  GENESIS_HASH,
+  hashContent,
+  contentLength,
+  verifyEntries,
+  createMemoryAuditTrail,
+  createFileAuditTrail,
+  createAuditTrail,
+  currentJobId,
+  recordExternalRequest
+};
@@ -0,0 +1,283 @@
+// Authentication for the KYB API
+// Callers are clients identified by an API key (X-API-Key header or
+// "Authorization: Bearer <key>") or by an HS256 JWT ("Authorization: Bearer
+// <jwt>") signed with JWT_SECRET. Each client has scopes:
+//   start     - start, cancel and retry jobs
+//   read      - job status, logs, events and audit trail
+//   continue  - supply additional information with /continueKYB
+//   admin     - everything, every client's jobs, /allLogs and the review queue
+// Jobs belong to the client that started them and other clients can't see
+// them (admins see every job of their tenant).
+//
+// Every request acts for one tenant (services/tenants.js). A client is bound
+// to the tenant in its record (the `tenant` claim of a JWT), "default" when it
+// names none, and can never reach another tenant's jobs, admin or not.
+// Operator clients (tenant "*") pick the tenant per request with the
+// X-Tenant-ID header, as does everyone when authentication is off.
+//
+// API clients are listed in API_CLIENTS_FILE (default config/apiClients.json):
+//   [{ "id": "acme", "name": "Acme Ltd", "key_sha256": "<hex>", "scopes": ["start", "read"], "tenant": "acme" }]
+// Only the SHA-256 of each key is stored; hashApiKey() computes it.
+// AUTH_MODE=off turns authentication off for local development: every request
+// is then treated as an admin.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_TENANT, TENANT_ID_PATTERN, hasTenant, runForTenant } = require('./tenants');
+
+const SCOPES = ['start', 'read', 'continue', 'admin'];
+const DEFAULT_CLIENTS_FILE = path.join(__dirname, '..', 'config', 'apiClients.json');
+
+const ANY_TENANT = '*';
+
+const LOCAL_CLIENT = { id: 'local', name: 'Authentication off', scopes: ['admin'], tenant: ANY_TENANT, via: 'none' };
+
+function authError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function normalizeScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(/[\s,]+/);
+  return list.filter(scope => SCOPES.includes(scope));
+}
+
+function hasScope(client, scope) {
+  return client.scopes.includes('admin') || client.scopes.includes(scope);
+}
+
+function isAdmin(client) {
+  return client.scopes.includes('admin');
+}
+
+function parseClients(records, file) {
+  if (!Array.isArray(records)) throw new Error(`${file} must be a list of API clients`);
+  return records.map((record, index) => {
+    if (!record.id) throw new Error(`${file}: client ${index + 1} has no id`);
+    if (!/^[0-9a-f]{64}$/i.test(record.key_sha256 || '')) {
+      throw new Error(`${file}: client "${record.id}" needs key_sha256, the SHA-256 hex digest of its key`);
+    }
+    const unknown = (record.scopes || []).filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) throw new Error(`${file}: client "${record.id}" has unknown scope(s) ${unknown.join(', ')}`);
+    if (record.tenant && record.tenant !== ANY_TENANT && !TENANT_ID_PATTERN.test(record.tenant)) {
+      throw new Error(`${file}: client "${record.id}" has an invalid tenant "${record.tenant}"`);
+    }
+    return {
+      id: String(record.id),
+      name: record.name || String(record.id),
+      key_sha256: record.key_sha256.toLowerCase(),
+      scopes: normalizeScopes(record.scopes),
+      tenant: record.tenant || DEFAULT_TENANT,
+      disabled: record.disabled === true
+    };
+  });
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// HS256 only; the client id is the `sub` claim, the scopes come from
+// `scope` (space-separated) or `scopes` and the tenant from `tenant`
+function verifyJwt(token, { secret, issuer = null, audience = null }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw authError(401, 'Malformed token');
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (err) {
+    throw authError(401, 'Malformed token');
+  }
+  if (header.alg !== 'HS256') throw authError(401, `Unsupported token algorithm ${header.alg}`);
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest('base64url');
+  if (!safeEqual(expected, parts[2])) throw authError(401, 'Invalid token signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && claims.exp < now) throw authError(401, 'Token has expired');
+  if (typeof claims.nbf === 'number' && claims.nbf > now) throw authError(401, 'Token is not valid yet');
+  if (issuer && claims.iss !== issuer) throw authError(401, 'Token issuer not accepted');
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) throw authError(401, 'Token audience not accepted');
+  }
+  if (!claims.sub) throw authError(401, 'Token has no subject');
+
+  return {
+    id: String(claims.sub),
+    name: claims.name || String(claims.sub),
+    scopes: normalizeScopes(claims.scopes || claims.scope),
+    tenant: claims.tenant ? String(claims.tenant) : DEFAULT_TENANT,
+    via: 'jwt'
+  };
+}
+
+// Signs an HS256 token; for tests and for issuing tokens to trusted systems
+function signJwt(claims, secret) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+function createAuth({
+  jobStore,
+  mode = process.env.AUTH_MODE || 'required',
+  clientsFile = process.env.API_CLIENTS_FILE || DEFAULT_CLIENTS_FILE,
+  jwtSecret = process.env.JWT_SECRET || null,
+  jwtIssuer = process.env.JWT_ISSUER || null,
+  jwtAudience = process.env.JWT_AUDIENCE || null
+} = {}) {
+  if (!['required', 'off'].includes(mode)) throw new Error(`Unknown AUTH_MODE "${mode}" (use required or off)`);
+
+  let cache = null;
+
+  // Re-read when the file changes so keys can be added or revoked without a restart
+  function loadClients() {
+    if (!fs.existsSync(clientsFile)) return [];
+    const { mtimeMs } = fs.statSync(clientsFile);
+    if (cache && cache.mtimeMs === mtimeMs) return cache.clients;
+    const clients = parseClients(JSON.parse(fs.readFileSync(clientsFile, 'utf8')), clientsFile);
+    console.log(`[${new Date().toISOString()}] Loaded ${clients.length} API clients from ${clientsFile}`);
+    cache = { mtimeMs, clients };
+    return clients;
+  }
+
+  // EventSource can't send headers, so streams may take ?api_key= instead
+  function credentialsFrom(req, allowQuery) {
+    const header = req.get('authorization') || '';
+    const bearer = header.match(/^Bearer\s+(.+)$/i);
+    if (bearer) return bearer[1].trim();
+    if (req.get('x-api-key')) return req.get('x-api-key').trim();
+    if (allowQuery && typeof req.query.api_key === 'string') return req.query.api_key.trim();
+    return null;
+  }
+
+  function authenticate(req, allowQuery) {
+    if (mode === 'off') return LOCAL_CLIENT;
+
+    const credentials = credentialsFrom(req, allowQuery);
+    if (!credentials) throw authError(401, 'Authentication required: send an API key (X-API-Key) or a bearer token');
+
+    if (credentials.split('.').length === 3) {
+      if (!jwtSecret) throw authError(401, 'Bearer tokens are not accepted (JWT_SECRET is not set)');
+      return verifyJwt(credentials, { secret: jwtSecret, issuer: jwtIssuer, audience: jwtAudience });
+    }
+
+    const keyHash = hashApiKey(credentials);
+    const client = loadClients().find(candidate => safeEqual(candidate.key_sha256, keyHash));
+    if (!client || client.disabled) throw authError(401, 'Invalid API key');
+    return { id: client.id, name: client.name, scopes: client.scopes, tenant: client.tenant, via: 'api_key' };
+  }
+
+  // The tenant this request acts for; the X-Tenant-ID header (or ?tenant= on
+  // streams) only chooses one for operator clients and may otherwise only
+  // repeat the client's own tenant
+  function resolveTenant(req, client, allowQuery) {
+    const requested = req.get('x-tenant-id') || (allowQuery && typeof req.query.tenant === 'string' ? req.query.tenant : null);
+    const tenant = client.tenant === ANY_TENANT ? requested || DEFAULT_TENANT : client.tenant;
+    if (requested && requested !== tenant) {
+      throw authError(403, `This API client can't act for tenant "${requested}"`);
+    }
+    if (!hasTenant(tenant)) {
+      throw authError(client.tenant === ANY_TENANT ? 400 : 403, `Unknown tenant "${tenant}"`);
+    }
+    return tenant;
+  }
+
+  // Whether the client (as authenticated for a request, so with a resolved
+  // tenant) may see a job; jobs started before authentication was turned on
+  // have no owner and are left to admins
+  function canAccessJob(client, jobId) {
+    if (jobStore.getTenant(jobId) !== client.tenant) return false;
+    if (isAdmin(client)) return true;
+    const owner = jobStore.getMeta(jobId)?.client_id;
+    return Boolean(owner) && owner === client.id;
+  }
+
+  return {
+    mode,
+
+    // Middleware: authenticates the caller, checks the scope and sets
+    // req.client, whose `tenant` is the tenant the request acts for. The
+    // handler runs for that tenant (services/tenants.js), so its Companies
+    // House and LLM calls use the tenant's key and models, as jobs do.
+    requireScope(scope, { allowQueryKey = false } = {}) {
+      return (req, res, next) => {
+        let client;
+        try {
+          client = authenticate(req, allowQueryKey);
+          client = { ...client, tenant: resolveTenant(req, client, allowQueryKey) };
+        } catch (err) {
+          if (!err.status) {
+            console.error(`[${new Date().toISOString()}] Authentication error:`, err.message);
+            return res.status(500).json({ error: 'Authentication is misconfigured' });
+          }
+          if (err.status === 401) res.set('WWW-Authenticate', 'Bearer');
+          return res.status(err.status).json({ error: err.message });
+        }
+        if (!hasScope(client, scope)) {
+          return res.status(403).json({ error: `This API client lacks the "${scope}" scope` });
+        }
+        req.client = client;
+        runForTenant(client.tenant, next);
+      };
+    },
+
+    canAccessJob,
+
+    // Middleware after requireScope: another client's or another tenant's
+    // job is answered as if it didn't exist. The job checked is the one the
+    // handler acts on: job_id in the body for POST, in the query otherwise;
+    // a request naming two different jobs is refused.
+    requireJobAccess(req, res, next) {
+      const queryJobId = req.query.job_id;
+      const bodyJobId = req.body?.job_id;
+      if (queryJobId && bodyJobId && queryJobId !== bodyJobId) {
+        return res.status(400).json({ error: 'job_id in the query and the body differ' });
+      }
+      const jobId = req.method === 'POST' ? bodyJobId : queryJobId;
+      if (jobId && jobStore.hasJob(jobId) && !canAccessJob(req.client, jobId)) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      next();
+    },
+
+    // Warns at start-up when nobody would be able to get in
+    status() {
+      if (mode === 'off') return { enabled: false, clients: 0, jwt: false };
+      let clients = 0;
+      try {
+        clients = loadClients().length;
+      } catch (err) {
+        console.error(`[${new Date().toISOString()}] Could not load API clients: ${err.message}`);
+      }
+      return { enabled: true, clients, jwt: Boolean(jwtSecret) };
+    }
+  };
+}
+
+module.exports = {
+  SCOPES,
+  ANY_TENANT,
+  hashApiKey,
+  hasScope,
+  isAdmin,
+  signJwt,
+  verifyJwt,
+  createAuth
+};
@@ -0,0 +1,328 @@
+// Manual review cases
+// A job becomes a case when it needs a person: it is waiting for input
+// (action_required), the risk policy sent it to review or rejected it, or its
+// verification confidence is low. Reviewers assign cases, add notes,
+// override individual checks and record the final decision with reason codes.
+// Every action is appended to the job log, which is the case's audit trail.
+//
+// A check is anything the automated assessment flagged, by name: a
+// validation issue code (e.g. "address_mismatch"), a risk policy rule id
+// (e.g. "verification_needs_review") or a verification signal (e.g.
+// "name_similarity"). Accepting a check waives it: the verification score and
+// the policy decision are worked out again without it.
+
+const { applySignalOverrides } = require('./verificationScore');
+
+const REVIEW_CONFIDENCE_THRESHOLD = parseFloat(process.env.KYB_REVIEW_CONFIDENCE_THRESHOLD) || 0.75;
+
+const OVERRIDE_OUTCOMES = ['accepted', 'rejected'];
+
+// A case stays open only while its job can still be decided; cancelled,
+// expired, failed or re-run jobs drop out of the queue
+const REVIEWABLE_STATUSES = ['action_required', 'completed'];
+
+const REASON_CODES = {
+  approved: {
+    identity_verified_manually: 'Identity and registration checked by hand',
+    documents_received: 'Supporting documents received and checked',
+    screening_false_positive: 'Screening matches are about someone else',
+    risk_accepted: 'Flagged risks reviewed and accepted',
+    other: 'Other (explain in the comment)'
+  },
+  rejected: {
+    identity_not_verified: 'Identity or registration could not be verified',
+    sanctions_match: 'Confirmed sanctions match',
+    pep_risk_unacceptable: 'Politically exposed person risk outside appetite',
+    adverse_media: 'Adverse media outside appetite',
+    prohibited_industry: 'Industry the business does not onboard',
+    ownership_not_transparent: 'Beneficial ownership could not be established',
+    insufficient_information: 'Requested information was not provided',
+    fraud_suspected: 'Fraud suspected',
+    other: 'Other (explain in the comment)'
+  }
+};
+
+function caseError(type, message) {
+  const err = new Error(message);
+  err.type = type;
+  return err;
+}
+
+// Why a job needs review, or null when it doesn't
+function caseReason(status, result) {
+  if (status === 'action_required') return 'action_required';
+  if (status !== 'completed' || !result) return null;
+  if (result.decision?.outcome === 'reject') return 'policy_reject';
+  if (result.decision?.outcome === 'review') return 'policy_review';
+  if (typeof result.verification_confidence === 'number' && result.verification_confidence < REVIEW_CONFIDENCE_THRESHOLD) {
+    return 'low_confidence';
+  }
+  return null;
+}
+
+// Names a reviewer can override, by kind
+function availableChecks(result) {
+  const baseline = result.automated_assessment || result;
+  return {
+    issue: [...new Set((result.validation_issues || []).map(issue => issue.code).filter(Boolean))],
+    rule: [...new Set([...(baseline.decision?.fired || []), ...(result.decision?.overridden || [])].map(rule => rule.id))],
+    signal: (baseline.verification_breakdown?.signals || []).filter(s => s.score !== null).map(s => s.signal)
+  };
+}
+
+// Works the verification score, issues and decision out again from the
+// automated assessment with the latest override of each check
+function applyOverrides(result, overrides, redecide) {
+  if (!result.automated_assessment) {
+    result.automated_assessment = {
+      verification_status: result.verification_status,
+      verification_confidence: result.verification_confidence,
+      verification_breakdown: result.verification_breakdown,
+      decision: result.decision
+    };
+  }
+  const baseline = result.automated_assessment;
+
+  const latest = new Map();
+  overrides.forEach(override => latest.set(override.check, override));
+  const accepted = [...latest.values()].filter(o => o.outcome === 'accepted').map(o => o.check);
+
+  if (baseline.verification_breakdown) {
+    const breakdown = applySignalOverrides(baseline.verification_breakdown, accepted);
+    result.verification_breakdown = breakdown;
+    result.verification_confidence = breakdown.confidence;
+    if (baseline.verification_status !== 'no_company_found') {
+      result.verification_status = breakdown.status;
+    }
+  }
+
+  (result.validation_issues || []).forEach(issue => {
+    if (latest.has(issue.code)) {
+      issue.override = latest.get(issue.code);
+    } else {
+      delete issue.override;
+    }
+  });
+
+  result.overrides = [...latest.values()];
+  result.decision = redecide(result);
+  return result;
+}
+
+// jobStore: services/jobStore.js; redecide(jobId, result): the risk policy
+// decision for a result (kyb.js passes the one the pipeline uses)
+function createCaseReview({ jobStore, redecide }) {
+  function businessName(jobId) {
+    return jobStore.getLogs(jobId).find(log => log.step === 'Original Request')?.data?.business_name || null;
+  }
+
+  // When the job was last retried (routes/jobs.js /retryKYB), if ever
+  function lastRetryAt(jobId) {
+    return [...jobStore.getLogs(jobId)].reverse().find(log => log.step === 'Retry Requested')?.timestamp || null;
+  }
+
+  // The stored case, or a new open one for a job that needs review. A case
+  // opened before the job was retried was about the previous run: it is
+  // archived in previous_cases and the new run gets a case of its own.
+  function loadCase(jobId) {
+    if (!jobStore.hasJob(jobId)) throw caseError('not_found', 'Job not found');
+    const stored = jobStore.getCase(jobId);
+    const retriedAt = lastRetryAt(jobId);
+    if (stored && !(retriedAt && retriedAt > stored.opened_at)) return stored;
+
+    const reason = caseReason(jobStore.getStatus(jobId), jobStore.getResult(jobId));
+    if (!reason) throw caseError('invalid', 'This job does not need review');
+    const { previous_cases: previousCases = [], ...archived } = stored || {};
+    return {
+      job_id: jobId,
+      status: 'open',
+      reason,
+      assignee: null,
+      assigned_at: null,
+      notes: [],
+      overrides: [],
+      decision: null,
+      opened_at: new Date().toISOString(),
+      previous_cases: stored ? [...previousCases, { ...archived, archived_at: retriedAt }] : []
+    };
+  }
+
+  function requireOpen(reviewCase) {
+    if (reviewCase.status !== 'open') throw caseError('conflict', 'The case is closed');
+    const status = jobStore.getStatus(reviewCase.job_id);
+    if (!REVIEWABLE_STATUSES.includes(status)) {
+      throw caseError('conflict', `The job is ${status} and can't be reviewed`);
+    }
+  }
+
+  function record(jobId, reviewCase, step, data) {
+    reviewCase.updated_at = new Date().toISOString();
+    jobStore.setCase(jobId, reviewCase);
+    jobStore.appendLog(jobId, { step, timestamp: reviewCase.updated_at, data });
+  }
+
+  function summarize(jobId, reviewCase) {
+    const result = jobStore.getResult(jobId);
+    const info = jobStore.getJobInfo(jobId);
+    return {
+      job_id: jobId,
+      job_status: info.status,
+      case_status: reviewCase.status,
+      reason: reviewCase.reason,
+      assignee: reviewCase.assignee,
+      business_name: businessName(jobId),
+      company_name: result?.company_name || null,
+      company_registration_number: result?.company_registration_number || null,
+      verification_status: result?.verification_status || null,
+      verification_confidence: result?.verification_confidence ?? null,
+      policy_outcome: result?.decision?.outcome || null,
+      issues: (result?.validation_issues || []).length,
+      notes: reviewCase.notes.length,
+      decision: reviewCase.decision ? reviewCase.decision.decision : null,
+      opened_at: reviewCase.opened_at,
+      updated_at: reviewCase.updated_at || info.updated_at
+    };
+  }
+
+  return {
+    REASON_CODES,
+
+    // status: 'open' (default), 'closed' or 'all'; oldest first. tenant
+    // limits the list to that tenant's jobs.
+    listCases({ status = 'open', assignee = null, tenant = null } = {}) {
+      const cases = [];
+      for (const jobId of jobStore.listJobIds({ tenant })) {
+        let reviewCase;
+        try {
+          reviewCase = loadCase(jobId);
+        } catch (err) {
+          continue;
+        }
+        const inactive = reviewCase.status === 'open' && !REVIEWABLE_STATUSES.includes(jobStore.getStatus(jobId));
+        if (status === 'open' && (reviewCase.status !== 'open' || inactive)) continue;
+        if (status === 'closed' && reviewCase.status !== 'closed') continue;
+        if (assignee && reviewCase.assignee !== assignee) continue;
+        cases.push(summarize(jobId, reviewCase));
+      }
+      return cases.sort((a, b) => a.opened_at.localeCompare(b.opened_at));
+    },
+
+    getCase(jobId) {
+      const reviewCase = loadCase(jobId);
+      const result = jobStore.getResult(jobId) || null;
+      return {
+        ...reviewCase,
+        summary: summarize(jobId, reviewCase),
+        checks: result ? availableChecks(result) : { issue: [], rule: [], signal: [] },
+        required_fields: [...jobStore.getLogs(jobId)].reverse().find(log => log.required_fields)?.required_fields || null,
+        result
+      };
+    },
+
+    assign(jobId, { reviewer, assigned_by = null }) {
+      if (!reviewer) throw caseError('invalid', 'reviewer is required');
+      const reviewCase = loadCase(jobId);
+      requireOpen(reviewCase);
+      const previous = reviewCase.assignee;
+      reviewCase.assignee = reviewer;
+      reviewCase.assigned_at = new Date().toISOString();
+      record(jobId, reviewCase, 'Case Assigned', { reviewer, previous_assignee: previous, assigned_by });
+      return reviewCase;
+    },
+
+    addNote(jobId, { author, text }) {
+      if (!author || !text) throw caseError('invalid', 'author and text are required');
+      const reviewCase = loadCase(jobId);
+      requireOpen(reviewCase);
+      const note = { id: reviewCase.notes.length + 1, author, text, created_at: new Date().toISOString() };
+      reviewCase.notes.push(note);
+      record(jobId, reviewCase, 'Case Note', note);
+      return reviewCase;
+    },
+
+    overrideCheck(jobId, { check, outcome, reason, reviewer }) {
+      if (!check || !reason || !reviewer) throw caseError('invalid', 'check, reason and reviewer are required');
+      if (!OVERRIDE_OUTCOMES.includes(outcome)) {
+        throw caseError('invalid', `outcome must be one of ${OVERRIDE_OUTCOMES.join(', ')}`);
+      }
+      const reviewCase = loadCase(jobId);
+      requireOpen(reviewCase);
+      const result = jobStore.getResult(jobId);
+      if (!result) throw caseError('conflict', 'The job has no verification result to override');
+
+      const checks = availableChecks(result);
+      const appliesTo = Object.keys(checks).filter(kind => checks[kind].includes(check));
+      if (appliesTo.length === 0) {
+        throw caseError('invalid', `Unknown check "${check}" (issues: ${checks.issue.join(', ') || 'none'}; rules: ${checks.rule.join(', ') || 'none'}; signals: ${checks.signal.join(', ')})`);
+      }
+
+      const override = { check, applies_to: appliesTo, outcome, reason, reviewer, created_at: new Date().toISOString() };
+      reviewCase.overrides.push(override);
+
+      const before = { verification_status: result.verification_status, decision: result.decision?.outcome || null };
+      applyOverrides(result, reviewCase.overrides, updated => redecide(jobId, updated));
+      jobStore.setResult(jobId, result);
+
+      record(jobId, reviewCase, 'Check Overridden', {
+        ...override,
+        before,
+        after: { verification_status: result.verification_status, decision: result.decision?.outcome || null }
+      });
+      return reviewCase;
+    },
+
+    // decision: 'approved' or 'rejected'. Closes the case and completes a
+    // job that was waiting for input.
+    decide(jobId, { decision, reason_codes = [], comment = null, reviewer }) {
+      if (!reviewer) throw caseError('invalid', 'reviewer is required');
+      if (!REASON_CODES[decision]) throw caseError('invalid', 'decision must be "approved" or "rejected"');
+      if (!Array.isArray(reason_codes) || reason_codes.length === 0) {
+        throw caseError('invalid', 'At least one reason code is required');
+      }
+      const unknown = reason_codes.filter(code => !REASON_CODES[decision][code]);
+      if (unknown.length > 0) {
+        throw caseError('invalid', `Unknown reason code(s) for ${decision}: ${unknown.join(', ')}`);
+      }
+      if (reason_codes.includes('other') && !comment) {
+        throw caseError('invalid', 'A comment is required with reason code "other"');
+      }
+
+      const reviewCase = loadCase(jobId);
+      requireOpen(reviewCase);
+      const result = jobStore.getResult(jobId);
+      if (!result) {
+        throw caseError('conflict', 'The job has no verification result yet; continue it with /continueKYB or cancel it with /cancelKYB');
+      }
+
+      reviewCase.decision = { decision, reason_codes, comment, reviewer, decided_at: new Date().toISOString() };
+      reviewCase.status = 'closed';
+      result.review_decision = reviewCase.decision;
+      jobStore.setResult(jobId, result);
+      record(jobId, reviewCase, 'Case Decision', {
+        ...reviewCase.decision,
+        reasons: reason_codes.map(code => REASON_CODES[decision][code]),
+        policy_outcome: result.decision?.outcome || null
+      });
+
+      if (jobStore.getStatus(jobId) === 'action_required') {
+        jobStore.setStatus(jobId, 'completed');
+        jobStore.appendLog(jobId, {
+          step: 'Completed',
+          timestamp: new Date().toISOString(),
+          result,
+          data_found: true,
+          business_name: result.company_name,
+          found_company_name: result.company_name,
+          message: `Case ${decision} by ${reviewer}`
+        });
+      }
+      return reviewCase;
+    }
+  };
+}
+
+module.exports = {
+  REASON_CODES,
+  caseReason,
+  createCaseReview
+};
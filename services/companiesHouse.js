@@ -0,0 +1,364 @@
+// Shared Companies House API client
+// One place for the API key, base URLs and the request budget that every
+// worker and route shares. Failed requests are retried with exponential
+// backoff (waiting for the window Companies House reports in its rate-limit
+// headers when we are throttled), successful lookups are kept in an LRU cache
+// so repeat verifications of the same company don't spend quota, and every
+// failure is thrown as an error with a `type` of not_found, auth,
+// rate_limited, network or api_error.
+
+const axios = require('axios');
+const { createRateLimiter } = require('./rateLimiter');
+const { createLruCache } = require('./lruCache');
+const { hashContent, contentLength, recordExternalRequest } = require('./auditTrail');
+const { currentTenant } = require('./tenants');
+
+const API_BASE = 'https://api.company-information.service.gov.uk';
+const DOCUMENT_API_BASE = 'https://document-api.company-information.service.gov.uk';
+const PUBLIC_SITE_BASE = 'https://find-and-update.company-information.service.gov.uk';
+
+const TIMEOUT_MS = parseInt(process.env.COMPANIES_HOUSE_TIMEOUT_MS, 10) || 10000;
+const MAX_RETRIES = Number.isNaN(parseInt(process.env.COMPANIES_HOUSE_MAX_RETRIES, 10)) ? 3 : parseInt(process.env.COMPANIES_HOUSE_MAX_RETRIES, 10);
+const RETRY_BASE_MS = parseInt(process.env.COMPANIES_HOUSE_RETRY_BASE_MS, 10) || 500;
+const MAX_RETRY_WAIT_MS = parseInt(process.env.COMPANIES_HOUSE_MAX_RETRY_WAIT_MS, 10) || 60 * 1000;
+const CACHE_TTL_MS = parseInt(process.env.COMPANIES_HOUSE_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+const NOT_FOUND_TTL_MS = Math.min(CACHE_TTL_MS, 10 * 60 * 1000);
+
+// Companies House allows 600 requests per 5 minutes per key. Tenants with
+// their own key still share this budget and the cache below: the register is
+// public, and staying under the deployment-wide limit is the safe side.
+const limiter = createRateLimiter({
+  name: 'companies_house',
+  maxRequests: parseInt(process.env.COMPANIES_HOUSE_RATE_LIMIT, 10) || 600,
+  intervalMs: parseInt(process.env.COMPANIES_HOUSE_RATE_WINDOW_MS, 10) || 5 * 60 * 1000
+});
+
+const cache = createLruCache({
+  maxEntries: parseInt(process.env.COMPANIES_HOUSE_CACHE_SIZE, 10) || 500,
+  ttlMs: CACHE_TTL_MS
+});
+
+// Identical requests already on the wire share one response
+const inflight = new Map();
+
+// What the last response told us about our remaining quota
+const rateLimitState = { limit: null, remaining: null, resetAt: null };
+
+let warnedLegacyKey = false;
+
+// The key of the tenant the current job runs for when it names one (see
+// services/tenants.js), otherwise COMPANIES_HOUSE_API_KEY. A tenant whose
+// variable is unset gets no key rather than spending the deployment's.
+// COMPANY_HOUSE_API_KEY still works so existing deployments keep running.
+function getApiKey() {
+  const tenantKeyEnv = currentTenant().companies_house_api_key_env;
+  if (tenantKeyEnv) return process.env[tenantKeyEnv] || null;
+  if (process.env.COMPANIES_HOUSE_API_KEY) return process.env.COMPANIES_HOUSE_API_KEY;
+  if (process.env.COMPANY_HOUSE_API_KEY) {
+    if (!warnedLegacyKey) {
+      warnedLegacyKey = true;
+      console.warn('COMPANY_HOUSE_API_KEY is deprecated, set COMPANIES_HOUSE_API_KEY instead');
+    }
+    return process.env.COMPANY_HOUSE_API_KEY;
+  }
+  return null;
+}
+
+function createError(type, message, { status = null, response = null, retryAfterMs = null } = {}) {
+  const error = new Error(message);
+  error.name = 'CompaniesHouseError';
+  error.type = type;
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  // Kept so callers that inspect error.response.status keep working
+  error.response = response;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function updateRateLimitState(headers = {}) {
+  const limit = parseInt(headers['x-ratelimit-limit'], 10);
+  const remaining = parseInt(headers['x-ratelimit-remain'], 10);
+  const reset = parseInt(headers['x-ratelimit-reset'], 10);
+  if (!Number.isNaN(limit)) rateLimitState.limit = limit;
+  if (!Number.isNaN(remaining)) rateLimitState.remaining = remaining;
+  if (!Number.isNaN(reset)) rateLimitState.resetAt = reset * 1000;
+}
+
+// How long Companies House asked us to wait, from Retry-After or the reset time
+function rateLimitWaitMs(headers = {}) {
+  const retryAfter = parseInt(headers['retry-after'], 10);
+  if (!Number.isNaN(retryAfter)) return retryAfter * 1000;
+  const reset = parseInt(headers['x-ratelimit-reset'], 10);
+  if (!Number.isNaN(reset)) return Math.max(reset * 1000 - Date.now(), 0);
+  return null;
+}
+
+// Hold new requests back while Companies House says the window is used up
+async function waitForQuota() {
+  if (rateLimitState.remaining === null || rateLimitState.remaining > 0 || !rateLimitState.resetAt) return;
+  const waitMs = rateLimitState.resetAt - Date.now();
+  if (waitMs > 0) {
+    await sleep(Math.min(waitMs, MAX_RETRY_WAIT_MS));
+  }
+  rateLimitState.remaining = null;
+}
+
+function classifyResponse(url, response) {
+  const { status } = response;
+  if (status === 404) {
+    return createError('not_found', `Companies House resource not found: ${url}`, { status, response });
+  }
+  if (status === 401 || status === 403) {
+    return createError('auth', 'Companies House rejected the API key', { status, response });
+  }
+  if (status === 429) {
+    return createError('rate_limited', 'Companies House API rate limit exceeded', {
+      status,
+      response,
+      retryAfterMs: rateLimitWaitMs(response.headers)
+    });
+  }
+  return createError('api_error', `Companies House API error: ${status}`, { status, response });
+}
+
+function isRetryable(error) {
+  return error.type === 'network' || error.type === 'rate_limited' || (error.type === 'api_error' && error.status >= 500);
+}
+
+function retryDelayMs(error, attempt) {
+  if (error.type === 'rate_limited' && error.retryAfterMs !== null) {
+    return Math.min(error.retryAfterMs, MAX_RETRY_WAIT_MS);
+  }
+  const backoff = RETRY_BASE_MS * Math.pow(2, attempt);
+  return Math.min(backoff + Math.floor(Math.random() * RETRY_BASE_MS), MAX_RETRY_WAIT_MS);
+}
+
+async function fetchWithRetries(url, { responseType, accept, timeout }) {
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (attempt > 0) {
+      await sleep(retryDelayMs(lastError, attempt - 1));
+    }
+    await waitForQuota();
+    await limiter.acquire();
+
+    let response;
+    try {
+      response = await axios.get(url, {
+        auth: { username: getApiKey(), password: '' },
+        headers: { 'Accept': accept },
+        responseType,
+        timeout,
+        validateStatus: () => true
+      });
+    } catch (err) {
+      lastError = createError('network', `Could not reach Companies House: ${err.message}`);
+      console.warn(`[${new Date().toISOString()}] Companies House request failed (attempt ${attempt + 1}): ${err.message}`);
+      continue;
+    }
+
+    updateRateLimitState(response.headers);
+    if (response.status >= 200 && response.status < 300) {
+      return response;
+    }
+
+    lastError = classifyResponse(url, response);
+    if (!isRetryable(lastError)) break;
+    console.warn(`[${new Date().toISOString()}] Companies House returned ${response.status} for ${url} (attempt ${attempt + 1})`);
+  }
+
+  throw lastError;
+}
+
+function resolveUrl(pathOrUrl) {
+  return pathOrUrl.startsWith('http') ? pathOrUrl : `${API_BASE}${pathOrUrl}`;
+}
+
+async function fetchResource(pathOrUrl, { cache: useCache = true, responseType = 'json', accept = 'application/json', timeout = TIMEOUT_MS } = {}) {
+  if (!getApiKey()) {
+    throw createError('auth', 'Companies House API key not configured');
+  }
+
+  const url = resolveUrl(pathOrUrl);
+  const cacheable = useCache && responseType === 'json';
+
+  if (cacheable) {
+    const hit = cache.get(url);
+    if (hit) {
+      if (hit.notFound) {
+        throw createError('not_found', `Companies House resource not found: ${url}`, { status: 404, response: hit.response });
+      }
+      return { ...hit.response, cached: true };
+    }
+    if (inflight.has(url)) {
+      return inflight.get(url);
+    }
+  }
+
+  const request = fetchWithRetries(url, { responseType, accept, timeout })
+    .then(response => {
+      const result = { status: response.status, headers: response.headers, data: response.data, cached: false };
+      if (cacheable) cache.set(url, { response: result });
+      return result;
+    })
+    .catch(err => {
+      if (cacheable && err.type === 'not_found') {
+        cache.set(url, { notFound: true, response: { status: 404, data: err.response?.data } }, NOT_FOUND_TTL_MS);
+      }
+      throw err;
+    })
+    .finally(() => inflight.delete(url));
+
+  if (cacheable) inflight.set(url, request);
+  return request;
+}
+
+// GET an API path (e.g. `/company/01234567`) or a full Companies House URL.
+// Resolves to { status, headers, data, cached } like an axios response.
+// Every call, cached or not, goes on the audit trail of the job making it.
+async function get(pathOrUrl, options) {
+  const url = resolveUrl(pathOrUrl);
+  try {
+    const response = await fetchResource(pathOrUrl, options);
+    recordExternalRequest('companies_house', {
+      method: 'GET',
+      url,
+      status: response.status,
+      cached: response.cached,
+      content_hash: hashContent(response.data),
+      content_length: contentLength(response.data)
+    });
+    return response;
+  } catch (err) {
+    recordExternalRequest('companies_house', {
+      method: 'GET',
+      url,
+      status: err.status || null,
+      error_type: err.type || null,
+      error: err.message
+    });
+    throw err;
+  }
+}
+
+function searchCompanies(query, { itemsPerPage } = {}) {
+  const pageParam = itemsPerPage ? `&items_per_page=${itemsPerPage}` : '';
+  return get(`/search/companies?q=${encodeURIComponent(query)}${pageParam}`);
+}
+
+function getCompanyProfile(crn) {
+  return get(`/company/${encodeURIComponent(crn)}`);
+}
+
+function getOfficers(crn, { itemsPerPage = 35, startIndex = 0 } = {}) {
+  return get(`/company/${encodeURIComponent(crn)}/officers?items_per_page=${itemsPerPage}&start_index=${startIndex}`);
+}
+
+// Most lists report total_results; /charges reports total_count
+function totalOf(data) {
+  return data?.total_results ?? data?.total_count;
+}
+
+// Follows start_index until every item of a paged list is loaded (or
+// maxPages is reached); the first page's counters are passed through
+async function getAllPages(path, { itemsPerPage = 100, maxPages = 10 } = {}) {
+  const separator = path.includes('?') ? '&' : '?';
+  const items = [];
+  let first = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const response = await get(`${path}${separator}items_per_page=${itemsPerPage}&start_index=${items.length}`);
+    const pageItems = response.data.items || [];
+    if (!first) first = response.data;
+    items.push(...pageItems);
+    if (pageItems.length === 0 || items.length >= (totalOf(response.data) || 0)) break;
+  }
+
+  const { items: firstItems, ...counters } = first || {};
+  const total = totalOf(first) ?? items.length;
+  return {
+    ...counters,
+    items,
+    total_results: total,
+    complete: items.length >= total
+  };
+}
+
+function getAllOfficers(crn, options) {
+  return getAllPages(`/company/${encodeURIComponent(crn)}/officers`, options);
+}
+
+function getAllPersonsWithSignificantControl(crn, options) {
+  return getAllPages(`/company/${encodeURIComponent(crn)}/persons-with-significant-control`, options);
+}
+
+function getPersonsWithSignificantControlStatements(crn, options) {
+  return getAllPages(`/company/${encodeURIComponent(crn)}/persons-with-significant-control-statements`, options);
+}
+
+function getPersonsWithSignificantControl(crn) {
+  return get(`/company/${encodeURIComponent(crn)}/persons-with-significant-control`);
+}
+
+function getAllCharges(crn, options) {
+  return getAllPages(`/company/${encodeURIComponent(crn)}/charges`, options);
+}
+
+// Companies that were never insolvent return 404
+function getInsolvency(crn) {
+  return get(`/company/${encodeURIComponent(crn)}/insolvency`);
+}
+
+function getFilingHistory(crn, { category, itemsPerPage = 25 } = {}) {
+  const categoryParam = category ? `&category=${encodeURIComponent(category)}` : '';
+  return get(`/company/${encodeURIComponent(crn)}/filing-history?items_per_page=${itemsPerPage}${categoryParam}`);
+}
+
+// Filed documents are PDFs and are not cached
+function getDocumentContent(documentId) {
+  return get(`${DOCUMENT_API_BASE}/document/${encodeURIComponent(documentId)}/content`, {
+    cache: false,
+    responseType: 'arraybuffer',
+    accept: 'application/pdf',
+    timeout: TIMEOUT_MS * 3
+  });
+}
+
+function profileUrl(crn) {
+  return `${PUBLIC_SITE_BASE}/company/${crn}`;
+}
+
+function stats() {
+  return {
+    limiter: limiter.stats(),
+    cache: cache.stats(),
+    rate_limit: { ...rateLimitState }
+  };
+}
+
+module.exports = {
+  API_BASE,
+  DOCUMENT_API_BASE,
+  PUBLIC_SITE_BASE,
+  limiter,
+  getApiKey,
+  get,
+  searchCompanies,
+  getCompanyProfile,
+  getOfficers,
+  getAllOfficers,
+  getPersonsWithSignificantControl,
+  getAllPersonsWithSignificantControl,
+  getPersonsWithSignificantControlStatements,
+  getAllCharges,
+  getInsolvency,
+  getFilingHistory,
+  getDocumentContent,
+  profileUrl,
+  stats
+};
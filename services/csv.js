@@ -0,0 +1,71 @@
+// Minimal RFC 4180 CSV parser for the screening list files: quoted fields,
+// doubled quotes, commas and line breaks inside quotes, CRLF or LF endings.
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines come through as a single empty field
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Rows as objects keyed by the header row
+function parseCsvObjects(text, { headerRow = 0 } = {}) {
+  const rows = parseCsv(text);
+  const header = (rows[headerRow] || []).map(name => name.trim());
+  return rows.slice(headerRow + 1).map(row => {
+    const record = {};
+    header.forEach((name, index) => {
+      record[name] = row[index] !== undefined ? row[index].trim() : '';
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects
+};
@@ -0,0 +1,378 @@
+// Job storage for the KYB pipeline
+// Keeps job status, logs, results and the processing queue behind one interface.
+// The file store writes through to disk so jobs survive restarts and redeploys;
+// the memory store keeps everything in-process and is meant for tests.
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { DEFAULT_TENANT, tenantPath } = require('./tenants');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '..', 'data');
+
+// Statuses that a still-running processor must not overwrite (a job that timed
+// out is failed while its handler winds down). Only an explicit retry
+// (setStatus with { force: true }) moves a job out of them.
+const LOCKED_STATUSES = ['cancelled', 'expired', 'failed'];
+
+// Log entries are stored as frozen snapshots with a timestamp, so neither the
+// caller that wrote them nor anyone reading them later can change them
+function snapshotEntry(entry) {
+  const copy = JSON.parse(JSON.stringify(entry));
+  const stamped = copy.timestamp ? copy : { step: copy.step, timestamp: new Date().toISOString(), ...copy };
+  return deepFreeze(stamped);
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+}
+
+// In-memory job store. `persist` is called with the job id (or null for the
+// queue) after every write so other backends can build on top of it; log
+// entries come as persist(jobId, { appendedLogs }) so they can be appended
+// instead of rewriting the job.
+// Emits 'created' ({ jobId, status, logs }), 'status' ({ jobId, status,
+// previousStatus, changedAt }) and 'log' ({ jobId, entry }) so webhooks, live
+// streams and the audit trail can follow jobs without polling.
+function createMemoryJobStore(initialState = {}, persist = () => {}) {
+  const jobs = initialState.jobs || {};
+  const queue = initialState.queue || [];
+  const inflight = initialState.inflight || [];
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  function getJob(jobId) {
+    return Object.prototype.hasOwnProperty.call(jobs, jobId) ? jobs[jobId] : null;
+  }
+
+  function requireJob(jobId) {
+    const job = getJob(jobId);
+    if (!job) {
+      throw new Error(`Job not found: ${jobId}`);
+    }
+    return job;
+  }
+
+  function touch(job, change) {
+    job.updated_at = new Date().toISOString();
+    persist(job.id, change);
+  }
+
+  return {
+    type: 'memory',
+
+    on: events.on.bind(events),
+    off: events.off.bind(events),
+
+    createJob(jobId, { status = 'pending', logs = [], meta = {}, tenant = DEFAULT_TENANT } = {}) {
+      if (getJob(jobId)) {
+        throw new Error(`Job already exists: ${jobId}`);
+      }
+      const now = new Date().toISOString();
+      jobs[jobId] = {
+        id: jobId,
+        tenant,
+        status,
+        logs: logs.map(snapshotEntry),
+        result: undefined,
+        created_at: now,
+        updated_at: now,
+        status_changed_at: now,
+        meta: { ...meta }
+      };
+      persist(jobId);
+      if (logs.length > 0) persist(jobId, { appendedLogs: jobs[jobId].logs });
+      events.emit('created', { jobId, status, logs: jobs[jobId].logs });
+      return jobs[jobId];
+    },
+
+    hasJob(jobId) {
+      return getJob(jobId) !== null;
+    },
+
+    // Every job, or only one tenant's with { tenant }
+    listJobIds({ tenant = null } = {}) {
+      const ids = Object.keys(jobs);
+      return tenant ? ids.filter(id => (jobs[id].tenant || DEFAULT_TENANT) === tenant) : ids;
+    },
+
+    // Jobs created before tenants existed belong to the default tenant
+    getTenant(jobId) {
+      const job = getJob(jobId);
+      return job ? job.tenant || DEFAULT_TENANT : null;
+    },
+
+    getStatus(jobId) {
+      const job = getJob(jobId);
+      return job ? job.status : null;
+    },
+
+    // Returns false when the job is locked in a cancelled, expired or failed state
+    setStatus(jobId, status, { force = false } = {}) {
+      const job = requireJob(jobId);
+      if (!force && LOCKED_STATUSES.includes(job.status) && status !== job.status) {
+        return false;
+      }
+      const previousStatus = job.status;
+      job.status = status;
+      job.status_changed_at = new Date().toISOString();
+      touch(job);
+      if (previousStatus !== status) {
+        // Processors usually set the status and then log the details (e.g. the
+        // 'Action Required' entry), so listeners are told once that has happened
+        const changedAt = job.status_changed_at;
+        process.nextTick(() => events.emit('status', { jobId, status, previousStatus, changedAt }));
+      }
+      return true;
+    },
+
+    // Timestamps and status without the (potentially large) logs and result
+    getJobInfo(jobId) {
+      const job = getJob(jobId);
+      if (!job) return null;
+      return {
+        id: job.id,
+        tenant: job.tenant || DEFAULT_TENANT,
+        status: job.status,
+        created_at: job.created_at,
+        updated_at: job.updated_at,
+        status_changed_at: job.status_changed_at || job.updated_at
+      };
+    },
+
+    // Returns a copy so callers cannot rewrite history behind the store's back
+    getLogs(jobId) {
+      const job = getJob(jobId);
+      return job ? [...job.logs] : null;
+    },
+
+    appendLog(jobId, entry) {
+      const job = requireJob(jobId);
+      const stored = snapshotEntry(entry);
+      job.logs.push(stored);
+      touch(job, { appendedLogs: [stored] });
+      events.emit('log', { jobId, entry: stored });
+    },
+
+    // Job metadata that is not part of the public log (e.g. callback secrets)
+    getMeta(jobId) {
+      const job = getJob(jobId);
+      return job ? { ...(job.meta || {}) } : null;
+    },
+
+    getResult(jobId) {
+      const job = getJob(jobId);
+      return job ? job.result : undefined;
+    },
+
+    setResult(jobId, result) {
+      const job = requireJob(jobId);
+      if (LOCKED_STATUSES.includes(job.status)) {
+        return false;
+      }
+      job.result = result;
+      touch(job);
+      return true;
+    },
+
+    // Manual review case (services/caseReview.js), null until a reviewer acts
+    getCase(jobId) {
+      const job = getJob(jobId);
+      return job && job.case ? JSON.parse(JSON.stringify(job.case)) : null;
+    },
+
+    setCase(jobId, reviewCase) {
+      const job = requireJob(jobId);
+      job.case = reviewCase;
+      touch(job);
+    },
+
+    // Running LLM token and cost totals (services/llm.js addUsage), null
+    // until the job makes its first call
+    getLlmUsage(jobId) {
+      const job = getJob(jobId);
+      return job && job.llm_usage ? JSON.parse(JSON.stringify(job.llm_usage)) : null;
+    },
+
+    setLlmUsage(jobId, usage) {
+      const job = requireJob(jobId);
+      job.llm_usage = usage;
+      touch(job);
+    },
+
+    enqueue(queuedJob) {
+      queue.push(queuedJob);
+      persist(null);
+    },
+
+    // Moves the next job (optionally the next one matching `predicate`) to the
+    // in-flight list until complete() is called, so a crash mid-job puts it
+    // back on the queue at the next start
+    dequeue(predicate = () => true) {
+      const index = queue.findIndex(predicate);
+      if (index === -1) return null;
+      const [queuedJob] = queue.splice(index, 1);
+      inflight.push(queuedJob);
+      persist(null);
+      return queuedJob;
+    },
+
+    // Drops every queued (not yet running) task for a job
+    removeQueued(jobId) {
+      let removed = 0;
+      for (let i = queue.length - 1; i >= 0; i--) {
+        if (queue[i].id === jobId) {
+          queue.splice(i, 1);
+          removed++;
+        }
+      }
+      if (removed > 0) persist(null);
+      return removed;
+    },
+
+    complete(jobId) {
+      const index = inflight.findIndex(queuedJob => queuedJob.id === jobId);
+      if (index !== -1) {
+        inflight.splice(index, 1);
+        persist(null);
+      }
+    },
+
+    queueLength() {
+      return queue.length;
+    },
+
+    // Exposes the raw state for backends that need to serialize it
+    _state: { jobs, queue, inflight }
+  };
+}
+
+// File-backed job store: one JSON file per job plus a queue file, written
+// atomically after every change and reloaded on start-up. A job's log is kept
+// apart in <id>.logs.jsonl and only ever appended to, so logging a step
+// doesn't rewrite the whole job. Jobs of tenants other than the default one
+// are kept in jobs/<tenant>/.
+function createFileJobStore(storeDir = DEFAULT_STORE_DIR) {
+  const jobsDir = path.join(storeDir, 'jobs');
+  const queueFile = path.join(storeDir, 'queue.json');
+  fs.mkdirSync(jobsDir, { recursive: true });
+
+  function writeJsonAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function jobFile(job) {
+    return tenantPath(jobsDir, job.tenant, `${job.id}.json`);
+  }
+
+  function logFile(job) {
+    return tenantPath(jobsDir, job.tenant, `${job.id}.logs.jsonl`);
+  }
+
+  function appendLogLines(job, entries) {
+    const filePath = logFile(job);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  }
+
+  // A line cut short by a crash is skipped, and ended so the next entry
+  // starts on a line of its own
+  function readLogLines(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (text && !text.endsWith('\n')) fs.appendFileSync(filePath, '\n');
+    return text.split('\n').filter(Boolean).reduce((entries, line) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        console.error(`[${new Date().toISOString()}] Skipping unreadable log line in ${path.relative(jobsDir, filePath)}`);
+      }
+      return entries;
+    }, []);
+  }
+
+  const jobs = {};
+  const jobFiles = [];
+  for (const entry of fs.readdirSync(jobsDir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      const tenantDir = path.join(jobsDir, entry.name);
+      fs.readdirSync(tenantDir).forEach(fileName => jobFiles.push(path.join(tenantDir, fileName)));
+    } else {
+      jobFiles.push(path.join(jobsDir, entry.name));
+    }
+  }
+  for (const filePath of jobFiles) {
+    if (!filePath.endsWith('.json')) continue;
+    try {
+      const job = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (job && job.id) {
+        const logPath = logFile(job);
+        if (fs.existsSync(logPath)) {
+          job.logs = readLogLines(logPath);
+          const lastEntry = job.logs[job.logs.length - 1];
+          if (lastEntry && lastEntry.timestamp > job.updated_at) job.updated_at = lastEntry.timestamp;
+        } else if (Array.isArray(job.logs) && job.logs.length > 0) {
+          // Job files written before logs moved out keep them inline
+          appendLogLines(job, job.logs);
+        }
+        job.logs = job.logs || [];
+        jobs[job.id] = job;
+      }
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Skipping unreadable job file ${path.relative(jobsDir, filePath)}: ${err.message}`);
+    }
+  }
+
+  let queue = [];
+  if (fs.existsSync(queueFile)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(queueFile, 'utf8'));
+      // Jobs that were in flight when the process stopped run again first
+      queue = [...(saved.inflight || []), ...(saved.queue || [])];
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Could not read job queue file: ${err.message}`);
+    }
+  }
+
+  console.log(`[${new Date().toISOString()}] Loaded ${Object.keys(jobs).length} jobs and ${queue.length} queued tasks from ${storeDir}`);
+
+  let store = null;
+  store = createMemoryJobStore({ jobs, queue, inflight: [] }, (jobId, { appendedLogs } = {}) => {
+    const state = store._state;
+    if (jobId === null) {
+      writeJsonAtomic(queueFile, { queue: state.queue, inflight: state.inflight });
+    } else if (appendedLogs) {
+      appendLogLines(state.jobs[jobId], appendedLogs);
+    } else {
+      const filePath = jobFile(state.jobs[jobId]);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      writeJsonAtomic(filePath, { ...state.jobs[jobId], logs: undefined });
+    }
+  });
+  store.type = 'file';
+  store.dir = storeDir;
+  return store;
+}
+
+// Creates the store selected by JOB_STORE ("file" by default, or "memory")
+function createJobStore(options = {}) {
+  const type = options.type || process.env.JOB_STORE || 'file';
+  if (type === 'memory') {
+    return createMemoryJobStore();
+  }
+  if (type === 'file') {
+    return createFileJobStore(options.dir || process.env.JOB_STORE_DIR || DEFAULT_STORE_DIR);
+  }
+  throw new Error(`Unknown job store type: ${type}`);
+}
+
+module.exports = {
+  createJobStore,
+  createMemoryJobStore,
+  createFileJobStore
+};
@@ -0,0 +1,97 @@
+// JSON Schema validation for model answers
+// Covers the part of JSON Schema the prompts use: type (a name or a list of
+// names, "integer" and "null" included), enum, const, properties, required,
+// additionalProperties (true/false or a schema), items, minItems/maxItems,
+// minLength/maxLength, pattern and minimum/maximum. Anything else in a schema
+// is ignored, so schemas can carry descriptions for the model.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function pointer(path) {
+  return path || '(root)';
+}
+
+function check(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${pointer(path)} should be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${pointer(path)} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if ('const' in schema && schema.const !== value) {
+    errors.push(`${pointer(path)} should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${pointer(path)} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${pointer(path)} should have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${pointer(path)} should match ${schema.pattern}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${pointer(path)} should be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${pointer(path)} should be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${pointer(path)} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${pointer(path)} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, `${path}/${index}`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (!(name in value)) errors.push(`${pointer(path)} is missing required property "${name}"`);
+    });
+    Object.keys(value).forEach(name => {
+      if (properties[name]) {
+        check(properties[name], value[name], `${path}/${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${pointer(path)} has unexpected property "${name}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, value[name], `${path}/${name}`, errors);
+      }
+    });
+  }
+}
+
+// Returns { valid, errors } where errors are readable enough to send back
+// to the model, e.g. '/crn should match ^[A-Z0-9]{8}$, got "1234"'
+function validate(schema, value) {
+  const errors = [];
+  check(schema, value, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  validate
+};
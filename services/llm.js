@@ -0,0 +1,556 @@
+// LLM access for the pipeline
+// Every prompt goes through complete(): the task it is for picks the model,
+// each attempt gets a real timeout, transient failures are retried with
+// exponential backoff, and the exchange goes on the audit trail of the job
+// making it while its tokens and their cost are reported for the job's usage.
+//
+// Requests go to a provider, an object with:
+//   name                - label recorded with every request
+//   status()            - { configured, message }
+//   complete(request)   - Promise of { id, model, content, finish_reason,
+//                         usage: { prompt_tokens, completion_tokens },
+//                         cost_usd } for { purpose, model, messages,
+//                         temperature, max_tokens, structured, signal };
+//                         structured ({ mode, name, schema }) is set for
+//                         completeJson() and the content is then the JSON
+//                         answer. cost_usd is optional; without it the cost
+//                         comes from the model's price
+// "openai" (the default) calls the OpenAI API, or any OpenAI-compatible
+// server (vLLM, Ollama, LM Studio, ...) at LLM_BASE_URL. "fake" answers from
+// canned responses without leaving the process, for tests. Register other
+// providers with registerLlmProvider and pick one with LLM_PROVIDER.
+//
+// Tasks (the `purpose` of a call) are crn_lookup, website_lookup,
+// adverse_media and business_data. The model for a task is the first of: the
+// tenant's model_routes[task], the tenant's openai_model, LLM_MODEL_ROUTES
+// ("task=model,..."), LLM_MODEL, the built-in route.
+//
+// Failures are thrown as errors with a `type` of not_configured, timeout,
+// rate_limited, network, auth, invalid_request, api_error, aborted or (from
+// completeJson) invalid_response.
+//
+// Prompts (versioned templates, see services/prompts.js) are sent with
+// completeJson() and a JSON Schema for the answer (services/llmSchemas.js).
+// The schema goes to the model the way LLM_STRUCTURED_OUTPUT says: json_object
+// (JSON mode, the schema in the prompt; the default), json_schema (OpenAI
+// structured outputs), tools (a forced function call whose parameters are the
+// schema) or prompt (the schema in the prompt only, for servers without JSON
+// mode). The answer is validated
+// on receipt and, when it doesn't parse or match, sent back to the model with
+// the validation errors up to LLM_SCHEMA_RETRIES times before the call fails
+// with `type` invalid_response.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { OpenAI, APIConnectionError } = require('openai');
+const { createRateLimiter } = require('./rateLimiter');
+const { recordExternalRequest, currentJobId } = require('./auditTrail');
+const { currentTenant } = require('./tenants');
+const { validate } = require('./jsonSchema');
+
+const DEFAULT_MODEL = 'chatgpt-4o-latest';
+// The onboarding UI's business data lookup has always used GPT-4
+const BUILT_IN_ROUTES = { business_data: 'gpt-4' };
+
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000;
+const MAX_RETRIES = Number.isNaN(parseInt(process.env.LLM_MAX_RETRIES, 10)) ? 2 : parseInt(process.env.LLM_MAX_RETRIES, 10);
+const RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS, 10) || 1000;
+const MAX_RETRY_WAIT_MS = 30 * 1000;
+const SCHEMA_RETRIES = Number.isNaN(parseInt(process.env.LLM_SCHEMA_RETRIES, 10)) ? 2 : parseInt(process.env.LLM_SCHEMA_RETRIES, 10);
+
+const STRUCTURED_MODES = ['json_object', 'json_schema', 'tools', 'prompt'];
+// Models without JSON mode; they still take function calls
+const NO_JSON_MODE_MODELS = ['gpt-4', 'gpt-4-0613', 'gpt-4-0314'];
+
+// USD per million tokens; LLM_PRICES adds or replaces models, e.g.
+// {"llama3.1": {"input": 0, "output": 0}}. Dated snapshots such as
+// gpt-4o-2024-08-06 are priced as their base model.
+const DEFAULT_PRICES = {
+  'chatgpt-4o-latest': { input: 5, output: 15 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 }
+};
+
+function loadPrices() {
+  if (!process.env.LLM_PRICES) return { ...DEFAULT_PRICES };
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (err) {
+    console.warn(`LLM_PRICES is not valid JSON (${err.message}), using the default prices`);
+    return { ...DEFAULT_PRICES };
+  }
+}
+
+function parseRoutes(value) {
+  const routes = {};
+  String(value || '').split(',').forEach(pair => {
+    const [purpose, model] = pair.split('=').map(part => part && part.trim());
+    if (purpose && model) routes[purpose] = model;
+  });
+  return routes;
+}
+
+const PRICES = loadPrices();
+const ROUTES = parseRoutes(process.env.LLM_MODEL_ROUTES);
+
+// The OpenAI budget depends on the account tier
+const limiter = createRateLimiter({
+  name: 'openai',
+  maxRequests: parseInt(process.env.OPENAI_RATE_LIMIT, 10) || 60,
+  intervalMs: parseInt(process.env.OPENAI_RATE_WINDOW_MS, 10) || 60 * 1000
+});
+
+// 'usage' ({ jobId, purpose, provider, model, prompt_tokens,
+// completion_tokens, total_tokens, cost_usd }) after every answered call
+// made for a job, 'invalid_response' ({ jobId, purpose, template, model,
+// attempt, errors, retrying }) whenever a completeJson() answer fails its
+// schema
+const events = new EventEmitter();
+
+function createError(type, message, { status = null, retryAfterMs = null, validationErrors = null } = {}) {
+  const err = new Error(message);
+  err.type = type;
+  err.status = status;
+  err.retryAfterMs = retryAfterMs;
+  if (validationErrors) err.validation_errors = validationErrors;
+  return err;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function retryAfterMs(headers = {}) {
+  const seconds = parseFloat(headers['retry-after']);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// OpenAI SDK errors as typed errors
+function openAiError(err) {
+  const status = err.status || null;
+  if (status === 401 || status === 403) return createError('auth', `OpenAI rejected the API key: ${err.message}`, { status });
+  if (status === 429) return createError('rate_limited', err.message, { status, retryAfterMs: retryAfterMs(err.headers) });
+  if (status && status >= 500) return createError('api_error', err.message, { status });
+  if (status) return createError('invalid_request', err.message, { status });
+  if (err instanceof APIConnectionError) return createError('network', err.message);
+  return createError('api_error', err.message);
+}
+
+// Chat completion parameters asking for an answer in the shape of
+// structured.schema
+function structuredParams(structured) {
+  if (!structured) return {};
+  const { mode, name, schema } = structured;
+  if (mode === 'json_object') return { response_format: { type: 'json_object' } };
+  if (mode === 'json_schema') return { response_format: { type: 'json_schema', json_schema: { name, schema, strict: false } } };
+  if (mode === 'tools') {
+    return {
+      tools: [{ type: 'function', function: { name, description: `Record the ${name.replace(/_/g, ' ')}`, parameters: schema } }],
+      tool_choice: { type: 'function', function: { name } }
+    };
+  }
+  return {};
+}
+
+function createOpenAiProvider({
+  apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || null,
+  baseURL = process.env.LLM_BASE_URL || null
+} = {}) {
+  let client = null;
+
+  // Created on first use so the app can start without a key; local servers
+  // usually don't check the key, but the SDK insists on one
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseURL || undefined, maxRetries: 0 });
+    }
+    return client;
+  }
+
+  return {
+    name: baseURL ? 'openai_compatible' : 'openai',
+
+    status() {
+      if (baseURL) return { configured: true, message: `OpenAI-compatible endpoint at ${baseURL}` };
+      if (apiKey) return { configured: true, message: 'OpenAI API' };
+      return { configured: false, message: 'OPENAI_API_KEY is not set' };
+    },
+
+    async complete({ model, messages, temperature, max_tokens, structured, signal }) {
+      if (!apiKey && !baseURL) throw createError('not_configured', 'OpenAI API key not configured');
+      await limiter.acquire();
+      let response;
+      try {
+        response = await getClient().chat.completions.create({
+          model,
+          messages,
+          ...(temperature !== undefined ? { temperature } : {}),
+          ...(max_tokens ? { max_tokens } : {}),
+          ...structuredParams(structured)
+        }, { signal });
+      } catch (err) {
+        throw openAiError(err);
+      }
+      const choice = response.choices?.[0];
+      // A forced function call answers in its arguments
+      const toolCall = choice?.message?.tool_calls?.[0];
+      return {
+        id: response.id || null,
+        model: response.model || model,
+        content: toolCall ? toolCall.function.arguments : (choice?.message?.content ?? ''),
+        finish_reason: choice?.finish_reason || null,
+        usage: {
+          prompt_tokens: response.usage?.prompt_tokens ?? null,
+          completion_tokens: response.usage?.completion_tokens ?? null
+        }
+      };
+    }
+  };
+}
+
+function loadFakeResponses(file) {
+  if (!file) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Deterministic answers for tests: the same request always gets the same
+// response and nothing leaves the process. Responses (the `responses` option,
+// or the JSON file in LLM_FAKE_RESPONSES) are keyed by task:
+//   { "crn_lookup": [{ "match": "Acme", "content": {"crn": "01234567"} }], "*": "{}" }
+// A task maps to the content itself or to a list of { match, content } tried
+// in order against the prompt, and "*" applies to every task. A prompt with no
+// canned response fails at once (not_configured) rather than getting an
+// answer its schema would reject on every attempt. Object contents are sent as JSON, tokens are counted as four
+// characters each but cost nothing, and latencyMs (LLM_FAKE_LATENCY_MS)
+// delays every answer.
+function createFakeLlmProvider({
+  responses = loadFakeResponses(process.env.LLM_FAKE_RESPONSES),
+  latencyMs = parseInt(process.env.LLM_FAKE_LATENCY_MS, 10) || 0
+} = {}) {
+  const tokens = text => Math.ceil(text.length / 4);
+
+  function answerFor(purpose, prompt) {
+    for (const key of [purpose, '*']) {
+      const entry = responses[key];
+      if (entry === undefined) continue;
+      if (!Array.isArray(entry)) return entry;
+      const match = entry.find(candidate => !candidate.match || prompt.includes(candidate.match));
+      if (match) return match.content;
+    }
+    return undefined;
+  }
+
+  return {
+    name: 'fake',
+
+    status() {
+      return { configured: true, message: 'Canned responses' };
+    },
+
+    async complete({ purpose, model, messages, signal }) {
+      if (latencyMs > 0) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, latencyMs);
+          signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(createError('aborted', 'Request aborted'));
+          }, { once: true });
+        });
+      }
+      const prompt = messages.map(message => message.content).join('\n');
+      const answer = answerFor(purpose, prompt);
+      if (answer === undefined) {
+        throw createError('not_configured', `The fake LLM provider has no canned response for this ${purpose} prompt (add one to LLM_FAKE_RESPONSES)`);
+      }
+      const content = typeof answer === 'string' ? answer : JSON.stringify(answer);
+      return {
+        id: `fake-${crypto.createHash('sha256').update(JSON.stringify({ model, messages })).digest('hex').slice(0, 16)}`,
+        model,
+        content,
+        finish_reason: 'stop',
+        usage: { prompt_tokens: tokens(prompt), completion_tokens: tokens(content) },
+        cost_usd: 0
+      };
+    }
+  };
+}
+
+const providers = {
+  openai: createOpenAiProvider,
+  fake: createFakeLlmProvider
+};
+
+let activeProvider = null;
+
+function registerLlmProvider(name, factory) {
+  providers[name] = factory;
+}
+
+function createLlmProvider(name = process.env.LLM_PROVIDER || 'openai', options = {}) {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}" (registered: ${Object.keys(providers).join(', ')})`);
+  }
+  return factory(options);
+}
+
+// The provider complete() uses unless told otherwise; tests can swap in a
+// fake one
+function getLlmProvider() {
+  if (!activeProvider) activeProvider = createLlmProvider();
+  return activeProvider;
+}
+
+function useLlmProvider(provider) {
+  activeProvider = provider;
+}
+
+function status() {
+  const provider = getLlmProvider();
+  return { provider: provider.name, ...provider.status() };
+}
+
+function modelFor(purpose) {
+  const tenant = currentTenant();
+  return tenant.model_routes?.[purpose]
+    || tenant.openai_model
+    || ROUTES[purpose]
+    || process.env.LLM_MODEL
+    || BUILT_IN_ROUTES[purpose]
+    || DEFAULT_MODEL;
+}
+
+function priceFor(model) {
+  if (PRICES[model]) return PRICES[model];
+  const base = Object.keys(PRICES)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? PRICES[base] : null;
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// null when the model has no price
+function costOf(model, { prompt_tokens, completion_tokens }) {
+  const price = priceFor(model);
+  if (!price) return null;
+  return roundCost(((prompt_tokens || 0) * price.input + (completion_tokens || 0) * price.output) / 1e6);
+}
+
+function isRetryable(err) {
+  if (['timeout', 'rate_limited', 'network'].includes(err.type)) return true;
+  return err.type === 'api_error' && err.status >= 500;
+}
+
+function retryDelayMs(err, attempt) {
+  if (err.retryAfterMs) return Math.min(err.retryAfterMs, MAX_RETRY_WAIT_MS);
+  const backoff = RETRY_BASE_MS * Math.pow(2, attempt - 1);
+  return Math.min(backoff + Math.floor(Math.random() * RETRY_BASE_MS), MAX_RETRY_WAIT_MS);
+}
+
+// One attempt, abandoned after timeoutMs even if the provider ignores the
+// abort signal
+function attemptCompletion(provider, request, timeoutMs, callerSignal) {
+  if (callerSignal?.aborted) return Promise.reject(createError('aborted', 'LLM request was cancelled'));
+  const controller = new AbortController();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      controller.abort();
+      reject(createError('aborted', 'LLM request was cancelled'));
+    };
+    const timer = setTimeout(() => {
+      controller.abort();
+      reject(createError('timeout', `LLM request timed out after ${timeoutMs / 1000} seconds`));
+    }, timeoutMs);
+    callerSignal?.addEventListener('abort', onAbort, { once: true });
+
+    Promise.resolve()
+      .then(() => provider.complete({ ...request, signal: controller.signal }))
+      .then(resolve, err => reject(err.type ? err : createError('api_error', err.message)))
+      .finally(() => {
+        clearTimeout(timer);
+        callerSignal?.removeEventListener('abort', onAbort);
+      });
+  });
+}
+
+// Sends a chat prompt for a task and resolves to { content, model, provider,
+// finish_reason, usage, cost_usd, attempts }
+async function complete({ purpose, messages, temperature = 0, max_tokens = null, model = null, structured = null, template = null, signal = null }, {
+  provider = getLlmProvider(),
+  timeoutMs = TIMEOUT_MS,
+  maxRetries = MAX_RETRIES
+} = {}) {
+  if (!purpose) throw new Error('complete() needs the purpose of the call');
+  const routedModel = model || modelFor(purpose);
+  const request = { purpose, model: routedModel, messages, temperature, max_tokens, ...(structured ? { structured } : {}) };
+  const audit = {
+    provider: provider.name,
+    endpoint: 'chat.completions',
+    purpose,
+    model: routedModel,
+    messages,
+    ...(structured ? { structured_output: structured.mode, schema: structured.name } : {}),
+    ...(template ? { template: template.id, template_version: template.version, template_fingerprint: template.fingerprint } : {})
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    try {
+      response = await attemptCompletion(provider, request, timeoutMs, signal);
+    } catch (err) {
+      recordExternalRequest('llm', { ...audit, attempt, error_type: err.type, error: err.message });
+      if (attempt > maxRetries || !isRetryable(err)) throw err;
+      const delay = retryDelayMs(err, attempt);
+      console.warn(`[${new Date().toISOString()}] LLM ${purpose} request failed (${err.type}: ${err.message}), retry ${attempt}/${maxRetries} in ${delay}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    const usage = {
+      prompt_tokens: response.usage?.prompt_tokens ?? null,
+      completion_tokens: response.usage?.completion_tokens ?? null
+    };
+    usage.total_tokens = (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    const cost = typeof response.cost_usd === 'number' ? response.cost_usd : costOf(routedModel, usage);
+
+    recordExternalRequest('llm', {
+      ...audit,
+      attempt,
+      response_id: response.id || null,
+      response_model: response.model || null,
+      response: response.content,
+      finish_reason: response.finish_reason || null,
+      usage,
+      cost_usd: cost
+    });
+    const jobId = currentJobId();
+    if (jobId) {
+      events.emit('usage', { jobId, purpose, provider: provider.name, model: routedModel, ...usage, cost_usd: cost });
+    }
+
+    return {
+      content: response.content,
+      model: response.model || routedModel,
+      provider: provider.name,
+      finish_reason: response.finish_reason || null,
+      usage,
+      cost_usd: cost,
+      attempts: attempt
+    };
+  }
+}
+
+function structuredModeFor(model) {
+  const configured = process.env.LLM_STRUCTURED_OUTPUT;
+  if (configured) {
+    if (!STRUCTURED_MODES.includes(configured)) {
+      throw new Error(`Unknown LLM_STRUCTURED_OUTPUT "${configured}" (use ${STRUCTURED_MODES.join(', ')})`);
+    }
+    return configured;
+  }
+  return NO_JSON_MODE_MODELS.includes(model) ? 'tools' : 'json_object';
+}
+
+function schemaInstruction(name, schema) {
+  return `Answer with a single JSON object (the ${name.replace(/_/g, ' ')}) that matches this JSON Schema, and nothing else:\n${JSON.stringify(schema, null, 2)}`;
+}
+
+// Models in prompt or JSON mode sometimes still fence their answer
+function parseJsonAnswer(content) {
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+  try {
+    return { value: JSON.parse(text), errors: [] };
+  } catch (err) {
+    return { value: undefined, errors: [`the answer is not valid JSON (${err.message})`] };
+  }
+}
+
+// complete() for an answer matching `schema` (named `schemaName`); resolves
+// to complete()'s result plus `data`, the validated answer, and
+// `schema_attempts`. Invalid answers are sent back with what was wrong.
+// Takes a rendered prompt template (services/prompts.js) as it is.
+async function completeJson({ purpose, schema, schemaName, messages, temperature = 0, max_tokens = null, model = null, template = null, signal = null }, {
+  schemaRetries = SCHEMA_RETRIES,
+  ...options
+} = {}) {
+  if (!schema || !schemaName) throw new Error('completeJson() needs a schema and its name');
+  const routedModel = model || modelFor(purpose);
+  const mode = structuredModeFor(routedModel);
+  const structured = { mode, name: schemaName, schema };
+  // The tools and json_schema modes hand the schema over themselves
+  let conversation = mode === 'tools' || mode === 'json_schema'
+    ? [...messages]
+    : [{ role: 'system', content: schemaInstruction(schemaName, schema) }, ...messages];
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await complete({ purpose, messages: conversation, temperature, max_tokens, model: routedModel, structured, template, signal }, options);
+    const parsed = parseJsonAnswer(response.content);
+    const errors = parsed.errors.length > 0 ? parsed.errors : validate(schema, parsed.value).errors;
+    if (errors.length === 0) {
+      return { ...response, data: parsed.value, schema_attempts: attempt };
+    }
+
+    const retrying = attempt <= schemaRetries;
+    const jobId = currentJobId();
+    if (jobId) events.emit('invalid_response', { jobId, purpose, template: template && `${template.id}@${template.version}`, model: routedModel, attempt, errors, retrying });
+    if (!retrying) {
+      const err = createError('invalid_response', `LLM ${purpose} answer did not match the ${schemaName} schema after ${attempt} attempt(s): ${errors.join('; ')}`, { validationErrors: errors });
+      // The last answer, for recording what the model said
+      err.content = response.content;
+      err.model = response.model;
+      throw err;
+    }
+    console.warn(`[${new Date().toISOString()}] LLM ${purpose} answer failed validation (${errors.join('; ')}), asking again ${attempt}/${schemaRetries}`);
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: `That answer does not match the required schema:\n${errors.map(error => `- ${error}`).join('\n')}\nReply again with only the corrected JSON object.` }
+    ];
+  }
+}
+
+// Adds one call to a job's running totals (kept with jobStore.setLlmUsage)
+function addUsage(totals, call) {
+  const next = totals
+    ? JSON.parse(JSON.stringify(totals))
+    : { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0, unpriced_calls: 0, by_model: {} };
+  if (!next.by_model[call.model]) {
+    next.by_model[call.model] = { calls: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 };
+  }
+  for (const bucket of [next, next.by_model[call.model]]) {
+    bucket.calls++;
+    bucket.prompt_tokens += call.prompt_tokens || 0;
+    bucket.completion_tokens += call.completion_tokens || 0;
+    if (call.cost_usd !== null) bucket.cost_usd = roundCost(bucket.cost_usd + call.cost_usd);
+  }
+  next.total_tokens = next.prompt_tokens + next.completion_tokens;
+  if (call.cost_usd === null) next.unpriced_calls++;
+  return next;
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  limiter,
+  on: events.on.bind(events),
+  off: events.off.bind(events),
+  createOpenAiProvider,
+  createFakeLlmProvider,
+  registerLlmProvider,
+  createLlmProvider,
+  getLlmProvider,
+  useLlmProvider,
+  status,
+  modelFor,
+  costOf,
+  addUsage,
+  complete,
+  completeJson
+};
@@ -0,0 +1,105 @@
+// JSON Schemas for the answers of every prompt sent through llm.completeJson()
+// Each prompt template version (prompts/) names the one its answer must match;
+// an answer that doesn't match is sent back to the model with the validation
+// errors (see services/llm.js).
+// Fields the model may not know are nullable rather than optional so the
+// model has to say so.
+
+const CRN_PATTERN = '^([0-9]{8}|[A-Z]{2}[0-9]{6})$';
+
+const nullableString = { type: ['string', 'null'] };
+const crn = { type: ['string', 'null'], pattern: CRN_PATTERN, description: 'UK Company Registration Number: 8 digits or 2 letters and 6 digits' };
+const website = { type: ['string', 'null'], pattern: '^https?://', description: 'Full URL starting with http:// or https://' };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+// kybTask: the company in the register closest to the requested name
+const crnLookup = object({
+  crn,
+  company_name_in_registry: nullableString,
+  company_status: nullableString,
+  registry_link: nullableString,
+  reason: nullableString
+});
+
+// kybTask second attempt: just the CRN of an active company
+const activeCrnLookup = object({
+  crn,
+  company_name_in_registry: nullableString,
+  reason: nullableString
+});
+
+// kybTask: the official website of a verified company
+const websiteLookup = object({
+  website,
+  confidence: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW', 'NONE'] },
+  verification_steps: stringList,
+  sources: stringList
+});
+
+// kybContinue: CRN and website for a company name supplied by the user
+const crnAndWebsiteLookup = object({
+  crn,
+  website,
+  confidence: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW', 'NONE'] },
+  verification_steps: stringList,
+  potential_errors: stringList
+});
+
+// askOpenAIForCRN: CRN and website research with the reasoning behind it
+const crnResearch = object({
+  crn,
+  website,
+  confidence: { type: 'string', enum: ['high', 'medium', 'low', 'none'] },
+  reasoning: { type: 'string' },
+  potential_issues: stringList
+});
+
+// services/adverseMedia.js: one classification per search result, in one of
+// the categories the prompt was rendered with
+function adverseMediaClassification({ categories }) {
+  const level = { type: 'string', enum: ['high', 'medium', 'low', 'none'] };
+  return object({
+    results: {
+      type: 'array',
+      items: object({
+        index: { type: 'integer', minimum: 0 },
+        relevance: level,
+        severity: level,
+        category: { type: 'string', enum: categories },
+        summary: { type: 'string' }
+      })
+    }
+  });
+}
+
+// routes/research.js: business details for the onboarding form; fields the
+// model can't find are left out
+const businessData = object({
+  address: { type: 'string' },
+  registrationNumber: { type: 'string' },
+  incorporationDate: { type: 'string', pattern: '^[0-9]{4}-[0-9]{2}-[0-9]{2}$' },
+  directors: {
+    type: 'array',
+    items: object({
+      name: { type: 'string' },
+      role: { type: 'string' },
+      appointedDate: { type: ['string', 'null'], pattern: '^[0-9]{4}-[0-9]{2}-[0-9]{2}$' }
+    }, ['name'])
+  },
+  industry: { type: 'string' }
+}, []);
+
+module.exports = {
+  CRN_PATTERN,
+  crnLookup,
+  activeCrnLookup,
+  websiteLookup,
+  crnAndWebsiteLookup,
+  crnResearch,
+  adverseMediaClassification,
+  businessData
+};
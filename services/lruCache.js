@@ -0,0 +1,45 @@
+// Small in-memory LRU cache with per-entry expiry
+// A Map keeps insertion order, so re-inserting on every hit keeps the least
+// recently used entry first in line for eviction.
+
+function createLruCache({ maxEntries = 500, ttlMs = 60 * 60 * 1000 } = {}) {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      misses++;
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      misses++;
+      return undefined;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    hits++;
+    return entry.value;
+  }
+
+  function set(key, value, entryTtlMs = ttlMs) {
+    if (maxEntries <= 0 || entryTtlMs <= 0) return;
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + entryTtlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear(),
+    stats: () => ({ size: entries.size, maxEntries, ttlMs, hits, misses })
+  };
+}
+
+module.exports = { createLruCache };
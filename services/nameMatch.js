@@ -0,0 +1,198 @@
+// Fuzzy name matching for watchlist screening
+// Names are compared token by token (so "SMITH, John Paul" matches "John
+// Smith"), each token scored with Jaro-Winkler so small spelling and
+// transliteration differences still match. Dates of birth, where both sides
+// have one, confirm or contradict a name match.
+
+const TITLES = new Set(['mr', 'mrs', 'miss', 'ms', 'mx', 'dr', 'prof', 'professor', 'sir', 'dame', 'lord', 'lady', 'rev', 'reverend', 'hon', 'sheikh', 'haji']);
+
+const ENTITY_SUFFIXES = new Set([
+  'ltd', 'limited', 'plc', 'llp', 'lp', 'llc', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'ag', 'sa', 'sarl', 'srl', 'spa', 'bv', 'nv', 'oy', 'ab', 'as', 'jsc', 'ojsc', 'pjsc', 'cjsc', 'ooo', 'fze', 'fzco'
+]);
+
+// Below this a token pair is a different name, not a spelling variant
+const TOKEN_FLOOR = 0.8;
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+function nameTokens(name, { entity = false } = {}) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    // "S.A.R.L." is one token, not four
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !TITLES.has(token) && !(entity && ENTITY_SUFFIXES.has(token)));
+}
+
+function jaro(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+}
+
+function jaroWinkler(a, b) {
+  const score = jaro(a, b);
+  let prefix = 0;
+  while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  return score + prefix * 0.1 * (1 - score);
+}
+
+// Every token of the shorter name is matched to its closest token in the
+// longer one; unmatched extra tokens (middle names) cost a little
+function tokenScore(tokensA, tokensB) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+
+  const used = new Set();
+  let total = 0;
+  for (const token of shorter) {
+    let best = 0;
+    let bestIndex = -1;
+    longer.forEach((candidate, index) => {
+      if (used.has(index)) return;
+      const score = jaroWinkler(token, candidate);
+      if (score > best) {
+        best = score;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex >= 0) used.add(bestIndex);
+    total += best >= TOKEN_FLOOR ? best : 0;
+  }
+
+  const average = total / shorter.length;
+  return 0.85 * average + 0.15 * (shorter.length / longer.length);
+}
+
+function compareNames(a, b, options = {}) {
+  return Math.round(tokenScore(nameTokens(a, options), nameTokens(b, options)) * 1000) / 1000;
+}
+
+// Accepts { year, month, day } objects, "YYYY-MM(-DD)", "DD/MM/YYYY" (00 for
+// unknown parts, as OFSI publishes them), "01 Jan 1960" and bare years
+function parseDateOfBirth(value) {
+  if (!value) return null;
+  if (typeof value === 'object') {
+    return value.year ? { year: Number(value.year), month: value.month ? Number(value.month) : null, day: value.day ? Number(value.day) : null } : null;
+  }
+
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+  if (match) {
+    return { year: Number(match[1]), month: match[2] ? Number(match[2]) || null : null, day: match[3] ? Number(match[3]) || null : null };
+  }
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return { year: Number(match[3]), month: Number(match[2]) || null, day: Number(match[1]) || null };
+  }
+  match = text.match(/^(?:(\d{1,2})\s+)?([A-Za-z]{3})[a-z]*\s+(\d{4})$/);
+  if (match && MONTHS[match[2].toLowerCase()]) {
+    return { year: Number(match[3]), month: MONTHS[match[2].toLowerCase()], day: match[1] ? Number(match[1]) : null };
+  }
+  return null;
+}
+
+// 'match' when every part both sides know agrees, 'mismatch' when the years
+// are more than a year apart (listings often only know roughly), else 'partial'
+function compareDatesOfBirth(a, b) {
+  if (!a || !b) return 'unknown';
+  if (Math.abs(a.year - b.year) > 1) return 'mismatch';
+  if (a.year !== b.year) return 'partial';
+  if (a.month && b.month && a.month !== b.month) return 'partial';
+  return 'match';
+}
+
+// Entries ({ type, names }) are indexed by the first two letters of each name
+// token so a screening only scores names that could plausibly match
+function buildNameIndex(entries) {
+  const index = new Map();
+  entries.forEach((entry, entryIndex) => {
+    for (const name of entry.names) {
+      for (const token of nameTokens(name, { entity: entry.type !== 'individual' })) {
+        const key = token.slice(0, 2);
+        if (!index.has(key)) index.set(key, new Set());
+        index.get(key).add(entryIndex);
+      }
+    }
+  });
+  return index;
+}
+
+function findCandidates(index, name, options = {}) {
+  const candidates = new Set();
+  for (const token of nameTokens(name, options)) {
+    for (const entryIndex of index.get(token.slice(0, 2)) || []) candidates.add(entryIndex);
+  }
+  return candidates;
+}
+
+// Best-scoring name of a list entry for a subject ({ name, date_of_birth }),
+// or null below the threshold. A date of birth on both sides confirms the
+// match or rules it out.
+function matchEntry(subject, entry, { threshold, entity = false }) {
+  let best = { score: 0, name: null };
+  for (const name of entry.names) {
+    const score = compareNames(subject.name, name, { entity });
+    if (score > best.score) best = { score, name };
+  }
+  if (best.score < threshold) return null;
+
+  const subjectDob = parseDateOfBirth(subject.date_of_birth);
+  const dobResults = (entry.dates_of_birth || []).map(dob => compareDatesOfBirth(subjectDob, parseDateOfBirth(dob)));
+  const dobMatch = ['match', 'partial', 'mismatch'].find(result => dobResults.includes(result)) || 'unknown';
+  let score = best.score;
+  if (dobMatch === 'match') score = Math.min(1, score + 0.05);
+  if (dobMatch === 'mismatch') score = score * 0.8;
+  if (score < threshold) return null;
+
+  return {
+    matched_name: best.name,
+    score: Math.round(score * 1000) / 1000,
+    name_score: best.score,
+    dob_match: dobMatch
+  };
+}
+
+module.exports = {
+  nameTokens,
+  jaroWinkler,
+  compareNames,
+  tokenScore,
+  parseDateOfBirth,
+  compareDatesOfBirth,
+  buildNameIndex,
+  findCandidates,
+  matchEntry
+};
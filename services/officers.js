@@ -0,0 +1,156 @@
+// Companies House officer records
+// Turns raw /officers items into the officer model used in KYB results and
+// picks the company's primary representative. Companies House formats names
+// as "SURNAME, Forenames" and may prefix a title, so names are split on the
+// comma rather than on spaces.
+
+const TITLES = /^(mr|mrs|miss|ms|mx|dr|prof|professor|sir|dame|lord|lady|rev|reverend)\.?\s+/i;
+
+// Lower number = preferred as representative
+const ROLE_PRIORITY = {
+  'director': 1,
+  'nominee-director': 2,
+  'llp-designated-member': 3,
+  'llp-member': 4,
+  'member-of-a-management-organ': 5,
+  'member-of-an-administrative-organ': 6,
+  'member-of-a-supervisory-organ': 7,
+  'general-partner-in-a-limited-partnership': 8,
+  'limited-partner-in-a-limited-partnership': 9,
+  'manager-of-an-eeig': 10,
+  'judicial-factor': 11,
+  'receiver-and-manager': 12,
+  'cic-manager': 13,
+  'secretary': 20,
+  'nominee-secretary': 21
+};
+const UNKNOWN_ROLE_PRIORITY = 15;
+
+const DIRECTOR_ROLES = ['director', 'nominee-director', 'corporate-director', 'corporate-nominee-director'];
+
+function stripTitle(name) {
+  return name.replace(TITLES, '').trim();
+}
+
+// "SMITH, John Paul" -> { firstName: 'John', middleName: 'Paul', lastName: 'SMITH' }
+function parseOfficerName(rawName) {
+  if (!rawName) return { firstName: null, middleName: null, lastName: null, displayName: null };
+
+  let lastName = null;
+  let forenames = rawName;
+  if (rawName.includes(',')) {
+    const commaIndex = rawName.indexOf(',');
+    lastName = rawName.slice(0, commaIndex).trim() || null;
+    forenames = rawName.slice(commaIndex + 1);
+  }
+
+  const parts = stripTitle(forenames.trim()).split(/\s+/).filter(Boolean);
+  if (!lastName && parts.length > 1) {
+    lastName = parts.pop();
+  }
+
+  const firstName = parts[0] || null;
+  const middleName = parts.length > 1 ? parts.slice(1).join(' ') : null;
+  const displayName = [firstName, middleName, lastName].filter(Boolean).join(' ') || rawName;
+
+  return { firstName, middleName, lastName, displayName };
+}
+
+function formatRole(role) {
+  if (!role) return null;
+  const label = role.replace(/-/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function isCorporateRole(role) {
+  return typeof role === 'string' && role.startsWith('corporate-');
+}
+
+// Corporate officers share the priority of the role they hold, after people
+function rolePriority(role) {
+  const baseRole = isCorporateRole(role) ? role.replace(/^corporate-/, '') : role;
+  const priority = ROLE_PRIORITY[baseRole] ?? UNKNOWN_ROLE_PRIORITY;
+  return isCorporateRole(role) ? priority + 100 : priority;
+}
+
+function normalizeOfficer(item) {
+  // Corporate officers are companies, so their names are not split
+  const name = isCorporateRole(item.officer_role)
+    ? { firstName: null, middleName: null, lastName: null, displayName: item.name }
+    : parseOfficerName(item.name);
+  const dob = item.date_of_birth || null;
+
+  return {
+    name: item.name,
+    full_name: name.displayName,
+    firstName: name.firstName,
+    middleName: name.middleName,
+    lastName: name.lastName,
+    role: item.officer_role || null,
+    role_label: formatRole(item.officer_role),
+    is_corporate: isCorporateRole(item.officer_role),
+    appointed_on: item.appointed_on || null,
+    resigned_on: item.resigned_on || null,
+    is_active: !item.resigned_on,
+    nationality: item.nationality || null,
+    country_of_residence: item.country_of_residence || null,
+    occupation: item.occupation || null,
+    address: item.address || null,
+    // Companies House only publishes month and year of birth
+    date_of_birth: dob ? { month: dob.month || null, year: dob.year || null } : null,
+    birthDate: dob && dob.year ? `${dob.year}-${String(dob.month || 1).padStart(2, '0')}` : null,
+    identification: item.identification || null,
+    appointments_link: item.links?.officer?.appointments || null
+  };
+}
+
+function isDirector(officer) {
+  return DIRECTOR_ROLES.includes(officer.role);
+}
+
+// Active people before corporate officers, directors before secretaries,
+// longest-serving first within the same role
+function chooseRepresentative(officers) {
+  const candidates = officers.filter(o => o.is_active);
+  if (candidates.length === 0) return null;
+
+  return [...candidates].sort((a, b) => {
+    const byRole = rolePriority(a.role) - rolePriority(b.role);
+    if (byRole !== 0) return byRole;
+    return (a.appointed_on || '9999').localeCompare(b.appointed_on || '9999');
+  })[0];
+}
+
+function nameTokens(name) {
+  return stripTitle(String(name || '').replace(',', ' '))
+    .toLowerCase()
+    .replace(/[^a-z\s'-]/g, ' ')
+    .split(/\s+/)
+    .filter(token => token && !TITLES.test(`${token} `));
+}
+
+// PSC names are "Mr John Paul Smith" while officers are "SMITH, John Paul"
+function isSamePerson(officer, otherName) {
+  const a = nameTokens(officer.name || officer.full_name).sort().join(' ');
+  const b = nameTokens(otherName).sort().join(' ');
+  return a.length > 0 && a === b;
+}
+
+// Looser than isSamePerson, for names given without the middle names: "John
+// Smith" names "SMITH, John Paul" (two words at least, all of them the officer's)
+function isNamedOfficer(officer, name) {
+  if (isSamePerson(officer, name)) return true;
+  const officerTokens = nameTokens(officer.name || officer.full_name);
+  const tokens = nameTokens(name);
+  return tokens.length >= 2 && tokens.every(token => officerTokens.includes(token));
+}
+
+module.exports = {
+  parseOfficerName,
+  normalizeOfficer,
+  chooseRepresentative,
+  isDirector,
+  isSamePerson,
+  isNamedOfficer,
+  rolePriority
+};
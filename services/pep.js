@@ -0,0 +1,230 @@
+// Politically exposed person (PEP) screening
+// Lookups go through a provider so a commercial PEP database can replace the
+// local list without touching the pipeline. A provider is an object with:
+//   name                  - label recorded with the results
+//   status()              - { available, source, entries, message }
+//   lookup(subject)       - Promise of matches for { name, date_of_birth }:
+//                           [{ matched_name, category, country, position,
+//                              source_id, score, dob_match }]
+// Register other providers with registerPepProvider and pick one with
+// PEP_PROVIDER (default "local").
+//
+// Every match starts as pending review and is confirmed or dismissed by a
+// reviewer through /continueKYB.
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsvObjects } = require('./csv');
+const { buildNameIndex, findCandidates, matchEntry } = require('./nameMatch');
+
+const DEFAULT_LIST_FILE = path.join(__dirname, '..', 'lists', 'pep', 'peps.csv');
+const MATCH_THRESHOLD = parseFloat(process.env.PEP_MATCH_THRESHOLD) || 0.85;
+
+const REVIEW_DECISIONS = ['confirmed', 'dismissed'];
+
+// Local list: CSV with a header row, or a JSON array, with the fields
+// id, name, aliases ("; "-separated in CSV), category, country, position
+// and date_of_birth
+function parsePepList(text, file) {
+  const records = /\.json$/i.test(file) ? JSON.parse(text) : parseCsvObjects(text);
+  if (!Array.isArray(records)) throw new Error('PEP list must be a list of people');
+
+  return records
+    .filter(record => record.name)
+    .map((record, index) => {
+      const aliases = Array.isArray(record.aliases)
+        ? record.aliases
+        : String(record.aliases || '').split(';');
+      return {
+        id: String(record.id || index + 1),
+        type: 'individual',
+        primary_name: record.name,
+        names: [record.name, ...aliases.map(alias => alias.trim()).filter(Boolean)],
+        category: record.category || null,
+        country: record.country || null,
+        position: record.position || null,
+        dates_of_birth: record.date_of_birth ? [record.date_of_birth] : []
+      };
+    });
+}
+
+function createLocalPepProvider({ file = process.env.PEP_LIST_FILE || DEFAULT_LIST_FILE, threshold = MATCH_THRESHOLD } = {}) {
+  let cache = null;
+
+  // Re-read when the file changes so list updates apply to the next job
+  function load() {
+    if (!fs.existsSync(file)) return null;
+    const { mtimeMs } = fs.statSync(file);
+    if (cache && cache.mtimeMs === mtimeMs) return cache;
+
+    const entries = parsePepList(fs.readFileSync(file, 'utf8'), file);
+    console.log(`[${new Date().toISOString()}] Loaded ${entries.length} PEP entries from ${file}`);
+    cache = { mtimeMs, entries, index: buildNameIndex(entries) };
+    return cache;
+  }
+
+  return {
+    name: 'local',
+
+    status() {
+      try {
+        const list = load();
+        if (!list) return { available: false, source: file, entries: 0, message: `PEP list not found: ${file}` };
+        return { available: true, source: file, entries: list.entries.length, message: null };
+      } catch (err) {
+        return { available: false, source: file, entries: 0, message: `Could not load PEP list ${file}: ${err.message}` };
+      }
+    },
+
+    async lookup(subject) {
+      const list = load();
+      if (!list) return [];
+
+      const matches = [];
+      for (const entryIndex of findCandidates(list.index, subject.name)) {
+        const entry = list.entries[entryIndex];
+        const match = matchEntry(subject, entry, { threshold });
+        if (!match) continue;
+        matches.push({
+          ...match,
+          primary_name: entry.primary_name,
+          category: entry.category,
+          country: entry.country,
+          position: entry.position,
+          source_id: entry.id
+        });
+      }
+      return matches.sort((a, b) => b.score - a.score);
+    }
+  };
+}
+
+const providers = {
+  local: createLocalPepProvider
+};
+
+function registerPepProvider(name, factory) {
+  providers[name] = factory;
+}
+
+function createPepProvider(name = process.env.PEP_PROVIDER || 'local', options = {}) {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown PEP provider "${name}" (registered: ${Object.keys(providers).join(', ')})`);
+  }
+  return factory(options);
+}
+
+function matchStrength(score) {
+  if (score >= 0.95) return 'strong';
+  if (score >= 0.9) return 'medium';
+  return 'weak';
+}
+
+function summarize(pep) {
+  const pending = pep.matches.filter(match => match.review.status === 'pending').length;
+  pep.pending_reviews = pending;
+  if (pep.status === 'not_screened') return pep;
+  if (pep.matches.length === 0) pep.status = 'clear';
+  else pep.status = pending > 0 ? 'pending_review' : 'reviewed';
+  return pep;
+}
+
+// subjects: [{ name, type, role, date_of_birth }]; only individuals can be PEPs
+async function screenPeps(subjects, { provider = createPepProvider() } = {}) {
+  const status = provider.status();
+  const people = subjects.filter(subject => subject.type === 'individual');
+  const pep = {
+    status: status.available ? 'clear' : 'not_screened',
+    message: status.message,
+    provider: provider.name,
+    source: status.source,
+    entries: status.entries,
+    subjects_screened: 0,
+    matches: [],
+    screened_at: new Date().toISOString()
+  };
+  if (!status.available) return summarize(pep);
+
+  for (const subject of people) {
+    const matches = await provider.lookup(subject);
+    pep.subjects_screened++;
+    matches.forEach(match => {
+      pep.matches.push({
+        id: `pep_${pep.matches.length + 1}`,
+        subject: { name: subject.name, role: subject.role, date_of_birth: subject.date_of_birth || null },
+        matched_name: match.matched_name,
+        primary_name: match.primary_name || match.matched_name,
+        category: match.category || null,
+        country: match.country || null,
+        position: match.position || null,
+        source_id: match.source_id || null,
+        score: match.score,
+        strength: matchStrength(match.score),
+        dob_match: match.dob_match || 'unknown',
+        review: { status: 'pending', reviewer: null, note: null, reviewed_at: null }
+      });
+    });
+  }
+
+  return summarize(pep);
+}
+
+// Reviews arrive as pep_reviews: [{ match_id, decision, note }] or, from the
+// onboarding form, as one field per match ({ pep_1: 'dismissed' })
+function collectPepReviews(additionalData) {
+  const reviews = Array.isArray(additionalData.pep_reviews) ? [...additionalData.pep_reviews] : [];
+  Object.entries(additionalData)
+    .filter(([key, value]) => /^pep_\d+$/.test(key) && typeof value === 'string')
+    .forEach(([key, value]) => reviews.push({ match_id: key, decision: value.trim().toLowerCase() }));
+  return reviews;
+}
+
+function applyPepReviews(pep, reviews, { reviewer = null } = {}) {
+  const errors = [];
+  const applied = [];
+
+  reviews.forEach(review => {
+    const match = pep.matches.find(m => m.id === review.match_id);
+    if (!match) {
+      errors.push(`Unknown PEP match "${review.match_id}"`);
+      return;
+    }
+    if (!REVIEW_DECISIONS.includes(review.decision)) {
+      errors.push(`PEP match "${review.match_id}": decision must be one of ${REVIEW_DECISIONS.join(', ')}`);
+      return;
+    }
+    match.review = {
+      status: review.decision,
+      reviewer: review.reviewer || reviewer,
+      note: review.note || null,
+      reviewed_at: new Date().toISOString()
+    };
+    applied.push(match.id);
+  });
+
+  summarize(pep);
+  return { applied, errors };
+}
+
+// Fields a reviewer fills in through /continueKYB, one per pending match
+function pepReviewFields(pep) {
+  const fields = {};
+  pep.matches.filter(match => match.review.status === 'pending').forEach(match => {
+    const listing = [match.position, match.country].filter(Boolean).join(', ');
+    fields[match.id] = `PEP match: ${match.subject.name} (${match.subject.role}) ~ ${match.primary_name}${listing ? ` - ${listing}` : ''}: "confirmed" or "dismissed"`;
+  });
+  return fields;
+}
+
+module.exports = {
+  REVIEW_DECISIONS,
+  parsePepList,
+  createLocalPepProvider,
+  registerPepProvider,
+  createPepProvider,
+  screenPeps,
+  collectPepReviews,
+  applyPepReviews,
+  pepReviewFields
+};
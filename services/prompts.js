@@ -0,0 +1,169 @@
+// Prompt templates
+// Every prompt the pipeline sends is a versioned template in PROMPTS_DIR
+// (default prompts/), one YAML file per template:
+//   id: crn_lookup
+//   purpose: crn_lookup            # the LLM task, see services/llm.js
+//   active_version: 1
+//   versions:
+//     1:
+//       description: ...
+//       schema: crnLookup          # answer schema in services/llmSchemas.js
+//       schema_name: company_registry_match
+//       temperature: 0
+//       max_tokens: 500
+//       system: ...                # optional
+//       user: ... {{business_name}} ...
+// {{name}} is replaced by a variable and {{#name}}...{{/name}} is kept only
+// when the variable is set; rendering fails on a variable nobody passed.
+//
+// A version is never edited once jobs have used it: change a prompt by adding
+// a version and moving active_version, or pin versions per deployment with
+// PROMPT_VERSIONS ("crn_lookup=2,website_lookup=1"). Each version is
+// fingerprinted so job logs and evaluations show exactly which text was used
+// (see evalPrompts.js).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const yaml = require('js-yaml');
+const llmSchemas = require('./llmSchemas');
+const { currentJobId } = require('./auditTrail');
+
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+// 'render' ({ jobId, template, version, purpose, fingerprint }) whenever a
+// prompt is rendered for a job
+const events = new EventEmitter();
+
+let cache = null;
+
+function promptsDir() {
+  return process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+}
+
+function parsePinnedVersions(value) {
+  const pinned = {};
+  String(value || '').split(',').forEach(pair => {
+    const [template, version] = pair.split('=').map(part => part && part.trim());
+    if (template && version) pinned[template] = version;
+  });
+  return pinned;
+}
+
+function fingerprint(version) {
+  const text = JSON.stringify([version.system || null, version.user, version.schema, version.schema_name]);
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+}
+
+function parseTemplate(record, file) {
+  if (!record || !record.id || !record.purpose) throw new Error(`${file} needs an id and a purpose`);
+  if (!record.versions || Object.keys(record.versions).length === 0) throw new Error(`${file} has no versions`);
+  const versions = {};
+  Object.entries(record.versions).forEach(([number, version]) => {
+    if (!/^\d+$/.test(number)) throw new Error(`${file}: version "${number}" is not a number`);
+    if (!version.user) throw new Error(`${file}: version ${number} has no user prompt`);
+    if (!llmSchemas[version.schema] || !version.schema_name) {
+      throw new Error(`${file}: version ${number} needs schema (one of services/llmSchemas.js) and schema_name`);
+    }
+    versions[number] = { ...version, version: Number(number), fingerprint: fingerprint(version) };
+  });
+  const active = String(record.active_version || Math.max(...Object.keys(versions).map(Number)));
+  if (!versions[active]) throw new Error(`${file}: active_version ${active} does not exist`);
+  return { id: record.id, purpose: record.purpose, active_version: Number(active), versions };
+}
+
+// Read once per directory; restart (or clearCache()) to pick up new versions
+function loadTemplates() {
+  const dir = promptsDir();
+  if (cache && cache.dir === dir) return cache.templates;
+  const templates = new Map();
+  fs.readdirSync(dir).filter(name => /\.ya?ml$/.test(name)).sort().forEach(name => {
+    const file = path.join(dir, name);
+    const template = parseTemplate(yaml.load(fs.readFileSync(file, 'utf8')), file);
+    if (templates.has(template.id)) throw new Error(`Prompt template "${template.id}" is defined twice`);
+    templates.set(template.id, template);
+  });
+  cache = { dir, templates };
+  return templates;
+}
+
+function clearCache() {
+  cache = null;
+}
+
+function getTemplate(id) {
+  const template = loadTemplates().get(id);
+  if (!template) throw new Error(`Unknown prompt template "${id}"`);
+  return template;
+}
+
+function listTemplates() {
+  return [...loadTemplates().values()].map(template => ({
+    id: template.id,
+    purpose: template.purpose,
+    active_version: activeVersion(template.id),
+    versions: Object.values(template.versions).map(({ version, description, fingerprint }) => ({ version, description: description || null, fingerprint }))
+  }));
+}
+
+// PROMPT_VERSIONS first, then the template's active_version
+function activeVersion(id) {
+  const template = getTemplate(id);
+  const pinned = parsePinnedVersions(process.env.PROMPT_VERSIONS)[id];
+  if (pinned && !template.versions[pinned]) throw new Error(`PROMPT_VERSIONS pins ${id} to version ${pinned}, which does not exist`);
+  return Number(pinned || template.active_version);
+}
+
+function fill(text, variables, id) {
+  return text
+    .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) => {
+      if (!(name in variables)) throw new Error(`Prompt template "${id}" needs the variable "${name}"`);
+      return variables[name] ? inner : '';
+    })
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      if (!(name in variables)) throw new Error(`Prompt template "${id}" needs the variable "${name}"`);
+      return variables[name] === null || variables[name] === undefined ? '' : String(variables[name]);
+    });
+}
+
+// The request for llm.completeJson(): { purpose, schema, schemaName,
+// messages, temperature, max_tokens, template: { id, version, fingerprint } }.
+// A schema given as a function is built from the variables.
+function render(id, variables = {}, { version = null } = {}) {
+  const template = getTemplate(id);
+  const number = version === null ? activeVersion(id) : Number(version);
+  const chosen = template.versions[number];
+  if (!chosen) throw new Error(`Prompt template "${id}" has no version ${number}`);
+
+  const schema = llmSchemas[chosen.schema];
+  const messages = [];
+  if (chosen.system) messages.push({ role: 'system', content: fill(chosen.system, variables, id) });
+  messages.push({ role: 'user', content: fill(chosen.user, variables, id) });
+
+  const jobId = currentJobId();
+  if (jobId) {
+    events.emit('render', { jobId, template: id, version: number, purpose: template.purpose, fingerprint: chosen.fingerprint });
+  }
+
+  return {
+    purpose: template.purpose,
+    schema: typeof schema === 'function' ? schema(variables) : schema,
+    schemaName: chosen.schema_name,
+    messages,
+    temperature: chosen.temperature ?? 0,
+    max_tokens: chosen.max_tokens || null,
+    template: { id, version: number, fingerprint: chosen.fingerprint }
+  };
+}
+
+module.exports = {
+  on: events.on.bind(events),
+  off: events.off.bind(events),
+  loadTemplates,
+  clearCache,
+  getTemplate,
+  listTemplates,
+  activeVersion,
+  render
+};
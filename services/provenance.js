@@ -0,0 +1,100 @@
+// Provenance of the fields of a KYB result
+// Marks every filled-in field of the final result with where its value came
+// from, so a reviewer can tell registry facts from the model's guesses:
+//   request                - sent by the caller when the job started
+//   user_input             - supplied later with /continueKYB
+//   ai_inferred            - named by the LLM
+//   companies_house        - the Companies House record
+//   companies_house_search - the best match of a Companies House name search
+//   website                - scraped from the company's website
+//   web_search             - found by searching the web
+//   screening_lists        - the sanctions and PEP lists
+// The CRN, the website and the operational address can come from several
+// places, so the pipeline passes their sources in.
+
+const AI_INFERRED = 'ai_inferred';
+
+// Field path -> source, or the name of a source passed to buildProvenance()
+const FIELDS = {
+  'company.name': 'companies_house',
+  'company.registrationNumber': 'crn',
+  'company.address': 'companies_house',
+  'company.operationalAddress': 'operational_address',
+  'company.email': 'website',
+  'company.phone': 'website',
+  'company.ultimateBeneficialOwners': 'companies_house',
+  'company.incorporationDocument': 'companies_house',
+  'company.companyStatus': 'companies_house',
+  'company.companyType': 'companies_house',
+  'company.sicCodes': 'companies_house',
+  'company.dateOfCreation': 'companies_house',
+  'company.jurisdiction': 'companies_house',
+  'company.lastAccountsDate': 'companies_house',
+  'company.nextAccountsDue': 'companies_house',
+  'company.nextConfirmationDue': 'companies_house',
+  'business.businessAge': 'companies_house',
+  'business.legalEntity': 'companies_house',
+  'business.url': 'website_url',
+  'business.category': 'companies_house',
+  'business.serviceDescription': 'website',
+  'business.vat': 'website',
+  'business.social_media': 'website',
+  'business.email_contacts': 'website',
+  representative: 'companies_house',
+  directors: 'companies_house',
+  officers: 'companies_house',
+  company_name: 'companies_house',
+  company_registration_number: 'crn',
+  company_status: 'companies_house',
+  incorporation_date: 'companies_house',
+  registered_address: 'companies_house',
+  business_address: 'operational_address',
+  website_url: 'website_url',
+  contact_phone: 'website',
+  contact_email: 'website',
+  beneficial_owners: 'companies_house',
+  ownership_tree: 'companies_house',
+  'screening.sanctions': 'screening_lists',
+  'screening.pep': 'screening_lists',
+  'screening.adverse_media': 'adverse_media'
+};
+
+function valueAt(result, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), result);
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Adverse media hits are found by a web search and judged by the model
+function adverseMediaSource(screening) {
+  if (!screening || !Array.isArray(screening.hits) || screening.hits.length === 0) return 'web_search';
+  return screening.status === 'unclassified' ? 'web_search' : AI_INFERRED;
+}
+
+// sources: { crn, website, operational_address } (a source from the list above
+// each; the website also fills website_url). Returns { fields, ai_inferred }
+// where ai_inferred lists the fields the LLM supplied.
+function buildProvenance(result, sources = {}) {
+  const resolved = {
+    crn: sources.crn || 'unknown',
+    website_url: sources.website || 'unknown',
+    operational_address: sources.operational_address || 'companies_house',
+    adverse_media: adverseMediaSource(result.screening?.adverse_media)
+  };
+  const fields = {};
+  Object.entries(FIELDS).forEach(([path, source]) => {
+    if (isEmpty(valueAt(result, path))) return;
+    fields[path] = resolved[source] || source;
+  });
+  return {
+    fields,
+    ai_inferred: Object.keys(fields).filter(path => fields[path] === AI_INFERRED)
+  };
+}
+
+module.exports = {
+  AI_INFERRED,
+  buildProvenance
+};
@@ -0,0 +1,153 @@
+// Companies House persons with significant control (PSC)
+// Turns raw PSC and PSC statement items into the owner model used in KYB
+// results. Ownership is never published as an exact figure: it is encoded in
+// natures_of_control as a band (e.g. "ownership-of-shares-25-to-50-percent"),
+// so that is what we parse.
+
+const KIND_TYPES = {
+  'individual-person-with-significant-control': 'individual',
+  'corporate-entity-person-with-significant-control': 'corporate',
+  'legal-person-person-with-significant-control': 'legal-person',
+  'super-secure-person-with-significant-control': 'super-secure',
+  'individual-beneficial-owner': 'individual',
+  'corporate-entity-beneficial-owner': 'corporate',
+  'legal-person-beneficial-owner': 'legal-person',
+  'super-secure-beneficial-owner': 'super-secure'
+};
+
+// Statement codes as published by Companies House (including its own typo
+// in "signficant")
+const STATEMENT_DESCRIPTIONS = {
+  'no-individual-or-entity-with-signficant-control': 'The company knows or has reasonable cause to believe that there is no registrable person or registrable relevant legal entity in relation to the company',
+  'no-individual-or-entity-with-signficant-control-partnership': 'The partnership knows or has reasonable cause to believe that there is no registrable person or registrable relevant legal entity in relation to the partnership',
+  'steps-to-find-psc-not-yet-completed': 'The company has not yet completed taking reasonable steps to find out if there is anyone who is a registrable person or a registrable relevant legal entity in relation to the company',
+  'steps-to-find-psc-not-yet-completed-partnership': 'The partnership has not yet completed taking reasonable steps to find out if there is anyone who is a registrable person or a registrable relevant legal entity in relation to the partnership',
+  'psc-exists-but-not-identified': 'The company knows or has reasonable cause to believe that there is a registrable person in relation to the company but it has not identified the registrable person',
+  'psc-exists-but-not-identified-partnership': 'The partnership knows or has reasonable cause to believe that there is a registrable person in relation to the partnership but it has not identified the registrable person',
+  'psc-details-not-confirmed': 'The company has identified a registrable person in relation to the company but all the required particulars of that person have not been confirmed',
+  'psc-details-not-confirmed-partnership': 'The partnership has identified a registrable person in relation to the partnership but all the required particulars of that person have not been confirmed',
+  'psc-contacted-but-no-response': 'The company has given a notice under section 790D of the Act which has not been complied with',
+  'psc-contacted-but-no-response-partnership': 'The partnership has given a notice which has not been complied with',
+  'restrictions-notice-issued-to-psc': 'The company has issued a restrictions notice under paragraph 1 of Schedule 1B to the Act',
+  'psc-has-failed-to-confirm-changed-details': 'The registrable person has failed to comply with a notice given by the company under section 790E of the Act',
+  'psc-has-failed-to-confirm-changed-details-partnership': 'The registrable person has failed to comply with a notice given by the partnership'
+};
+
+// Statements saying a controller exists (or may exist) but is not on the register
+const UNRESOLVED_STATEMENT_PREFIXES = [
+  'steps-to-find-psc-not-yet-completed',
+  'psc-exists-but-not-identified',
+  'psc-details-not-confirmed',
+  'psc-contacted-but-no-response',
+  'restrictions-notice-issued-to-psc',
+  'psc-has-failed-to-confirm-changed-details'
+];
+
+const BAND_PATTERN = /^(?:part-)?(ownership-of-shares|voting-rights|right-to-share-surplus-assets)-(\d+)-to-(\d+)-percent/;
+const MORE_THAN_25_PATTERN = /^(ownership-of-shares|voting-rights)-more-than-25-percent/;
+
+function humanize(code) {
+  const label = String(code).replace(/-/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function formatBand(band) {
+  if (!band) return null;
+  return `${band.min}-${band.max}%`;
+}
+
+function widerBand(current, candidate) {
+  if (!current) return candidate;
+  return candidate.min > current.min ? candidate : current;
+}
+
+// Splits natures_of_control into ownership and voting bands and the other
+// forms of control
+function parseNaturesOfControl(natures = []) {
+  const control = {
+    ownership_of_shares: null,
+    voting_rights: null,
+    right_to_share_surplus_assets: null,
+    right_to_appoint_and_remove_directors: false,
+    significant_influence_or_control: false,
+    held_as_trust: false,
+    held_as_firm: false
+  };
+
+  for (const nature of natures) {
+    const bandMatch = nature.match(BAND_PATTERN);
+    const moreThanMatch = nature.match(MORE_THAN_25_PATTERN);
+    if (bandMatch) {
+      const key = bandMatch[1].replace(/-/g, '_');
+      control[key] = widerBand(control[key], { min: parseInt(bandMatch[2], 10), max: parseInt(bandMatch[3], 10) });
+    } else if (moreThanMatch) {
+      const key = moreThanMatch[1].replace(/-/g, '_');
+      control[key] = widerBand(control[key], { min: 25, max: 100 });
+    } else if (nature.startsWith('right-to-appoint-and-remove')) {
+      control.right_to_appoint_and_remove_directors = true;
+    } else if (nature.startsWith('significant-influence-or-control')) {
+      control.significant_influence_or_control = true;
+    }
+
+    if (nature.includes('-as-trust')) control.held_as_trust = true;
+    if (nature.includes('-as-firm')) control.held_as_firm = true;
+  }
+
+  return control;
+}
+
+function formatDateOfBirth(dob) {
+  if (!dob || !dob.year) return null;
+  return `${dob.year}-${String(dob.month || 1).padStart(2, '0')}`;
+}
+
+function normalizePsc(item) {
+  const type = KIND_TYPES[item.kind] || 'unknown';
+  const control = parseNaturesOfControl(item.natures_of_control || []);
+  // Shares decide the band; LLPs report surplus-asset rights instead
+  const ownershipBand = control.ownership_of_shares || control.right_to_share_surplus_assets;
+
+  return {
+    name: item.name || (type === 'super-secure' ? 'Super secure person' : null),
+    kind: item.kind || null,
+    type,
+    is_corporate: type === 'corporate' || type === 'legal-person',
+    is_super_secure: type === 'super-secure',
+    ownership_percent: formatBand(ownershipBand),
+    ownership_band: ownershipBand,
+    voting_rights_percent: formatBand(control.voting_rights),
+    voting_rights_band: control.voting_rights,
+    control,
+    natures_of_control: item.natures_of_control || [],
+    notified_on: item.notified_on || null,
+    ceased_on: item.ceased_on || null,
+    is_active: !item.ceased_on && !item.ceased,
+    nationality: item.nationality || null,
+    country_of_residence: item.country_of_residence || null,
+    address: item.address || null,
+    date_of_birth: formatDateOfBirth(item.date_of_birth),
+    // Corporate and legal-person PSCs say where they are registered
+    identification: item.identification || null,
+    self_link: item.links?.self || null
+  };
+}
+
+function normalizeStatement(item) {
+  const code = item.statement || null;
+  return {
+    statement: code,
+    description: STATEMENT_DESCRIPTIONS[code] || (code ? humanize(code) : null),
+    notified_on: item.notified_on || null,
+    ceased_on: item.ceased_on || null,
+    is_active: !item.ceased_on,
+    linked_psc_name: item.linked_psc_name || null,
+    no_registrable_person: typeof code === 'string' && code.startsWith('no-individual-or-entity-with-signficant-control'),
+    unresolved: typeof code === 'string' && UNRESOLVED_STATEMENT_PREFIXES.some(prefix => code.startsWith(prefix))
+  };
+}
+
+module.exports = {
+  parseNaturesOfControl,
+  normalizePsc,
+  normalizeStatement
+};
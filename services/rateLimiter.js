@@ -0,0 +1,57 @@
+// Sliding-window rate limiter for outbound API calls
+// Each external service gets its own budget so parallel workers share it
+// instead of each one hammering the API until it answers 429.
+
+function createRateLimiter({ name, maxRequests, intervalMs }) {
+  const timestamps = [];
+  const waiting = [];
+  let timer = null;
+
+  function prune(now) {
+    while (timestamps.length > 0 && now - timestamps[0] >= intervalMs) {
+      timestamps.shift();
+    }
+  }
+
+  function drain() {
+    timer = null;
+    const now = Date.now();
+    prune(now);
+
+    while (waiting.length > 0 && timestamps.length < maxRequests) {
+      timestamps.push(now);
+      waiting.shift()();
+    }
+
+    if (waiting.length > 0) {
+      // Wake up again as soon as the oldest request leaves the window
+      const delay = Math.max(intervalMs - (now - timestamps[0]), 1);
+      timer = setTimeout(drain, delay);
+    }
+  }
+
+  return {
+    name,
+
+    // Resolves once a request slot is available in the current window
+    acquire() {
+      return new Promise(resolve => {
+        waiting.push(resolve);
+        if (!timer) drain();
+      });
+    },
+
+    // Runs `fn` once a slot is available
+    async schedule(fn) {
+      await this.acquire();
+      return fn();
+    },
+
+    stats() {
+      prune(Date.now());
+      return { name, used: timestamps.length, limit: maxRequests, interval_ms: intervalMs, waiting: waiting.length };
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
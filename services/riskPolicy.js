@@ -0,0 +1,267 @@
+// Risk policy engine
+// Compliance decides accept/review/reject in a rules file (JSON, or YAML when
+// the file ends in .yaml/.yml) instead of in kyb.js. Each rule has an `id`,
+// an `outcome` and a `when` condition on a field of the final KYB result or
+// of the derived `facts` (business age, industries, SIC sections, PSC count,
+// ...). The decision is the most severe outcome of the rules that fired.
+//
+// The file is re-read when it changes, so edits apply to the next job.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'config', 'riskPolicy.json');
+
+const OUTCOMES = ['accept', 'review', 'reject'];
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  in: (actual, expected) => actual !== null && actual !== undefined && expected.includes(actual),
+  not_in: (actual, expected) => actual !== null && actual !== undefined && !expected.includes(actual),
+  includes_any: (actual, expected) => Array.isArray(actual) && actual.some(item => expected.includes(item)),
+  exists: actual => actual !== null && actual !== undefined,
+  missing: actual => actual === null || actual === undefined,
+  empty: actual => !actual || (Array.isArray(actual) && actual.length === 0)
+};
+
+const OPERATOR_LABELS = {
+  eq: 'is',
+  ne: 'is not',
+  lt: 'is less than',
+  lte: 'is at most',
+  gt: 'is more than',
+  gte: 'is at least',
+  in: 'is one of',
+  not_in: 'is not one of',
+  includes_any: 'includes one of',
+  exists: 'is present',
+  missing: 'is missing',
+  empty: 'is empty'
+};
+
+// SIC 2007 divisions (first two digits) grouped into sections A-U
+const SIC_SECTIONS = [
+  ['A', 1, 3], ['B', 5, 9], ['C', 10, 33], ['D', 35, 35], ['E', 36, 39],
+  ['F', 41, 43], ['G', 45, 47], ['H', 49, 53], ['I', 55, 56], ['J', 58, 63],
+  ['K', 64, 66], ['L', 68, 68], ['M', 69, 75], ['N', 77, 82], ['O', 84, 84],
+  ['P', 85, 85], ['Q', 86, 88], ['R', 90, 93], ['S', 94, 96], ['T', 97, 98],
+  ['U', 99, 99]
+];
+
+function sicSection(code) {
+  const division = parseInt(String(code).replace(/\D/g, '').slice(0, 2), 10);
+  if (Number.isNaN(division)) return null;
+  const section = SIC_SECTIONS.find(([, from, to]) => division >= from && division <= to);
+  return section ? section[0] : null;
+}
+
+// Values rules are usually written against, worked out once from the result.
+// Callers add facts the result doesn't hold directly (e.g. `industries`).
+function deriveFacts(result) {
+  const sicCodes = result.company?.sicCodes || [];
+  return {
+    verification_status: result.verification_status || null,
+    verification_confidence: typeof result.verification_confidence === 'number' ? result.verification_confidence : null,
+    business_age: typeof result.business?.businessAge === 'number' ? result.business.businessAge : null,
+    company_type: result.company?.companyType || null,
+    company_status: result.company?.companyStatus || null,
+    sic_codes: sicCodes,
+    sic_sections: [...new Set(sicCodes.map(sicSection).filter(Boolean))],
+    has_insolvency_history: result.company?.hasInsolvencyHistory === true,
+    outstanding_charges: result.risk_signals?.charges ? result.risk_signals.charges.outstanding.length : null,
+    psc_count: result.psc_summary ? result.psc_summary.active : null,
+    corporate_psc_count: result.psc_summary ? result.psc_summary.corporate : null,
+    sanctions_status: result.screening?.sanctions?.status || null,
+    sanctions_hits: result.screening?.sanctions ? result.screening.sanctions.hits.length : null,
+    pep_pending_reviews: result.screening?.pep ? result.screening.pep.pending_reviews : null,
+    pep_confirmed: result.screening?.pep ? result.screening.pep.matches.filter(match => match.review.status === 'confirmed').length : null,
+    adverse_media_status: result.screening?.adverse_media?.status || null,
+    adverse_media_hits: result.screening?.adverse_media ? result.screening.adverse_media.adverse_hits : null,
+    // Issues a reviewer accepted no longer count
+    validation_issue_codes: (result.validation_issues || [])
+      .filter(issue => issue.override?.outcome !== 'accepted')
+      .map(issue => issue.code)
+      .filter(Boolean)
+  };
+}
+
+function getField(subject, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), subject);
+}
+
+function validateCondition(condition, ruleId) {
+  if (!condition || typeof condition !== 'object') {
+    throw new Error(`Rule "${ruleId}" has no "when" condition`);
+  }
+  if (condition.all || condition.any) {
+    const children = condition.all || condition.any;
+    if (!Array.isArray(children) || children.length === 0) {
+      throw new Error(`Rule "${ruleId}": "all"/"any" must be a non-empty list`);
+    }
+    children.forEach(child => validateCondition(child, ruleId));
+    return;
+  }
+  if (!condition.field) {
+    throw new Error(`Rule "${ruleId}": condition is missing "field"`);
+  }
+  if (!OPERATORS[condition.op]) {
+    throw new Error(`Rule "${ruleId}": unknown operator "${condition.op}" (use one of ${Object.keys(OPERATORS).join(', ')})`);
+  }
+  if (['in', 'not_in', 'includes_any'].includes(condition.op) && !Array.isArray(condition.value)) {
+    throw new Error(`Rule "${ruleId}": "${condition.op}" needs a list as "value"`);
+  }
+}
+
+function validatePolicy(policy, source) {
+  if (!policy || !Array.isArray(policy.rules)) {
+    throw new Error(`Risk policy ${source} must have a "rules" list`);
+  }
+  const defaultOutcome = policy.default_outcome || 'accept';
+  if (!OUTCOMES.includes(defaultOutcome)) {
+    throw new Error(`Risk policy ${source}: unknown default_outcome "${defaultOutcome}"`);
+  }
+
+  const ids = new Set();
+  policy.rules.forEach((rule, index) => {
+    const ruleId = rule.id || `#${index + 1}`;
+    if (!rule.id) throw new Error(`Risk policy ${source}: rule ${ruleId} has no "id"`);
+    if (ids.has(rule.id)) throw new Error(`Risk policy ${source}: duplicate rule id "${rule.id}"`);
+    ids.add(rule.id);
+    if (!OUTCOMES.includes(rule.outcome)) {
+      throw new Error(`Risk policy ${source}: rule "${rule.id}" has unknown outcome "${rule.outcome}"`);
+    }
+    validateCondition(rule.when, rule.id);
+  });
+
+  return {
+    name: policy.name || path.basename(source),
+    version: policy.version ?? null,
+    default_outcome: defaultOutcome,
+    rules: policy.rules.filter(rule => rule.enabled !== false),
+    source
+  };
+}
+
+function parsePolicyFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  if (/\.ya?ml$/i.test(filePath)) {
+    return require('js-yaml').load(text);
+  }
+  return JSON.parse(text);
+}
+
+const loaded = new Map();
+
+// Cached per file and re-read when its modification time changes
+function loadPolicy(filePath = process.env.RISK_POLICY_FILE || DEFAULT_POLICY_FILE) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Risk policy file not found: ${resolved}`);
+  }
+  const { mtimeMs } = fs.statSync(resolved);
+  const cached = loaded.get(resolved);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.policy;
+
+  let raw;
+  try {
+    raw = parsePolicyFile(resolved);
+  } catch (err) {
+    throw new Error(`Could not parse risk policy ${resolved}: ${err.message}`);
+  }
+  const policy = validatePolicy(raw, resolved);
+  loaded.set(resolved, { mtimeMs, policy });
+  return policy;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.join(', ')}]`;
+  if (value === undefined) return 'null';
+  return JSON.stringify(value);
+}
+
+// Returns the reasons a condition held, or null when it did not
+function matchCondition(condition, subject) {
+  if (condition.all) {
+    const reasons = [];
+    for (const child of condition.all) {
+      const childReasons = matchCondition(child, subject);
+      if (!childReasons) return null;
+      reasons.push(...childReasons);
+    }
+    return reasons;
+  }
+  if (condition.any) {
+    for (const child of condition.any) {
+      const childReasons = matchCondition(child, subject);
+      if (childReasons) return childReasons;
+    }
+    return null;
+  }
+
+  const actual = getField(subject, condition.field);
+  if (!OPERATORS[condition.op](actual, condition.value)) return null;
+
+  const expected = ['exists', 'missing', 'empty'].includes(condition.op) ? '' : ` ${formatValue(condition.value)}`;
+  // For lists only the entries that matched are worth repeating
+  const text = condition.op === 'includes_any'
+    ? `${condition.field} includes ${formatValue(actual.filter(item => condition.value.includes(item)))}`
+    : `${condition.field} (${formatValue(actual)}) ${OPERATOR_LABELS[condition.op]}${expected}`;
+  return [{
+    field: condition.field,
+    op: condition.op,
+    expected: condition.value === undefined ? null : condition.value,
+    actual: actual === undefined ? null : actual,
+    text
+  }];
+}
+
+// Rules a reviewer accepted (result.overrides, see services/caseReview.js)
+// are reported under `overridden` and no longer decide the outcome
+function evaluatePolicy(result, { policy = loadPolicy(), facts: extraFacts = {}, overrides = result.overrides || [] } = {}) {
+  const facts = { ...deriveFacts(result), ...extraFacts };
+  const subject = { ...result, facts };
+  const fired = [];
+  const overridden = [];
+
+  for (const rule of policy.rules) {
+    const conditions = matchCondition(rule.when, subject);
+    if (!conditions) continue;
+    const override = overrides.find(o => o.check === rule.id && o.outcome === 'accepted');
+    (override ? overridden : fired).push({
+      id: rule.id,
+      description: rule.description || null,
+      outcome: rule.outcome,
+      reason: rule.reason || conditions.map(c => c.text).join(' and '),
+      conditions,
+      ...(override ? { override } : {})
+    });
+  }
+
+  const outcome = fired.reduce(
+    (worst, rule) => (OUTCOMES.indexOf(rule.outcome) > OUTCOMES.indexOf(worst) ? rule.outcome : worst),
+    fired.length > 0 ? 'accept' : policy.default_outcome
+  );
+
+  return {
+    outcome,
+    policy: { name: policy.name, version: policy.version, source: policy.source },
+    rules_evaluated: policy.rules.length,
+    fired,
+    overridden,
+    facts,
+    evaluated_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  OUTCOMES,
+  loadPolicy,
+  evaluatePolicy,
+  deriveFacts,
+  sicSection
+};
@@ -0,0 +1,205 @@
+// Companies House risk signals
+// Summarises a company's charges, insolvency cases, filing deadlines and
+// recent changes of name, registered office or officers, and turns each
+// finding into a structured validation issue.
+
+const { createIssue } = require('./validationIssues');
+
+const OUTSTANDING_CHARGE_STATUSES = ['outstanding', 'part-satisfied'];
+
+function humanize(code) {
+  if (!code) return null;
+  const label = String(code).replace(/-/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function daysBetween(from, to) {
+  return Math.floor((to.getTime() - from.getTime()) / (24 * 60 * 60 * 1000));
+}
+
+function summarizeCharges(chargeList) {
+  const items = chargeList?.items || [];
+  const outstanding = items
+    .filter(charge => OUTSTANDING_CHARGE_STATUSES.includes(charge.status))
+    .map(charge => ({
+      charge_code: charge.charge_code || null,
+      charge_number: charge.charge_number || null,
+      status: charge.status,
+      classification: charge.classification?.description || null,
+      created_on: charge.created_on || null,
+      delivered_on: charge.delivered_on || null,
+      holders: (charge.persons_entitled || []).map(person => person.name).filter(Boolean),
+      particulars: charge.particulars?.description || null
+    }));
+
+  return {
+    total: chargeList?.total_results ?? items.length,
+    satisfied: chargeList?.satisfied_count ?? items.filter(c => !OUTSTANDING_CHARGE_STATUSES.includes(c.status)).length,
+    part_satisfied: chargeList?.part_satisfied_count ?? items.filter(c => c.status === 'part-satisfied').length,
+    outstanding,
+    holders: [...new Set(outstanding.flatMap(charge => charge.holders))]
+  };
+}
+
+function summarizeInsolvency(insolvency) {
+  if (!insolvency) return { status: [], cases: [] };
+
+  return {
+    status: insolvency.status || [],
+    cases: (insolvency.cases || []).map(insolvencyCase => ({
+      type: insolvencyCase.type || null,
+      type_label: humanize(insolvencyCase.type),
+      number: insolvencyCase.number || null,
+      dates: (insolvencyCase.dates || []).map(entry => ({ type: entry.type, label: humanize(entry.type), date: entry.date })),
+      practitioners: (insolvencyCase.practitioners || []).map(practitioner => ({
+        name: practitioner.name,
+        role: practitioner.role || null,
+        appointed_on: practitioner.appointed_on || null,
+        ceased_to_act_on: practitioner.ceased_to_act_on || null
+      }))
+    }))
+  };
+}
+
+// Companies House sets `overdue`, but only when its own nightly job has run,
+// so the due date is checked as well
+function deadlineStatus(section, now) {
+  if (!section) return null;
+  const nextDue = section.next_due || null;
+  const daysOverdue = nextDue ? daysBetween(new Date(nextDue), now) : null;
+
+  return {
+    next_due: nextDue,
+    next_made_up_to: section.next_made_up_to || null,
+    last_made_up_to: section.last_made_up_to || section.last_accounts?.made_up_to || null,
+    overdue: section.overdue === true || (daysOverdue !== null && daysOverdue > 0),
+    days_overdue: daysOverdue !== null && daysOverdue > 0 ? daysOverdue : 0
+  };
+}
+
+function checkFilingDeadlines(profile, now = new Date()) {
+  return {
+    accounts: deadlineStatus(profile?.accounts, now),
+    confirmation_statement: deadlineStatus(profile?.confirmation_statement, now)
+  };
+}
+
+function officerChangeType(filingType) {
+  if (/^AP/.test(filingType)) return 'appointment';
+  if (/^TM/.test(filingType)) return 'termination';
+  if (/^CH/.test(filingType)) return 'details_changed';
+  return 'other';
+}
+
+// Filing history is returned newest first; only filings inside the window count
+function summarizeRecentChanges(profile, filingItems = [], { sinceDays = 365, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - sinceDays * 24 * 60 * 60 * 1000);
+  const isRecent = date => Boolean(date) && new Date(date) >= since;
+  const recentFilings = filingItems.filter(item => isRecent(item.date));
+
+  const nameChanges = (profile?.previous_company_names || [])
+    .filter(previous => isRecent(previous.ceased_on))
+    .map(previous => ({ date: previous.ceased_on, previous_name: previous.name }));
+
+  const addressChanges = recentFilings
+    .filter(item => item.category === 'address' && item.type === 'AD01')
+    .map(item => ({
+      date: item.description_values?.change_date || item.date,
+      old_address: item.description_values?.old_address || null,
+      new_address: item.description_values?.new_address || null
+    }));
+
+  const officerChanges = recentFilings
+    .filter(item => item.category === 'officers')
+    .map(item => ({
+      date: item.description_values?.appointment_date || item.description_values?.termination_date || item.date,
+      change: officerChangeType(item.type),
+      filing_type: item.type,
+      officer_name: item.description_values?.officer_name || null,
+      description: humanize(item.description)
+    }));
+
+  return {
+    since: since.toISOString().split('T')[0],
+    name_changes: nameChanges,
+    address_changes: addressChanges,
+    officer_changes: officerChanges
+  };
+}
+
+function buildRiskIssues({ charges, insolvency, filingDeadlines, recentChanges }) {
+  const issues = [];
+
+  if (insolvency && insolvency.cases.length > 0) {
+    issues.push(createIssue('insolvency_history', {
+      category: 'insolvency',
+      severity: 'high',
+      message: `Insolvency history: ${insolvency.cases.map(c => c.type_label).join(', ')}`,
+      details: insolvency
+    }));
+  }
+
+  if (charges && charges.outstanding.length > 0) {
+    issues.push(createIssue('outstanding_charges', {
+      category: 'charges',
+      severity: 'medium',
+      message: `${charges.outstanding.length} outstanding charge(s)${charges.holders.length > 0 ? ` held by ${charges.holders.join(', ')}` : ''}`,
+      details: { outstanding: charges.outstanding, holders: charges.holders }
+    }));
+  }
+
+  if (filingDeadlines?.accounts?.overdue) {
+    issues.push(createIssue('accounts_overdue', {
+      category: 'filing',
+      severity: 'high',
+      message: `Accounts overdue (due ${filingDeadlines.accounts.next_due})`,
+      details: filingDeadlines.accounts
+    }));
+  }
+
+  if (filingDeadlines?.confirmation_statement?.overdue) {
+    issues.push(createIssue('confirmation_statement_overdue', {
+      category: 'filing',
+      severity: 'medium',
+      message: `Confirmation statement overdue (due ${filingDeadlines.confirmation_statement.next_due})`,
+      details: filingDeadlines.confirmation_statement
+    }));
+  }
+
+  if (recentChanges) {
+    if (recentChanges.name_changes.length > 0) {
+      issues.push(createIssue('recent_name_change', {
+        category: 'changes',
+        severity: 'medium',
+        message: `Company name changed since ${recentChanges.since} (previously ${recentChanges.name_changes.map(c => `"${c.previous_name}"`).join(', ')})`,
+        details: recentChanges.name_changes
+      }));
+    }
+    if (recentChanges.address_changes.length > 0) {
+      issues.push(createIssue('recent_address_change', {
+        category: 'changes',
+        severity: 'low',
+        message: `Registered office address changed ${recentChanges.address_changes.length} time(s) since ${recentChanges.since}`,
+        details: recentChanges.address_changes
+      }));
+    }
+    if (recentChanges.officer_changes.length > 0) {
+      issues.push(createIssue('recent_officer_changes', {
+        category: 'changes',
+        severity: 'low',
+        message: `${recentChanges.officer_changes.length} officer appointment(s), resignation(s) or change(s) since ${recentChanges.since}`,
+        details: recentChanges.officer_changes
+      }));
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  summarizeCharges,
+  summarizeInsolvency,
+  checkFilingDeadlines,
+  summarizeRecentChanges,
+  buildRiskIssues
+};
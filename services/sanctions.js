@@ -0,0 +1,283 @@
+// Sanctions list screening
+// Loads the published sanctions lists from local files and fuzzy-matches
+// names against them. Supported formats:
+//   - UK OFSI consolidated list, CSV (ConList.csv)
+//   - UN Security Council consolidated list, XML (consolidated.xml)
+//   - US OFAC SDN list, CSV (sdn.csv, with aliases from alt.csv if present)
+// Updating a list is a file drop: files are re-read when they change.
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { parseCsv } = require('./csv');
+const { parseDateOfBirth, buildNameIndex, findCandidates, matchEntry } = require('./nameMatch');
+
+const LIST_DIR = process.env.SANCTIONS_LIST_DIR || path.join(__dirname, '..', 'lists', 'sanctions');
+const MATCH_THRESHOLD = parseFloat(process.env.SANCTIONS_MATCH_THRESHOLD) || 0.88;
+
+const LIST_NAMES = {
+  ofsi: 'UK OFSI consolidated',
+  un: 'UN Security Council consolidated',
+  ofac: 'US OFAC SDN'
+};
+
+function listFiles() {
+  return {
+    ofsi: process.env.SANCTIONS_OFSI_FILE || path.join(LIST_DIR, 'ConList.csv'),
+    un: process.env.SANCTIONS_UN_FILE || path.join(LIST_DIR, 'consolidated.xml'),
+    ofac: process.env.SANCTIONS_OFAC_FILE || path.join(LIST_DIR, 'sdn.csv'),
+    ofac_alt: process.env.SANCTIONS_OFAC_ALT_FILE || path.join(LIST_DIR, 'alt.csv')
+  };
+}
+
+function uniqueNames(names) {
+  const seen = new Set();
+  return names
+    .map(name => String(name || '').replace(/\s+/g, ' ').trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// OFSI publishes one row per name (primary name and each alias) sharing a
+// Group ID; the header row follows a "Last Updated" line
+function parseOfsiCsv(text) {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex(row => row.some(cell => cell.trim() === 'Name 6'));
+  if (headerIndex === -1) throw new Error('OFSI list has no "Name 6" header row');
+
+  const header = rows[headerIndex].map(cell => cell.trim());
+  const col = name => header.indexOf(name);
+  const get = (row, name) => (col(name) >= 0 ? (row[col(name)] || '').trim() : '');
+
+  const groups = new Map();
+  for (const row of rows.slice(headerIndex + 1)) {
+    const groupId = get(row, 'Group ID');
+    if (!groupId) continue;
+
+    const name = ['Name 1', 'Name 2', 'Name 3', 'Name 4', 'Name 5', 'Name 6'].map(field => get(row, field)).filter(Boolean).join(' ');
+    const groupType = get(row, 'Group Type').toLowerCase();
+    let entry = groups.get(groupId);
+    if (!entry) {
+      entry = {
+        list: 'ofsi',
+        list_id: groupId,
+        type: groupType === 'individual' ? 'individual' : (groupType === 'entity' ? 'entity' : 'other'),
+        primary_name: null,
+        names: [],
+        dates_of_birth: [],
+        nationality: get(row, 'Nationality') || null,
+        programs: [],
+        listed_on: get(row, 'Listed On') || null
+      };
+      groups.set(groupId, entry);
+    }
+
+    entry.names.push(name);
+    if (/primary/i.test(get(row, 'Alias Type')) || !entry.primary_name) entry.primary_name = name;
+    const dob = parseDateOfBirth(get(row, 'DOB'));
+    if (dob && !entry.dates_of_birth.some(known => JSON.stringify(known) === JSON.stringify(dob))) {
+      entry.dates_of_birth.push(dob);
+    }
+    const regime = get(row, 'Regime');
+    if (regime && !entry.programs.includes(regime)) entry.programs.push(regime);
+  }
+
+  return [...groups.values()].map(entry => ({ ...entry, names: uniqueNames(entry.names) }));
+}
+
+function parseUnXml(text) {
+  const $ = cheerio.load(text, { xmlMode: true });
+  const entries = [];
+  const childText = (element, selector) => $(element).children(selector).first().text().trim();
+
+  $('INDIVIDUALS > INDIVIDUAL').each((_, element) => {
+    const name = ['FIRST_NAME', 'SECOND_NAME', 'THIRD_NAME', 'FOURTH_NAME'].map(field => childText(element, field)).filter(Boolean).join(' ');
+    const aliases = $(element).children('INDIVIDUAL_ALIAS').map((__, alias) => childText(alias, 'ALIAS_NAME')).get();
+    const datesOfBirth = $(element).children('INDIVIDUAL_DATE_OF_BIRTH').map((__, dob) =>
+      parseDateOfBirth(childText(dob, 'DATE') || childText(dob, 'YEAR'))
+    ).get().filter(Boolean);
+
+    entries.push({
+      list: 'un',
+      list_id: childText(element, 'REFERENCE_NUMBER') || childText(element, 'DATAID'),
+      type: 'individual',
+      primary_name: name,
+      names: uniqueNames([name, ...aliases]),
+      dates_of_birth: datesOfBirth,
+      nationality: $(element).find('NATIONALITY > VALUE').first().text().trim() || null,
+      programs: [childText(element, 'UN_LIST_TYPE')].filter(Boolean),
+      listed_on: childText(element, 'LISTED_ON') || null
+    });
+  });
+
+  $('ENTITIES > ENTITY').each((_, element) => {
+    const name = childText(element, 'FIRST_NAME');
+    const aliases = $(element).children('ENTITY_ALIAS').map((__, alias) => childText(alias, 'ALIAS_NAME')).get();
+    entries.push({
+      list: 'un',
+      list_id: childText(element, 'REFERENCE_NUMBER') || childText(element, 'DATAID'),
+      type: 'entity',
+      primary_name: name,
+      names: uniqueNames([name, ...aliases]),
+      dates_of_birth: [],
+      nationality: null,
+      programs: [childText(element, 'UN_LIST_TYPE')].filter(Boolean),
+      listed_on: childText(element, 'LISTED_ON') || null
+    });
+  });
+
+  return entries;
+}
+
+// sdn.csv has no header: ent_num, SDN_Name, SDN_Type, Program, Title,
+// Call_Sign, Vess_type, Tonnage, GRT, Vess_flag, Vess_owner, Remarks.
+// "-0-" means empty and dates of birth are only given in the remarks.
+function parseOfacCsv(text, altText = null) {
+  const value = cell => {
+    const trimmed = (cell || '').trim();
+    return trimmed === '-0-' ? '' : trimmed;
+  };
+
+  const aliases = new Map();
+  if (altText) {
+    for (const row of parseCsv(altText)) {
+      const entNum = value(row[0]);
+      const altName = value(row[3]);
+      if (!entNum || !altName) continue;
+      if (!aliases.has(entNum)) aliases.set(entNum, []);
+      aliases.get(entNum).push(altName);
+    }
+  }
+
+  return parseCsv(text)
+    .filter(row => /^\d+$/.test(value(row[0])))
+    .map(row => {
+      const entNum = value(row[0]);
+      const sdnType = value(row[2]).toLowerCase();
+      const remarks = value(row[11]);
+      const datesOfBirth = [...remarks.matchAll(/DOB\s+([^;]+)/g)]
+        .map(match => parseDateOfBirth(match[1].replace(/^(circa|about)\s+/i, '').replace(/\.$/, '').split(/\s+to\s+/)[0]))
+        .filter(Boolean);
+      const nationality = remarks.match(/nationality\s+([^;.]+)/i);
+
+      return {
+        list: 'ofac',
+        list_id: entNum,
+        type: sdnType === 'individual' ? 'individual' : (sdnType === '' ? 'entity' : 'other'),
+        primary_name: value(row[1]),
+        names: uniqueNames([value(row[1]), ...(aliases.get(entNum) || [])]),
+        dates_of_birth: datesOfBirth,
+        nationality: nationality ? nationality[1].trim() : null,
+        programs: value(row[3]).split(/\]\s*\[|[[\]]/).map(p => p.trim()).filter(Boolean),
+        listed_on: null
+      };
+    });
+}
+
+let cache = null;
+
+function fileSignature(files) {
+  return Object.values(files)
+    .map(file => (fs.existsSync(file) ? `${file}:${fs.statSync(file).mtimeMs}` : `${file}:missing`))
+    .join('|');
+}
+
+function readList(list, file, parse) {
+  if (!fs.existsSync(file)) return null;
+  const started = Date.now();
+  const entries = parse(fs.readFileSync(file, 'utf8'));
+  console.log(`[${new Date().toISOString()}] Loaded ${entries.length} ${list.toUpperCase()} sanctions entries from ${file} in ${Date.now() - started}ms`);
+  return { list, file, entries, modified_at: new Date(fs.statSync(file).mtimeMs).toISOString() };
+}
+
+function loadSanctionsLists() {
+  const files = listFiles();
+  const signature = fileSignature(files);
+  if (cache && cache.signature === signature) return cache;
+
+  const sources = [];
+  const load = (list, file, parse) => {
+    try {
+      const source = readList(list, file, parse);
+      if (source) sources.push(source);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Could not load ${list.toUpperCase()} sanctions list ${file}: ${err.message}`);
+      sources.push({ list, file, entries: [], error: err.message });
+    }
+  };
+
+  load('ofsi', files.ofsi, parseOfsiCsv);
+  load('un', files.un, parseUnXml);
+  load('ofac', files.ofac, text => parseOfacCsv(text, fs.existsSync(files.ofac_alt) ? fs.readFileSync(files.ofac_alt, 'utf8') : null));
+
+  const entries = sources.flatMap(source => source.entries);
+  cache = { signature, sources, entries, index: buildNameIndex(entries) };
+  return cache;
+}
+
+function screenSubject(subject, lists, threshold) {
+  const isIndividual = subject.type === 'individual';
+  const hits = [];
+
+  for (const entryIndex of findCandidates(lists.index, subject.name, { entity: !isIndividual })) {
+    const entry = lists.entries[entryIndex];
+    if ((entry.type === 'individual') !== isIndividual || entry.type === 'other') continue;
+
+    const match = matchEntry(subject, entry, { threshold, entity: !isIndividual });
+    if (!match) continue;
+
+    hits.push({
+      subject: { name: subject.name, role: subject.role, type: subject.type, date_of_birth: subject.date_of_birth || null, company_number: subject.company_number || null },
+      list: entry.list,
+      list_name: LIST_NAMES[entry.list],
+      list_id: entry.list_id,
+      primary_name: entry.primary_name,
+      ...match,
+      listed_dates_of_birth: entry.dates_of_birth,
+      nationality: entry.nationality,
+      programs: entry.programs,
+      listed_on: entry.listed_on
+    });
+  }
+
+  return hits.sort((a, b) => b.score - a.score);
+}
+
+// subjects: [{ name, type: 'individual' | 'entity', role, date_of_birth }]
+function screenSanctions(subjects, { threshold = MATCH_THRESHOLD, lists = loadSanctionsLists() } = {}) {
+  const loadedLists = lists.sources.map(source => ({
+    list: source.list,
+    name: LIST_NAMES[source.list],
+    file: source.file,
+    entries: source.entries.length,
+    modified_at: source.modified_at || null,
+    error: source.error || null
+  }));
+
+  if (lists.entries.length === 0) {
+    return { status: 'not_screened', message: 'No sanctions lists are loaded', lists: loadedLists, threshold, subjects_screened: 0, hits: [], screened_at: new Date().toISOString() };
+  }
+
+  const hits = subjects.flatMap(subject => screenSubject(subject, lists, threshold));
+  return {
+    status: hits.length > 0 ? 'potential_match' : 'clear',
+    lists: loadedLists,
+    threshold,
+    subjects_screened: subjects.length,
+    hits,
+    screened_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  LIST_NAMES,
+  parseOfsiCsv,
+  parseUnXml,
+  parseOfacCsv,
+  loadSanctionsLists,
+  screenSanctions
+};
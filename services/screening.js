@@ -0,0 +1,59 @@
+// Watchlist screening subjects
+// Everyone a KYB result names - the company, its officers, its PSCs and the
+// ultimate owners behind corporate PSCs - becomes one screening subject.
+// The same person appearing in several roles is screened once.
+
+const { nameTokens } = require('./nameMatch');
+
+function subjectKey(type, name) {
+  return `${type}|${nameTokens(name, { entity: type === 'entity' }).join(' ')}`;
+}
+
+function buildScreeningSubjects({ companyName, companyNumber, officers = [], owners = [], ultimateOwners = [] }) {
+  const subjects = new Map();
+
+  const add = ({ name, type, role, date_of_birth = null, company_number = null }) => {
+    if (!name) return;
+    const key = subjectKey(type, name);
+    const existing = subjects.get(key);
+    if (existing) {
+      if (!existing.roles.includes(role)) existing.roles.push(role);
+      existing.role = existing.roles.join(', ');
+      existing.date_of_birth = existing.date_of_birth || date_of_birth;
+      existing.company_number = existing.company_number || company_number;
+      return;
+    }
+    subjects.set(key, { name, type, role, roles: [role], date_of_birth, company_number });
+  };
+
+  add({ name: companyName, type: 'entity', role: 'company', company_number: companyNumber });
+
+  officers.forEach(officer => add({
+    name: officer.full_name || officer.name,
+    type: officer.is_corporate ? 'entity' : 'individual',
+    role: officer.role_label || officer.role || 'officer',
+    date_of_birth: officer.date_of_birth
+  }));
+
+  // Super-secure PSCs have no name to screen
+  owners.filter(owner => !owner.is_super_secure).forEach(owner => add({
+    name: owner.name,
+    type: owner.is_corporate ? 'entity' : 'individual',
+    role: 'person with significant control',
+    date_of_birth: owner.date_of_birth
+  }));
+
+  ultimateOwners.filter(owner => owner.type !== 'super-secure').forEach(owner => add({
+    name: owner.name,
+    type: owner.type === 'individual' ? 'individual' : 'entity',
+    role: 'ultimate beneficial owner',
+    date_of_birth: owner.date_of_birth,
+    company_number: owner.company_number
+  }));
+
+  return [...subjects.values()];
+}
+
+module.exports = {
+  buildScreeningSubjects
+};
@@ -0,0 +1,125 @@
+// Tenants: the brands sharing one deployment
+// Each tenant's jobs, audit trails, incorporation documents and log files are
+// kept apart, and a tenant can have its own risk policy, OpenAI model (and
+// models per task, see services/llm.js) and Companies House key. Tenants are
+// listed in TENANTS_FILE (default config/tenants.json):
+//   [{ "id": "acme", "name": "Acme Bank", "risk_policy_file": "config/acmePolicy.yaml",
+//      "openai_model": "gpt-4o", "model_routes": { "adverse_media": "gpt-4o-mini" },
+//      "companies_house_api_key_env": "ACME_COMPANIES_HOUSE_API_KEY" }]
+// Keys stay in the environment; the file only names the variable. Anything a
+// tenant leaves out falls back to the deployment-wide setting (RISK_POLICY_FILE,
+// the built-in model, COMPANIES_HOUSE_API_KEY).
+//
+// The "default" tenant always exists and keeps the layout the service had
+// before tenants: its files sit directly in data/, inc_docs/ and logs/, while
+// other tenants get a subdirectory named after them in each.
+//
+// Jobs, and API requests once authenticated (services/auth.js), run inside
+// runForTenant() so the Companies House and LLM calls they make deep in the
+// pipeline pick up the tenant's settings.
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_TENANT = 'default';
+const DEFAULT_TENANTS_FILE = path.join(__dirname, '..', 'config', 'tenants.json');
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+
+const tenantContext = new AsyncLocalStorage();
+
+let cache = null;
+
+function tenantsFile() {
+  return process.env.TENANTS_FILE || DEFAULT_TENANTS_FILE;
+}
+
+function parseTenants(records, file) {
+  if (!Array.isArray(records)) throw new Error(`${file} must be a list of tenants`);
+  const tenants = new Map();
+  records.forEach((record, index) => {
+    if (!TENANT_ID_PATTERN.test(record.id || '')) {
+      throw new Error(`${file}: tenant ${index + 1} needs an id of lowercase letters, digits, "-" or "_"`);
+    }
+    if (tenants.has(record.id)) throw new Error(`${file}: tenant "${record.id}" is listed twice`);
+    tenants.set(record.id, {
+      id: record.id,
+      name: record.name || record.id,
+      risk_policy_file: record.risk_policy_file || null,
+      openai_model: record.openai_model || null,
+      model_routes: record.model_routes || {},
+      companies_house_api_key_env: record.companies_house_api_key_env || null
+    });
+  });
+  if (!tenants.has(DEFAULT_TENANT)) {
+    tenants.set(DEFAULT_TENANT, { id: DEFAULT_TENANT, name: 'Default', risk_policy_file: null, openai_model: null, model_routes: {}, companies_house_api_key_env: null });
+  }
+  return tenants;
+}
+
+// Re-read when the file changes so tenants can be added without a restart
+function loadTenants() {
+  const file = tenantsFile();
+  if (!fs.existsSync(file)) {
+    return parseTenants([], file);
+  }
+  const { mtimeMs } = fs.statSync(file);
+  if (cache && cache.file === file && cache.mtimeMs === mtimeMs) return cache.tenants;
+  const tenants = parseTenants(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+  console.log(`[${new Date().toISOString()}] Loaded ${tenants.size} tenants from ${file}`);
+  cache = { file, mtimeMs, tenants };
+  return tenants;
+}
+
+function listTenants() {
+  return [...loadTenants().values()];
+}
+
+function hasTenant(tenantId) {
+  return loadTenants().has(tenantId);
+}
+
+function getTenant(tenantId = DEFAULT_TENANT) {
+  const tenant = loadTenants().get(tenantId);
+  if (!tenant) {
+    const err = new Error(`Unknown tenant "${tenantId}"`);
+    err.type = 'not_found';
+    throw err;
+  }
+  return tenant;
+}
+
+// <baseDir>/<file> for the default tenant, <baseDir>/<tenant>/<file> for the rest
+function tenantPath(baseDir, tenantId, ...parts) {
+  if (!tenantId || tenantId === DEFAULT_TENANT) return path.join(baseDir, ...parts);
+  if (!TENANT_ID_PATTERN.test(tenantId)) throw new Error(`Invalid tenant id "${tenantId}"`);
+  return path.join(baseDir, tenantId, ...parts);
+}
+
+function runForTenant(tenantId, fn) {
+  return tenantContext.run({ tenantId: tenantId || DEFAULT_TENANT }, fn);
+}
+
+function currentTenantId() {
+  return tenantContext.getStore()?.tenantId || DEFAULT_TENANT;
+}
+
+// Settings of the tenant the current job runs for (the default tenant outside
+// a job, or when the tenant has since been removed from the file)
+function currentTenant() {
+  const tenants = loadTenants();
+  return tenants.get(currentTenantId()) || tenants.get(DEFAULT_TENANT);
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  TENANT_ID_PATTERN,
+  loadTenants,
+  listTenants,
+  hasTenant,
+  getTenant,
+  tenantPath,
+  runForTenant,
+  currentTenantId,
+  currentTenant
+};
@@ -0,0 +1,228 @@
+// Ultimate beneficial owner resolution
+// Follows corporate PSCs that are registered in the UK up through their own
+// PSC registers until we reach individuals, an entity we cannot follow (a
+// non-UK company, a legal person, a cycle) or the depth limit. Ownership is
+// published as bands, so effective ownership through the chain is a range:
+// a 50-75% holder of a company that holds 75-100% of the subject effectively
+// owns 37.5-75%.
+
+const companiesHouse = require('./companiesHouse');
+const { normalizePsc } = require('./psc');
+
+const UK_REGISTRATION = /(england|wales|scotland|northern ireland|united kingdom|great britain|\buk\b|companies house|register of companies)/i;
+
+const STOP_MESSAGES = {
+  non_uk_entity: 'Resolution stopped at non-UK entity',
+  no_registration_number: 'Resolution stopped: no UK registration number on the PSC register',
+  legal_person: 'Resolution stopped at legal person (e.g. a government body or trust)',
+  max_depth: 'Resolution stopped at the configured maximum depth',
+  cycle: 'Resolution stopped: circular ownership detected',
+  not_found: 'Resolution stopped: company not found at Companies House',
+  lookup_failed: 'Resolution stopped: Companies House lookup failed',
+  no_pscs: 'Resolution stopped: the company has no active PSCs'
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatRange(range) {
+  if (!range) return null;
+  return range.min === range.max ? `${round(range.min)}%` : `${round(range.min)}-${round(range.max)}%`;
+}
+
+// Effective stake of a holder = parent's effective range x holder's band
+function chainOwnership(parentRange, band) {
+  if (!parentRange || !band) return null;
+  return {
+    min: round(parentRange.min * band.min / 100),
+    max: round(parentRange.max * band.max / 100)
+  };
+}
+
+function isUkRegistered(identification) {
+  if (!identification) return false;
+  const where = [identification.country_registered, identification.place_registered, identification.legal_authority]
+    .filter(Boolean)
+    .join(' ');
+  return UK_REGISTRATION.test(where);
+}
+
+// Companies House numbers are 8 characters; PSC registers often drop the zeros
+function normalizeRegistrationNumber(value) {
+  if (!value) return null;
+  const compact = String(value).replace(/\s+/g, '').toUpperCase();
+  return /^\d{1,8}$/.test(compact) ? compact.padStart(8, '0') : compact;
+}
+
+function stopNode(node, reason, detail) {
+  node.stop_reason = reason;
+  node.stop_message = detail ? `${STOP_MESSAGES[reason]} (${detail})` : STOP_MESSAGES[reason];
+  return node;
+}
+
+function createResolver({ maxDepth, log = () => {} }) {
+  async function loadOwners(companyNumber) {
+    const list = await companiesHouse.getAllPersonsWithSignificantControl(companyNumber);
+    return list.items.map(normalizePsc).filter(o => o.is_active);
+  }
+
+  // Builds the node for one PSC and, for UK corporate PSCs, its owners
+  async function resolvePsc(psc, parentRange, depth, path) {
+    const node = {
+      name: psc.name,
+      type: psc.type,
+      kind: psc.kind,
+      ownership_band: psc.ownership_band,
+      ownership_percent: psc.ownership_percent,
+      voting_rights_percent: psc.voting_rights_percent,
+      effective_ownership: chainOwnership(parentRange, psc.ownership_band),
+      effective_ownership_percent: null,
+      control: psc.control,
+      nationality: psc.nationality,
+      country_of_residence: psc.country_of_residence,
+      date_of_birth: psc.date_of_birth,
+      identification: psc.identification,
+      company_number: null,
+      depth,
+      children: [],
+      stop_reason: null,
+      stop_message: null
+    };
+    node.effective_ownership_percent = formatRange(node.effective_ownership);
+
+    if (!psc.is_corporate) return node;
+
+    if (psc.type === 'legal-person') {
+      return stopNode(node, 'legal_person', psc.identification?.legal_authority);
+    }
+    if (!isUkRegistered(psc.identification)) {
+      return stopNode(node, 'non_uk_entity', psc.identification?.country_registered || psc.identification?.place_registered || 'jurisdiction unknown');
+    }
+
+    const companyNumber = normalizeRegistrationNumber(psc.identification.registration_number);
+    node.company_number = companyNumber;
+    if (!companyNumber) {
+      return stopNode(node, 'no_registration_number');
+    }
+    if (path.includes(companyNumber)) {
+      return stopNode(node, 'cycle', `${companyNumber} already appears in this chain`);
+    }
+    if (depth >= maxDepth) {
+      return stopNode(node, 'max_depth', `depth ${maxDepth}`);
+    }
+
+    let owners;
+    try {
+      owners = await loadOwners(companyNumber);
+    } catch (err) {
+      log(`Could not load PSCs for ${companyNumber}: ${err.message}`);
+      return stopNode(node, err.type === 'not_found' ? 'not_found' : 'lookup_failed', companyNumber);
+    }
+    if (owners.length === 0) {
+      return stopNode(node, 'no_pscs', companyNumber);
+    }
+
+    // Owners of a company that only controls (no share band) get no effective percentage
+    for (const owner of owners) {
+      node.children.push(await resolvePsc(owner, node.effective_ownership, depth + 1, [...path, companyNumber]));
+    }
+    return node;
+  }
+
+  return { resolvePsc };
+}
+
+// Leaves of the tree are the ultimate owners; one person reached through
+// several chains gets the ranges added up
+function collectUltimateOwners(tree) {
+  const owners = new Map();
+
+  function visit(node, chain) {
+    if (node.children.length > 0) {
+      node.children.forEach(child => visit(child, [...chain, node.name]));
+      return;
+    }
+
+    const key = `${node.type}|${(node.name || '').toLowerCase()}|${node.date_of_birth || ''}`;
+    const existing = owners.get(key);
+    if (existing) {
+      if (node.effective_ownership) {
+        existing.effective_ownership = existing.effective_ownership
+          ? {
+            min: round(Math.min(existing.effective_ownership.min + node.effective_ownership.min, 100)),
+            max: round(Math.min(existing.effective_ownership.max + node.effective_ownership.max, 100))
+          }
+          : node.effective_ownership;
+        existing.effective_ownership_percent = formatRange(existing.effective_ownership);
+      }
+      existing.chains.push(chain);
+      return;
+    }
+
+    owners.set(key, {
+      name: node.name,
+      type: node.type,
+      is_individual: node.type === 'individual',
+      company_number: node.company_number,
+      effective_ownership: node.effective_ownership,
+      effective_ownership_percent: node.effective_ownership_percent,
+      // Kept for consumers of the old immediate-PSC list
+      ownership_percent: node.effective_ownership_percent,
+      control: node.control,
+      nationality: node.nationality,
+      country_of_residence: node.country_of_residence,
+      date_of_birth: node.date_of_birth,
+      stop_reason: node.stop_reason,
+      stop_message: node.stop_message,
+      chains: [chain]
+    });
+  }
+
+  tree.children.forEach(child => visit(child, [tree.name]));
+  return [...owners.values()];
+}
+
+function collectStops(node, stops = []) {
+  if (node.stop_reason) {
+    stops.push({ name: node.name, company_number: node.company_number, reason: node.stop_reason, message: node.stop_message, depth: node.depth });
+  }
+  node.children.forEach(child => collectStops(child, stops));
+  return stops;
+}
+
+// Resolves the ownership of a company whose active PSCs are already loaded
+async function resolveOwnership({ companyNumber, companyName, owners, maxDepth = 5, log }) {
+  const resolver = createResolver({ maxDepth, log });
+  const root = {
+    name: companyName,
+    type: 'subject',
+    company_number: companyNumber,
+    effective_ownership: { min: 100, max: 100 },
+    effective_ownership_percent: '100%',
+    depth: 0,
+    children: [],
+    stop_reason: null,
+    stop_message: null
+  };
+
+  for (const owner of owners) {
+    root.children.push(await resolver.resolvePsc(owner, root.effective_ownership, 1, [companyNumber]));
+  }
+
+  const stops = collectStops(root);
+  return {
+    tree: root,
+    ultimate_owners: collectUltimateOwners(root),
+    stops,
+    max_depth: maxDepth,
+    fully_resolved: stops.length === 0
+  };
+}
+
+module.exports = {
+  resolveOwnership,
+  isUkRegistered,
+  normalizeRegistrationNumber,
+  formatRange
+};
@@ -0,0 +1,18 @@
+// Structured validation issues
+// Every entry in a KYB result's validation_issues has a stable `code` that
+// downstream rules can match on, a `category`, a `severity` (low, medium or
+// high), a human-readable `message` and the `details` behind it.
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+function createIssue(code, { category, severity = 'medium', message, details = null }) {
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Unknown validation issue severity: ${severity}`);
+  }
+  return { code, category, severity, message, details };
+}
+
+module.exports = {
+  SEVERITIES,
+  createIssue
+};
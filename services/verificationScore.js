@@ -0,0 +1,205 @@
+// Verification scoring
+// Weighs the evidence gathered for a company into a confidence between 0 and
+// 1 and a tiered status: verified, needs_review or failed. Every signal scores
+// 0-1 (0.5 when there is nothing to check it against) or is left out when it
+// does not apply, and some outcomes cap the status whatever the confidence,
+// e.g. a dissolved company always fails and a CRN mismatch always needs review.
+//
+// Weights can be overridden with KYB_SIGNAL_WEIGHTS, a JSON object such as
+// {"address_match": 3, "charges": 0}.
+
+const DEFAULT_WEIGHTS = {
+  crn_cross_match: 3,
+  name_similarity: 2,
+  address_match: 2,
+  company_age: 1,
+  company_status: 3,
+  insolvency: 2,
+  charges: 1,
+  overdue_filings: 2,
+  ai_agreement: 1,
+  ai_claims: 2
+};
+
+const VERIFIED_THRESHOLD = parseFloat(process.env.KYB_VERIFIED_THRESHOLD) || 0.75;
+const FAILED_THRESHOLD = parseFloat(process.env.KYB_FAILED_THRESHOLD) || 0.4;
+
+const UNKNOWN = 0.5;
+
+function loadWeights() {
+  if (!process.env.KYB_SIGNAL_WEIGHTS) return { ...DEFAULT_WEIGHTS };
+  try {
+    return { ...DEFAULT_WEIGHTS, ...JSON.parse(process.env.KYB_SIGNAL_WEIGHTS) };
+  } catch (err) {
+    console.warn(`KYB_SIGNAL_WEIGHTS is not valid JSON (${err.message}), using the default weights`);
+    return { ...DEFAULT_WEIGHTS };
+  }
+}
+
+const WEIGHTS = loadWeights();
+
+function signal(score, outcome, detail, cap = null) {
+  return { score, outcome, detail, cap };
+}
+
+function normalizeCrn(value) {
+  return value ? String(value).toUpperCase().replace(/\s+/g, '') : null;
+}
+
+function monthsSince(date, now) {
+  return (now.getFullYear() - date.getFullYear()) * 12 + (now.getMonth() - date.getMonth());
+}
+
+// Each evaluator returns null when the signal does not apply to this job
+const EVALUATORS = {
+  crn_cross_match({ crn, websiteCrn, website }) {
+    if (!website) return null;
+    if (!websiteCrn) return signal(UNKNOWN, 'unknown', 'No CRN found on the website');
+    if (normalizeCrn(websiteCrn) === normalizeCrn(crn)) {
+      return signal(1, 'pass', `Website shows the registered CRN ${crn}`);
+    }
+    return signal(0, 'fail', `Website shows ${websiteCrn} but Companies House has ${crn}`, 'needs_review');
+  },
+
+  name_similarity({ requestedName, websiteName, registeredName, similarity }) {
+    const scores = [requestedName, websiteName]
+      .filter(Boolean)
+      .map(name => similarity(name, registeredName));
+    if (scores.length === 0) return signal(UNKNOWN, 'unknown', 'No name to compare');
+
+    const best = Math.max(...scores);
+    const outcome = best >= 0.85 ? 'pass' : (best >= 0.6 ? 'partial' : 'fail');
+    return signal(Math.round(best * 100) / 100, outcome, `Best name similarity with "${registeredName}" is ${best.toFixed(2)}`);
+  },
+
+  address_match({ website, addressComparison }) {
+    if (!website) return null;
+    if (!addressComparison) return signal(UNKNOWN, 'unknown', 'No address found on the website');
+    const outcome = addressComparison.match ? 'pass' : (addressComparison.score > 0 ? 'partial' : 'fail');
+    return signal(addressComparison.score, outcome, `Address match score ${addressComparison.score}`);
+  },
+
+  company_age({ dateOfCreation, now }) {
+    if (!dateOfCreation) return signal(UNKNOWN, 'unknown', 'Incorporation date not known');
+    const months = monthsSince(new Date(dateOfCreation), now);
+    if (months < 6) return signal(0.2, 'fail', `Incorporated ${months} month(s) ago`);
+    if (months < 12) return signal(0.5, 'partial', `Incorporated ${months} months ago`);
+    if (months < 24) return signal(0.8, 'partial', `Incorporated ${months} months ago`);
+    return signal(1, 'pass', `Incorporated ${Math.floor(months / 12)} years ago`);
+  },
+
+  company_status({ companyStatus }) {
+    if (companyStatus === 'active') return signal(1, 'pass', 'Company is active');
+    return signal(0, 'fail', `Company status is ${companyStatus || 'unknown'}`, 'failed');
+  },
+
+  insolvency({ insolvency }) {
+    if (!insolvency) return signal(UNKNOWN, 'unknown', 'Insolvency register could not be checked');
+    if (insolvency.cases.length === 0) return signal(1, 'pass', 'No insolvency history');
+    if (insolvency.status.length > 0) {
+      return signal(0, 'fail', `Company is in ${insolvency.status.join(', ')}`, 'failed');
+    }
+    return signal(0.4, 'partial', `${insolvency.cases.length} past insolvency case(s)`, 'needs_review');
+  },
+
+  charges({ charges }) {
+    if (!charges) return signal(UNKNOWN, 'unknown', 'Charges register could not be checked');
+    if (charges.outstanding.length === 0) return signal(1, 'pass', 'No outstanding charges');
+    // Secured lending is normal for trading companies, so this only lowers confidence a little
+    return signal(0.6, 'partial', `${charges.outstanding.length} outstanding charge(s)`);
+  },
+
+  overdue_filings({ filingDeadlines }) {
+    const accounts = filingDeadlines?.accounts?.overdue;
+    const confirmation = filingDeadlines?.confirmation_statement?.overdue;
+    if (accounts && confirmation) return signal(0, 'fail', 'Accounts and confirmation statement are overdue', 'needs_review');
+    if (accounts) return signal(0.2, 'fail', 'Accounts are overdue', 'needs_review');
+    if (confirmation) return signal(0.5, 'partial', 'Confirmation statement is overdue');
+    return signal(1, 'pass', 'Filings are up to date');
+  },
+
+  // Only applies when OpenAI suggested a CRN at some point in the job
+  ai_agreement({ crn, aiCrns = [] }) {
+    if (aiCrns.length === 0) return null;
+    const disagreeing = aiCrns.filter(claim => normalizeCrn(claim.crn) !== normalizeCrn(crn));
+    if (disagreeing.length === 0) return signal(1, 'pass', `OpenAI agreed on ${crn}`);
+    return signal(
+      disagreeing.length === aiCrns.length ? 0 : 0.5,
+      disagreeing.length === aiCrns.length ? 'fail' : 'partial',
+      `OpenAI suggested ${disagreeing.map(claim => `${claim.crn} (${claim.source})`).join(', ')}`
+    );
+  },
+
+  // Only applies when the model named a CRN, website or officer; every claim
+  // no independent source backed up (services/aiClaims.js) lowers the score
+  ai_claims({ aiClaims }) {
+    if (!aiClaims || aiClaims.total === 0) return null;
+    if (aiClaims.rejected === 0) return signal(1, 'pass', `All ${aiClaims.total} AI claim(s) corroborated`);
+    return signal(
+      Math.round((1 - aiClaims.rejection_rate) * 100) / 100,
+      aiClaims.rejected === aiClaims.total ? 'fail' : 'partial',
+      `${aiClaims.rejected} of ${aiClaims.total} AI claim(s) rejected`
+    );
+  }
+};
+
+const CAP_RANK = { verified: 0, needs_review: 1, failed: 2 };
+
+function scoreVerification(evidence, { weights = WEIGHTS, now = new Date() } = {}) {
+  const signals = [];
+
+  for (const [name, evaluate] of Object.entries(EVALUATORS)) {
+    const weight = weights[name] ?? 0;
+    const result = evaluate({ ...evidence, now });
+    if (!result) {
+      signals.push({ signal: name, weight, score: null, outcome: 'not_applicable', detail: null });
+      continue;
+    }
+    signals.push({ signal: name, weight, score: result.score, outcome: result.outcome, detail: result.detail, cap: result.cap });
+  }
+
+  return summarizeSignals(signals);
+}
+
+// Confidence is the weighted mean of the applicable signals; a signal's cap
+// (e.g. a dissolved company always fails) overrides a better score
+function summarizeSignals(signals) {
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const entry of signals) {
+    if (entry.score === null) continue;
+    weighted += entry.weight * entry.score;
+    totalWeight += entry.weight;
+  }
+
+  const confidence = totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) / 100 : 0;
+
+  let status = confidence >= VERIFIED_THRESHOLD ? 'verified' : (confidence < FAILED_THRESHOLD ? 'failed' : 'needs_review');
+  for (const entry of signals) {
+    if (entry.cap && entry.weight !== 0 && CAP_RANK[entry.cap] > CAP_RANK[status]) {
+      status = entry.cap;
+    }
+  }
+
+  return {
+    status,
+    confidence,
+    thresholds: { verified: VERIFIED_THRESHOLD, failed: FAILED_THRESHOLD },
+    signals
+  };
+}
+
+// Re-scores a breakdown with the signals a reviewer accepted counted as
+// passed and their caps lifted
+function applySignalOverrides(breakdown, acceptedSignals) {
+  const signals = breakdown.signals.map(entry => (acceptedSignals.includes(entry.signal) && entry.score !== null
+    ? { ...entry, score: 1, outcome: 'overridden', cap: null, original: { score: entry.score, outcome: entry.outcome, cap: entry.cap || null } }
+    : entry));
+  return summarizeSignals(signals);
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  scoreVerification,
+  applySignalOverrides
+};
@@ -0,0 +1,352 @@
+// Web search helpers for finding company websites and adverse media
+// Scrapes Bing's HTML results (DuckDuckGo as backup) since the Google Custom
+// Search API is not reliably available. Used by /findWebsite and by the KYB
+// pipeline when the model cannot name a company's website or screens it for
+// adverse media. Results pages come from a pluggable backend, so recorded
+// HTML can stand in for the live engines.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { hashContent, contentLength, recordExternalRequest } = require('./auditTrail');
+
+// Score and rank website results based on relevance to company name
+function scoreWebsiteResults(results, normalizedCompanyName) {
+  // Split company name into tokens
+  const companyNameTokens = normalizedCompanyName.split(/[^a-z0-9]+/).filter(Boolean);
+  
+  results.forEach(result => {
+    let score = 0;
+    const url = new URL(result.url);
+    const hostname = url.hostname.toLowerCase();
+    const hostnameWithoutWWW = hostname.replace(/^www\./, '');
+    const path = url.pathname.toLowerCase();
+    
+    // Exact domain match (highest priority)
+    // Example: 38fitness.co.uk for "38 fitness"
+    let domainName = hostnameWithoutWWW.split('.')[0];
+    
+    // Check if hostname contains all tokens from company name with no separators
+    const noSpaceCompanyName = companyNameTokens.join('');
+    if (domainName.includes(noSpaceCompanyName)) {
+      score += 100;
+    }
+    
+    // Check for numeric/text mix like "38fitness" vs "38 fitness"
+    const companyNameWithNumbers = normalizedCompanyName.replace(/[^a-z0-9]/g, '');
+    if (domainName === companyNameWithNumbers) {
+      score += 100;
+    }
+    
+    // Check if hostname contains all tokens from company name
+    const allTokensInDomain = companyNameTokens.every(token => hostnameWithoutWWW.includes(token));
+    if (allTokensInDomain) {
+      score += 50;
+    }
+    
+    // Add points for each company name token present in the domain
+    companyNameTokens.forEach(token => {
+      if (hostnameWithoutWWW.includes(token)) {
+        score += 20 * (token.length / companyNameTokens.join('').length);
+      }
+    });
+    
+    // Prefer shorter hostnames (more likely to be official site vs. directory)
+    score -= hostnameWithoutWWW.length * 0.5;
+    
+    // Prefer domains with fewer subdirectories (likely homepage)
+    const pathDepth = path.split('/').filter(Boolean).length;
+    score -= pathDepth * 5;
+    
+    // Prefer common TLDs
+    if (hostname.endsWith('.com') || hostname.endsWith('.co.uk')) {
+      score += 10;
+    }
+    
+    // Prefer .co.uk for UK-related terms
+    if (
+      (normalizedCompanyName.includes('uk') || 
+      normalizedCompanyName.includes('british') || 
+      normalizedCompanyName.includes('england')) && 
+      hostname.endsWith('.co.uk')
+    ) {
+      score += 15;
+    }
+    
+    // Prefer sites with "official" in title
+    if (result.title && result.title.toLowerCase().includes('official')) {
+      score += 10;
+    }
+    
+    // Prefer domains that don't include other businesses
+    const directoryTerms = ['directory', 'list', 'businesses', 'companies', 'find', 'search'];
+    if (directoryTerms.some(term => hostname.includes(term))) {
+      score -= 30;
+    }
+    
+    // Penalize URLs that clearly belong to other platforms
+    const penalizeTerms = ['linkedin', 'facebook', 'instagram', 'twitter', 'yelp', 'trustpilot', 'companies house'];
+    for (const term of penalizeTerms) {
+      if (hostname.includes(term)) {
+        score -= 100;
+        break;
+      }
+    }
+    
+    // Store the score
+    result.score = score;
+  });
+  
+  // Sort by score, highest first
+  return results.sort((a, b) => b.score - a.score);
+}
+
+const USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/94.0.4606.81 Safari/537.36";
+
+// Known non-company domains, skipped when looking for a company's own website
+const EXCLUDED_DOMAINS = [
+  'facebook.com', 'twitter.com', 'linkedin.com', 'instagram.com',
+  'youtube.com', 'pinterest.com', 'yelp.com', 'yellowpages.com',
+  'bbb.org', 'trustpilot.com', 'google.com', 'wikipedia.org',
+  'companies-house.gov.uk', 'endole.co.uk', 'finder.com'
+];
+
+const SEARCH_URLS = {
+  bing: query => `https://www.bing.com/search?q=${encodeURIComponent(query)}`,
+  duckduckgo: query => `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}`
+};
+
+function isExcluded(fullUrl, excludeDomains) {
+  const domain = new URL(fullUrl).hostname.replace('www.', '');
+  return excludeDomains.some(d => domain.includes(d));
+}
+
+function parseBingResults(html, excludeDomains = EXCLUDED_DOMAINS) {
+  const $ = cheerio.load(html || '');
+  const searchResults = [];
+  
+  // Get all search result links
+  const resultElements = $('.b_algo');
+  
+  for (let i = 0; i < resultElements.length && i < 10; i++) {
+    const element = resultElements[i];
+    const linkElement = $(element).find('h2 a');
+    const descElement = $(element).find('.b_caption p');
+    
+    if (linkElement && linkElement.attr('href')) {
+      const fullUrl = linkElement.attr('href');
+      
+      try {
+        if (!isExcluded(fullUrl, excludeDomains)) {
+          searchResults.push({
+            url: fullUrl,
+            title: $(linkElement).text() || '',
+            description: $(descElement).text() || '',
+            position: i + 1
+          });
+        }
+      } catch (e) {
+        // Skip invalid URLs
+      }
+    }
+  }
+  
+  return searchResults;
+}
+
+function parseDuckDuckGoResults(html, excludeDomains = EXCLUDED_DOMAINS) {
+  const ddg$ = cheerio.load(html || '');
+  const searchResults = [];
+  
+  // Parse DuckDuckGo search results
+  const ddgResultElements = ddg$('.result');
+  
+  for (let i = 0; i < ddgResultElements.length && i < 10; i++) {
+    const element = ddgResultElements[i];
+    const linkElement = ddg$(element).find('.result__a');
+    const descElement = ddg$(element).find('.result__snippet');
+    
+    if (linkElement && linkElement.attr('href')) {
+      // DuckDuckGo uses relative URLs with a redirect
+      const relativeUrl = linkElement.attr('href');
+      // Extract the actual URL from the redirect
+      const match = relativeUrl.match(/uddg=([^&]+)/);
+      const fullUrl = match ? decodeURIComponent(match[1]) : null;
+      
+      if (fullUrl) {
+        try {
+          if (!isExcluded(fullUrl, excludeDomains)) {
+            searchResults.push({
+              url: fullUrl,
+              title: ddg$(linkElement).text() || '',
+              description: ddg$(descElement).text() || '',
+              position: i + 1
+            });
+          }
+        } catch (e) {
+          // Skip invalid URLs
+        }
+      }
+    }
+  }
+  
+  return searchResults;
+}
+
+// Recorded results pages are stored as <dir>/<engine>/<query slug>.html
+function fixturePath(dir, engine, query) {
+  const slug = query.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 100);
+  return path.join(dir, engine, `${slug}.html`);
+}
+
+// A search backend fetches the HTML results page of an engine for a query.
+// The live backend asks Bing/DuckDuckGo and, with WEB_SEARCH_RECORD_DIR set,
+// records every page it gets so it can be replayed by the fixture backend.
+function createLiveSearchBackend({ recordDir = process.env.WEB_SEARCH_RECORD_DIR } = {}) {
+  return {
+    name: 'live',
+    async fetchPage(engine, query) {
+      const response = await axios.get(SEARCH_URLS[engine](query), {
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'text/html',
+          'Accept-Language': 'en-US,en;q=0.9'
+        },
+        timeout: 10000
+      });
+      if (recordDir) {
+        const file = fixturePath(recordDir, engine, query);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, response.data);
+      }
+      return response.data;
+    }
+  };
+}
+
+// Replays recorded pages; a query without a recording has no results
+function createFixtureSearchBackend({ dir = process.env.WEB_SEARCH_FIXTURES_DIR } = {}) {
+  if (!dir) throw new Error('The fixture search backend needs WEB_SEARCH_FIXTURES_DIR');
+  return {
+    name: 'fixtures',
+    async fetchPage(engine, query) {
+      const file = fixturePath(dir, engine, query);
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    }
+  };
+}
+
+const searchBackends = {
+  live: createLiveSearchBackend,
+  fixtures: createFixtureSearchBackend
+};
+
+let activeBackend = null;
+
+// WEB_SEARCH_BACKEND picks the backend ("live" by default)
+function getSearchBackend() {
+  if (!activeBackend) {
+    const name = process.env.WEB_SEARCH_BACKEND || 'live';
+    if (!searchBackends[name]) {
+      throw new Error(`Unknown web search backend "${name}" (use one of ${Object.keys(searchBackends).join(', ')})`);
+    }
+    activeBackend = searchBackends[name]();
+  }
+  return activeBackend;
+}
+
+function setSearchBackend(backend) {
+  activeBackend = backend;
+}
+
+// Fetches a results page and puts it on the audit trail of the job searching
+async function fetchResultsPage(backend, engine, query) {
+  const request = { engine, backend: backend.name, query, url: SEARCH_URLS[engine](query) };
+  try {
+    const html = await backend.fetchPage(engine, query);
+    recordExternalRequest('web_search', { ...request, content_hash: hashContent(html), content_length: contentLength(html) });
+    return html;
+  } catch (err) {
+    recordExternalRequest('web_search', { ...request, error: err.message });
+    throw err;
+  }
+}
+
+// Function to perform direct web search without using Google API
+async function directWebSearch(query, { backend = getSearchBackend(), excludeDomains = EXCLUDED_DOMAINS } = {}) {
+  try {
+    // First try with Bing (often less restrictive than Google)
+    let searchResults = parseBingResults(await fetchResultsPage(backend, 'bing', query), excludeDomains);
+    
+    // If Bing fails or returns no results, try DuckDuckGo as a backup
+    if (searchResults.length === 0) {
+      try {
+        searchResults = parseDuckDuckGoResults(await fetchResultsPage(backend, 'duckduckgo', query), excludeDomains);
+      } catch (ddgError) {
+        console.error('DuckDuckGo search error:', ddgError);
+      }
+    }
+    
+    return searchResults;
+  } catch (error) {
+    console.error('Direct web search error:', error);
+    return [];
+  }
+}
+
+
+// Runs several searches for a company and returns the unique results ranked by
+// how likely they are to be its official website (best first)
+async function findCompanyWebsite(companyName, log = () => {}) {
+  const normalizedCompanyName = companyName.toLowerCase().trim();
+  const searchTerms = [
+    `${companyName} official website`,
+    `${companyName} company website`,
+    `${companyName} contact us`
+  ];
+  
+  // Perform multiple searches with different terms to increase chances of finding the correct site
+  let allSearchResults = [];
+  for (const searchTerm of searchTerms) {
+    try {
+      const results = await directWebSearch(searchTerm);
+      if (results && results.length > 0) {
+        // Add search term as context
+        results.forEach(r => r.searchTerm = searchTerm);
+        allSearchResults = allSearchResults.concat(results);
+      }
+    } catch (err) {
+      log(`Search error for term "${searchTerm}": ${err.message}`);
+    }
+  }
+  
+  // Remove duplicates by URL
+  const uniqueUrls = new Set();
+  allSearchResults = allSearchResults.filter(result => {
+    const url = new URL(result.url);
+    const hostname = url.hostname.replace(/^www\./, '');
+    if (uniqueUrls.has(hostname)) {
+      return false;
+    }
+    uniqueUrls.add(hostname);
+    return true;
+  });
+  
+  log(`Found ${allSearchResults.length} unique search results`);
+  
+  // Score and rank results based on relevance
+  return allSearchResults.length > 0 ? scoreWebsiteResults(allSearchResults, normalizedCompanyName) : [];
+}
+
+module.exports = {
+  directWebSearch,
+  parseBingResults,
+  parseDuckDuckGoResults,
+  createLiveSearchBackend,
+  createFixtureSearchBackend,
+  getSearchBackend,
+  setSearchBackend,
+  scoreWebsiteResults,
+  findCompanyWebsite
+};
@@ -0,0 +1,141 @@
+// Webhook callbacks for KYB job status changes
+// Jobs started with a callback_url get a POST whenever they move to
+// action_required, completed or failed. When the job has a callback secret the
+// body is signed with HMAC-SHA256 over "<timestamp>.<body>" and sent in the
+// X-KYB-Signature header. Failed deliveries are retried with exponential
+// backoff and every attempt is recorded in the job log.
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const NOTIFY_STATUSES = ['action_required', 'completed', 'failed'];
+
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Checks a received signature; receivers can use this to validate callbacks
+function verifySignature(secret, timestamp, body, signature) {
+  if (!secret || !timestamp || !signature) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function isValidCallbackUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (err) {
+    return false;
+  }
+}
+
+function createWebhookNotifier({ store, maxAttempts = 5, baseDelayMs = 1000, timeoutMs = 10000 }) {
+  function buildPayload(jobId, status, previousStatus) {
+    const logEntries = store.getLogs(jobId) || [];
+    const payload = {
+      event: 'job.status_changed',
+      job_id: jobId,
+      status,
+      previous_status: previousStatus,
+      timestamp: new Date().toISOString()
+    };
+
+    if (status === 'action_required') {
+      const actionEntry = [...logEntries].reverse().find(log => log.required_fields);
+      payload.message = actionEntry?.message || null;
+      payload.required_fields = actionEntry?.required_fields || null;
+    } else if (status === 'completed') {
+      payload.result = store.getResult(jobId) || null;
+    } else if (status === 'failed') {
+      const errorEntry = [...logEntries].reverse().find(log => log.error);
+      payload.error = errorEntry ? (typeof errorEntry.error === 'string' ? errorEntry.error : errorEntry.error.message || 'Unknown error') : null;
+    }
+
+    return payload;
+  }
+
+  async function deliver(jobId, callbackUrl, secret, payload, deliveryId, attempt) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'kyb-automation-api/webhooks',
+      'X-KYB-Event': payload.event,
+      'X-KYB-Delivery': deliveryId,
+      'X-KYB-Timestamp': timestamp
+    };
+    if (secret) {
+      headers['X-KYB-Signature'] = signPayload(secret, timestamp, body);
+    }
+
+    let statusCode = null;
+    let error = null;
+    try {
+      const response = await axios.post(callbackUrl, body, {
+        headers,
+        timeout: timeoutMs,
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Receiver responded with HTTP ${statusCode}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    const success = !error;
+    const willRetry = !success && attempt < maxAttempts;
+    const nextDelayMs = willRetry ? baseDelayMs * Math.pow(2, attempt - 1) : null;
+
+    if (store.hasJob(jobId)) {
+      store.appendLog(jobId, {
+        step: 'Webhook Delivery',
+        timestamp: new Date().toISOString(),
+        data: {
+          delivery_id: deliveryId,
+          callback_url: callbackUrl,
+          status: payload.status,
+          attempt,
+          success,
+          status_code: statusCode,
+          error,
+          next_retry_in_ms: nextDelayMs
+        }
+      });
+    }
+
+    if (willRetry) {
+      setTimeout(() => deliver(jobId, callbackUrl, secret, payload, deliveryId, attempt + 1), nextDelayMs);
+    } else if (!success) {
+      console.error(`[${new Date().toISOString()}] [${jobId}] Webhook delivery ${deliveryId} gave up after ${attempt} attempts: ${error}`);
+    }
+  }
+
+  function notify({ jobId, status, previousStatus }) {
+    if (!NOTIFY_STATUSES.includes(status)) return;
+    const meta = store.getMeta(jobId);
+    if (!meta || !meta.callback_url) return;
+
+    const payload = buildPayload(jobId, status, previousStatus);
+    const deliveryId = crypto.randomBytes(8).toString('hex');
+    console.log(`[${new Date().toISOString()}] [${jobId}] Sending ${status} webhook to ${meta.callback_url}`);
+    deliver(jobId, meta.callback_url, meta.callback_secret || null, payload, deliveryId, 1);
+  }
+
+  store.on('status', notify);
+
+  return {
+    stop() {
+      store.off('status', notify);
+    }
+  };
+}
+
+module.exports = {
+  createWebhookNotifier,
+  isValidCallbackUrl,
+  verifySignature
+};
@@ -0,0 +1,101 @@
+// Worker pool for queued KYB jobs
+// Runs up to `concurrency` jobs at once, alternates between job types so a
+// burst of new verifications cannot starve customers continuing a stuck job,
+// and fails any job that runs longer than `jobTimeoutMs`. Handlers get
+// `{ signal }`, an AbortSignal that is aborted when their job times out.
+
+function createWorkerPool({ store, handlers, concurrency = 3, jobTimeoutMs = 5 * 60 * 1000, onJobError }) {
+  const jobTypes = Object.keys(handlers);
+  const activeJobIds = new Set();
+  let nextTypeIndex = 0;
+
+  // Picks the next job, starting with the type after the one served last.
+  // A job id that is already running is skipped so two tasks for the same
+  // job never race each other.
+  function takeNextJob() {
+    for (let i = 0; i < jobTypes.length; i++) {
+      const type = jobTypes[(nextTypeIndex + i) % jobTypes.length];
+      const job = store.dequeue(queuedJob => queuedJob.type === type && !activeJobIds.has(queuedJob.id));
+      if (job) {
+        nextTypeIndex = (jobTypes.indexOf(type) + 1) % jobTypes.length;
+        return job;
+      }
+    }
+
+    // Unknown job types still have to leave the queue
+    return store.dequeue(queuedJob => !jobTypes.includes(queuedJob.type) && !activeJobIds.has(queuedJob.id));
+  }
+
+  function withTimeout(promise, jobId, controller) {
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        const err = new Error(`Job ${jobId} timed out after ${Math.round(jobTimeoutMs / 1000)} seconds`);
+        controller.abort(err);
+        reject(err);
+      }, jobTimeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+  }
+
+  async function runJob(job) {
+    activeJobIds.add(job.id);
+    let running = null;
+    try {
+      console.log(`[${new Date().toISOString()}] Processing job ${job.id} for business "${job.business_name}" (${activeJobIds.size}/${concurrency} workers busy)`);
+
+      const handler = handlers[job.type];
+      if (!handler) {
+        console.error(`[${new Date().toISOString()}] Unknown job type: ${job.type}`);
+        return;
+      }
+
+      const controller = new AbortController();
+      running = Promise.resolve().then(() => handler(job, { signal: controller.signal }));
+      await withTimeout(running, job.id, controller);
+    } catch (err) {
+      console.error(`[${new Date().toISOString()}] Error processing job ${job.id}: ${err.message}`);
+      if (onJobError) onJobError(job, err);
+    }
+
+    // The handler cannot be pre-empted, so a job that timed out keeps its id
+    // and its worker slot until the aborted handler has actually stopped;
+    // otherwise a retry could start a second handler on the same job
+    if (running) {
+      await running.catch(() => {});
+    }
+    store.complete(job.id);
+    activeJobIds.delete(job.id);
+    fill();
+  }
+
+  // Starts jobs until every worker is busy or the queue is empty
+  function fill() {
+    while (activeJobIds.size < concurrency) {
+      const job = takeNextJob();
+      if (!job) break;
+      runJob(job);
+    }
+  }
+
+  return {
+    fill,
+
+    // Whether a handler for the job is still running (a timed-out one counts
+    // until it has stopped)
+    isActive(jobId) {
+      return activeJobIds.has(jobId);
+    },
+
+    stats() {
+      return {
+        concurrency,
+        active: activeJobIds.size,
+        queued: store.queueLength(),
+        job_timeout_ms: jobTimeoutMs
+      };
+    }
+  };
+}
+
+module.exports = { createWorkerPool };
@@ -1,5 +1,7 @@
 const axios = require('axios');
 
+const API_URL = process.env.KYB_API_URL || 'http://localhost:3000';
+
 async function testKYBService() {
   try {
     // Test company details
@@ -7,12 +9,16 @@ async function testKYBService() {
     const companyUrl = "https://www.google.co.uk";
 
     console.log(`Testing KYB service for company: ${companyName}`);
-    console.log(`API URL: http://localhost:3011/startKYB`);
+    console.log(`API URL: ${API_URL}/startKYB`);
+    
+    // Optional webhook callback (see webhookReceiver.js)
+    const callbackUrl = process.env.CALLBACK_URL;
     
     // Start KYB process with website information
-    const startResponse = await axios.post('http://localhost:3011/startKYB', {
+    const startResponse = await axios.post(`${API_URL}/startKYB`, {
       business_name: companyName,
-      website: companyUrl
+      website: companyUrl,
+      ...(callbackUrl ? { callback_url: callbackUrl, callback_secret: process.env.WEBHOOK_SECRET } : {})
     });
     
     const jobId = startResponse.data.job_id;
@@ -21,13 +27,13 @@ async function testKYBService() {
     // Poll for job status
     let status = 'pending';
     while (status === 'pending' || status === 'processing') {
-      const statusResponse = await axios.get(`http://localhost:3011/jobStatus?job_id=${jobId}`);
+      const statusResponse = await axios.get(`${API_URL}/jobStatus?job_id=${jobId}`);
       status = statusResponse.data.status;
       console.log(`Current status: ${status}`);
       
       if (status === 'completed') {
         // Get job logs
-        const logsResponse = await axios.get(`http://localhost:3011/jobLog?job_id=${jobId}`);
+        const logsResponse = await axios.get(`${API_URL}/jobLog?job_id=${jobId}`);
         console.log('Job completed. Results:', JSON.stringify(logsResponse.data, null, 2));
         break;
       } else if (status === 'failed') {
@@ -35,11 +41,11 @@ async function testKYBService() {
         break;
       } else if (status === 'action_required') {
         // Get job logs to see what information is needed
-        const logsResponse = await axios.get(`http://localhost:3011/jobLog?job_id=${jobId}`);
+        const logsResponse = await axios.get(`${API_URL}/jobLog?job_id=${jobId}`);
         console.log('Action required. Current logs:', JSON.stringify(logsResponse.data, null, 2));
         
         // Provide additional information if needed
-        const continueResponse = await axios.post('http://localhost:3011/continueKYB', {
+        const continueResponse = await axios.post(`${API_URL}/continueKYB`, {
           job_id: jobId,
           website: companyUrl
         });
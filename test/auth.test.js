@@ -0,0 +1,102 @@
+// Job access checks in services/auth.js (run with npm test)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuth, hashApiKey } = require('../services/auth');
+const { currentTenantId } = require('../services/tenants');
+
+const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kyb-auth-'));
+process.env.TENANTS_FILE = path.join(testDir, 'tenants.json');
+fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify([{ id: 'acme' }]));
+
+const jobs = {
+  job_a: { tenant: 'default', meta: { client_id: 'client_a' } },
+  job_b: { tenant: 'default', meta: { client_id: 'client_b' } }
+};
+
+const jobStore = {
+  hasJob: jobId => Boolean(jobs[jobId]),
+  getTenant: jobId => jobs[jobId]?.tenant || null,
+  getMeta: jobId => jobs[jobId]?.meta || null
+};
+
+function createTestAuth() {
+  const clientsFile = path.join(testDir, 'apiClients.json');
+  fs.writeFileSync(clientsFile, JSON.stringify([
+    { id: 'client_a', key_sha256: hashApiKey('key_a'), scopes: ['start', 'read'] },
+    { id: 'client_b', key_sha256: hashApiKey('key_b'), scopes: ['start', 'read'] },
+    { id: 'client_acme', key_sha256: hashApiKey('key_acme'), scopes: ['read'], tenant: 'acme' }
+  ]));
+  return createAuth({ jobStore, mode: 'required', clientsFile });
+}
+
+function createRequest({ method, apiKey, query = {}, body = {} }) {
+  return {
+    method,
+    query,
+    body,
+    headers: { 'x-api-key': apiKey },
+    get(name) {
+      return this.headers[name.toLowerCase()];
+    }
+  };
+}
+
+// Runs requireScope and requireJobAccess like a route would; returns the
+// status sent, or 'next' when the handler would run
+function runRequest(auth, options) {
+  const req = createRequest(options);
+  let status = null;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+    set() {
+      return this;
+    }
+  };
+  let passed = false;
+  auth.requireScope('start')(req, res, () => {
+    auth.requireJobAccess(req, res, () => {
+      passed = true;
+    });
+  });
+  return passed ? 'next' : status;
+}
+
+test('a POST is checked against the job in its body', () => {
+  const auth = createTestAuth();
+  assert.strictEqual(runRequest(auth, { method: 'POST', apiKey: 'key_b', body: { job_id: 'job_a' } }), 404);
+  assert.strictEqual(runRequest(auth, { method: 'POST', apiKey: 'key_b', body: { job_id: 'job_b' } }), 'next');
+});
+
+test('another job in the query does not unlock the job in the body', () => {
+  const auth = createTestAuth();
+  const status = runRequest(auth, { method: 'POST', apiKey: 'key_b', query: { job_id: 'job_b' }, body: { job_id: 'job_a' } });
+  assert.strictEqual(status, 400);
+});
+
+test('a GET is checked against the job in its query', () => {
+  const auth = createTestAuth();
+  assert.strictEqual(runRequest(auth, { method: 'GET', apiKey: 'key_b', query: { job_id: 'job_a' } }), 404);
+  assert.strictEqual(runRequest(auth, { method: 'GET', apiKey: 'key_a', query: { job_id: 'job_a' } }), 'next');
+});
+
+test('a request is handled for the tenant of its client', async () => {
+  const auth = createTestAuth();
+  const req = createRequest({ method: 'GET', apiKey: 'key_acme' });
+  const tenant = await new Promise(resolve => {
+    auth.requireScope('read')(req, {}, async () => {
+      await Promise.resolve();
+      resolve(currentTenantId());
+    });
+  });
+  assert.strictEqual(tenant, 'acme');
+});
@@ -0,0 +1,33 @@
+// Review case actions in services/caseReview.js (run with npm test)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createJobStore } = require('../services/jobStore');
+const { createCaseReview } = require('../services/caseReview');
+
+function createReviewedJob() {
+  const jobStore = createJobStore({ type: 'memory' });
+  jobStore.createJob('job_1', {
+    status: 'completed',
+    logs: [{ step: 'Original Request', data: { business_name: 'Acme Ltd' } }]
+  });
+  jobStore.setResult('job_1', { company_name: 'ACME LTD', verification_confidence: 0.4 });
+  const caseReview = createCaseReview({ jobStore, redecide: () => null });
+  return { jobStore, caseReview };
+}
+
+test('notes can be added to an open case', () => {
+  const { caseReview } = createReviewedJob();
+  caseReview.addNote('job_1', { author: 'reviewer_1', text: 'Checking the address' });
+  assert.strictEqual(caseReview.getCase('job_1').notes.length, 1);
+});
+
+test('a decided case takes no more notes', () => {
+  const { caseReview } = createReviewedJob();
+  caseReview.decide('job_1', { decision: 'approved', reason_codes: ['risk_accepted'], reviewer: 'reviewer_1' });
+  assert.throws(
+    () => caseReview.addNote('job_1', { author: 'reviewer_2', text: 'Too late' }),
+    err => err.type === 'conflict'
+  );
+  assert.strictEqual(caseReview.getCase('job_1').notes.length, 0);
+});
@@ -0,0 +1,52 @@
+// Local receiver for KYB webhook callbacks
+// Start it with `node webhookReceiver.js`, then pass
+// callback_url=http://localhost:4000/kyb-callback (and the same callback_secret
+// as WEBHOOK_SECRET) to /startKYB, or run `CALLBACK_URL=... node test.js`.
+// Set FAIL_FIRST=n to reject the first n deliveries and watch the retries.
+
+const http = require('http');
+const { verifySignature } = require('./services/webhooks');
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || null;
+let failuresLeft = parseInt(process.env.FAIL_FIRST, 10) || 0;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    return res.end();
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const timestamp = req.headers['x-kyb-timestamp'];
+    const signature = req.headers['x-kyb-signature'];
+    const signatureStatus = !SECRET ? 'not checked (no WEBHOOK_SECRET)' :
+      (verifySignature(SECRET, timestamp, body, signature) ? 'valid' : 'INVALID');
+
+    let payload = null;
+    try {
+      payload = JSON.parse(body);
+    } catch (err) {
+      payload = { unparseable_body: body };
+    }
+
+    console.log(`[${new Date().toISOString()}] ${req.headers['x-kyb-event']} delivery ${req.headers['x-kyb-delivery']} - signature ${signatureStatus}`);
+    console.log(`  job ${payload.job_id}: ${payload.previous_status} -> ${payload.status}`);
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log('  responding 500 to exercise retries');
+      res.writeHead(500);
+      return res.end();
+    }
+
+    res.writeHead(signatureStatus === 'INVALID' ? 401 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});